@@ -22,19 +22,80 @@ class TGTrafficAnalytics {
             'education': 1.1,
             'unknown': 1.0
         };
+
+        // Target CPM corridor from the user settings, null until configure() is called
+        this.cpmRange = null;
+
+        // Price model fitted on real CPMs (see calibrateCpmModel), used when cpmModelMode is 'calibrated'
+        this.cpmModel = null;
+        this.cpmModelMode = 'default';
+
+        // Weights, caps and thresholds of calculateQualityScore, see setScoringProfile()
+        this.scoringProfile = this.getDefaultScoringProfile();
+
+        // Audience overlap of a channel pair, see estimateOverlap()
+        this.overlapWeights = { base: 0.02, sameCategory: 0.13, direct: 0.25, coCitation: 0.35, max: 0.6 };
+
+        // Growth periods in days and the sudden change limits of analyzeTrends()
+        this.trendPeriods = [7, 30, 90];
+        this.trendThresholds = { subscriberSpike: 0.05, subscriberDrop: 0.03, minSubscriberChange: 500, reachDrop: 0.3, hollowGrowth: 0.2 };
+    }
+
+    /**
+     * Built-in scoring profile: the weights and thresholds the scoring was designed with
+     */
+    getDefaultScoringProfile() {
+        return {
+            id: 'default',
+            name: 'Стандартный',
+            weights: { subscribers: 0.25, reach: 0.30, engagement: 0.25, ci: 0.20 },
+            caps: { subscribers: 25, reach: 30, engagement: 25, ci: 20 },
+            categoryMultipliers: { ...this.categoryMultipliers },
+            verifiedBonus: 1.1,
+            errPenalty: { threshold: 5, factor: 0.5 },
+            badgeThresholds: { excellent: 90, good: 70, average: 50, poor: 30 },
+            statusThresholds: { excellent: 80, good: 60, average: 40, poor: 20, bots: 50 }
+        };
+    }
+
+    /**
+     * Complete a profile with default values, so profiles saved by older versions keep working
+     */
+    normalizeScoringProfile(profile = {}) {
+        const defaults = this.getDefaultScoringProfile();
+        const merged = { ...defaults, ...profile };
+
+        ['weights', 'caps', 'categoryMultipliers', 'errPenalty', 'badgeThresholds', 'statusThresholds'].forEach(key => {
+            merged[key] = { ...defaults[key], ...(profile[key] || {}) };
+        });
+
+        return merged;
+    }
+
+    setScoringProfile(profile) {
+        this.scoringProfile = this.normalizeScoringProfile(profile || {});
+    }
+
+    /**
+     * Apply user settings (defaultCpmRange, cpmModel)
+     */
+    configure(settings = {}) {
+        const range = settings.defaultCpmRange;
+        this.cpmRange = range && typeof range.min === 'number' && typeof range.max === 'number' ? { min: range.min, max: range.max } : null;
+        this.cpmModelMode = settings.cpmModel === 'calibrated' ? 'calibrated' : 'default';
     }
 
     /**
      * Main channel analysis method
      * Calculates comprehensive metrics and quality score
+     * options: { posts, subscriberHistory } for fraud detection, see detectFraud();
+     * profile - scoring profile, the current one by default
      */
-    analyzeChannel(channelData, statsData = null) {
+    analyzeChannel(channelData, statsData = null, { posts = null, subscriberHistory = [], profile = this.scoringProfile } = {}) {
         try {
             const metrics = this.calculateChannelMetrics(channelData, statsData);
-            const qualityScore = this.calculateQualityScore(metrics);
-            const engagementMetrics = this.calculateEngagementMetrics(metrics);
-            const recommendations = this.generateRecommendations(metrics, qualityScore);
-            const priceEstimate = this.estimateAdPrice(metrics, qualityScore);
+            const fraud = this.detectFraud(posts, { subscribers: metrics.subscribers, avgReach: metrics.avgReach, subscriberHistory });
+            const { qualityScore, engagementMetrics, recommendations, priceEstimate } = this.scoreMetrics(metrics, fraud, profile);
 
             return {
                 success: true,
@@ -52,6 +113,9 @@ class TGTrafficAnalytics {
                 engagementMetrics,
                 recommendations,
                 priceEstimate,
+                botScore: fraud.botScore,
+                fraud,
+                scoringProfile: profile.id,
                 analysisTimestamp: new Date().toISOString()
             };
         } catch (error) {
@@ -63,6 +127,23 @@ class TGTrafficAnalytics {
         }
     }
 
+    /**
+     * Score computed metrics with a profile: quality, engagement, recommendations and price
+     * Needs no API data, so existing results can be re-scored when the profile changes
+     *
+     * @param {?Object} fraud - detectFraud() output, null for results analyzed before the fraud check
+     */
+    scoreMetrics(metrics, fraud, profile = this.scoringProfile) {
+        const qualityScore = this.calculateQualityScore(metrics, profile);
+        const engagementMetrics = this.calculateEngagementMetrics(metrics);
+        const recommendations = this.generateRecommendations(metrics, qualityScore);
+        const priceEstimate = this.estimateAdPrice(metrics, qualityScore);
+        recommendations.push(...this.getCpmRangeRecommendations(priceEstimate));
+        if (fraud) recommendations.push(...this.getFraudRecommendations(fraud));
+
+        return { qualityScore, engagementMetrics, recommendations, priceEstimate };
+    }
+
     /**
      * Calculate basic channel metrics
      */
@@ -105,71 +186,72 @@ class TGTrafficAnalytics {
 
     /**
      * Calculate overall quality score (0-100)
+     * Weights, caps, multipliers and penalties come from the scoring profile
      */
-    calculateQualityScore(metrics) {
+    calculateQualityScore(metrics, profile = this.scoringProfile) {
+        const { weights, caps, errPenalty } = profile;
         let score = 0;
-        let weights = 0;
+        let totalWeight = 0;
 
-        // Subscriber count weight (max 25 points)
+        // Subscriber count (default: weight 0.25, max 25 points)
         if (metrics.subscribers > 0) {
             const subscriberScore = Math.min(
-                25, 
+                caps.subscribers,
                 Math.log10(metrics.subscribers) * 5
             );
-            score += subscriberScore * 0.25;
-            weights += 0.25;
+            score += subscriberScore * weights.subscribers;
+            totalWeight += weights.subscribers;
         }
 
-        // Reach percentage weight (max 30 points)
+        // Reach percentage (default: weight 0.30, max 30 points)
         if (metrics.reachPercentage > 0) {
-            const reachScore = Math.min(30, metrics.reachPercentage * 2);
-            score += reachScore * 0.30;
-            weights += 0.30;
+            const reachScore = Math.min(caps.reach, metrics.reachPercentage * 2);
+            score += reachScore * weights.reach;
+            totalWeight += weights.reach;
         }
 
-        // Engagement rate weight (max 25 points)
+        // Engagement rate (default: weight 0.25, max 25 points)
         if (metrics.engagementRate > 0) {
-            const engagementScore = Math.min(25, metrics.engagementRate * 5);
-            score += engagementScore * 0.25;
-            weights += 0.25;
+            const engagementScore = Math.min(caps.engagement, metrics.engagementRate * 5);
+            score += engagementScore * weights.engagement;
+            totalWeight += weights.engagement;
         }
 
-        // CI Index weight (max 20 points)
+        // CI Index (default: weight 0.20, max 20 points)
         if (metrics.ciIndex > 0) {
-            const ciScore = Math.min(20, metrics.ciIndex * 20);
-            score += ciScore * 0.20;
-            weights += 0.20;
+            const ciScore = Math.min(caps.ci, metrics.ciIndex * 20);
+            score += ciScore * weights.ci;
+            totalWeight += weights.ci;
         }
 
         // Apply category multiplier
-        const categoryMultiplier = this.categoryMultipliers[metrics.category] || 1.0;
+        const categoryMultiplier = profile.categoryMultipliers[metrics.category] || 1.0;
         score *= categoryMultiplier;
 
         // Verified channels get bonus
         if (metrics.verified) {
-            score *= 1.1;
+            score *= profile.verifiedBonus;
         }
 
         // ERR percentage penalty
-        if (metrics.errPercent > 5) {
-            score *= (1 - (metrics.errPercent / 100) * 0.5);
-        }
+        const errModifier = metrics.errPercent > errPenalty.threshold ? (1 - (metrics.errPercent / 100) * errPenalty.factor) : 1.0;
+        score *= errModifier;
 
         // Normalize score
-        const finalScore = weights > 0 ? Math.min(100, Math.max(0, score / weights * 100)) : 0;
+        const finalScore = totalWeight > 0 ? Math.min(100, Math.max(0, score / totalWeight * 100)) : 0;
 
         return {
             overall: Math.round(finalScore * 100) / 100,
             breakdown: {
                 subscribers: Math.round((metrics.subscribers > 0 ? Math.log10(metrics.subscribers) * 5 : 0) * 100) / 100,
-                reach: Math.round(Math.min(30, metrics.reachPercentage * 2) * 100) / 100,
-                engagement: Math.round(Math.min(25, metrics.engagementRate * 5) * 100) / 100,
-                ci: Math.round(Math.min(20, metrics.ciIndex * 20) * 100) / 100
+                reach: Math.round(Math.min(caps.reach, metrics.reachPercentage * 2) * 100) / 100,
+                engagement: Math.round(Math.min(caps.engagement, metrics.engagementRate * 5) * 100) / 100,
+                ci: Math.round(Math.min(caps.ci, metrics.ciIndex * 20) * 100) / 100
             },
             modifiers: {
                 category: categoryMultiplier,
-                verified: metrics.verified ? 1.1 : 1.0,
-                err: metrics.errPercent > 5 ? (1 - (metrics.errPercent / 100) * 0.5) : 1.0
+                verified: metrics.verified ? profile.verifiedBonus : 1.0,
+                err: errModifier
             }
         };
     }
@@ -308,32 +390,46 @@ class TGTrafficAnalytics {
     }
 
     /**
-     * Estimate advertising price range
+     * Warn when the forecast CPM is outside the user's target range
      */
-    estimateAdPrice(metrics, qualityScore) {
-        let baseCpm = 100; // Base CPM in rubles
+    getCpmRangeRecommendations(priceEstimate) {
+        if (!this.cpmRange) return [];
 
-        // Adjust by subscriber count
-        if (metrics.subscribers > 100000) baseCpm *= 1.5;
-        else if (metrics.subscribers > 50000) baseCpm *= 1.3;
-        else if (metrics.subscribers > 10000) baseCpm *= 1.1;
-        else if (metrics.subscribers < 1000) baseCpm *= 0.5;
+        const cpm = priceEstimate.cpm.avg;
+        const { min, max } = this.cpmRange;
 
-        // Adjust by category
-        const categoryMultiplier = this.categoryMultipliers[metrics.category] || 1.0;
-        baseCpm *= categoryMultiplier;
+        if (cpm > max) {
+            return [{
+                type: 'warning',
+                title: 'CPM выше целевого',
+                message: `Прогноз CPM ${cpm} ₽ выше вашего диапазона ${min}–${max} ₽`
+            }];
+        }
 
-        // Adjust by quality score
-        const qualityMultiplier = 0.5 + (qualityScore.overall / 100);
-        baseCpm *= qualityMultiplier;
+        if (cpm < min) {
+            return [{
+                type: 'info',
+                title: 'CPM ниже целевого',
+                message: `Прогноз CPM ${cpm} ₽ ниже вашего диапазона ${min}–${max} ₽, проверьте качество аудитории`
+            }];
+        }
 
-        // Adjust by engagement
-        if (metrics.engagementRate > 15) baseCpm *= 1.4;
-        else if (metrics.engagementRate > 10) baseCpm *= 1.2;
-        else if (metrics.engagementRate < 3) baseCpm *= 0.8;
+        return [];
+    }
 
-        // Verified channels premium
-        if (metrics.verified) baseCpm *= 1.2;
+    /**
+     * Estimate advertising price range
+     * Multipliers come from the active CPM model, see getActiveCpmModel()
+     */
+    estimateAdPrice(metrics, qualityScore) {
+        const model = this.getActiveCpmModel();
+        const baseCpm = this.calculateCpm(model, {
+            subscribers: metrics.subscribers,
+            category: metrics.category,
+            quality: qualityScore.overall,
+            engagementRate: metrics.engagementRate,
+            verified: metrics.verified
+        });
 
         // Calculate price range (±30% from base)
         const minPrice = Math.round(baseCpm * 0.7);
@@ -361,14 +457,430 @@ class TGTrafficAnalytics {
                 quality: qualityScore.overall,
                 engagement: metrics.engagementRate,
                 verified: metrics.verified
+            },
+            model: model === this.cpmModel ? 'calibrated' : 'default'
+        };
+    }
+
+    /**
+     * CPM before rounding: base × size band × category × quality × engagement band × verification
+     *
+     * @param {Object} model - { base, sizeBands, categories, engagementBands }
+     * @param {Object} snapshot - { subscribers, category, quality, engagementRate, verified }
+     */
+    calculateCpm(model, { subscribers, category, quality, engagementRate, verified }) {
+        let cpm = model.base;
+
+        cpm *= model.sizeBands[this.getSizeBand(subscribers)];
+        cpm *= model.categories[category] || this.categoryMultipliers[category] || 1.0;
+        cpm *= 0.5 + (quality / 100);
+        cpm *= model.engagementBands[this.getEngagementBand(engagementRate)];
+
+        // Verified channels premium
+        if (verified) cpm *= 1.2;
+
+        return cpm;
+    }
+
+    getSizeBand(subscribers) {
+        if (subscribers > 100000) return 'xl';
+        if (subscribers > 50000) return 'l';
+        if (subscribers > 10000) return 'm';
+        if (subscribers < 1000) return 'xs';
+        return 's';
+    }
+
+    getEngagementBand(engagementRate) {
+        if (engagementRate > 15) return 'high';
+        if (engagementRate > 10) return 'medium';
+        if (engagementRate < 3) return 'low';
+        return 'normal';
+    }
+
+    /**
+     * Multipliers of the default price formula
+     */
+    getDefaultCpmModel() {
+        return {
+            base: 100, // Base CPM in rubles
+            sizeBands: { xl: 1.5, l: 1.3, m: 1.1, s: 1.0, xs: 0.5 },
+            categories: { ...this.categoryMultipliers },
+            engagementBands: { high: 1.4, medium: 1.2, normal: 1.0, low: 0.8 }
+        };
+    }
+
+    /**
+     * Calibrated model when it is switched on and fitted, the default formula otherwise
+     */
+    getActiveCpmModel() {
+        return this.cpmModelMode === 'calibrated' && this.cpmModel ? this.cpmModel : this.getDefaultCpmModel();
+    }
+
+    setCpmModel(model) {
+        this.cpmModel = model || null;
+    }
+
+    /**
+     * Fit the price multipliers to real CPMs and measure the error of the default formula on them
+     * The error of the calibrated model needs refits and is left to validateCpmModel()
+     *
+     * @param {Array} history - real CPM records { realCpm, metrics: { subscribers, category, quality, engagementRate, verified } }
+     * @returns {{model: ?Object, samples: number, error: {default: ?number, calibrated: null}}}
+     */
+    calibrateCpmModel(history, { minSamples = 5, shrinkage = 3 } = {}) {
+        const samples = history.filter(record => record.realCpm > 0 && record.metrics);
+        const defaults = this.getDefaultCpmModel();
+
+        return {
+            model: samples.length < minSamples ? null : this.fitCpmModel(samples, defaults, shrinkage),
+            samples: samples.length,
+            error: { default: this.getCpmError(samples, record => this.calculateCpm(defaults, record.metrics)), calibrated: null }
+        };
+    }
+
+    /**
+     * Error of the calibrated model by k-fold cross-validation: every record is predicted by a model
+     * fitted without its fold, so the comparison is not flattered by overfitting. Costs `folds` refits
+     *
+     * @returns {?number} mean absolute percentage error, null below minSamples
+     */
+    validateCpmModel(history, { minSamples = 5, shrinkage = 3, folds = 5 } = {}) {
+        const samples = history.filter(record => record.realCpm > 0 && record.metrics);
+        if (samples.length < minSamples) return null;
+
+        const defaults = this.getDefaultCpmModel();
+        const foldCount = Math.min(folds, samples.length);
+        const predictions = [];
+
+        for (let fold = 0; fold < foldCount; fold++) {
+            const model = this.fitCpmModel(samples.filter((record, index) => index % foldCount !== fold), defaults, shrinkage);
+            samples.forEach((record, index) => {
+                if (index % foldCount === fold) predictions[index] = this.calculateCpm(model, record.metrics);
+            });
+        }
+
+        return this.getCpmError(samples, (record, index) => predictions[index]);
+    }
+
+    /**
+     * Mean absolute percentage error of CPM predictions, rounded to 0.1%
+     */
+    getCpmError(samples, predict) {
+        if (samples.length === 0) return null;
+        const total = samples.reduce((sum, record, index) => sum + Math.abs(predict(record, index) - record.realCpm) / record.realCpm, 0);
+        return Math.round(total / samples.length * 1000) / 10;
+    }
+
+    /**
+     * Log-linear regression of the real CPM on size band, category and engagement band, fitted by backfitting
+     * Quality and verification keep their fixed factors. Every multiplier is pulled towards its default
+     * value as if `shrinkage` records confirmed it, so rare categories and bands stay close to the formula
+     */
+    fitCpmModel(samples, defaults, shrinkage) {
+        const factors = [
+            { key: 'sizeBands', level: metrics => this.getSizeBand(metrics.subscribers) },
+            { key: 'categories', level: metrics => metrics.category },
+            { key: 'engagementBands', level: metrics => this.getEngagementBand(metrics.engagementRate) }
+        ];
+        const prior = { base: Math.log(defaults.base) };
+        const effects = { base: prior.base };
+        factors.forEach(({ key }) => {
+            prior[key] = {};
+            Object.entries(defaults[key]).forEach(([level, multiplier]) => {
+                prior[key][level] = Math.log(multiplier);
+            });
+            effects[key] = { ...prior[key] };
+        });
+
+        // Target without the fixed quality and verification factors
+        const rows = samples.map(({ realCpm, metrics }) => ({
+            target: Math.log(realCpm) - Math.log(0.5 + metrics.quality / 100) - (metrics.verified ? Math.log(1.2) : 0),
+            levels: factors.map(({ level }) => level(metrics))
+        }));
+        const effectOf = (key, level) => (effects[key][level] !== undefined ? effects[key][level] : 0);
+        const residual = (row, skip) => row.target - (skip === 'base' ? 0 : effects.base) -
+            factors.reduce((sum, { key }, index) => sum + (key === skip ? 0 : effectOf(key, row.levels[index])), 0);
+
+        for (let iteration = 0; iteration < 25; iteration++) {
+            const baseSum = rows.reduce((sum, row) => sum + residual(row, 'base'), 0);
+            effects.base = (baseSum + shrinkage * prior.base) / (rows.length + shrinkage);
+
+            factors.forEach(({ key }, index) => {
+                const groups = {};
+                rows.forEach(row => {
+                    const level = row.levels[index];
+                    groups[level] = groups[level] || { sum: 0, count: 0 };
+                    groups[level].sum += residual(row, key);
+                    groups[level].count++;
+                });
+
+                Object.entries(groups).forEach(([level, { sum, count }]) => {
+                    const levelPrior = prior[key][level] !== undefined ? prior[key][level] : 0;
+                    effects[key][level] = (sum + shrinkage * levelPrior) / (count + shrinkage);
+                });
+            });
+        }
+
+        const round = value => Math.round(value * 1000) / 1000;
+        const model = { base: Math.round(Math.exp(effects.base) * 100) / 100 };
+        factors.forEach(({ key }) => {
+            model[key] = {};
+            Object.entries(effects[key]).forEach(([level, effect]) => {
+                model[key][level] = round(Math.exp(effect));
+            });
+        });
+
+        return model;
+    }
+
+    /**
+     * Bot / fake audience signals from the post history, reach and subscriber history
+     * Each signal has a severity 0..1 and a weight; botScore is the weighted sum (0-100), null when
+     * nothing could be checked. A signal fires at severity 0.5. Post signals need at least 5 posts
+     *
+     * @param {Array} posts - posts from getChannelPosts, null when they were not loaded
+     * @param {Object} context - { subscribers, avgReach, subscriberHistory: [{ date, subscribers }] }
+     */
+    detectFraud(posts, { subscribers = 0, avgReach = 0, subscriberHistory = [] } = {}) {
+        const DAY = 86400; // post dates are unix seconds
+        const signals = [];
+        const scale = (value, from, to) => Math.min(1, Math.max(0, (value - from) / (to - from)));
+        const round = value => Math.round(value * 1000) / 1000;
+        const median = values => {
+            const sorted = [...values].sort((a, b) => a - b);
+            const middle = Math.floor(sorted.length / 2);
+            return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        };
+        const addSignal = (id, label, weight, severity, value, message) => {
+            signals.push({ id, label, weight, severity: round(severity), value: round(value), fired: severity >= 0.5, message });
+        };
+
+        const checked = (posts || []).filter(post => post.views > 0);
+        if (checked.length >= 5) {
+            const newest = Math.max(...checked.map(post => post.date));
+            const older = checked.filter(post => newest - post.date >= DAY);
+            const fresh = checked.filter(post => newest - post.date < DAY);
+
+            // Organic views vary from post to post, bought views come in even batches
+            if (older.length >= 5) {
+                const views = older.map(post => post.views);
+                const mean = views.reduce((sum, value) => sum + value, 0) / views.length;
+                const deviation = Math.sqrt(views.reduce((sum, value) => sum + (value - mean) ** 2, 0) / views.length);
+                const variation = deviation / mean;
+
+                addSignal('uniformViews', 'Одинаковые просмотры', 25, scale(variation, 0.2, 0.08), variation,
+                    `Разброс просмотров между постами ${Math.round(variation * 100)}%`);
+            }
+
+            // Organic views follow the post age: fresh posts are still collecting them, and a growing
+            // channel gets more on new posts. Bought views land at once and stay at the same level
+            if (older.length > 0 && fresh.length > 0) {
+                const ratio = median(fresh.map(post => post.views)) / median(older.map(post => post.views));
+
+                addSignal('noDecay', 'Просмотры не зависят от возраста поста', 20, scale(Math.abs(ratio - 1), 0.2, 0.05), ratio,
+                    `Посты младше суток набрали ${Math.round(ratio * 100)}% просмотров старых постов`);
+            }
+
+            const totals = checked.reduce((sum, post) => ({
+                views: sum.views + post.views,
+                forwards: sum.forwards + (post.forwards || 0),
+                reactions: sum.reactions + (post.reactions || 0)
+            }), { views: 0, forwards: 0, reactions: 0 });
+            const interaction = (totals.forwards + totals.reactions) / totals.views;
+            const reactionRate = totals.reactions / totals.views;
+
+            addSignal('lowInteraction', 'Просмотры без реакций', 25, scale(interaction, 0.01, 0.002), interaction,
+                `Репосты и реакции — ${(interaction * 100).toFixed(2)}% просмотров`);
+            addSignal('reactionSpike', 'Накрученные реакции', 10, scale(reactionRate, 0.08, 0.15), reactionRate,
+                `Реакции — ${(reactionRate * 100).toFixed(1)}% просмотров`);
+        }
+
+        // Views bots push reach close to the subscriber count, subscriber bots push it down
+        if (subscribers > 0) {
+            const reach = avgReach / subscribers;
+            const severity = Math.max(scale(reach, 0.7, 0.9), scale(reach, 0.08, 0.03));
+
+            addSignal('reachAnomaly', 'Аномальный охват', 20, severity, reach,
+                `Охват поста — ${Math.round(reach * 100)}% подписчиков`);
+        }
+
+        // Largest daily growth between saved measurements
+        const history = [...subscriberHistory].sort((a, b) => new Date(a.date) - new Date(b.date));
+        if (history.length >= 2) {
+            let jump = 0;
+            for (let i = 1; i < history.length; i++) {
+                const previous = history[i - 1];
+                const gain = history[i].subscribers - previous.subscribers;
+                const days = Math.max(1, (new Date(history[i].date) - new Date(previous.date)) / 86400000);
+                if (previous.subscribers > 0 && gain >= 500) jump = Math.max(jump, gain / previous.subscribers / days);
+            }
+
+            addSignal('subscriberJump', 'Скачок подписчиков', 25, scale(jump, 0.03, 0.1), jump,
+                `Прирост до ${(jump * 100).toFixed(1)}% подписчиков в день`);
+        }
+
+        const score = signals.reduce((sum, signal) => sum + signal.severity * signal.weight, 0);
+
+        return {
+            botScore: signals.length > 0 ? Math.min(100, Math.round(score)) : null,
+            postsChecked: checked.length >= 5,
+            signals
+        };
+    }
+
+    /**
+     * Fired fraud signals as one recommendation
+     */
+    getFraudRecommendations(fraud) {
+        const fired = fraud.signals.filter(signal => signal.fired);
+        if (fired.length === 0) return [];
+
+        return [{
+            type: fraud.botScore > 50 ? 'danger' : 'warning',
+            title: fraud.botScore > 50 ? 'Подозрение на накрутку' : 'Признаки накрутки',
+            message: `${fired.map(signal => signal.message).join('; ')}. Вероятность ботов ${fraud.botScore}%`
+        }];
+    }
+
+    /**
+     * Growth rates and sudden changes from the saved measurements of one channel
+     * growth[days][metric] is the change in % over `days`, counted from the newest point back to the newest
+     * point at least that old and scaled to the period; null when there is no such point within twice the period
+     *
+     * @param {Array} history - [{ date, subscribers, avgReach, err24h, citationIndex, quality }]
+     * @returns {{points: number, first: ?string, last: ?string, growth: Object, flags: Array<{id, label, date, value, message}>}}
+     */
+    analyzeTrends(history = []) {
+        const DAY = 86400000;
+        const metrics = ['subscribers', 'avgReach', 'err24h', 'citationIndex', 'quality'];
+        const limits = this.trendThresholds;
+        const points = [...history]
+            .filter(point => point && !isNaN(Date.parse(point.date)))
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+        const last = points[points.length - 1];
+        const age = (from, to) => Math.round((new Date(to.date) - new Date(from.date)) / DAY);
+        const change = (from, to, metric) => from[metric] > 0 && typeof to[metric] === 'number' ? to[metric] / from[metric] - 1 : null;
+        const percent = value => Math.round(value * 1000) / 10;
+
+        const growth = {};
+        this.trendPeriods.forEach(days => {
+            const base = last ? [...points].reverse().find(point => age(point, last) >= days) : null;
+            const span = base ? age(base, last) : 0;
+
+            growth[days] = {};
+            metrics.forEach(metric => {
+                const value = base && span <= days * 2 ? change(base, last, metric) : null;
+                growth[days][metric] = value === null ? null : percent(value * days / span);
+            });
+        });
+
+        // Jumps between neighbouring points
+        const flags = [];
+        for (let i = 1; i < points.length; i++) {
+            const previous = points[i - 1];
+            const point = points[i];
+            const days = Math.max(1, age(previous, point));
+            const gained = (point.subscribers || 0) - (previous.subscribers || 0);
+            const daily = previous.subscribers > 0 ? gained / previous.subscribers / days : 0;
+            const reach = change(previous, point, 'avgReach');
+
+            if (gained >= limits.minSubscriberChange && daily >= limits.subscriberSpike) {
+                flags.push({ id: 'subscriberSpike', label: 'Скачок подписчиков', date: point.date, value: percent(daily),
+                    message: `+${gained.toLocaleString('ru-RU')} подписчиков (${percent(daily)}% в день) — возможна накрутка` });
+            }
+            if (-gained >= limits.minSubscriberChange && -daily >= limits.subscriberDrop) {
+                flags.push({ id: 'subscriberDrop', label: 'Отток подписчиков', date: point.date, value: percent(daily),
+                    message: `−${(-gained).toLocaleString('ru-RU')} подписчиков (${percent(-daily)}% в день) — отписки или чистка ботов` });
+            }
+            if (reach !== null && -reach >= limits.reachDrop && days <= 30) {
+                flags.push({ id: 'reachDrop', label: 'Падение охвата', date: point.date, value: percent(reach),
+                    message: `Охват упал на ${percent(-reach)}% за ${days} дн. — канал теряет активную аудиторию` });
+            }
+        }
+
+        // Subscribers grow while reach does not: the new subscribers do not read the channel
+        const monthly = growth[30] || {};
+        if (monthly.subscribers !== null && monthly.subscribers >= limits.hollowGrowth * 100 && monthly.avgReach !== null && monthly.avgReach <= 0) {
+            flags.push({ id: 'hollowGrowth', label: 'Рост без охвата', date: last.date, value: monthly.subscribers,
+                message: `Подписчики +${monthly.subscribers}% за 30 дней, охват ${monthly.avgReach}% — новые подписчики не читают канал` });
+        }
+
+        return {
+            points: points.length,
+            first: points.length > 0 ? points[0].date : null,
+            last: last ? last.date : null,
+            growth,
+            flags
+        };
+    }
+
+    /**
+     * Post-level statistics for the channel detail view
+     * Timeline is ordered from oldest to newest post
+     */
+    analyzePosts(posts = []) {
+        const timeline = [...posts]
+            .sort((a, b) => a.date - b.date)
+            .map(post => ({
+                id: post.id,
+                date: new Date(post.date * 1000).toISOString(),
+                views: post.views
+            }));
+
+        const average = field => posts.length > 0 ?
+            Math.round(posts.reduce((sum, post) => sum + (post[field] || 0), 0) / posts.length * 100) / 100 : 0;
+
+        return {
+            count: posts.length,
+            timeline,
+            averages: {
+                views: average('views'),
+                forwards: average('forwards'),
+                replies: average('replies'),
+                reactions: average('reactions')
+            },
+            distributions: {
+                forwards: this.buildDistribution(posts.map(post => post.forwards || 0)),
+                replies: this.buildDistribution(posts.map(post => post.replies || 0)),
+                reactions: this.buildDistribution(posts.map(post => post.reactions || 0))
             }
         };
     }
 
+    /**
+     * Split values into equal-width buckets for a histogram
+     */
+    buildDistribution(values, bucketCount = 5) {
+        if (values.length === 0) return [];
+
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+
+        if (min === max) {
+            return [{ label: String(min), from: min, to: max, count: values.length }];
+        }
+
+        const step = Math.ceil((max - min + 1) / bucketCount);
+        const buckets = [];
+
+        for (let from = min; from <= max; from += step) {
+            const to = Math.min(max, from + step - 1);
+            buckets.push({
+                label: from === to ? String(from) : `${from}–${to}`,
+                from,
+                to,
+                count: values.filter(value => value >= from && value <= to).length
+            });
+        }
+
+        return buckets;
+    }
+
     /**
      * Compare multiple channels
+     * mentionedBy (see estimateOverlap) adds mention-based audience overlap to the comparison
      */
-    compareChannels(channelsData) {
+    compareChannels(channelsData, { mentionedBy = {} } = {}) {
         const comparisons = channelsData.map(channel => {
             const analysis = this.analyzeChannel(channel.info, channel.stats);
             return {
@@ -387,9 +899,15 @@ class TGTrafficAnalytics {
 
         // Calculate category averages
         const categoryStats = this.calculateCategoryStats(comparisons);
+        const overlap = this.estimateOverlap(comparisons.map(item => ({
+            username: item.channel.username,
+            category: item.metrics.category,
+            avgReach: item.metrics.avgReach
+        })), mentionedBy);
 
         return {
             channels: comparisons,
+            overlap,
             summary: {
                 total: comparisons.length,
                 avgQualityScore: Math.round(
@@ -404,6 +922,7 @@ class TGTrafficAnalytics {
                     comparisons.reduce((sum, ch) => sum + ch.metrics.reachPercentage, 0) / 
                     comparisons.length * 100
                 ) / 100,
+                uniqueReach: overlap.uniqueReach,
                 categoryStats
             }
         };
@@ -443,6 +962,82 @@ class TGTrafficAnalytics {
         return categories;
     }
 
+    /**
+     * Estimated audience overlap between channels
+     * Signals of a pair: mentions between the two channels, co-citation (the same channels mention both)
+     * and a shared category. The overlap is the share of the smaller channel's readers that also read the larger one
+     *
+     * @param {Array<{username, category, avgReach}>} channels - ChannelAnalysis records or the like
+     * @param {Object} mentionedBy - username -> [{ username, mentions }], channels that mentioned it (TGStat /channels/mentions)
+     * @returns {{pairs: Object[], matrix: {usernames: string[], values: number[][]}, totalReach: number, uniqueReach: number}}
+     */
+    estimateOverlap(channels, mentionedBy = {}) {
+        const weights = this.overlapWeights;
+        const key = username => (username || '').replace('@', '').toLowerCase();
+        const mentioners = new Map(channels.map(channel => [key(channel.username), new Map(
+            (mentionedBy[key(channel.username)] || []).map(item => [key(item.username), item.mentions || 1])
+        )]));
+
+        const pairs = [];
+        const overlapOf = new Map();
+        channels.forEach((a, i) => {
+            channels.slice(i + 1).forEach(b => {
+                const nameA = key(a.username);
+                const nameB = key(b.username);
+                const byA = mentioners.get(nameA);
+                const byB = mentioners.get(nameB);
+
+                // Ten mentions either way count as a full link
+                const direct = Math.min(1, ((byA.get(nameB) || 0) + (byB.get(nameA) || 0)) / 10);
+
+                // Jaccard of the mentioning channels, the pair itself left out
+                const citersA = [...byA.keys()].filter(name => name !== nameB);
+                const citersB = new Set([...byB.keys()].filter(name => name !== nameA));
+                const shared = citersA.filter(name => citersB.has(name)).length;
+                const union = citersA.length + citersB.size - shared;
+                const coCitation = union > 0 ? shared / union : 0;
+
+                const sameCategory = a.category === b.category && a.category !== 'unknown';
+                const overlap = Math.min(weights.max, weights.base + (sameCategory ? weights.sameCategory : 0) +
+                    weights.direct * direct + weights.coCitation * coCitation);
+                const rounded = Math.round(overlap * 100) / 100;
+
+                overlapOf.set(`${nameA}>${nameB}`, rounded);
+                overlapOf.set(`${nameB}>${nameA}`, rounded);
+                pairs.push({
+                    a: nameA,
+                    b: nameB,
+                    overlap: rounded,
+                    sharedReach: Math.round(rounded * Math.min(a.avgReach || 0, b.avgReach || 0)),
+                    signals: { direct: Math.round(direct * 100) / 100, coCitation: Math.round(coCitation * 100) / 100, sameCategory }
+                });
+            });
+        });
+
+        // Share of the row channel's readers that also read the column channel
+        const values = channels.map(a => channels.map(b => {
+            if (a === b) return 1;
+            const overlap = overlapOf.get(`${key(a.username)}>${key(b.username)}`);
+            const reachA = a.avgReach || 0;
+            return reachA > 0 ? Math.round(overlap * Math.min(reachA, b.avgReach || 0) / reachA * 100) / 100 : 0;
+        }));
+
+        // Larger channels first, each next one adds only the readers none of the previous ones cover
+        const byReach = [...channels].sort((a, b) => (b.avgReach || 0) - (a.avgReach || 0));
+        const uniqueReach = byReach.reduce((sum, channel, i) => {
+            const fresh = byReach.slice(0, i).reduce((share, previous) =>
+                share * (1 - overlapOf.get(`${key(channel.username)}>${key(previous.username)}`)), 1);
+            return sum + (channel.avgReach || 0) * fresh;
+        }, 0);
+
+        return {
+            pairs: pairs.sort((x, y) => y.sharedReach - x.sharedReach),
+            matrix: { usernames: channels.map(channel => key(channel.username)), values },
+            totalReach: channels.reduce((sum, channel) => sum + (channel.avgReach || 0), 0),
+            uniqueReach: Math.round(uniqueReach)
+        };
+    }
+
     /**
      * Generate export data for Excel
      */
@@ -483,11 +1078,13 @@ class TGTrafficAnalytics {
     /**
      * Get quality badge info
      */
-    getQualityBadge(score) {
-        if (score >= 90) return { label: 'Отлично', color: 'green', icon: 'star' };
-        if (score >= 70) return { label: 'Хорошо', color: 'blue', icon: 'thumbs-up' };
-        if (score >= 50) return { label: 'Средне', color: 'yellow', icon: 'minus' };
-        if (score >= 30) return { label: 'Плохо', color: 'orange', icon: 'thumbs-down' };
+    getQualityBadge(score, profile = this.scoringProfile) {
+        const thresholds = profile.badgeThresholds;
+
+        if (score >= thresholds.excellent) return { label: 'Отлично', color: 'green', icon: 'star' };
+        if (score >= thresholds.good) return { label: 'Хорошо', color: 'blue', icon: 'thumbs-up' };
+        if (score >= thresholds.average) return { label: 'Средне', color: 'yellow', icon: 'minus' };
+        if (score >= thresholds.poor) return { label: 'Плохо', color: 'orange', icon: 'thumbs-down' };
         return { label: 'Очень плохо', color: 'red', icon: 'times' };
     }
 
@@ -1,30 +1,205 @@
 /**
  * TGStat API Integration Module
- * Handles all API calls to TGStat service with CORS proxy
+ * Handles all API calls to TGStat service directly, through a CORS proxy or through the bundled proxy
  */
 
 class TGStatAPI {
-    constructor(apiKey = '') {
-        this.apiKey = apiKey;
-        this.baseURL = 'https://api.tgstat.ru';
-        this.proxyURL = 'https://api.allorigins.win/raw?url=';
+    constructor(apiKey = '', options = {}) {
+        // Key pool in failover order, apiKey is the key currently in use
+        this.apiKeys = [];
+        this.activeKeyId = null;
+        this.failedKeys = new Map(); // key id -> 'auth' | 'quota'
+        this.apiKey = '';
+        this.setApiKey(apiKey);
+
+        // 'proxy' wraps requests in proxyURL (none: direct), 'bundled' sends them to server/proxy-server.js
+        // which adds the key itself, so the browser needs no key
+        this.mode = options.mode || 'proxy';
+        this.baseURL = options.baseURL || 'https://api.tgstat.ru';
+        this.proxyURL = options.proxyURL || '';
+        this.bundledProxyURL = options.bundledProxyURL || 'http://localhost:3002';
         this.rateLimitDelay = 1000; // 1 second between requests
         this.maxRetries = 3;
+        this.cache = window.TGStatCache ? new window.TGStatCache(options.cache) : null;
+
+        // Every request goes through one scheduler: token bucket, max in-flight, priority lanes
+        this.scheduler = options.scheduler || new window.RequestScheduler({
+            ratePerSecond: 1000 / this.rateLimitDelay,
+            burst: 3,
+            maxConcurrent: 2
+        });
+
+        this.requestListeners = [];
+        this.keyFailureListeners = [];
+    }
+
+    /**
+     * Subscribe to requests sent to TGStat, the listener receives { endpoint, status, keyId }
+     * Cached responses and /usage checks do not count against the quota and are not reported
+     */
+    onRequest(listener) {
+        this.requestListeners.push(listener);
+    }
+
+    /**
+     * Endpoints requested for one channel by analysis (info + stats), plus posts for the details view
+     */
+    getChannelEndpoints(channelUsername, { period = 7, withPosts = false, postsLimit = 50 } = {}) {
+        const cleanUsername = channelUsername.replace('@', '');
+        const endpoints = [
+            `/channels/get?channel=${cleanUsername}`,
+            `/channels/stat?channel=${cleanUsername}&period=${period}`
+        ];
+
+        if (withPosts) endpoints.push(`/channels/posts?channel=${cleanUsername}&limit=${postsLimit}`);
+        return endpoints;
     }
 
     /**
      * Set API key for authentication
      */
     setApiKey(apiKey) {
-        this.apiKey = apiKey;
+        this.setApiKeys(apiKey ? [{ id: 'primary', key: apiKey }] : []);
+    }
+
+    /**
+     * Set the key pool [{ id, key }]: requests use the first working key and move on to the next one
+     * when a key is rejected (401) or out of quota (403). Failures of keys still in the pool are kept
+     */
+    setApiKeys(keys) {
+        this.apiKeys = keys.filter(entry => entry.key).map(({ id, key }) => ({ id, key }));
+        this.failedKeys = new Map([...this.failedKeys].filter(([id]) => this.apiKeys.some(entry => entry.id === id)));
+
+        const active = this.apiKeys.find(entry => !this.failedKeys.has(entry.id)) || this.apiKeys[0];
+        this.activeKeyId = active ? active.id : null;
+        this.apiKey = active ? active.key : '';
+    }
+
+    /**
+     * Key for a request: the pinned key if keyId is given, otherwise the active one
+     */
+    getRequestKey(keyId = null) {
+        return this.apiKeys.find(entry => entry.id === (keyId || this.activeKeyId)) || null;
+    }
+
+    /**
+     * Take a key out of rotation and switch to the next working key
+     * Returns true when a working key is left
+     */
+    markKeyFailed(keyId, reason) {
+        if (!this.apiKeys.some(entry => entry.id === keyId)) return false;
+
+        const alreadyFailed = this.failedKeys.has(keyId);
+        this.failedKeys.set(keyId, reason);
+
+        if (this.activeKeyId === keyId) {
+            const index = this.apiKeys.findIndex(entry => entry.id === keyId);
+            const next = [...this.apiKeys.slice(index + 1), ...this.apiKeys.slice(0, index)]
+                .find(entry => !this.failedKeys.has(entry.id));
+
+            if (next) {
+                this.activeKeyId = next.id;
+                this.apiKey = next.key;
+            }
+        }
+
+        if (!alreadyFailed) {
+            const nextKeyId = this.failedKeys.has(this.activeKeyId) ? null : this.activeKeyId;
+            this.keyFailureListeners.forEach(listener => listener({ keyId, reason, nextKeyId }));
+        }
+
+        return !this.failedKeys.has(this.activeKeyId);
+    }
+
+    /**
+     * Put all keys back into rotation, e.g. after the quota was renewed
+     */
+    resetKeyFailures() {
+        this.failedKeys.clear();
+        this.setApiKeys(this.apiKeys);
+    }
+
+    /**
+     * Keys with their rotation state: { id, active, failure }
+     */
+    getKeyStates() {
+        return this.apiKeys.map(entry => ({
+            id: entry.id,
+            active: entry.id === this.activeKeyId,
+            failure: this.failedKeys.get(entry.id) || null
+        }));
+    }
+
+    /**
+     * Subscribe to keys leaving the rotation, the listener receives { keyId, reason, nextKeyId }
+     * nextKeyId is null when no working key is left
+     */
+    onKeyFailure(listener) {
+        this.keyFailureListeners.push(listener);
     }
 
     /**
-     * Get API key status and limits
+     * Point the client at another API host, e.g. the local mock server
+     * (baseURL 'http://localhost:3001', proxyURL '' to call it directly)
+     * mode 'direct' ignores proxyURL, 'bundled' sends requests to bundledProxyURL
      */
-    async getApiStatus() {
+    setEndpoints({ baseURL, proxyURL, mode, bundledProxyURL } = {}) {
+        if (baseURL) this.baseURL = baseURL.replace(/\/$/, '');
+        if (proxyURL !== undefined) this.proxyURL = proxyURL;
+        if (mode) this.mode = mode;
+        if (bundledProxyURL) this.bundledProxyURL = bundledProxyURL.replace(/\/$/, '');
+    }
+
+    /**
+     * The bundled proxy holds the API key, requests are sent without one
+     */
+    usesServerKey() {
+        return this.mode === 'bundled';
+    }
+
+    /**
+     * Whether the bundled proxy answers at bundledProxyURL (it is a separate process the user starts)
+     *
+     * @returns {Promise<{available: boolean, hasKey: boolean}>}
+     */
+    async checkBundledProxy(timeout = 3000) {
+        try {
+            const response = await fetch(`${this.bundledProxyURL}/health`, { signal: AbortSignal.timeout(timeout) });
+            if (!response.ok) return { available: false, hasKey: false };
+
+            const data = await response.json();
+            return { available: data.status === 'ok', hasKey: Boolean(data.hasKey) };
+        } catch (error) {
+            return { available: false, hasKey: false };
+        }
+    }
+
+    /**
+     * Build request URL, wrapped in the CORS proxy if one is configured
+     */
+    buildUrl(endpoint) {
+        if (this.mode === 'bundled') return `${this.bundledProxyURL}${endpoint}`;
+
+        const targetUrl = `${this.baseURL}${endpoint}`;
+        if (this.mode === 'direct') return targetUrl;
+        return this.proxyURL ? `${this.proxyURL}${encodeURIComponent(targetUrl)}` : targetUrl;
+    }
+
+    /**
+     * Configure rate limiting (rateLimitDelay, rateLimitBurst, maxConcurrentRequests, maxRetries)
+     */
+    setRateLimits(settings = {}) {
+        if (settings.rateLimitDelay) this.rateLimitDelay = settings.rateLimitDelay;
+        if (settings.maxRetries !== undefined) this.maxRetries = settings.maxRetries;
+        this.scheduler.configure(settings);
+    }
+
+    /**
+     * Get API key status and limits, { keyId } checks a specific key of the pool
+     */
+    async getApiStatus(options = {}) {
         try {
-            const response = await this.makeRequest('/usage');
+            const response = await this.makeRequest('/usage', { priority: 'interactive', keyId: options.keyId || null });
             return {
                 success: true,
                 data: response,
@@ -44,17 +219,18 @@ class TGStatAPI {
     /**
      * Get channel information by username
      */
-    async getChannelInfo(channelUsername) {
+    async getChannelInfo(channelUsername, options = {}) {
         // Remove @ symbol if present
         const cleanUsername = channelUsername.replace('@', '');
 
         try {
-            const response = await this.makeRequest(`/channels/get?channel=${cleanUsername}`);
+            const { data: response, cache } = await this.cachedRequest(`/channels/get?channel=${cleanUsername}`, options);
 
             if (response && response.response) {
                 const channel = response.response;
                 return {
                     success: true,
+                    ...cache,
                     data: {
                         id: channel.id,
                         username: channel.username,
@@ -88,16 +264,17 @@ class TGStatAPI {
     /**
      * Get channel statistics and metrics
      */
-    async getChannelStats(channelUsername, period = 7) {
+    async getChannelStats(channelUsername, period = 7, options = {}) {
         const cleanUsername = channelUsername.replace('@', '');
 
         try {
-            const response = await this.makeRequest(`/channels/stat?channel=${cleanUsername}&period=${period}`);
+            const { data: response, cache } = await this.cachedRequest(`/channels/stat?channel=${cleanUsername}&period=${period}`, options);
 
             if (response && response.response) {
                 const stats = response.response;
                 return {
                     success: true,
+                    ...cache,
                     data: {
                         period,
                         views_per_post: stats.views_per_post || 0,
@@ -125,11 +302,11 @@ class TGStatAPI {
     /**
      * Get channel posts for analysis
      */
-    async getChannelPosts(channelUsername, limit = 50) {
+    async getChannelPosts(channelUsername, limit = 50, options = {}) {
         const cleanUsername = channelUsername.replace('@', '');
 
         try {
-            const response = await this.makeRequest(`/channels/posts?channel=${cleanUsername}&limit=${limit}`);
+            const { data: response, cache } = await this.cachedRequest(`/channels/posts?channel=${cleanUsername}&limit=${limit}`, options);
 
             if (response && response.response && response.response.items) {
                 const posts = response.response.items.map(post => ({
@@ -146,6 +323,7 @@ class TGStatAPI {
 
                 return {
                     success: true,
+                    ...cache,
                     data: posts,
                     count: posts.length
                 };
@@ -165,9 +343,9 @@ class TGStatAPI {
     /**
      * Search channels by keywords
      */
-    async searchChannels(query, limit = 20) {
+    async searchChannels(query, limit = 20, options = {}) {
         try {
-            const response = await this.makeRequest(`/channels/search?q=${encodeURIComponent(query)}&limit=${limit}`);
+            const { data: response, cache } = await this.cachedRequest(`/channels/search?q=${encodeURIComponent(query)}&limit=${limit}`, options);
 
             if (response && response.response && response.response.items) {
                 const channels = response.response.items.map(channel => ({
@@ -182,6 +360,7 @@ class TGStatAPI {
 
                 return {
                     success: true,
+                    ...cache,
                     data: channels,
                     count: channels.length
                 };
@@ -201,15 +380,16 @@ class TGStatAPI {
     /**
      * Get channel competitors/similar channels
      */
-    async getSimilarChannels(channelUsername, limit = 10) {
+    async getSimilarChannels(channelUsername, limit = 10, options = {}) {
         const cleanUsername = channelUsername.replace('@', '');
 
         try {
-            const response = await this.makeRequest(`/channels/mentions?channel=${cleanUsername}&limit=${limit}`);
+            const { data: response, cache } = await this.cachedRequest(`/channels/mentions?channel=${cleanUsername}&limit=${limit}`, options);
 
             if (response && response.response) {
                 return {
                     success: true,
+                    ...cache,
                     data: response.response.items || [],
                     count: response.response.items ? response.response.items.length : 0
                 };
@@ -230,44 +410,85 @@ class TGStatAPI {
         }
     }
 
+    /**
+     * Make request through the response cache
+     * Returns { data, cache: { fromCache, cachedAt } }, pass { forceRefresh: true } to bypass cached data
+     * and { priority: 'interactive' | 'bulk' } to choose the scheduler lane, { signal } cancels the request
+     */
+    async cachedRequest(endpoint, options = {}) {
+        if (this.cache && !options.forceRefresh) {
+            const cached = await this.cache.get(endpoint);
+            if (cached) {
+                return {
+                    data: cached.data,
+                    cache: { fromCache: true, cachedAt: new Date(cached.storedAt).toISOString() }
+                };
+            }
+        }
+
+        const data = await this.makeRequest(endpoint, options);
+
+        if (this.cache) {
+            await this.cache.set(endpoint, data);
+        }
+
+        return {
+            data,
+            cache: { fromCache: false, cachedAt: null }
+        };
+    }
+
     /**
      * Make HTTP request with retry logic and rate limiting
      */
-    async makeRequest(endpoint, retryCount = 0) {
-        if (!this.apiKey) {
-            throw new Error('API ключ не установлен');
+    async makeRequest(endpoint, options = {}, retryCount = 0) {
+        // { keyId } pins the request to one key of the pool, pinned requests never fail over
+        const keyEntry = this.usesServerKey() ? null : this.getRequestKey(options.keyId);
+        if (!keyEntry && !this.usesServerKey()) {
+            throw new Error(options.keyId ? 'API ключ проекта не найден в списке ключей' : 'API ключ не установлен');
         }
 
-        const url = `${this.proxyURL}${encodeURIComponent(`${this.baseURL}${endpoint}`)}`;
+        const url = this.buildUrl(endpoint);
         const headers = {
-            'Authorization': `Bearer ${this.apiKey}`,
             'Content-Type': 'application/json',
             'User-Agent': 'TGTrafficMaster/1.0'
         };
+        if (keyEntry) headers['Authorization'] = `Bearer ${keyEntry.key}`;
 
         try {
-            // Rate limiting
-            await this.delay(this.rateLimitDelay);
-
-            const response = await fetch(url, {
+            // Rate limiting and concurrency are handled by the shared scheduler
+            const response = await this.scheduler.schedule(() => fetch(url, {
                 method: 'GET',
                 headers: headers,
-                mode: 'cors'
-            });
+                mode: 'cors',
+                signal: options.signal
+            }), { priority: options.priority || 'interactive', signal: options.signal });
 
-            if (!response.ok) {
-                if (response.status === 429 && retryCount < this.maxRetries) {
-                    // Rate limit exceeded, retry with exponential backoff
-                    await this.delay(Math.pow(2, retryCount) * 2000);
-                    return this.makeRequest(endpoint, retryCount + 1);
+            if (!endpoint.startsWith('/usage')) {
+                this.requestListeners.forEach(listener => listener({ endpoint, status: response.status, keyId: keyEntry ? keyEntry.id : null }));
+            }
+
+            // Rejected or exhausted key: retry the same request with the next key of the pool
+            if (keyEntry && (response.status === 401 || response.status === 403)) {
+                const hasNextKey = this.markKeyFailed(keyEntry.id, response.status === 401 ? 'auth' : 'quota');
+                if (hasNextKey && !options.keyId) {
+                    return this.makeRequest(endpoint, options, retryCount);
                 }
+            }
 
-                if (response.status === 401) {
-                    throw new Error('Неверный API ключ или ключ истек');
+            if (!response.ok) {
+                if (response.status === 429 && retryCount < this.maxRetries) {
+                    // Rate limit exceeded, hold all requests for Retry-After (or exponential backoff)
+                    const retryAfter = window.RequestScheduler.parseRetryAfter(response.headers.get('Retry-After'));
+                    this.scheduler.pauseFor(retryAfter !== null ? retryAfter : Math.pow(2, retryCount) * 2000);
+                    return this.makeRequest(endpoint, options, retryCount + 1);
                 }
 
-                if (response.status === 403) {
-                    throw new Error('Доступ запрещен. Проверьте лимиты API');
+                // Failover above has run out of keys: a rejected or exhausted key is not retried
+                if (response.status === 401 || response.status === 403) {
+                    const error = new Error(response.status === 401 ? 'Неверный API ключ или ключ истек' : 'Доступ запрещен. Проверьте лимиты API');
+                    error.retryable = false;
+                    throw error;
                 }
 
                 if (response.status === 404) {
@@ -285,13 +506,26 @@ class TGStatAPI {
 
             return data;
         } catch (error) {
+            // Cancelled by the caller, never retry
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+
             if (error.name === 'TypeError' && error.message.includes('fetch')) {
+                if (this.usesServerKey()) {
+                    throw new Error(`Встроенный прокси недоступен (${this.bundledProxyURL}). Запустите npm run proxy или выберите другое подключение в НАСТРОЙКАХ`);
+                }
                 throw new Error('Ошибка сети. Проверьте подключение к интернету');
             }
 
-            if (retryCount < this.maxRetries && !error.message.includes('API ключ')) {
+            if (retryCount < this.maxRetries && error.retryable !== false && !error.message.includes('API ключ')) {
                 await this.delay(Math.pow(2, retryCount) * 1000);
-                return this.makeRequest(endpoint, retryCount + 1);
+
+                if (options.signal && options.signal.aborted) {
+                    throw window.RequestScheduler.createAbortError();
+                }
+
+                return this.makeRequest(endpoint, options, retryCount + 1);
             }
 
             throw error;
@@ -299,7 +533,7 @@ class TGStatAPI {
     }
 
     /**
-     * Delay execution for rate limiting
+     * Delay execution before retries
      */
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
@@ -308,26 +542,32 @@ class TGStatAPI {
     /**
      * Batch process multiple channels with rate limiting
      */
-    async batchAnalyzeChannels(channelUsernames, onProgress = null) {
+    async batchAnalyzeChannels(channelUsernames, onProgress = null, options = {}) {
+        options = { priority: 'bulk', ...options };
         const results = [];
         const total = channelUsernames.length;
 
         for (let i = 0; i < channelUsernames.length; i++) {
+            // Stop on cancellation, already processed channels are returned
+            if (options.signal && options.signal.aborted) break;
+
             const username = channelUsernames[i];
 
             try {
                 // Get basic channel info
-                const channelInfo = await this.getChannelInfo(username);
+                const channelInfo = await this.getChannelInfo(username, options);
 
                 if (channelInfo.success) {
                     // Get channel statistics
-                    const channelStats = await this.getChannelStats(username);
+                    const channelStats = await this.getChannelStats(username, 7, options);
 
                     results.push({
                         username,
                         success: true,
                         info: channelInfo.data,
                         stats: channelStats.success ? channelStats.data : null,
+                        fromCache: channelInfo.fromCache && (!channelStats.success || channelStats.fromCache),
+                        cachedAt: channelInfo.cachedAt,
                         error: null
                     });
                 } else {
@@ -359,11 +599,6 @@ class TGStatAPI {
                     error: error.message
                 });
             }
-
-            // Rate limiting between requests
-            if (i < channelUsernames.length - 1) {
-                await this.delay(this.rateLimitDelay);
-            }
         }
 
         return results;
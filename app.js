@@ -4,11 +4,43 @@
  */
 
 class TGTrafficMaster {
-    constructor() {
+    constructor(service = null) {
+        // Сервисный слой: API, аналитика и хранилище работают с единой записью ChannelAnalysis
+        this.service = service || new window.TGTrafficService();
+        this.api = this.service.api;
+        this.storage = this.service.storage;
+        this.analytics = this.service.analytics;
+
+        // Сортировка, фильтры и колонки таблицы сохраняются в настройках пользователя
+        this.resultsView = new window.ResultsView(this.storage.getUserSettings().resultsView || {});
+
+        // Таблица рисует только видимые строки, поэтому выдерживает тысячи каналов
+        this.resultsTable = new window.VirtualTable({
+            container: document.getElementById('results-scroll'),
+            body: document.getElementById('results-table-body'),
+            renderRow: result => this.createResultRow(result),
+            getKey: result => result.channel,
+            getColumnCount: () => this.resultsView.getVisibleColumns().length + 1
+        });
+
         this.currentTab = 'evaluation';
         this.analysisResults = [];
         this.currentProject = null;
         this.analysisInProgress = false;
+        this.abortController = null;
+        this.detailsChannel = null;
+        this.detailCharts = [];
+        this.restoreState = null;
+        this.settingsDraft = null;
+        this.bundledProxyStatus = null; // последняя проверка встроенного прокси
+        this.profileDraft = null; // редактируемый профиль оценки
+        this.discovery = { candidates: [], selected: new Set() };
+        this.mentionGraph = null;
+        this.selectedNetworkNode = null;
+        this.budgetPlan = null; // последний подбор под бюджет
+        this.overlap = null; // последняя оценка пересечения аудиторий
+        this.runCostEstimateTimer = null; // отложенный пересчет подсказки о стоимости запуска
+        this.runCostEstimateId = 0; // номер последнего пересчета, более старые ответы отбрасываются
 
         this.init();
     }
@@ -18,11 +50,47 @@ class TGTrafficMaster {
      */
     init() {
         this.bindEvents();
-        this.loadSavedProjects();
         this.showTab('evaluation');
 
-        // Проверяем API ключ при загрузке
+        // Ошибки записи в хранилище (например, переполнение квоты) показываем пользователю
+        this.storage.onWriteError(message => this.showNotification(message, 'error'));
+
+        this.service.onApiKeyLock(reason => {
+            if (reason === 'inactivity') {
+                this.showNotification('API ключ заблокирован после бездействия', 'warning');
+            }
+        });
+
+        // Переключение на следующий ключ при отказе или исчерпании лимита
+        this.service.onApiKeyFailure(({ label, reason, nextLabel }) => {
+            const problem = reason === 'auth' ? 'отклонен TGStat' : 'исчерпал лимит';
+            this.showNotification(
+                nextLabel ? `Ключ "${label}" ${problem}, переключаемся на "${nextLabel}"` : `Ключ "${label}" ${problem}, рабочих ключей не осталось`,
+                nextLabel ? 'warning' : 'error'
+            );
+            if (this.currentTab === 'settings') this.renderApiKeys();
+        });
+
+        this.readyPromise = this.service.ready()
+            .then(() => this.onStorageReady())
+            .catch(error => console.error('Ошибка загрузки данных:', error));
+    }
+
+    /**
+     * Данные загружены из хранилища (IndexedDB загружается асинхронно)
+     */
+    onStorageReady() {
+        this.applyUiSettings(this.storage.getUserSettings());
+        this.resultsView.configure(this.storage.getUserSettings().resultsView || {});
+        this.loadSavedProjects();
+
+        // Проверяем API ключ при загрузке, зашифрованный ключ нужно разблокировать
         this.checkApiKey();
+        if (this.service.isApiKeyLocked() && !this.service.usesServerKey()) this.showUnlockModal();
+        this.checkBundledProxy();
+
+        // Предлагаем продолжить прерванный анализ
+        this.checkInterruptedRun();
 
         console.log('TG Traffic Master инициализирован');
     }
@@ -33,21 +101,107 @@ class TGTrafficMaster {
     bindEvents() {
         // Вкладки
         document.getElementById('evaluation-tab').addEventListener('click', () => this.showTab('evaluation'));
+        document.getElementById('discovery-tab').addEventListener('click', () => this.showTab('discovery'));
         document.getElementById('work-tab').addEventListener('click', () => this.showTab('work'));
+        document.getElementById('settings-tab').addEventListener('click', () => this.showTab('settings'));
+
+        // Стоимость запуска в запросах TGStat пересчитывается при вводе каналов
+        document.getElementById('channels-input').addEventListener('input', () => {
+            clearTimeout(this.runCostEstimateTimer);
+            this.runCostEstimateTimer = setTimeout(() => this.updateRunCostEstimate(), 300);
+        });
+        document.getElementById('force-refresh-checkbox').addEventListener('change', () => this.updateRunCostEstimate());
 
         // Кнопки анализа
         document.getElementById('analyze-btn').addEventListener('click', () => this.startAnalysis());
         document.getElementById('clear-btn').addEventListener('click', () => this.clearResults());
+        document.getElementById('cancel-analysis-btn').addEventListener('click', () => this.cancelAnalysis());
+
+        // Подбор каналов
+        document.getElementById('discovery-search-btn').addEventListener('click', () => this.searchDiscovery());
+        document.getElementById('discovery-add-btn').addEventListener('click', () => this.addDiscoveryToEvaluation());
+        document.getElementById('network-build-btn').addEventListener('click', () => this.buildMentionNetwork());
+        ['discovery-subscribers-min', 'discovery-subscribers-max', 'discovery-reach-min', 'discovery-category', 'discovery-show-excluded'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.renderDiscovery());
+        });
+
+        // Прерванный анализ
+        document.getElementById('resume-run-btn').addEventListener('click', () => this.resumeAnalysis());
+        document.getElementById('discard-run-btn').addEventListener('click', () => this.discardInterruptedRun());
 
         // Экспорт и сохранение
-        document.getElementById('excel-btn').addEventListener('click', () => this.exportToExcel());
+        document.getElementById('excel-btn').addEventListener('click', () => this.exportResults());
         document.getElementById('save-project-btn').addEventListener('click', () => this.showSaveProjectModal());
+        document.getElementById('budget-btn').addEventListener('click', () => this.toggleBudgetPanel());
+        document.getElementById('budget-optimize-btn').addEventListener('click', () => this.optimizeBudget());
+        document.getElementById('compare-btn').addEventListener('click', () => this.toggleComparisonPanel());
+        document.getElementById('overlap-btn').addEventListener('click', () => this.estimateAudienceOverlap());
+
+        // Фильтры и колонки таблицы результатов
+        document.getElementById('filter-search').addEventListener('input', (e) => this.updateFilter('search', e.target.value.trim()));
+        document.getElementById('filter-category').addEventListener('change', (e) => this.updateFilter('category', e.target.value));
+        document.getElementById('filter-status').addEventListener('change', (e) => this.updateFilter('status', e.target.value));
+        [
+            ['filter-subscribers-min', 'subscribersMin'],
+            ['filter-subscribers-max', 'subscribersMax'],
+            ['filter-quality-min', 'qualityMin'],
+            ['filter-quality-max', 'qualityMax']
+        ].forEach(([id, name]) => {
+            document.getElementById(id).addEventListener('change', (e) => this.updateFilter(name, this.parseFilterNumber(e.target.value)));
+        });
+        document.getElementById('reset-filters-btn').addEventListener('click', () => this.resetFilters());
+        document.getElementById('columns-btn').addEventListener('click', () => this.toggleColumnsPanel());
+        document.getElementById('results-table-body').addEventListener('click', (e) => this.handleResultAction(e));
 
         // Модальные окна
         document.getElementById('cancel-save-btn').addEventListener('click', () => this.hideSaveProjectModal());
         document.getElementById('confirm-save-btn').addEventListener('click', () => this.saveProject());
         document.getElementById('cancel-cpm-btn').addEventListener('click', () => this.hideRealCpmModal());
         document.getElementById('confirm-cpm-btn').addEventListener('click', () => this.saveRealCpm());
+        document.getElementById('close-details-btn').addEventListener('click', () => this.hideChannelDetails());
+
+        // Резервная копия
+        document.getElementById('backup-btn').addEventListener('click', () => this.downloadBackup());
+        document.getElementById('restore-btn').addEventListener('click', () => document.getElementById('restore-file-input').click());
+        document.getElementById('restore-file-input').addEventListener('change', (e) => this.readRestoreFile(e.target.files[0]));
+        document.getElementById('restore-mode').addEventListener('change', () => this.renderRestorePreview());
+        Object.values(this.getRestoreSectionInputs()).forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.renderRestorePreview());
+        });
+        document.getElementById('close-restore-btn').addEventListener('click', () => this.hideRestoreModal());
+        document.getElementById('cancel-restore-btn').addEventListener('click', () => this.hideRestoreModal());
+        document.getElementById('confirm-restore-btn').addEventListener('click', () => this.confirmRestore());
+
+        // API ключ
+        document.getElementById('api-key-btn').addEventListener('click', () => this.showApiKeyModal());
+        document.getElementById('save-api-key-btn').addEventListener('click', () => this.saveApiKey());
+        document.getElementById('lock-api-key-btn').addEventListener('click', () => this.lockApiKey());
+        document.getElementById('remove-api-key-btn').addEventListener('click', () => this.removeApiKey());
+        document.getElementById('cancel-api-key-btn').addEventListener('click', () => this.hideApiKeyModal());
+        document.getElementById('confirm-unlock-btn').addEventListener('click', () => this.unlockApiKey());
+        document.getElementById('skip-unlock-btn').addEventListener('click', () => this.hideUnlockModal());
+        document.getElementById('unlock-passphrase-input').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.unlockApiKey();
+        });
+
+        // Любое действие пользователя откладывает автоблокировку ключа
+        ['click', 'keydown'].forEach(type => {
+            document.addEventListener(type, () => this.service.touchApiKey());
+        });
+
+        // Настройки
+        document.getElementById('save-settings-btn').addEventListener('click', () => this.saveSettings());
+        document.getElementById('reset-settings-btn').addEventListener('click', () => this.resetSettings());
+        document.getElementById('scoring-profile-select').addEventListener('change', (e) => this.selectScoringProfile(e.target.value));
+        document.getElementById('new-scoring-profile-btn').addEventListener('click', () => this.copyScoringProfile());
+        document.getElementById('save-scoring-profile-btn').addEventListener('click', () => this.saveScoringProfile());
+        document.getElementById('delete-scoring-profile-btn').addEventListener('click', () => this.deleteScoringProfile());
+        document.getElementById('export-scoring-profile-btn').addEventListener('click', () => this.exportScoringProfile());
+        document.getElementById('import-scoring-profile-btn').addEventListener('click', () => document.getElementById('scoring-profile-file-input').click());
+        document.getElementById('scoring-profile-file-input').addEventListener('change', (e) => this.importScoringProfile(e.target.files[0]));
+        document.getElementById('change-api-key-btn').addEventListener('click', () => this.showApiKeyModal());
+        document.getElementById('test-api-key-btn').addEventListener('click', () => this.testApiKey());
+        document.getElementById('add-api-key-btn').addEventListener('click', () => this.addApiKey());
 
         // Новая кампания
         document.getElementById('new-campaign-btn').addEventListener('click', () => this.createNewCampaign());
@@ -95,6 +249,20 @@ class TGTrafficMaster {
         // Обновляем данные для текущей вкладки
         if (tabName === 'work') {
             this.loadCampaigns();
+        } else if (tabName === 'discovery') {
+            this.renderDiscovery();
+            this.renderBlacklist();
+            this.renderMentionNetwork();
+            const depthInput = document.getElementById('network-depth');
+            if (!depthInput.value) depthInput.value = this.storage.getUserSettings().networkDepth;
+        } else if (tabName === 'settings') {
+            this.settingsDraft = this.storage.getUserSettings();
+            this.renderSettings();
+            this.renderApiKeyStatus();
+            this.renderApiUsage();
+            this.renderCpmModel();
+            this.profileDraft = null;
+            this.renderScoringProfiles();
         }
     }
 
@@ -109,11 +277,7 @@ class TGTrafficMaster {
             return;
         }
 
-        // Проверяем API ключ
-        if (!window.TGStatAPI || !window.TGStatAPI.hasValidToken()) {
-            this.showNotification('API ключ TGStat не настроен. Проверьте настройки.', 'error');
-            return;
-        }
+        if (!this.ensureApiAccess()) return;
 
         const channels = this.parseChannelInput(input);
 
@@ -122,28 +286,239 @@ class TGTrafficMaster {
             return;
         }
 
+        // Принудительное обновление данных в обход кэша
+        const forceRefresh = document.getElementById('force-refresh-checkbox').checked;
+
+        const runChannels = await this.checkRunQuota(channels, { forceRefresh });
+        if (!runChannels) return;
+
+        this.hideResumePrompt();
+        this.showNotification(`Начинаем анализ ${runChannels.length} каналов...`, 'info');
+
+        await this.runAnalysis({ channels: runChannels, results: [], options: { forceRefresh } });
+    }
+
+    /**
+     * Сверить стоимость запуска с остатком лимита TGStat
+     * Возвращает каналы для анализа или null, если запуск отменен
+     */
+    async checkRunQuota(channels, options = {}) {
+        const plan = await this.service.planRun(channels, options);
+        if (plan.fits) return channels;
+
+        const { requests } = plan.estimate;
+        const { remaining } = plan.quota;
+
+        if (this.storage.getUserSettings().quotaPolicy === 'truncate') {
+            if (plan.affordable === 0) {
+                this.showNotification(`Лимит запросов TGStat исчерпан: нужно ${requests}, осталось ${remaining}`, 'error');
+                return null;
+            }
+
+            this.showNotification(
+                `Лимита хватит на ${plan.affordable} из ${channels.length} каналов (нужно ${requests} запросов, осталось ${remaining}). Анализируем первые ${plan.affordable}`,
+                'warning'
+            );
+            return channels.slice(0, plan.affordable);
+        }
+
+        const proceed = confirm(
+            `Запуск потребует ${requests} запросов к TGStat, а осталось ${remaining}. ` +
+            'Каналы, на которые не хватит лимита, не будут проанализированы. Продолжить?'
+        );
+        return proceed ? channels : null;
+    }
+
+    /**
+     * Подсказка под полем ввода: сколько запросов TGStat потребует анализ
+     */
+    async updateRunCostEstimate() {
+        const hint = document.getElementById('run-cost-estimate');
+        const channels = this.parseChannelInput(document.getElementById('channels-input').value);
+        const requestId = ++this.runCostEstimateId;
+
+        if (channels.length === 0) {
+            hint.textContent = '';
+            return;
+        }
+
+        const forceRefresh = document.getElementById('force-refresh-checkbox').checked;
+        const estimate = await this.service.estimateRunCost(channels, { forceRefresh });
+        if (requestId !== this.runCostEstimateId) return;
+
+        const quota = this.service.quotaStatus;
+
+        let text = `Потребуется запросов к TGStat: ${estimate.requests}`;
+        if (estimate.fraudCheckRequests > 0) text += ` (из них ${estimate.fraudCheckRequests} — проверка на накрутку)`;
+        if (estimate.cached > 0) text += `, еще ${estimate.cached} из кэша`;
+        if (quota) text += `. Осталось ${this.formatNumber(quota.remaining)} из ${this.formatNumber(quota.limit)}`;
+
+        hint.textContent = text;
+        hint.classList.toggle('text-red-600', Boolean(quota) && estimate.requests > quota.remaining);
+    }
+
+    /**
+     * Выполнение запуска анализа с сохранением прогресса
+     * Готовые результаты сохраняются в контрольную точку, чтобы прерванный запуск можно было продолжить
+     */
+    async runAnalysis(checkpoint) {
+        const run = { ...checkpoint, results: [...checkpoint.results] };
+        const done = new Set(run.results.map(result => result.channel));
+        const remaining = run.channels.filter(channel => !done.has(channel));
+
+        this.abortController = new AbortController();
         this.analysisInProgress = true;
         this.showLoading();
         this.toggleAnalysisButtons(false);
+        this.saveCheckpoint(run);
 
         try {
-            this.showNotification(\`Начинаем анализ \${channels.length} каналов...\`, 'info');
+            await this.analyzeChannels(
+                remaining,
+                { ...run.options, signal: this.abortController.signal },
+                result => {
+                    run.results.push(result);
+                    this.saveCheckpointResult(result);
+                }
+            );
 
-            const results = await this.analyzeChannels(channels);
+            // Восстанавливаем исходный порядок каналов
+            const resultsByChannel = new Map(run.results.map(result => [result.channel, result]));
+            const results = run.channels.filter(channel => resultsByChannel.has(channel)).map(channel => resultsByChannel.get(channel));
+
+            this.analysisResults = results;
             this.displayResults(results);
+            if (run.projectId) this.saveProjectResults(run.projectId, results);
 
-            this.showNotification(\`Анализ завершен! Обработано \${results.length} каналов\`, 'success');
+            if (this.abortController.signal.aborted) {
+                this.showNotification(`Анализ остановлен: ${results.length}/${run.channels.length}. Его можно продолжить позже`, 'warning');
+            } else {
+                this.clearCheckpoint();
+                this.showNotification(`Анализ завершен! Обработано ${results.length} каналов`, 'success');
+            }
 
         } catch (error) {
             console.error('Ошибка анализа:', error);
             this.showNotification('Произошла ошибка при анализе каналов: ' + error.message, 'error');
         } finally {
             this.analysisInProgress = false;
+            this.abortController = null;
             this.hideLoading();
             this.toggleAnalysisButtons(true);
         }
     }
 
+    /**
+     * Остановить текущий анализ
+     */
+    cancelAnalysis() {
+        if (!this.analysisInProgress || !this.abortController) return;
+
+        this.abortController.abort();
+        this.showNotification('Останавливаем анализ...', 'info');
+    }
+
+    /**
+     * Сохранить контрольную точку запуска
+     */
+    saveCheckpoint(run) {
+        // Прогресс сохраняется, только если включено автосохранение
+        if (!this.storage.getUserSettings().autoSave) return;
+
+        try {
+            this.storage.saveAnalysisCheckpoint(run);
+        } catch (error) {
+            console.error('Ошибка сохранения прогресса анализа:', error);
+        }
+    }
+
+    /**
+     * Дописать результат канала в контрольную точку, сам запуск не перезаписывается
+     */
+    saveCheckpointResult(result) {
+        if (!this.storage.getUserSettings().autoSave) return;
+
+        try {
+            this.storage.appendAnalysisCheckpointResult(result);
+        } catch (error) {
+            console.error('Ошибка сохранения прогресса анализа:', error);
+        }
+    }
+
+    /**
+     * Удалить контрольную точку запуска
+     */
+    clearCheckpoint() {
+        try {
+            this.storage.clearAnalysisCheckpoint();
+        } catch (error) {
+            console.error('Ошибка удаления прогресса анализа:', error);
+        }
+    }
+
+    /**
+     * Проверить наличие прерванного запуска
+     */
+    checkInterruptedRun() {
+        let checkpoint = null;
+
+        try {
+            checkpoint = this.storage.getAnalysisCheckpoint();
+        } catch (error) {
+            console.error('Ошибка загрузки прогресса анализа:', error);
+        }
+
+        if (!checkpoint || !checkpoint.channels || checkpoint.results.length >= checkpoint.channels.length) {
+            return;
+        }
+
+        const startedAt = new Date(checkpoint.startedAt).toLocaleString('ru-RU');
+        document.getElementById('resume-run-text').textContent =
+            `Продолжить анализ от ${startedAt} (${checkpoint.results.length}/${checkpoint.channels.length} готово)`;
+        document.getElementById('resume-run-banner').classList.remove('hidden');
+    }
+
+    /**
+     * Продолжить прерванный анализ с оставшихся каналов
+     */
+    async resumeAnalysis() {
+        if (this.analysisInProgress) return;
+
+        let checkpoint = null;
+        try {
+            checkpoint = this.storage.getAnalysisCheckpoint();
+        } catch (error) {
+            console.error('Ошибка загрузки прогресса анализа:', error);
+        }
+
+        this.hideResumePrompt();
+
+        if (!checkpoint) {
+            this.showNotification('Прерванный анализ не найден', 'warning');
+            return;
+        }
+
+        document.getElementById('channels-input').value = checkpoint.channels.join('\n');
+        this.showNotification(`Продолжаем анализ: осталось ${checkpoint.channels.length - checkpoint.results.length} каналов`, 'info');
+
+        await this.runAnalysis(checkpoint);
+    }
+
+    /**
+     * Отказаться от прерванного анализа
+     */
+    discardInterruptedRun() {
+        this.clearCheckpoint();
+        this.hideResumePrompt();
+    }
+
+    /**
+     * Скрыть предложение продолжить анализ
+     */
+    hideResumePrompt() {
+        document.getElementById('resume-run-banner').classList.add('hidden');
+    }
+
     /**
      * Парсинг введенных каналов
      */
@@ -206,112 +581,201 @@ class TGTrafficMaster {
     /**
      * Анализ каналов через API
      */
-    async analyzeChannels(channels) {
-        const results = [];
-        const batchSize = 3; // Анализируем по 3 канала одновременно
-
-        for (let i = 0; i < channels.length; i += batchSize) {
-            const batch = channels.slice(i, i + batchSize);
-            const batchPromises = batch.map(channel => this.analyzeChannel(channel));
-
-            const batchResults = await Promise.allSettled(batchPromises);
-
-            batchResults.forEach((result, index) => {
-                if (result.status === 'fulfilled') {
-                    results.push(result.value);
-                } else {
-                    console.error(\`Ошибка анализа канала \${batch[index]}:\`, result.reason);
-                    results.push({
-                        channel: batch[index],
-                        error: result.reason.message || 'Неизвестная ошибка',
-                        status: 'error'
-                    });
+    async analyzeChannels(channels, options = {}, onResult = null) {
+        const results = new Array(channels.length);
+        const concurrency = this.service.batchSize; // Каналов одновременно, настройка batchSize
+        let nextIndex = 0;
+
+        // Частоту запросов ограничивает планировщик API, здесь только пул воркеров
+        const worker = async () => {
+            while (nextIndex < channels.length && !(options.signal && options.signal.aborted)) {
+                const index = nextIndex++;
+                const channel = channels[index];
+                let result;
+
+                try {
+                    result = await this.analyzeChannel(channel, { priority: 'bulk', ...options });
+                } catch (error) {
+                    console.error(`Ошибка анализа канала ${channel}:`, error);
+                    result = this.service.createErrorRecord(channel, error.message);
                 }
-            });
 
-            // Небольшая пауза между батчами
-            if (i + batchSize < channels.length) {
-                await new Promise(resolve => setTimeout(resolve, 1000));
+                // Результаты, прерванные отменой, не сохраняем: канал будет проанализирован при продолжении
+                if (options.signal && options.signal.aborted) break;
+
+                results[index] = result;
+                if (onResult) onResult(result);
             }
-        }
+        };
 
-        this.analysisResults = results;
-        return results;
+        await Promise.all(Array.from({ length: Math.min(concurrency, channels.length) }, worker));
+
+        const completed = results.filter(Boolean);
+        this.analysisResults = completed;
+        return completed;
     }
 
     /**
      * Анализ отдельного канала
+     * Возвращает запись ChannelAnalysis, ошибки канала приходят как запись со status 'error'
      */
-    async analyzeChannel(channelUrl) {
-        try {
-            // Получаем основные данные канала
-            const channelData = await window.TGStatAPI.getChannelInfo(channelUrl);
-            const channelStats = await window.TGStatAPI.getChannelStats(channelUrl);
-
-            // Рассчитываем метрики
-            const metrics = window.Analytics.calculateMetrics(channelData, channelStats);
-
-            return {
-                channel: channelUrl,
-                title: channelData.title || channelUrl,
-                username: channelData.username || channelUrl,
-                subscribers: channelData.participantsCount || 0,
-                avgReach: channelStats.avgReach || 0,
-                er: metrics.engagementRate || 0,
-                quality: metrics.qualityScore || 0,
-                cpmForecast: metrics.cpmForecast || 0,
-                citationIndex: channelStats.citationIndex || 0,
-                mentions: channelStats.mentionsCount || 0,
-                reposts: channelStats.repostsCount || 0,
-                posts: channelStats.postsCount || 0,
-                err24h: channelStats.err24h || 0,
-                category: channelData.category || 'Не определено',
-                status: this.determineChannelStatus(metrics),
-                rawData: { channelData, channelStats, metrics },
-                analyzedAt: new Date().toISOString()
-            };
+    async analyzeChannel(channelUrl, options = {}) {
+        return this.service.analyzeChannel(channelUrl, options);
+    }
 
-        } catch (error) {
-            console.error(\`Ошибка анализа канала \${channelUrl}:\`, error);
+    /**
+     * Отображение результатов
+     * Строки фильтруются и сортируются по настройкам таблицы, исходный порядок в analysisResults не меняется
+     */
+    displayResults(results) {
+        const visibleResults = this.resultsView.apply(results);
 
-            return {
-                channel: channelUrl,
-                error: error.message,
-                status: 'error',
-                analyzedAt: new Date().toISOString()
-            };
-        }
+        this.renderTableHeader();
+        this.renderFilterOptions(results);
+        this.resultsTable.setRows(visibleResults);
+
+        document.getElementById('results-count').textContent = visibleResults.length === results.length
+            ? `Анализ: ${results.length} каналов`
+            : `Анализ: ${results.length} каналов, показано ${visibleResults.length}`;
+        document.getElementById('results-section').classList.remove('hidden');
+        document.getElementById('results-section').classList.add('fade-in');
     }
 
     /**
-     * Определение статуса канала
+     * Заголовок таблицы по видимым колонкам, клик сортирует
      */
-    determineChannelStatus(metrics) {
-        const { qualityScore, engagementRate, botScore } = metrics;
+    renderTableHeader() {
+        const { sortBy, sortDirection } = this.resultsView;
+        const headerCell = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+        const columns = this.resultsView.getVisibleColumns().map(column => {
+            const indicator = column.key === sortBy
+                ? `<i class="fas fa-sort-${sortDirection === 'asc' ? 'up' : 'down'} sort-indicator"></i>`
+                : '';
+            return `<th class="${headerCell} sortable-header" onclick="app.sortResults('${column.key}')">${column.label}${indicator}</th>`;
+        });
 
-        if (botScore > 50) return 'Подозрение на боты';
-        if (qualityScore >= 80) return 'Отлично';
-        if (qualityScore >= 60) return 'Хорошо';
-        if (qualityScore >= 40) return 'Средне';
-        if (qualityScore >= 20) return 'Плохо';
-        return 'Недоступен';
+        document.getElementById('results-table-header').innerHTML = `${columns.join('')}<th class="${headerCell}">Действия</th>`;
     }
 
     /**
-     * Отображение результатов
+     * Варианты фильтров категории и статуса из текущих результатов
      */
-    displayResults(results) {
-        const tbody = document.getElementById('results-table-body');
-        tbody.innerHTML = '';
+    renderFilterOptions(results) {
+        const { categories, statuses } = this.resultsView.getFilterOptions(results);
+        const { filters } = this.resultsView;
+        const options = (values, selected, allLabel) => [`<option value="">${allLabel}</option>`]
+            .concat(values.map(value => `<option value="${this.escapeHtml(value)}"${value === selected ? ' selected' : ''}>${value === 'error' ? 'Ошибка' : this.escapeHtml(value)}</option>`))
+            .join('');
+
+        document.getElementById('filter-category').innerHTML = options(categories, filters.category, 'Все категории');
+        document.getElementById('filter-status').innerHTML = options(statuses, filters.status, 'Все статусы');
+        this.syncFilterControls();
+    }
 
-        results.forEach(result => {
-            const row = this.createResultRow(result);
-            tbody.appendChild(row);
-        });
+    /**
+     * Перенести сохраненные фильтры в поля формы
+     */
+    syncFilterControls() {
+        const { filters } = this.resultsView;
+        const text = value => value === null || value === undefined ? '' : String(value);
+
+        document.getElementById('filter-search').value = filters.search;
+        document.getElementById('filter-category').value = filters.category;
+        document.getElementById('filter-status').value = filters.status;
+        document.getElementById('filter-subscribers-min').value = text(filters.subscribersMin);
+        document.getElementById('filter-subscribers-max').value = text(filters.subscribersMax);
+        document.getElementById('filter-quality-min').value = text(filters.qualityMin);
+        document.getElementById('filter-quality-max').value = text(filters.qualityMax);
+    }
 
-        document.getElementById('results-count').textContent = \`Анализ: \${results.length} каналов\`;
-        document.getElementById('results-section').classList.remove('hidden');
-        document.getElementById('results-section').classList.add('fade-in');
+    /**
+     * Число из поля фильтра, пустое поле снимает ограничение
+     */
+    parseFilterNumber(value) {
+        const number = parseFloat(value);
+        return isNaN(number) ? null : number;
+    }
+
+    /**
+     * Сортировка по колонке, повторный клик меняет направление
+     */
+    sortResults(key) {
+        this.resultsView.setSort(key);
+        this.saveResultsView();
+        this.displayResults(this.analysisResults);
+    }
+
+    /**
+     * Изменить фильтр таблицы
+     */
+    updateFilter(name, value) {
+        this.resultsView.setFilter(name, value);
+        this.saveResultsView();
+        this.displayResults(this.analysisResults);
+    }
+
+    /**
+     * Сбросить все фильтры таблицы
+     */
+    resetFilters() {
+        this.resultsView.resetFilters();
+        this.saveResultsView();
+        this.displayResults(this.analysisResults);
+    }
+
+    /**
+     * Показать или скрыть колонку
+     */
+    toggleColumn(key) {
+        this.resultsView.toggleColumn(key);
+        this.saveResultsView();
+        this.renderColumnsPanel();
+        this.displayResults(this.analysisResults);
+    }
+
+    /**
+     * Переместить колонку влево (-1) или вправо (+1)
+     */
+    moveColumn(key, offset) {
+        this.resultsView.moveColumn(key, offset);
+        this.saveResultsView();
+        this.renderColumnsPanel();
+        this.displayResults(this.analysisResults);
+    }
+
+    /**
+     * Открыть или закрыть список колонок
+     */
+    toggleColumnsPanel() {
+        const panel = document.getElementById('columns-panel');
+        this.renderColumnsPanel();
+        panel.classList.toggle('hidden');
+    }
+
+    /**
+     * Список колонок с переключателями видимости и порядка
+     */
+    renderColumnsPanel() {
+        document.getElementById('columns-panel').innerHTML = this.resultsView.getColumns()
+            .filter(column => !column.fixed)
+            .map(column => `
+                <div class="columns-panel-item">
+                    <input type="checkbox" ${column.visible ? 'checked' : ''} onchange="app.toggleColumn('${column.key}')">
+                    <span class="flex-1">${column.label}</span>
+                    <button onclick="app.moveColumn('${column.key}', -1)" title="Левее"><i class="fas fa-arrow-up"></i></button>
+                    <button onclick="app.moveColumn('${column.key}', 1)" title="Правее"><i class="fas fa-arrow-down"></i></button>
+                </div>
+            `).join('');
+    }
+
+    /**
+     * Сохранить вид таблицы в настройках пользователя
+     */
+    saveResultsView() {
+        if (!this.storage.updateUserSettings({ resultsView: this.resultsView.toSettings() })) {
+            console.error('Не удалось сохранить настройки таблицы');
+        }
     }
 
     /**
@@ -319,183 +783,1630 @@ class TGTrafficMaster {
      */
     createResultRow(result) {
         const row = document.createElement('tr');
+        const columns = this.resultsView.getVisibleColumns();
         row.className = 'hover:bg-gray-50';
 
         if (result.error) {
-            row.innerHTML = \`
+            row.innerHTML = `
                 <td class="px-6 py-4">
                     <div class="channel-cell">
-                        <span class="channel-name text-red-600">\${result.channel}</span>
+                        <span class="channel-name text-red-600">${this.escapeHtml(result.channel)}</span>
                         <span class="channel-username text-red-500">Ошибка</span>
                     </div>
                 </td>
-                <td class="px-6 py-4 text-gray-400" colspan="12">
-                    \${result.error}
+                <td class="px-6 py-4 text-gray-400" colspan="${Math.max(1, columns.length - 1)}">
+                    ${this.escapeHtml(result.error)}
                 </td>
                 <td class="px-6 py-4">
                     <span class="quality-badge status-error">Ошибка</span>
                 </td>
-            \`;
+            `;
             return row;
         }
 
-        row.innerHTML = \`
-            <td class="px-6 py-4">
-                <div class="channel-cell">
-                    <span class="channel-name">\${result.title}</span>
-                    <span class="channel-username">\${result.username}</span>
-                </div>
-            </td>
-            <td class="px-6 py-4 metric-value">\${this.formatNumber(result.subscribers)}</td>
-            <td class="px-6 py-4 metric-value">\${this.formatNumber(result.avgReach)}</td>
-            <td class="px-6 py-4 metric-value">\${result.er.toFixed(2)}%</td>
-            <td class="px-6 py-4">
-                <span class="quality-badge \${this.getQualityClass(result.quality)}">\${result.quality}/100</span>
-            </td>
-            <td class="px-6 py-4 metric-value">\${result.cpmForecast.toFixed(2)} ₽</td>
-            <td class="px-6 py-4 metric-value">\${result.citationIndex}</td>
-            <td class="px-6 py-4 metric-value">\${this.formatNumber(result.mentions)}</td>
-            <td class="px-6 py-4 metric-value">\${this.formatNumber(result.reposts)}</td>
-            <td class="px-6 py-4 metric-value">\${this.formatNumber(result.posts)}</td>
-            <td class="px-6 py-4 metric-value">\${result.err24h.toFixed(2)}%</td>
-            <td class="px-6 py-4">\${result.category}</td>
-            <td class="px-6 py-4">
-                <span class="quality-badge \${this.getStatusClass(result.status)}">\${result.status}</span>
-            </td>
+        row.innerHTML = `
+            ${columns.map(column => this.renderResultCell(column.key, result)).join('')}
             <td class="px-6 py-4">
                 <div class="flex gap-1">
-                    <button class="action-btn action-btn-success" onclick="app.showRealCpmModal('\${result.channel}', \${result.cpmForecast})" title="Реальный CPM">
+                    <button class="action-btn action-btn-success" data-action="real-cpm" data-channel="${this.escapeHtml(result.channel)}" title="Реальный CPM">
                         <i class="fas fa-ruble-sign"></i>
                     </button>
-                    <button class="action-btn action-btn-primary" onclick="app.showChannelDetails('\${result.channel}')" title="Подробнее">
+                    <button class="action-btn action-btn-primary" data-action="details" data-channel="${this.escapeHtml(result.channel)}" title="Подробнее">
                         <i class="fas fa-info"></i>
                     </button>
                 </div>
             </td>
-        \`;
+        `;
 
         return row;
     }
 
     /**
-     * Показать модальное окно реального CPM
+     * Кнопки строки результатов: канал берется из data-атрибута, а не из кода в разметке
+     */
+    handleResultAction(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        const channel = button.dataset.channel;
+        if (button.dataset.action === 'real-cpm') {
+            const result = this.analysisResults.find(r => r.channel === channel);
+            if (result) this.showRealCpmModal(channel, result.cpmForecast);
+        } else if (button.dataset.action === 'details') {
+            this.showChannelDetails(channel);
+        }
+    }
+
+    /**
+     * Ячейка таблицы результатов по ключу колонки
+     */
+    renderResultCell(key, result) {
+        switch (key) {
+            case 'channel': return `
+                <td class="px-6 py-4">
+                    <div class="channel-cell">
+                        <span class="channel-name">${this.escapeHtml(result.title)}</span>
+                        <span class="channel-username">@${this.escapeHtml(result.username)}</span>
+                        ${this.getCacheMarker(result)}
+                        ${this.getTrendMarker(result)}
+                    </div>
+                </td>`;
+            case 'er': return `<td class="px-6 py-4 metric-value">${result.er.toFixed(2)}%</td>`;
+            case 'quality': return `
+                <td class="px-6 py-4">
+                    <span class="quality-badge ${this.getQualityClass(result.quality)}">${result.quality}/100</span>
+                </td>`;
+            case 'cpmForecast': return `<td class="px-6 py-4 metric-value">${result.cpmForecast.toFixed(2)} ₽</td>`;
+            case 'citationIndex': return `<td class="px-6 py-4 metric-value">${this.escapeHtml(result.citationIndex)}</td>`;
+            case 'err24h': return `<td class="px-6 py-4 metric-value">${result.err24h.toFixed(2)}%</td>`;
+            case 'botScore': return `
+                <td class="px-6 py-4">
+                    ${result.botScore === null || result.botScore === undefined ? '-' : `<span class="quality-badge ${this.getBotScoreClass(result.botScore)}">${result.botScore}%</span>`}
+                </td>`;
+            case 'growth7d':
+            case 'growth30d':
+            case 'growth90d': return `<td class="px-6 py-4 metric-value">${this.formatGrowth(result[key])}</td>`;
+            case 'category': return `<td class="px-6 py-4">${this.escapeHtml(result.category)}</td>`;
+            case 'status': return `
+                <td class="px-6 py-4">
+                    <span class="quality-badge ${this.getStatusClass(result.status)}">${this.escapeHtml(result.status)}</span>
+                </td>`;
+            default: return `<td class="px-6 py-4 metric-value">${this.formatNumber(result[key])}</td>`;
+        }
+    }
+
+    /**
+     * Цвет вероятности ботов: чем выше, тем хуже
+     */
+    getBotScoreClass(botScore) {
+        return this.getQualityClass(100 - botScore);
+    }
+
+    /**
+     * Пометка о данных из кэша
+     */
+    getCacheMarker(result) {
+        if (!result.fromCache || !result.cachedAt) return '';
+
+        const minutes = Math.max(0, Math.round((Date.now() - new Date(result.cachedAt).getTime()) / 60000));
+
+        return `
+            <span class="cache-marker" title="Данные получены ${new Date(result.cachedAt).toLocaleString('ru-RU')}">
+                <i class="fas fa-database mr-1"></i>из кэша, ${minutes} мин назад
+            </span>
+        `;
+    }
+
+    /**
+     * Пометка о резких изменениях метрик канала
+     */
+    getTrendMarker(result) {
+        if (!result.trendFlags || result.trendFlags.length === 0) return '';
+
+        return `
+            <span class="trend-marker" title="${result.trendFlags.map(flag => flag.message).join('\n')}">
+                <i class="fas fa-exclamation-triangle mr-1"></i>${result.trendFlags.map(flag => flag.label).join(', ')}
+            </span>
+        `;
+    }
+
+    /**
+     * Изменение в процентах со знаком, «-» без истории
+     */
+    formatGrowth(value) {
+        if (value === null || value === undefined) return '-';
+
+        const sign = value > 0 ? '+' : '';
+        const className = value > 0 ? 'trend-up' : value < 0 ? 'trend-down' : '';
+        return `<span class="${className}">${sign}${value.toFixed(1)}%</span>`;
+    }
+
+    /**
+     * Показать модальное окно реального CPM
+     */
+    showRealCpmModal(channel, predictedCpm) {
+        this.currentChannel = channel;
+        document.getElementById('predicted-cpm-display').textContent = predictedCpm.toFixed(2) + ' ₽';
+        document.getElementById('real-cpm-input').value = '';
+        document.getElementById('real-cpm-modal').classList.remove('hidden');
+    }
+
+    /**
+     * Скрыть модальное окно реального CPM
+     */
+    hideRealCpmModal() {
+        document.getElementById('real-cpm-modal').classList.add('hidden');
+        this.currentChannel = null;
+    }
+
+    /**
+     * Сохранить реальный CPM
+     */
+    saveRealCpm() {
+        const realCpm = parseFloat(document.getElementById('real-cpm-input').value);
+
+        if (isNaN(realCpm) || realCpm < 0) {
+            this.showNotification('Введите корректное значение CPM', 'warning');
+            return;
+        }
+
+        // Находим результат и обновляем
+        const result = this.analysisResults.find(r => r.channel === this.currentChannel);
+        if (result) {
+            this.service.recordRealCpm(result, realCpm);
+
+            // Перерисовываем только строку этого канала
+            this.resultsTable.updateRow(result);
+
+            this.showNotification(`Реальный CPM сохранен: ${realCpm} ₽ (отклонение: ${result.cpmDeviation}%)`, 'success');
+        }
+
+        this.hideRealCpmModal();
+    }
+
+    /**
+     * Показать детали канала
+     * Метрики берутся из результата анализа, посты догружаются отдельным запросом
+     */
+    async showChannelDetails(channel) {
+        const result = this.analysisResults.find(r => r.channel === channel);
+        if (!result || result.error || !result.analysis) {
+            this.showNotification('Данные канала недоступны', 'warning');
+            return;
+        }
+
+        this.renderChannelDetails(result);
+        this.destroyDetailCharts();
+        document.getElementById('details-posts-status').textContent = 'Загрузка постов...';
+        document.getElementById('channel-details-modal').classList.remove('hidden');
+
+        const details = await this.service.loadChannelDetails(result);
+
+        // Пока загружались посты, окно могли закрыть или открыть другой канал
+        if (this.detailsChannel !== channel) return;
+
+        document.getElementById('details-posts-status').textContent = details.postsError
+            ? `Посты недоступны: ${details.postsError}`
+            : `Последние ${details.postStats.count} постов`;
+
+        // Если при анализе посты не проверялись, сигналы пересчитываются по загруженным постам
+        if (details.fraud && !(result.analysis.fraud && result.analysis.fraud.postsChecked)) this.renderFraudDetails(details.fraud);
+
+        this.renderDetailCharts(details.postStats, this.service.getMetricsHistory(result.username));
+    }
+
+    /**
+     * Заполнить блоки модального окна деталей
+     */
+    renderChannelDetails(result) {
+        const { qualityScore, engagementMetrics, recommendations, priceEstimate, metrics } = result.analysis;
+
+        this.detailsChannel = result.channel;
+
+        document.getElementById('channel-details-title').textContent = result.title;
+        document.getElementById('channel-details-subtitle').textContent =
+            `@${result.username} · ${result.category} · ${this.formatNumber(result.subscribers)} подписчиков`;
+
+        const breakdownLabels = { subscribers: 'Подписчики', reach: 'Охват', engagement: 'Вовлеченность', ci: 'Индекс цитирования' };
+        const modifierLabels = { category: 'Категория', verified: 'Верификация', err: 'Штраф за ERR' };
+
+        document.getElementById('details-score').innerHTML = `
+            ${this.createDetailsRow('Итоговая оценка', `<span class="quality-badge ${this.getQualityClass(qualityScore.overall)}">${qualityScore.overall}/100</span>`)}
+            ${Object.entries(qualityScore.breakdown).map(([key, value]) => this.createDetailsRow(breakdownLabels[key] || key, value)).join('')}
+            ${Object.entries(qualityScore.modifiers).map(([key, value]) => this.createDetailsRow(modifierLabels[key] || key, `×${value.toFixed(2)}`)).join('')}
+        `;
+
+        const consistencyLabels = { excellent: 'Отлично', good: 'Хорошо', average: 'Средне', too_frequent: 'Слишком часто', poor: 'Редко' };
+
+        document.getElementById('details-engagement').innerHTML = `
+            ${this.createDetailsRow('Охват от подписчиков', `${metrics.reachPercentage}%`)}
+            ${this.createDetailsRow('Просмотры на подписчика', engagementMetrics.views.perSubscriber)}
+            ${this.createDetailsRow('Доля репостов', `${engagementMetrics.forwards.rate}%`)}
+            ${this.createDetailsRow('Доля упоминаний', `${engagementMetrics.mentions.rate}%`)}
+            ${this.createDetailsRow('Постов в день', engagementMetrics.activity.postsPerDay)}
+            ${this.createDetailsRow('Регулярность', consistencyLabels[engagementMetrics.activity.consistency] || engagementMetrics.activity.consistency)}
+            ${this.createDetailsRow('Вирусный потенциал', `${engagementMetrics.viralPotential}/100`)}
+        `;
+
+        document.getElementById('details-recommendations').innerHTML = recommendations.map(item => `
+            <div class="details-recommendation details-recommendation-${item.type}">
+                <strong>${item.title}</strong><br>${item.message}
+            </div>
+        `).join('');
+
+        document.getElementById('details-price').innerHTML = `
+            ${this.createDetailsRow('CPM', `${priceEstimate.cpm.min}–${priceEstimate.cpm.max} ₽ (ср. ${priceEstimate.cpm.avg} ₽)`)}
+            ${this.createDetailsRow('Цена поста', `${this.formatNumber(priceEstimate.postPrice.estimated)} ₽`)}
+            ${this.createDetailsRow('Подписчики', this.formatNumber(priceEstimate.factors.subscribers))}
+            ${this.createDetailsRow('Категория', priceEstimate.factors.category)}
+            ${this.createDetailsRow('Качество', priceEstimate.factors.quality)}
+            ${this.createDetailsRow('Вовлеченность', `${priceEstimate.factors.engagement}%`)}
+            ${this.createDetailsRow('Верифицирован', priceEstimate.factors.verified ? 'Да' : 'Нет')}
+            ${this.createDetailsRow('Модель', priceEstimate.model === 'calibrated' ? 'Откалиброванная' : 'Стандартная')}
+        `;
+
+        this.renderFraudDetails(result.analysis.fraud);
+        this.renderTrendDetails(this.service.getChannelTrends(result.username));
+    }
+
+    /**
+     * Блок «Динамика метрик»: изменения за 7/30/90 дней и резкие скачки
+     */
+    renderTrendDetails(trends) {
+        const container = document.getElementById('details-trends');
+
+        if (trends.points < 2) {
+            document.getElementById('details-trends-status').textContent = '';
+            container.innerHTML = '<p class="text-sm text-gray-500">Недостаточно истории: динамика появится после повторного анализа канала в другой день</p>';
+            return;
+        }
+
+        const metricLabels = { subscribers: 'Подписчики', avgReach: 'Средний охват', err24h: 'ERR 24h', citationIndex: 'ИЦ', quality: 'Качество' };
+        const periods = Object.keys(trends.growth);
+
+        document.getElementById('details-trends-status').textContent =
+            `${trends.points} замеров с ${new Date(trends.first).toLocaleDateString('ru-RU')}`;
+
+        container.innerHTML = `
+            <table class="usage-table">
+                <thead>
+                    <tr>
+                        <th>Метрика</th>
+                        ${periods.map(days => `<th>${days} дн.</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${Object.entries(metricLabels).map(([metric, label]) => `
+                        <tr>
+                            <td>${label}</td>
+                            ${periods.map(days => `<td class="metric-value">${this.formatGrowth(trends.growth[days][metric])}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${trends.flags.map(flag => `
+                <div class="fraud-signal-fired">
+                    ${this.createDetailsRow(`⚠ ${flag.label}, ${new Date(flag.date).toLocaleDateString('ru-RU')}`, flag.message)}
+                </div>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Блок «Признаки накрутки»: вероятность ботов и проверенные сигналы, сработавшие выделены
+     */
+    renderFraudDetails(fraud) {
+        const container = document.getElementById('details-fraud');
+
+        if (!fraud || fraud.botScore === null) {
+            container.innerHTML = '<p class="text-sm text-gray-500">Недостаточно данных для проверки</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            ${this.createDetailsRow('Вероятность ботов', `<span class="quality-badge ${this.getBotScoreClass(fraud.botScore)}">${fraud.botScore}%</span>`)}
+            ${fraud.signals.map(signal => `
+                <div class="${signal.fired ? 'fraud-signal-fired' : ''}">
+                    ${this.createDetailsRow(`${signal.fired ? '⚠ ' : ''}${signal.label}`, signal.message)}
+                </div>
+            `).join('')}
+            ${fraud.postsChecked ? '' : '<p class="text-sm text-gray-500">Посты не проверялись: их меньше пяти или проверка на накрутку отключена в настройках</p>'}
+        `;
+    }
+
+    /**
+     * Строка «название — значение» в блоке деталей
+     */
+    createDetailsRow(label, value) {
+        return `
+            <div class="details-row">
+                <span class="details-row-label">${label}</span>
+                <span class="metric-value">${value}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Построить графики по постам и по истории метрик канала (Chart.js)
+     */
+    renderDetailCharts(postStats, history = []) {
+        this.destroyDetailCharts();
+
+        if (!window.Chart) return;
+
+        if (history.length >= 2) this.detailCharts.push(...this.createTrendCharts(history));
+        if (postStats.count === 0) return;
+
+        const barChart = (canvasId, label, buckets, color) => new window.Chart(document.getElementById(canvasId).getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: buckets.map(bucket => bucket.label),
+                datasets: [{ label, data: buckets.map(bucket => bucket.count), backgroundColor: color }]
+            },
+            options: { responsive: true, maintainAspectRatio: false, plugins: { legend: { display: false } } }
+        });
+
+        this.detailCharts.push(
+            new window.Chart(document.getElementById('views-timeline-chart').getContext('2d'), {
+                type: this.storage.getUserSettings().chartType === 'bar' ? 'bar' : 'line',
+                data: {
+                    labels: postStats.timeline.map(point => new Date(point.date).toLocaleDateString('ru-RU')),
+                    datasets: [{ label: 'Просмотры', data: postStats.timeline.map(point => point.views), borderColor: '#6366f1', tension: 0.3 }]
+                },
+                options: { responsive: true, maintainAspectRatio: false, plugins: { legend: { display: false } } }
+            }),
+            barChart('forwards-distribution-chart', 'Постов', postStats.distributions.forwards, '#10b981'),
+            barChart('replies-distribution-chart', 'Постов', postStats.distributions.replies, '#3b82f6'),
+            barChart('reactions-distribution-chart', 'Постов', postStats.distributions.reactions, '#f59e0b')
+        );
+    }
+
+    /**
+     * Графики истории метрик: аудитория на одном графике, показатели качества на другом
+     */
+    createTrendCharts(history) {
+        const labels = history.map(point => new Date(point.date).toLocaleDateString('ru-RU'));
+        const options = {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: { y: { position: 'left' }, y1: { position: 'right', grid: { drawOnChartArea: false } } }
+        };
+        const dataset = (label, field, color, yAxisID = 'y') => ({
+            label, yAxisID, data: history.map(point => point[field]), borderColor: color, tension: 0.3
+        });
+
+        return [
+            new window.Chart(document.getElementById('trend-audience-chart').getContext('2d'), {
+                type: 'line',
+                data: {
+                    labels,
+                    datasets: [dataset('Подписчики', 'subscribers', '#6366f1'), dataset('Средний охват', 'avgReach', '#10b981', 'y1')]
+                },
+                options
+            }),
+            new window.Chart(document.getElementById('trend-rates-chart').getContext('2d'), {
+                type: 'line',
+                data: {
+                    labels,
+                    datasets: [
+                        dataset('Качество', 'quality', '#f59e0b'),
+                        dataset('ERR 24h, %', 'err24h', '#3b82f6'),
+                        dataset('ИЦ', 'citationIndex', '#ef4444', 'y1')
+                    ]
+                },
+                options
+            })
+        ];
+    }
+
+    /**
+     * Удалить графики деталей, чтобы Chart.js мог переиспользовать canvas
+     */
+    destroyDetailCharts() {
+        this.detailCharts.forEach(chart => chart.destroy());
+        this.detailCharts = [];
+    }
+
+    /**
+     * Скрыть модальное окно деталей канала
+     */
+    hideChannelDetails() {
+        document.getElementById('channel-details-modal').classList.add('hidden');
+        this.destroyDetailCharts();
+        this.detailsChannel = null;
+    }
+
+    /**
+     * Очистка результатов
+     */
+    clearResults() {
+        if (this.analysisInProgress) {
+            this.showNotification('Дождитесь завершения анализа', 'warning');
+            return;
+        }
+
+        document.getElementById('channels-input').value = '';
+        document.getElementById('results-section').classList.add('hidden');
+        this.analysisResults = [];
+        this.resultsTable.setRows([]);
+        this.budgetPlan = null;
+        this.overlap = null;
+        this.renderBudgetPlan();
+        this.renderOverlap();
+
+        this.showNotification('Результаты очищены', 'info');
+    }
+
+    /**
+     * Экспорт в формате из настроек (exportFormat)
+     */
+    exportResults() {
+        if (this.storage.getUserSettings().exportFormat === 'csv') {
+            this.exportToCsv();
+        } else {
+            this.exportToExcel();
+        }
+    }
+
+    /**
+     * Экспорт в CSV
+     */
+    exportToCsv() {
+        if (this.analysisResults.length === 0) {
+            this.showNotification('Нет данных для экспорта', 'warning');
+            return;
+        }
+
+        try {
+            // BOM, чтобы Excel открыл кириллицу в UTF-8
+            const csv = '\ufeff' + this.service.buildExportCsv(this.analysisResults);
+            const fileName = `TG_Traffic_Master_Анализ_${new Date().toISOString().slice(0, 10)}.csv`;
+            this.downloadFile(csv, fileName, 'text/csv;charset=utf-8');
+
+            this.showNotification(`Файл ${fileName} скачан`, 'success');
+        } catch (error) {
+            console.error('Ошибка экспорта:', error);
+            this.showNotification('Ошибка при экспорте данных', 'error');
+        }
+    }
+
+    /**
+     * Скачать текстовый файл
+     */
+    downloadFile(content, fileName, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Экспорт в Excel
+     */
+    exportToExcel() {
+        if (this.analysisResults.length === 0) {
+            this.showNotification('Нет данных для экспорта', 'warning');
+            return;
+        }
+
+        try {
+            const data = this.service.buildExportRows(this.analysisResults);
+
+            const ws = XLSX.utils.json_to_sheet(data);
+            const wb = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(wb, ws, 'Анализ каналов');
+
+            const fileName = `TG_Traffic_Master_Анализ_${new Date().toISOString().slice(0, 10)}.xlsx`;
+            XLSX.writeFile(wb, fileName);
+
+            this.showNotification(`Файл ${fileName} скачан`, 'success');
+
+        } catch (error) {
+            console.error('Ошибка экспорта:', error);
+            this.showNotification('Ошибка при экспорте данных', 'error');
+        }
+    }
+
+    /**
+     * Скачать резервную копию всех данных
+     */
+    downloadBackup() {
+        // Ключ попадает в копию только по явному согласию
+        const includeApiKey = this.service.keyVault.hasKey() && confirm(
+            this.service.isApiKeyEncrypted()
+                ? 'Добавить API ключ в резервную копию? Он останется зашифрованным вашей парольной фразой.'
+                : 'Добавить API ключ в резервную копию? Ключ хранится без шифрования и будет виден в файле.'
+        );
+        const backup = this.storage.createBackup({ includeApiKey });
+
+        if (!backup) {
+            this.showNotification('Не удалось создать резервную копию', 'error');
+            return;
+        }
+
+        const fileName = `TG_Traffic_Master_backup_${new Date().toISOString().slice(0, 10)}.json`;
+        this.downloadFile(backup, fileName, 'application/json');
+
+        this.showNotification(`Файл ${fileName} скачан`, 'success');
+    }
+
+    /**
+     * Чекбоксы разделов в окне восстановления
+     */
+    getRestoreSectionInputs() {
+        return {
+            projects: 'restore-section-projects',
+            workCampaigns: 'restore-section-campaigns',
+            analysisResults: 'restore-section-results',
+            templates: 'restore-section-templates',
+            exportHistory: 'restore-section-history',
+            blacklist: 'restore-section-blacklist',
+            cpmHistory: 'restore-section-cpm',
+            metricsHistory: 'restore-section-metrics',
+            userSettings: 'restore-section-settings',
+            apiKey: 'restore-section-apikey'
+        };
+    }
+
+    async readRestoreFile(file) {
+        if (!file) return;
+
+        try {
+            this.openRestore(await file.text(), file.name);
+        } catch (error) {
+            console.error('Ошибка чтения файла:', error);
+            this.showNotification('Не удалось прочитать файл', 'error');
+        }
+    }
+
+    /**
+     * Открыть окно восстановления: проверка файла до любых изменений и предпросмотр
+     */
+    openRestore(backupData, fileName = '') {
+        const check = this.storage.validateBackup(backupData);
+        const errors = document.getElementById('restore-errors');
+
+        this.restoreState = { backupData, valid: check.valid, resolutions: {} };
+
+        document.getElementById('restore-file-name').textContent = fileName || '-';
+        document.getElementById('restore-mode').value = 'merge';
+        document.getElementById('confirm-restore-btn').disabled = !check.valid;
+
+        Object.entries(this.getRestoreSectionInputs()).forEach(([section, id]) => {
+            const input = document.getElementById(id);
+            const present = Boolean(check.backup && check.backup.data[section] !== undefined);
+            input.checked = present && section !== 'userSettings' && section !== 'apiKey';
+            input.disabled = !present;
+        });
+
+        if (check.valid) {
+            errors.classList.add('hidden');
+            errors.innerHTML = '';
+        } else {
+            errors.classList.remove('hidden');
+            errors.innerHTML = `
+                <p class="font-medium mb-1">Файл не прошел проверку, данные не изменены:</p>
+                <ul class="list-disc ml-5">${check.errors.map(error => `<li>${this.escapeHtml(error)}</li>`).join('')}</ul>
+            `;
+        }
+
+        this.renderRestorePreview();
+        document.getElementById('restore-modal').classList.remove('hidden');
+    }
+
+    /**
+     * Выбранные в окне режим, разделы и решения по конфликтам
+     */
+    getRestoreOptions() {
+        return {
+            mode: document.getElementById('restore-mode').value,
+            sections: Object.entries(this.getRestoreSectionInputs())
+                .filter(([, id]) => document.getElementById(id).checked)
+                .map(([section]) => section),
+            resolutions: this.restoreState ? this.restoreState.resolutions : {}
+        };
+    }
+
+    /**
+     * Предпросмотр: новые, обновленные и конфликтующие записи по разделам
+     */
+    renderRestorePreview() {
+        const container = document.getElementById('restore-preview');
+
+        if (!this.restoreState || !this.restoreState.valid) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const { mode, sections } = this.getRestoreOptions();
+
+        if (sections.length === 0) {
+            container.innerHTML = '<p class="text-sm text-gray-500">Выберите разделы для восстановления</p>';
+            return;
+        }
+
+        const preview = this.storage.previewRestore(this.restoreState.backupData, { sections });
+        const labels = {
+            projects: 'Проекты',
+            workCampaigns: 'Кампании',
+            analysisResults: 'Результаты анализа',
+            templates: 'Шаблоны',
+            exportHistory: 'История экспорта',
+            blacklist: 'Черный список',
+            cpmHistory: 'Реальные CPM',
+            metricsHistory: 'История метрик',
+            userSettings: 'Настройки',
+            apiKey: 'API ключ'
+        };
+
+        const migrationNote = preview.fromVersion < preview.toVersion
+            ? `<p class="text-sm text-gray-500 mb-3">Копия версии ${preview.fromVersion} будет обновлена до версии ${preview.toVersion}</p>`
+            : '';
+
+        container.innerHTML = migrationNote + Object.entries(preview.sections).map(([section, result]) => {
+            if (section === 'userSettings' || section === 'apiKey') {
+                return `
+                    <div class="restore-section">
+                        <h4 class="details-block-title">${labels[section]}</h4>
+                        <p class="restore-counts">${section === 'apiKey' ? 'Текущий ключ будет заменен ключом из копии' : 'Текущие настройки будут заменены настройками из копии'}</p>
+                    </div>
+                `;
+            }
+
+            if (mode === 'replace') {
+                const total = result.added.length + result.updated.length + result.conflicts.length + result.unchanged;
+                return `
+                    <div class="restore-section">
+                        <h4 class="details-block-title">${labels[section]}</h4>
+                        <p class="restore-counts">Раздел будет заменен: записей в копии — ${total}</p>
+                    </div>
+                `;
+            }
+
+            const names = items => items.map(item => this.escapeHtml(item.label)).join(', ');
+
+            return `
+                <div class="restore-section">
+                    <h4 class="details-block-title">${labels[section]}</h4>
+                    <p class="restore-counts">
+                        Новых: ${result.added.length}, обновится: ${result.updated.length},
+                        конфликтов: ${result.conflicts.length}, без изменений: ${result.unchanged}
+                    </p>
+                    ${result.added.length > 0 ? `<p class="text-sm mt-1"><span class="text-green-600">Добавятся:</span> ${names(result.added)}</p>` : ''}
+                    ${result.updated.length > 0 ? `<p class="text-sm mt-1"><span class="text-blue-600">Обновятся (в копии новее):</span> ${names(result.updated)}</p>` : ''}
+                    ${result.conflicts.map(item => this.renderRestoreConflict(section, item)).join('')}
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderRestoreConflict(section, item) {
+        const resolution = (this.restoreState.resolutions[section] || {})[item.id] || 'local';
+        const date = value => value ? this.storage.formatDate(value) : 'дата неизвестна';
+        const id = this.escapeHtml(item.id).replace(/'/g, '&#39;');
+
+        return `
+            <div class="restore-conflict">
+                <div>
+                    <div class="font-medium">${this.escapeHtml(item.label)}</div>
+                    <div class="text-xs text-gray-500">У вас: ${date(item.localUpdatedAt)} · В копии: ${date(item.backupUpdatedAt)}</div>
+                </div>
+                <select class="filter-input" onchange="app.setRestoreResolution('${section}', '${id}', this.value)">
+                    <option value="local" ${resolution === 'local' ? 'selected' : ''}>Оставить мою версию</option>
+                    <option value="backup" ${resolution === 'backup' ? 'selected' : ''}>Взять из копии</option>
+                </select>
+            </div>
+        `;
+    }
+
+    setRestoreResolution(section, id, resolution) {
+        if (!this.restoreState) return;
+
+        const resolutions = this.restoreState.resolutions;
+        resolutions[section] = { ...(resolutions[section] || {}), [id]: resolution };
+    }
+
+    /**
+     * Восстановить выбранные разделы
+     */
+    confirmRestore() {
+        if (!this.restoreState || !this.restoreState.valid) return;
+
+        const options = this.getRestoreOptions();
+
+        if (options.sections.length === 0) {
+            this.showNotification('Выберите разделы для восстановления', 'warning');
+            return;
+        }
+
+        if (options.mode === 'replace' && !confirm('Выбранные разделы будут полностью заменены данными из копии. Продолжить?')) {
+            return;
+        }
+
+        if (!this.storage.restoreFromBackup(this.restoreState.backupData, options)) {
+            this.showNotification('Не удалось восстановить данные из резервной копии', 'error');
+            return;
+        }
+
+        // Настройки, ключ и реальные CPM могли измениться вместе с данными
+        this.service.applySettings(this.storage.getUserSettings());
+        if (options.sections.includes('cpmHistory')) this.service.recalibrateCpmModel();
+        if (options.sections.includes('apiKey')) {
+            this.service.reloadApiKey();
+            if (this.service.isApiKeyLocked() && !this.service.usesServerKey()) this.showUnlockModal();
+        }
+        this.resultsView.configure(this.storage.getUserSettings().resultsView || {});
+        this.loadSavedProjects();
+        if (this.currentTab === 'work') this.loadCampaigns();
+
+        this.hideRestoreModal();
+        this.showNotification('Данные восстановлены из резервной копии', 'success');
+    }
+
+    hideRestoreModal() {
+        document.getElementById('restore-modal').classList.add('hidden');
+        document.getElementById('restore-file-input').value = '';
+        this.restoreState = null;
+    }
+
+    /**
+     * Окно API ключа: ключ показывается только в маскированном виде
+     */
+    showApiKeyModal() {
+        this.renderApiKeyStatus();
+        document.getElementById('api-key-modal').classList.remove('hidden');
+    }
+
+    renderApiKeyStatus() {
+        const masked = this.service.getMaskedApiKey();
+        let status = 'Ключ не задан';
+
+        const proxy = this.bundledProxyStatus;
+        if (this.service.usesServerKey() && proxy && !proxy.available) {
+            status = `Встроенный прокси не отвечает (${proxy.url}): запустите npm run proxy или выберите другое подключение`;
+        } else if (this.service.usesServerKey() && proxy && !proxy.hasKey) {
+            status = 'Встроенный прокси запущен без ключа: задайте TGSTAT_API_KEY на сервере';
+        } else if (this.service.usesServerKey()) {
+            status = 'Подключение через встроенный прокси: ключ хранится на сервере';
+        } else if (this.service.isApiKeyLocked()) {
+            status = 'Ключ зашифрован и заблокирован';
+        } else if (this.service.isApiKeyEncrypted()) {
+            status = `Ключ зашифрован: ${masked}`;
+        } else if (masked) {
+            status = `Ключ хранится без шифрования: ${masked}. Сохраните его с парольной фразой`;
+        }
+
+        document.getElementById('api-key-status').textContent = status;
+        document.getElementById('settings-api-key-status').textContent = status;
+        this.renderApiKeys();
+        document.getElementById('lock-api-key-btn').disabled = !this.service.isApiKeyEncrypted() || this.service.isApiKeyLocked();
+        document.getElementById('remove-api-key-btn').disabled = !this.service.keyVault.hasKey();
+    }
+
+    /**
+     * Зашифровать и сохранить ключ; пустое поле ключа шифрует уже сохраненный открытый ключ
+     */
+    async saveApiKey() {
+        const keyInput = document.getElementById('api-key-input');
+        const passphraseInput = document.getElementById('api-key-passphrase');
+        const confirmInput = document.getElementById('api-key-passphrase-confirm');
+
+        const apiKey = keyInput.value.trim() || (this.service.isApiKeyEncrypted() ? '' : this.storage.getApiKey());
+        const passphrase = passphraseInput.value;
+
+        if (!apiKey) {
+            this.showNotification('Введите API ключ', 'warning');
+            return;
+        }
+
+        if (passphrase.length < 8) {
+            this.showNotification('Парольная фраза должна быть не короче 8 символов', 'warning');
+            return;
+        }
+
+        if (passphrase !== confirmInput.value) {
+            this.showNotification('Парольные фразы не совпадают', 'warning');
+            return;
+        }
+
+        try {
+            if (!(await this.service.saveEncryptedApiKey(apiKey, passphrase))) {
+                throw new Error('Ключ не сохранен');
+            }
+
+            keyInput.value = '';
+            passphraseInput.value = '';
+            confirmInput.value = '';
+
+            this.hideApiKeyModal();
+            this.renderApiKeyStatus();
+            this.showNotification('API ключ сохранен в зашифрованном виде', 'success');
+        } catch (error) {
+            console.error('Ошибка сохранения API ключа:', error);
+            this.showNotification('Не удалось сохранить API ключ', 'error');
+        }
+    }
+
+    lockApiKey() {
+        this.service.lockApiKey();
+        this.renderApiKeyStatus();
+        this.showNotification('API ключ заблокирован', 'info');
+    }
+
+    removeApiKey() {
+        if (!confirm('Удалить сохраненный API ключ?')) return;
+
+        this.service.removeApiKey();
+        this.renderApiKeyStatus();
+        this.showNotification('API ключ удален', 'info');
+    }
+
+    hideApiKeyModal() {
+        document.getElementById('api-key-modal').classList.add('hidden');
+    }
+
+    /**
+     * Запрос парольной фразы для расшифровки ключа
+     */
+    showUnlockModal() {
+        document.getElementById('unlock-passphrase-input').value = '';
+        document.getElementById('unlock-error').classList.add('hidden');
+        document.getElementById('unlock-modal').classList.remove('hidden');
+    }
+
+    async unlockApiKey() {
+        const passphrase = document.getElementById('unlock-passphrase-input').value;
+
+        if (!passphrase) {
+            this.showNotification('Введите парольную фразу', 'warning');
+            return;
+        }
+
+        if (!(await this.service.unlockApiKey(passphrase))) {
+            document.getElementById('unlock-error').classList.remove('hidden');
+            return;
+        }
+
+        this.hideUnlockModal();
+        this.renderApiKeyStatus();
+        this.showNotification('API ключ разблокирован', 'success');
+    }
+
+    hideUnlockModal() {
+        document.getElementById('unlock-modal').classList.add('hidden');
+        document.getElementById('unlock-passphrase-input').value = '';
+    }
+
+    /**
+     * Экран настроек: поля строятся по схеме getSettingsSchema(), изменения копятся в черновике до сохранения
+     */
+    renderSettings(errors = []) {
+        const groups = {
+            interface: 'Интерфейс',
+            analysis: 'Анализ',
+            export: 'Экспорт',
+            api: 'API и лимиты',
+            cache: 'Кэш ответов API'
+        };
+        const schema = this.storage.getSettingsSchema();
+        const invalid = new Set(errors.map(error => error.id));
+
+        document.getElementById('settings-form').innerHTML = Object.entries(groups).map(([group, title]) => `
+            <div class="settings-group">
+                <h3 class="details-block-title">${title}</h3>
+                ${schema.filter(field => field.group === group).map(field => this.renderSettingField(field, invalid.has(field.id))).join('')}
+            </div>
+        `).join('');
+
+        const errorsBlock = document.getElementById('settings-errors');
+        errorsBlock.classList.toggle('hidden', errors.length === 0);
+        errorsBlock.innerHTML = errors.length > 0
+            ? `<ul class="list-disc ml-5">${errors.map(error => `<li>${this.escapeHtml(error.message)}</li>`).join('')}</ul>`
+            : '';
+    }
+
+    /**
+     * Поле формы по описанию из схемы; формы настроек и профиля оценки отличаются черновиком и обработчиком
+     */
+    renderSettingField(field, hasError, { draft = this.settingsDraft, prefix = 'setting', onChange = 'updateSetting', disabled = false } = {}) {
+        const value = this.storage.getSettingValue(draft, field.path);
+        const id = `${prefix}-${field.id}`;
+        const handler = `app.${onChange}('${field.id}', this)`;
+        const errorClass = hasError ? ' input-error' : '';
+        const attributes = disabled ? ' disabled' : '';
+
+        if (field.type === 'boolean') {
+            return `
+                <label class="settings-checkbox">
+                    <input type="checkbox" id="${id}" ${value ? 'checked' : ''} onchange="${handler}"${attributes}>
+                    ${field.label}
+                </label>
+            `;
+        }
+
+        let control;
+        if (field.type === 'select') {
+            control = `
+                <select id="${id}" class="filter-input${errorClass}" onchange="${handler}"${attributes}>
+                    ${field.options.map(([option, label]) => `<option value="${option}" ${option === value ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            `;
+        } else if (field.type === 'number') {
+            const shown = typeof value === 'number' ? value / (field.scale || 1) : '';
+            control = `<input type="number" id="${id}" class="filter-input${errorClass}" value="${shown}" min="${field.min}" max="${field.max}" onchange="${handler}"${attributes}>`;
+        } else {
+            control = `<input type="text" id="${id}" class="filter-input${errorClass}" value="${this.escapeHtml(value || '')}" onchange="${handler}"${attributes}>`;
+        }
+
+        return `
+            <div class="settings-field">
+                <label class="filter-label" for="${id}">${field.label}</label>
+                ${control}
+            </div>
+        `;
+    }
+
+    /**
+     * Изменение поля настроек (вызывается из разметки формы)
+     */
+    updateSetting(fieldId, input) {
+        const field = this.storage.getSettingsSchema().find(item => item.id === fieldId);
+        if (!field || !this.settingsDraft) return;
+
+        this.settingsDraft = this.storage.setSettingValue(this.settingsDraft, field.path, this.readSettingInput(field, input));
+    }
+
+    /**
+     * Значение поля формы в типе из схемы
+     */
+    readSettingInput(field, input) {
+        if (field.type === 'boolean') return Boolean(input.checked);
+
+        if (field.type === 'number') {
+            const number = parseFloat(String(input.value).replace(',', '.'));
+            return Number.isFinite(number) ? number * (field.scale || 1) : null;
+        }
+
+        return String(input.value).trim();
+    }
+
+    /**
+     * Проверить и сохранить настройки, применить их к API, аналитике и интерфейсу
+     */
+    saveSettings() {
+        // Профили оценки редактируются в своем блоке, черновик формы мог устареть
+        const { scoringProfiles, scoringProfileId, ...draft } = this.settingsDraft || {};
+        const result = this.storage.saveUserSettings(draft);
+
+        if (!result.success) {
+            this.renderSettings(result.errors);
+            this.showNotification('Исправьте ошибки в настройках', 'warning');
+            return;
+        }
+
+        this.service.applySettings(result.settings);
+        this.applyUiSettings(result.settings);
+        this.settingsDraft = result.settings;
+        this.renderSettings();
+        this.showNotification('Настройки сохранены', 'success');
+        this.checkBundledProxy();
+    }
+
+    /**
+     * Заполнить форму значениями по умолчанию (применяются после сохранения)
+     */
+    resetSettings() {
+        this.settingsDraft = {
+            ...this.storage.getDefaultSettings(),
+            resultsView: this.storage.getUserSettings().resultsView
+        };
+        this.renderSettings();
+        this.showNotification('Подставлены значения по умолчанию. Нажмите "Сохранить", чтобы применить', 'info');
+    }
+
+    /**
+     * Настройки интерфейса: тема и язык страницы
+     */
+    applyUiSettings(settings) {
+        document.body.classList.toggle('theme-dark', settings.theme === 'dark');
+        if (document.documentElement) document.documentElement.lang = settings.language || 'ru';
+    }
+
+    /**
+     * Профили оценки: выбор активного профиля и форма его параметров
+     * Встроенный профиль только для просмотра, менять можно его копию
+     */
+    renderScoringProfiles(errors = []) {
+        const active = this.analytics.scoringProfile;
+        if (!this.profileDraft) this.profileDraft = active;
+
+        const draft = this.profileDraft;
+        const select = document.getElementById('scoring-profile-select');
+        const profiles = this.service.getScoringProfiles();
+        select.innerHTML = profiles.map(profile => `
+            <option value="${profile.id}" ${profile.id === active.id ? 'selected' : ''}>${this.escapeHtml(profile.name)}</option>
+        `).join('') + (draft.id ? '' : `<option value="" selected>${this.escapeHtml(draft.name)} (не сохранен)</option>`);
+
+        const groups = {
+            general: 'Профиль',
+            weights: 'Веса показателей',
+            caps: 'Максимум баллов',
+            categories: 'Множители категорий',
+            modifiers: 'Бонусы и штрафы',
+            badgeThresholds: 'Пороги оценки',
+            statusThresholds: 'Пороги статуса'
+        };
+        const schema = this.storage.getScoringProfileSchema(Object.keys(draft.categoryMultipliers));
+        const invalid = new Set(errors.map(error => error.id));
+        const options = { draft, prefix: 'profile', onChange: 'updateProfileField', disabled: draft.id === 'default' };
+
+        document.getElementById('scoring-profile-form').innerHTML = Object.entries(groups).map(([group, title]) => `
+            <div class="settings-group">
+                <h3 class="details-block-title">${title}</h3>
+                ${schema.filter(field => field.group === group).map(field => this.renderSettingField(field, invalid.has(field.id), options)).join('')}
+            </div>
+        `).join('');
+
+        const errorsBlock = document.getElementById('scoring-profile-errors');
+        errorsBlock.classList.toggle('hidden', errors.length === 0);
+        errorsBlock.innerHTML = errors.length > 0
+            ? `<ul class="list-disc ml-5">${errors.map(error => `<li>${this.escapeHtml(error.message)}</li>`).join('')}</ul>`
+            : '';
+
+        document.getElementById('save-scoring-profile-btn').disabled = draft.id === 'default';
+        document.getElementById('delete-scoring-profile-btn').disabled = !draft.id || draft.id === 'default';
+    }
+
+    /**
+     * Изменение поля профиля (вызывается из разметки формы)
+     */
+    updateProfileField(fieldId, input) {
+        const field = this.storage.getScoringProfileSchema(Object.keys(this.profileDraft.categoryMultipliers)).find(item => item.id === fieldId);
+        if (!field) return;
+
+        this.profileDraft = this.storage.setSettingValue(this.profileDraft, field.path, this.readSettingInput(field, input));
+    }
+
+    /**
+     * Сделать профиль активным и пересчитать текущие результаты
+     */
+    selectScoringProfile(profileId) {
+        if (!profileId) return;
+
+        const profile = this.service.setActiveScoringProfile(profileId);
+        if (!profile) {
+            this.showNotification('Не удалось выбрать профиль', 'error');
+            return;
+        }
+
+        this.profileDraft = profile;
+        this.renderScoringProfiles();
+        this.rescoreResults();
+        this.showNotification(`Активный профиль: ${profile.name}`, 'success');
+    }
+
+    /**
+     * Новый профиль на основе активного, сохраняется кнопкой «Сохранить профиль»
+     */
+    copyScoringProfile() {
+        const source = this.analytics.scoringProfile;
+        this.profileDraft = { ...source, id: null, name: `${source.name} (копия)` };
+        this.renderScoringProfiles();
+    }
+
+    saveScoringProfile() {
+        const result = this.service.saveScoringProfile(this.profileDraft);
+
+        if (!result.success) {
+            this.renderScoringProfiles(result.errors);
+            this.showNotification('Исправьте ошибки в профиле', 'warning');
+            return;
+        }
+
+        this.service.setActiveScoringProfile(result.profile.id);
+        this.profileDraft = result.profile;
+        this.renderScoringProfiles();
+        this.rescoreResults();
+        this.showNotification(`Профиль "${result.profile.name}" сохранен, результаты пересчитаны`, 'success');
+    }
+
+    deleteScoringProfile() {
+        const profile = this.profileDraft;
+        if (!profile || !profile.id || profile.id === 'default') return;
+        if (!confirm(`Удалить профиль "${profile.name}"? Проекты с этим профилем перейдут на активный`)) return;
+
+        if (!this.service.deleteScoringProfile(profile.id)) {
+            this.showNotification('Не удалось удалить профиль', 'error');
+            return;
+        }
+
+        this.profileDraft = null;
+        this.renderScoringProfiles();
+        this.rescoreResults();
+        this.loadSavedProjects();
+        this.showNotification(`Профиль "${profile.name}" удален`, 'success');
+    }
+
+    exportScoringProfile() {
+        const profile = this.analytics.scoringProfile;
+        this.downloadFile(this.service.exportScoringProfile(profile.id), `TG_Traffic_Master_Профиль_${profile.name}.json`, 'application/json');
+    }
+
+    async importScoringProfile(file) {
+        if (!file) return;
+
+        try {
+            const result = this.service.importScoringProfile(await file.text());
+
+            if (!result.success) {
+                this.showNotification(`Профиль не импортирован: ${result.errors.map(error => error.message).join('; ')}`, 'error');
+                return;
+            }
+
+            this.selectScoringProfile(result.profile.id);
+        } catch (error) {
+            console.error('Ошибка импорта профиля:', error);
+            this.showNotification('Не удалось прочитать файл профиля', 'error');
+        } finally {
+            document.getElementById('scoring-profile-file-input').value = '';
+        }
+    }
+
+    /**
+     * Пересчитать открытые результаты по активному профилю (у проекта со своим профилем они не меняются)
+     */
+    rescoreResults() {
+        if (this.analysisResults.length === 0) return;
+        if (this.currentProject && this.currentProject.scoringProfileId) return;
+
+        this.analysisResults = this.service.rescoreRecords(this.analysisResults);
+        this.displayResults(this.analysisResults);
+    }
+
+    /**
+     * Проверить ключ запросом /usage и показать остаток лимита
+     */
+    async testApiKey() {
+        const button = document.getElementById('test-api-key-btn');
+        const resultBlock = document.getElementById('api-key-test-result');
+
+        button.disabled = true;
+        resultBlock.classList.remove('hidden');
+        resultBlock.innerHTML = '<span class="text-gray-500">Проверяем ключ...</span>';
+
+        try {
+            const status = await this.service.testApiKey();
+
+            if (!status.success) {
+                resultBlock.innerHTML = `<span class="text-red-600">Ключ не работает: ${this.escapeHtml(status.error)}</span>`;
+                return;
+            }
+
+            const percent = status.limit > 0 ? Math.round((status.remaining / status.limit) * 100) : 0;
+            resultBlock.innerHTML = `
+                <span class="text-green-600">Ключ работает: осталось ${this.formatNumber(status.remaining)} из ${this.formatNumber(status.limit)} запросов</span>
+                <div class="progress-bar mt-2"><div class="progress-fill" style="width: ${percent}%"></div></div>
+            `;
+            this.renderApiUsage();
+        } finally {
+            button.disabled = false;
+            this.renderApiKeys();
+        }
+    }
+
+    /**
+     * Список ключей: состояние в ротации, остаток лимита и расход за 30 дней
+     */
+    renderApiKeys() {
+        const list = document.getElementById('api-keys-list');
+        const keys = this.service.getApiKeys();
+
+        if (keys.length === 0) {
+            list.innerHTML = `<p class="text-gray-500">${this.service.isApiKeyLocked() ? 'Ключи заблокированы' : 'Ключей нет'}</p>`;
+            return;
+        }
+
+        const usage = this.storage.getApiUsageByKey(30);
+        const stateLabel = key => {
+            if (key.failure === 'auth') return '<span class="text-red-600">отклонен</span>';
+            if (key.failure === 'quota') return '<span class="text-red-600">лимит исчерпан</span>';
+            return key.active ? '<span class="text-green-600">используется</span>' : 'в резерве';
+        };
+
+        list.innerHTML = `
+            <table class="usage-table">
+                <thead><tr><th>Ключ</th><th>Состояние</th><th>Остаток</th><th>Запросов за 30 дней</th><th></th></tr></thead>
+                <tbody>
+                    ${keys.map(key => `
+                        <tr>
+                            <td>${this.escapeHtml(key.label)} <span class="mono-font text-gray-500">${key.masked}</span></td>
+                            <td>${stateLabel(key)}</td>
+                            <td>${key.quota ? `${this.formatNumber(key.quota.remaining)} из ${this.formatNumber(key.quota.limit)}` : '—'}</td>
+                            <td>${this.formatNumber(usage[key.id] || 0)}</td>
+                            <td>
+                                <button class="action-btn action-btn-warning" onclick="app.deleteApiKey('${key.id}')" title="Удалить ключ">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Добавить ключ в пул; ключи хранятся только в зашифрованном виде
+     */
+    async addApiKey() {
+        const labelInput = document.getElementById('new-api-key-label');
+        const keyInput = document.getElementById('new-api-key-input');
+        const apiKey = keyInput.value.trim();
+
+        if (!apiKey) {
+            this.showNotification('Введите API ключ', 'warning');
+            return;
+        }
+
+        if (!this.service.isApiKeyEncrypted()) {
+            this.showNotification('Сначала сохраните основной ключ с парольной фразой', 'warning');
+            this.showApiKeyModal();
+            return;
+        }
+
+        if (this.service.isApiKeyLocked()) {
+            this.showNotification('API ключ заблокирован. Введите парольную фразу', 'warning');
+            this.showUnlockModal();
+            return;
+        }
+
+        try {
+            const entry = await this.service.addApiKey(labelInput.value.trim(), apiKey);
+            if (!entry) throw new Error('Не удалось сохранить ключ');
+
+            labelInput.value = '';
+            keyInput.value = '';
+            this.renderApiKeyStatus();
+            this.showNotification(`Ключ "${entry.label}" добавлен`, 'success');
+        } catch (error) {
+            console.error('Ошибка добавления API ключа:', error);
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async deleteApiKey(keyId) {
+        const key = this.service.getApiKeys().find(item => item.id === keyId);
+        if (!key || !confirm(`Удалить ключ "${key.label}"?`)) return;
+
+        try {
+            await this.service.deleteApiKey(keyId);
+            this.renderApiKeyStatus();
+            this.showNotification(`Ключ "${key.label}" удален`, 'info');
+        } catch (error) {
+            console.error('Ошибка удаления API ключа:', error);
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Журнал расхода запросов по дням и пользователям
+     */
+    renderApiUsage() {
+        const log = this.storage.getApiUsageLog(14);
+        const today = new Date().toISOString().slice(0, 10);
+        const todayEntry = log.find(entry => entry.date === today);
+        const quota = this.service.quotaStatus;
+
+        let summary = `Сегодня отправлено запросов: ${todayEntry ? this.formatNumber(todayEntry.total) : 0}`;
+        if (quota) {
+            summary += `. Остаток лимита: ${this.formatNumber(quota.remaining)} из ${this.formatNumber(quota.limit)} ` +
+                `(проверено ${new Date(quota.checkedAt).toLocaleString('ru-RU')})`;
+        }
+        document.getElementById('api-usage-summary').textContent = summary;
+
+        const userLabel = user => (user ? this.escapeHtml(user) : 'без имени');
+        document.getElementById('api-usage-log').innerHTML = log.length === 0
+            ? '<p class="text-gray-500">Запросов пока не было</p>'
+            : `
+                <table class="usage-table">
+                    <thead><tr><th>Дата</th><th>Запросов</th><th>Кто</th></tr></thead>
+                    <tbody>
+                        ${log.map(entry => `
+                            <tr>
+                                <td>${new Date(entry.date).toLocaleDateString('ru-RU')}</td>
+                                <td>${this.formatNumber(entry.total)}</td>
+                                <td>${Object.entries(entry.byUser).map(([user, count]) => `${userLabel(user)}: ${this.formatNumber(count)}`).join(', ')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+    }
+
+    /**
+     * Модель CPM: ошибка стандартной и откалиброванной формулы, подобранные множители
+     */
+    renderCpmModel() {
+        const container = document.getElementById('cpm-model-report');
+        const calibration = this.service.getCpmModelReport();
+
+        if (!calibration.model) {
+            container.innerHTML = `<p class="text-gray-500">Реальных CPM сохранено: ${calibration.samples}. ` +
+                'Для калибровки нужно не меньше 5 — вводите реальный CPM в таблице результатов</p>';
+            return;
+        }
+
+        const defaults = this.analytics.getDefaultCpmModel();
+        const { model, error } = calibration;
+        const sizeLabels = { xs: 'до 1 000', s: '1 000–10 000', m: '10 000–50 000', l: '50 000–100 000', xl: 'больше 100 000' };
+        const engagementLabels = { low: 'ER меньше 3%', normal: 'ER 3–10%', medium: 'ER 10–15%', high: 'ER больше 15%' };
+        const rows = [
+            ['Базовый CPM, ₽', defaults.base, model.base],
+            ...Object.keys(sizeLabels).map(band => [`Подписчиков ${sizeLabels[band]}`, defaults.sizeBands[band], model.sizeBands[band]]),
+            ...Object.keys(model.categories).map(category => [`Категория ${this.escapeHtml(category)}`, defaults.categories[category] || 1, model.categories[category]]),
+            ...Object.keys(engagementLabels).map(band => [engagementLabels[band], defaults.engagementBands[band], model.engagementBands[band]])
+        ];
+        const active = this.storage.getUserSettings().cpmModel === 'calibrated' ? 'откалиброванная' : 'стандартная';
+
+        container.innerHTML = `
+            <p class="text-gray-700 mb-2">
+                По ${calibration.samples} реальным CPM средняя ошибка стандартной формулы ${error.default}%,
+                откалиброванной ${error.calibrated}% (каждый CPM проверен моделью, обученной без него). Сейчас используется ${active}
+            </p>
+            <table class="usage-table">
+                <thead><tr><th>Множитель</th><th>Стандартный</th><th>Откалиброванный</th></tr></thead>
+                <tbody>
+                    ${rows.map(([label, standard, calibrated]) => `
+                        <tr><td>${label}</td><td>${standard}</td><td>${calibrated}</td></tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Открыть или закрыть подбор под бюджет
      */
-    showRealCpmModal(channel, predictedCpm) {
-        this.currentChannel = channel;
-        document.getElementById('predicted-cpm-display').textContent = predictedCpm.toFixed(2) + ' ₽';
-        document.getElementById('real-cpm-input').value = '';
-        document.getElementById('real-cpm-modal').classList.remove('hidden');
+    toggleBudgetPanel() {
+        document.getElementById('budget-panel').classList.toggle('hidden');
     }
 
     /**
-     * Скрыть модальное окно реального CPM
+     * Параметры подбора из формы, пустые поля ничего не ограничивают
      */
-    hideRealCpmModal() {
-        document.getElementById('real-cpm-modal').classList.add('hidden');
-        this.currentChannel = null;
+    getBudgetOptions() {
+        const number = id => this.parseFilterNumber(document.getElementById(id).value);
+
+        return {
+            budget: number('budget-amount'),
+            objective: document.getElementById('budget-objective').value,
+            targetReach: number('budget-target-reach'),
+            maxCpm: number('budget-max-cpm'),
+            minQuality: number('budget-min-quality'),
+            maxPerCategory: number('budget-max-per-category'),
+            exclude: this.parseChannelInput(document.getElementById('budget-exclude').value)
+        };
     }
 
     /**
-     * Сохранить реальный CPM
+     * Подобрать каналы из результатов анализа под бюджет
      */
-    saveRealCpm() {
-        const realCpm = parseFloat(document.getElementById('real-cpm-input').value);
-
-        if (isNaN(realCpm) || realCpm < 0) {
-            this.showNotification('Введите корректное значение CPM', 'warning');
+    optimizeBudget() {
+        if (this.analysisResults.length === 0) {
+            this.showNotification('Сначала проанализируйте каналы', 'warning');
             return;
         }
 
-        // Находим результат и обновляем
-        const result = this.analysisResults.find(r => r.channel === this.currentChannel);
-        if (result) {
-            result.realCpm = realCpm;
-            result.cpmDeviation = ((realCpm - result.cpmForecast) / result.cpmForecast * 100).toFixed(1);
-
-            // Обновляем отображение
-            this.displayResults(this.analysisResults);
+        const plan = this.service.planBudget(this.analysisResults, this.getBudgetOptions());
+        const errorsBlock = document.getElementById('budget-errors');
 
-            this.showNotification(\`Реальный CPM сохранен: \${realCpm} ₽ (отклонение: \${result.cpmDeviation}%)\`, 'success');
-        }
+        errorsBlock.classList.toggle('hidden', plan.success);
+        errorsBlock.innerHTML = plan.success
+            ? ''
+            : `<ul class="list-disc ml-5">${plan.errors.map(error => `<li>${this.escapeHtml(error.message)}</li>`).join('')}</ul>`;
 
-        this.hideRealCpmModal();
+        this.budgetPlan = plan.success ? plan : null;
+        this.renderBudgetPlan();
     }
 
     /**
-     * Показать детали канала
+     * План: итоги, выбранные каналы, замены и причины, по которым каналы не вошли
      */
-    showChannelDetails(channel) {
-        const result = this.analysisResults.find(r => r.channel === channel);
-        if (!result || result.error) {
-            this.showNotification('Данные канала недоступны', 'warning');
+    renderBudgetPlan() {
+        const container = document.getElementById('budget-plan');
+        const plan = this.budgetPlan;
+
+        if (!plan) {
+            container.innerHTML = '';
             return;
         }
 
-        // Здесь можно добавить модальное окно с детальной информацией
-        console.log('Детали канала:', result);
-        this.showNotification('Детальный просмотр будет добавлен в следующих версиях', 'info');
+        const { totals } = plan;
+        const skippedLabels = {
+            error: 'ошибка анализа',
+            excluded: 'исключены',
+            noPrice: 'нет цены или охвата',
+            quality: 'качество ниже порога',
+            cpm: 'CPM выше лимита',
+            overBudget: 'пост дороже бюджета'
+        };
+        const skippedCounts = {};
+        plan.skipped.forEach(({ reason }) => {
+            skippedCounts[reason] = (skippedCounts[reason] || 0) + 1;
+        });
+        const skipped = Object.entries(skippedCounts).map(([reason, count]) => `${skippedLabels[reason]}: ${count}`).join(', ');
+        const target = plan.targetReached === null ? '' : (plan.targetReached
+            ? '<p class="text-green-700 mb-2">Целевой охват достигнут</p>'
+            : '<p class="text-yellow-700 mb-2">Целевой охват в этом бюджете недостижим, показан план с максимальным охватом</p>');
+        const channelCell = entry => `${this.escapeHtml(entry.record.title || entry.record.channel)} <span class="text-gray-500">${this.escapeHtml(entry.record.channel)}</span>`;
+
+        const selected = plan.selected.length === 0 ? '<p class="text-gray-500 mb-2">Ни один канал не проходит ограничения</p>' : `
+            <p class="text-gray-700 mb-2">
+                Каналов: ${totals.channels}, стоимость ${this.formatNumber(totals.cost)} ₽ из ${this.formatNumber(totals.budget)} ₽
+                (остаток ${this.formatNumber(totals.remaining)} ₽), охват ${this.formatNumber(totals.reach)},
+                CPM ${this.formatNumber(totals.cpm)} ₽, среднее качество ${totals.avgQuality}
+            </p>
+            ${target}
+            <table class="usage-table">
+                <thead><tr><th>Канал</th><th>Категория</th><th>Качество</th><th>Охват</th><th>Цена поста, ₽</th><th>CPM, ₽</th></tr></thead>
+                <tbody>
+                    ${plan.selected.map(entry => `
+                        <tr>
+                            <td>${channelCell(entry)}</td>
+                            <td>${this.escapeHtml(entry.record.category || '—')}</td>
+                            <td>${entry.record.quality}</td>
+                            <td>${this.formatNumber(entry.reach)}</td>
+                            <td>${this.formatNumber(entry.cost)}</td>
+                            <td>${this.formatNumber(entry.cpm)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <button class="action-btn action-btn-primary mt-4" onclick="app.saveBudgetPlan()">
+                <i class="fas fa-save mr-1"></i> Сохранить как проект
+            </button>
+        `;
+
+        const alternates = plan.alternates.length === 0 ? '' : `
+            <h4 class="details-block-title mt-4">Замены</h4>
+            <table class="usage-table">
+                <thead><tr><th>Канал</th><th>Охват</th><th>Цена поста, ₽</th><th></th></tr></thead>
+                <tbody>
+                    ${plan.alternates.map(entry => `
+                        <tr>
+                            <td>${channelCell(entry)}</td>
+                            <td>${this.formatNumber(entry.reach)}</td>
+                            <td>${this.formatNumber(entry.cost)}</td>
+                            <td class="text-gray-500">${entry.fits ? 'помещается в остаток' : (entry.swapFor ? `вместо ${this.escapeHtml(entry.swapFor)}` : 'не помещается')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        container.innerHTML = `
+            ${selected}
+            ${alternates}
+            ${skipped ? `<p class="text-gray-500 mt-2">Не вошли: ${skipped}</p>` : ''}
+        `;
     }
 
     /**
-     * Очистка результатов
+     * Сохранить каналы плана отдельным проектом
      */
-    clearResults() {
-        if (this.analysisInProgress) {
-            this.showNotification('Дождитесь завершения анализа', 'warning');
+    saveBudgetPlan() {
+        if (!this.budgetPlan || this.budgetPlan.selected.length === 0) {
+            this.showNotification('Нет плана для сохранения', 'warning');
             return;
         }
 
-        document.getElementById('channels-input').value = '';
-        document.getElementById('results-section').classList.add('hidden');
-        document.getElementById('results-table-body').innerHTML = '';
-        this.analysisResults = [];
+        const name = `План на ${this.formatNumber(this.budgetPlan.totals.budget)} ₽ от ${new Date().toLocaleDateString('ru-RU')}`;
+        const project = this.service.saveProject(name, this.budgetPlan.selected.map(entry => entry.record));
 
-        this.showNotification('Результаты очищены', 'info');
+        if (!project) {
+            this.showNotification('Ошибка при сохранении проекта', 'error');
+            return;
+        }
+
+        this.loadSavedProjects();
+        this.showNotification(`Проект "${name}" сохранен`, 'success');
     }
 
     /**
-     * Экспорт в Excel
+     * Открыть или закрыть сравнение каналов
      */
-    exportToExcel() {
-        if (this.analysisResults.length === 0) {
-            this.showNotification('Нет данных для экспорта', 'warning');
+    toggleComparisonPanel() {
+        document.getElementById('comparison-panel').classList.toggle('hidden');
+    }
+
+    /**
+     * Оценить пересечение аудиторий показанных в таблице каналов
+     * Не больше 20 каналов: большая матрица не читается, а каждый канал стоит запроса
+     */
+    async estimateAudienceOverlap() {
+        const channels = this.resultsView.apply(this.analysisResults).filter(result => !result.error);
+        if (channels.length < 2) {
+            this.showNotification('Для сравнения нужно хотя бы два проанализированных канала', 'warning');
             return;
         }
 
-        try {
-            const data = this.analysisResults.map(result => ({
-                'Канал': result.title || result.channel,
-                'Username': result.username || result.channel,
-                'Подписчики': result.subscribers || 0,
-                'Средний охват': result.avgReach || 0,
-                'ER %': result.er || 0,
-                'Качество': result.quality || 0,
-                'Прогноз CPM': result.cpmForecast || 0,
-                'Реальный CPM': result.realCpm || '',
-                'Отклонение %': result.cpmDeviation || '',
-                'ИЦ': result.citationIndex || 0,
-                'Упоминания': result.mentions || 0,
-                'Репосты': result.reposts || 0,
-                'Посты': result.posts || 0,
-                'ERR 24h': result.err24h || 0,
-                'Категория': result.category || '',
-                'Статус': result.status || '',
-                'Дата анализа': new Date(result.analyzedAt).toLocaleString('ru-RU')
-            }));
+        if (!this.ensureApiAccess()) return;
 
-            const ws = XLSX.utils.json_to_sheet(data);
-            const wb = XLSX.utils.book_new();
-            XLSX.utils.book_append_sheet(wb, ws, 'Анализ каналов');
+        const compared = channels.slice(0, 20);
+        const button = document.getElementById('overlap-btn');
+        button.disabled = true;
+        document.getElementById('overlap-status').textContent = 'Загрузка упоминаний...';
 
-            const fileName = \`TG_Traffic_Master_Анализ_\${new Date().toISOString().slice(0, 10)}.xlsx\`;
-            XLSX.writeFile(wb, fileName);
+        try {
+            const overlap = await this.service.estimateAudienceOverlap(compared, {
+                projectId: this.currentProject ? this.currentProject.id : null
+            });
+            this.overlap = { ...overlap, skipped: channels.length - compared.length };
 
-            this.showNotification(\`Файл \${fileName} скачан\`, 'success');
+            if (overlap.errors.length > 0) this.showNotification(overlap.errors.join('; '), 'warning');
+            // Уникальный охват в карточке проекта считается по сохраненным упоминаниям
+            if (this.currentProject) this.loadSavedProjects();
+        } finally {
+            button.disabled = false;
+        }
 
-        } catch (error) {
-            console.error('Ошибка экспорта:', error);
-            this.showNotification('Ошибка при экспорте данных', 'error');
+        this.renderOverlap();
+    }
+
+    /**
+     * Матрица пересечений, итог уникального охвата и самые пересекающиеся пары
+     */
+    renderOverlap() {
+        const status = document.getElementById('overlap-status');
+        const container = document.getElementById('overlap-matrix');
+        const overlap = this.overlap;
+
+        if (!overlap) {
+            status.textContent = '';
+            container.innerHTML = '';
+            return;
         }
+
+        const { totalReach, uniqueReach, matrix } = overlap;
+        const lost = totalReach > 0 ? Math.round((totalReach - uniqueReach) / totalReach * 100) : 0;
+        status.textContent = `Суммарный охват ${this.formatNumber(totalReach)}, уникальный охват (оценка) ${this.formatNumber(uniqueReach)}, ` +
+            `на пересечение приходится ${lost}%` + (overlap.skipped > 0 ? `. Сравнены первые 20 каналов, не вошли: ${overlap.skipped}` : '');
+
+        const cellClass = value => value >= 0.3 ? 'overlap-high' : (value >= 0.15 ? 'overlap-medium' : 'overlap-low');
+        const reasons = ({ signals }) => [
+            signals.direct > 0 ? 'упоминают друг друга' : '',
+            signals.coCitation > 0 ? `общие упоминающие каналы ${Math.round(signals.coCitation * 100)}%` : '',
+            signals.sameCategory ? 'одна категория' : ''
+        ].filter(Boolean).join(', ') || 'нет общих признаков';
+
+        container.innerHTML = `
+            <table class="usage-table overlap-matrix">
+                <thead>
+                    <tr><th></th>${matrix.usernames.map(username => `<th>@${this.escapeHtml(username)}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${matrix.values.map((row, i) => `
+                        <tr>
+                            <th>@${this.escapeHtml(matrix.usernames[i])}</th>
+                            ${row.map((value, j) => i === j
+                                ? '<td class="overlap-self">—</td>'
+                                : `<td class="${cellClass(value)}">${Math.round(value * 100)}%</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <h4 class="details-block-title mt-4">Самые пересекающиеся пары</h4>
+            <ul class="list-disc ml-5">
+                ${overlap.pairs.slice(0, 5).map(pair => `
+                    <li>
+                        @${this.escapeHtml(pair.a)} и @${this.escapeHtml(pair.b)}: около ${this.formatNumber(pair.sharedReach)} общих читателей
+                        (${Math.round(pair.overlap * 100)}% меньшего канала) — ${reasons(pair)}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
     }
 
     /**
@@ -507,7 +2418,7 @@ class TGTrafficMaster {
             return;
         }
 
-        document.getElementById('project-name-input').value = \`Проект \${new Date().toLocaleDateString('ru-RU')}\`;
+        document.getElementById('project-name-input').value = `Проект ${new Date().toLocaleDateString('ru-RU')}`;
         document.getElementById('save-project-modal').classList.remove('hidden');
     }
 
@@ -534,17 +2445,17 @@ class TGTrafficMaster {
             return;
         }
 
-        const project = {
-            id: Date.now().toString(),
-            name: projectName,
-            channels: this.analysisResults,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
-
         try {
-            window.Storage.saveProject(project);
-            this.showNotification(\`Проект "\${projectName}" сохранен\`, 'success');
+            const project = this.service.saveProject(projectName, this.analysisResults, {
+                mentionedBy: this.overlap ? this.overlap.mentionedBy : null
+            });
+            if (!project) {
+                throw new Error('Не удалось записать проект в хранилище');
+            }
+
+            this.currentProject = project;
+            this.loadSavedProjects();
+            this.showNotification(`Проект "${projectName}" сохранен`, 'success');
             this.hideSaveProjectModal();
 
             // Переходим в раздел "В работе"
@@ -563,7 +2474,7 @@ class TGTrafficMaster {
      */
     loadSavedProjects() {
         try {
-            this.savedProjects = window.Storage.getProjects();
+            this.savedProjects = this.service.getProjects();
         } catch (error) {
             console.error('Ошибка загрузки проектов:', error);
             this.savedProjects = [];
@@ -595,41 +2506,166 @@ class TGTrafficMaster {
      * Создать карточку кампании
      */
     createCampaignCard(project) {
-        const channelsCount = project.channels.length;
-        const avgQuality = project.channels.reduce((sum, ch) => sum + (ch.quality || 0), 0) / channelsCount;
-        const totalReach = project.channels.reduce((sum, ch) => sum + (ch.avgReach || 0), 0);
+        const { channelsCount, avgQuality, totalReach, uniqueReach } = this.service.summarizeProject(project);
 
-        return \`
+        return `
             <div class="campaign-card">
-                <div class="campaign-title">\${project.name}</div>
+                <div class="campaign-title">${project.name}</div>
                 <div class="campaign-meta">
-                    <span><i class="fas fa-calendar mr-1"></i>\${new Date(project.createdAt).toLocaleDateString('ru-RU')}</span>
-                    <span><i class="fas fa-chart-bar mr-1"></i>\${channelsCount} каналов</span>
+                    <span><i class="fas fa-calendar mr-1"></i>${new Date(project.createdAt).toLocaleDateString('ru-RU')}</span>
+                    <span><i class="fas fa-chart-bar mr-1"></i>${channelsCount} каналов</span>
                 </div>
                 <div class="campaign-stats">
                     <div class="campaign-stat">
-                        <div class="campaign-stat-value">\${channelsCount}</div>
+                        <div class="campaign-stat-value">${channelsCount}</div>
                         <div class="campaign-stat-label">Каналов</div>
                     </div>
                     <div class="campaign-stat">
-                        <div class="campaign-stat-value">\${avgQuality.toFixed(0)}</div>
+                        <div class="campaign-stat-value">${avgQuality.toFixed(0)}</div>
                         <div class="campaign-stat-label">Ср. качество</div>
                     </div>
                     <div class="campaign-stat">
-                        <div class="campaign-stat-value">\${this.formatNumber(totalReach)}</div>
+                        <div class="campaign-stat-value">${this.formatNumber(totalReach)}</div>
                         <div class="campaign-stat-label">Общий охват</div>
                     </div>
+                    <div class="campaign-stat" title="Оценка с учетом пересечения аудиторий">
+                        <div class="campaign-stat-value">${this.formatNumber(uniqueReach)}</div>
+                        <div class="campaign-stat-label">Уникальный охват</div>
+                    </div>
                 </div>
+                ${this.createProjectKeySelect(project)}
+                ${this.createProjectProfileSelect(project)}
                 <div class="flex justify-between items-center mt-4">
-                    <button class="action-btn action-btn-primary" onclick="app.openProject('\${project.id}')">
+                    <button class="action-btn action-btn-primary" onclick="app.openProject('${project.id}')">
                         <i class="fas fa-eye mr-1"></i> Открыть
                     </button>
-                    <button class="action-btn action-btn-warning" onclick="app.deleteProject('\${project.id}')">
+                    <button class="action-btn action-btn-primary" onclick="app.reanalyzeProject('${project.id}')">
+                        <i class="fas fa-sync-alt mr-1"></i> Обновить
+                    </button>
+                    <button class="action-btn action-btn-warning" onclick="app.deleteProject('${project.id}')">
                         <i class="fas fa-trash mr-1"></i> Удалить
                     </button>
                 </div>
             </div>
-        \`;
+        `;
+    }
+
+    /**
+     * Выбор ключа для анализа проекта (оплата с конкретного тарифа), показывается при нескольких ключах
+     */
+    createProjectKeySelect(project) {
+        const keys = this.service.getApiKeys();
+        if (keys.length < 2 && !project.apiKeyId) return '';
+
+        const options = keys.map(key => `
+            <option value="${key.id}" ${key.id === project.apiKeyId ? 'selected' : ''}>${this.escapeHtml(key.label)}</option>
+        `).join('');
+
+        return `
+            <div class="mt-4">
+                <label class="filter-label">Ключ API для анализа</label>
+                <select class="filter-input w-full" onchange="app.setProjectApiKey('${project.id}', this.value)">
+                    <option value="" ${project.apiKeyId ? '' : 'selected'}>Любой (ротация ключей)</option>
+                    ${options}
+                </select>
+            </div>
+        `;
+    }
+
+    /**
+     * Свой профиль оценки проекта, показывается, когда есть профили кроме встроенного
+     */
+    createProjectProfileSelect(project) {
+        const profiles = this.service.getScoringProfiles();
+        if (profiles.length < 2 && !project.scoringProfileId) return '';
+
+        const options = profiles.map(profile => `
+            <option value="${profile.id}" ${profile.id === project.scoringProfileId ? 'selected' : ''}>${this.escapeHtml(profile.name)}</option>
+        `).join('');
+
+        return `
+            <div class="mt-4">
+                <label class="filter-label">Профиль оценки</label>
+                <select class="filter-input w-full" onchange="app.setProjectScoringProfile('${project.id}', this.value)">
+                    <option value="" ${project.scoringProfileId ? '' : 'selected'}>Активный профиль</option>
+                    ${options}
+                </select>
+            </div>
+        `;
+    }
+
+    /**
+     * Сменить профиль проекта: сохраненные результаты пересчитываются без запросов к TGStat
+     */
+    setProjectScoringProfile(projectId, profileId) {
+        const updated = this.service.setProjectScoringProfile(projectId, profileId);
+        if (!updated) {
+            this.showNotification('Не удалось сменить профиль проекта', 'error');
+            return;
+        }
+
+        if (this.currentProject && this.currentProject.id === projectId) {
+            this.currentProject = updated;
+            this.analysisResults = updated.channels;
+            this.displayResults(updated.channels);
+        }
+
+        this.loadSavedProjects();
+        const profile = this.service.getScoringProfile(updated.scoringProfileId || this.analytics.scoringProfile.id);
+        this.showNotification(`Проект пересчитан по профилю "${profile.name}"`, 'success');
+    }
+
+    setProjectApiKey(projectId, keyId) {
+        if (!this.service.setProjectApiKey(projectId, keyId)) {
+            this.showNotification('Не удалось сохранить ключ проекта', 'error');
+            return;
+        }
+
+        this.loadSavedProjects();
+        this.showNotification(keyId ? 'Анализ проекта будет идти через выбранный ключ' : 'Проект использует ротацию ключей', 'success');
+    }
+
+    /**
+     * Повторный анализ каналов проекта, с закрепленным за проектом ключом
+     */
+    async reanalyzeProject(projectId) {
+        const project = this.savedProjects.find(p => p.id === projectId);
+        if (!project || this.analysisInProgress) return;
+
+        if (this.service.isApiKeyLocked() && !this.service.usesServerKey()) {
+            this.showNotification('API ключ заблокирован. Введите парольную фразу', 'warning');
+            this.showUnlockModal();
+            return;
+        }
+
+        if (project.apiKeyId && !this.service.usesServerKey() && !this.service.getApiKeys().some(key => key.id === project.apiKeyId)) {
+            this.showNotification('Ключ проекта удален. Выберите другой ключ', 'error');
+            return;
+        }
+
+        const options = { forceRefresh: true, keyId: project.apiKeyId || null, scoringProfileId: project.scoringProfileId || null };
+        const channels = await this.checkRunQuota(project.channels.map(record => record.channel), options);
+        if (!channels) return;
+
+        this.currentProject = project;
+        this.showTab('evaluation');
+        await this.runAnalysis({ channels, results: [], options, projectId });
+    }
+
+    /**
+     * Обновить записи проекта свежими результатами, каналы без нового результата остаются как были
+     */
+    saveProjectResults(projectId, results) {
+        const project = this.service.getProjects().find(p => p.id === projectId);
+        if (!project) return;
+
+        const fresh = new Map(results.map(record => [record.channel, record]));
+        const updated = this.service.updateProjectChannels(projectId, project.channels.map(record => fresh.get(record.channel) || record));
+
+        if (updated) {
+            this.currentProject = updated;
+            this.loadSavedProjects();
+        }
     }
 
     /**
@@ -645,12 +2681,14 @@ class TGTrafficMaster {
         // Загружаем данные проекта
         this.analysisResults = project.channels;
         this.currentProject = project;
+        this.overlap = null;
+        this.renderOverlap();
 
         // Переходим в раздел "Оценка" и показываем результаты
         this.showTab('evaluation');
         this.displayResults(project.channels);
 
-        this.showNotification(\`Проект "\${project.name}" загружен\`, 'success');
+        this.showNotification(`Проект "${project.name}" загружен`, 'success');
     }
 
     /**
@@ -662,7 +2700,7 @@ class TGTrafficMaster {
         }
 
         try {
-            window.Storage.deleteProject(projectId);
+            this.service.deleteProject(projectId);
             this.loadCampaigns();
             this.showNotification('Проект удален', 'success');
         } catch (error) {
@@ -680,11 +2718,436 @@ class TGTrafficMaster {
         this.showNotification('Создайте новый анализ в разделе "Оценка"', 'info');
     }
 
+    /**
+     * Подбор каналов: поиск по ключевым словам и каналам рядом с исходным
+     */
+    async searchDiscovery() {
+        const keywords = document.getElementById('discovery-keywords').value.trim();
+        const seed = document.getElementById('discovery-seed').value.trim();
+
+        if (!keywords && !seed) {
+            this.showNotification('Введите ключевые слова или канал', 'warning');
+            return;
+        }
+
+        if (!this.ensureApiAccess()) return;
+
+        const button = document.getElementById('discovery-search-btn');
+        button.disabled = true;
+        document.getElementById('discovery-status').textContent = 'Поиск каналов...';
+
+        try {
+            const result = await this.service.discoverChannels({ keywords, seed });
+            this.discovery = { candidates: result.candidates, selected: new Set() };
+
+            if (result.errors.length > 0) {
+                this.showNotification(result.errors.join('; '), result.success ? 'warning' : 'error');
+            }
+        } finally {
+            button.disabled = false;
+        }
+
+        this.renderDiscovery();
+    }
+
+    getDiscoveryFilters() {
+        return {
+            minSubscribers: this.parseFilterNumber(document.getElementById('discovery-subscribers-min').value),
+            maxSubscribers: this.parseFilterNumber(document.getElementById('discovery-subscribers-max').value),
+            minReach: this.parseFilterNumber(document.getElementById('discovery-reach-min').value),
+            category: document.getElementById('discovery-category').value,
+            showExcluded: document.getElementById('discovery-show-excluded').checked
+        };
+    }
+
+    /**
+     * Кандидаты с учетом фильтров; каналы из проектов и черного списка выбрать нельзя
+     */
+    getVisibleCandidates() {
+        return this.service.filterCandidates(this.discovery.candidates, this.getDiscoveryFilters());
+    }
+
+    renderDiscovery() {
+        const { candidates, selected } = this.discovery;
+        const categorySelect = document.getElementById('discovery-category');
+        const categories = [...new Set(candidates.map(candidate => candidate.category).filter(Boolean))].sort();
+        const currentCategory = categorySelect.value;
+
+        categorySelect.innerHTML = `<option value="">Все категории</option>${categories.map(category => `
+            <option value="${this.escapeHtml(category)}">${this.escapeHtml(category)}</option>
+        `).join('')}`;
+        categorySelect.value = categories.includes(currentCategory) ? currentCategory : '';
+
+        const visible = this.getVisibleCandidates();
+        const selectedCount = visible.filter(candidate => selected.has(candidate.username)).length;
+        const container = document.getElementById('discovery-results');
+
+        document.getElementById('discovery-status').textContent = candidates.length > 0
+            ? `Найдено каналов: ${candidates.length}, показано: ${visible.length}, выбрано: ${selectedCount}`
+            : 'Введите ключевые слова или канал';
+        document.getElementById('discovery-add-btn').disabled = selectedCount === 0;
+
+        if (visible.length === 0) {
+            container.innerHTML = candidates.length > 0 ? '<p class="text-gray-500">Нет каналов под выбранные фильтры</p>' : '';
+            return;
+        }
+
+        const excludedLabel = { project: 'уже в проекте', blacklist: 'в черном списке' };
+        const metric = value => value === null ? '—' : this.formatNumber(value);
+
+        container.innerHTML = `
+            <table class="usage-table">
+                <thead>
+                    <tr>
+                        <th><input type="checkbox" onchange="app.selectAllDiscovery(this.checked)" ${selectedCount > 0 && selectedCount === visible.filter(candidate => !candidate.excluded).length ? 'checked' : ''}></th>
+                        <th>Канал</th><th>Подписчики</th><th>Охват поста</th><th>Категория</th><th>Источник</th><th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${visible.map(candidate => `
+                        <tr>
+                            <td>
+                                <input type="checkbox" onchange="app.toggleDiscoveryCandidate('${candidate.username}', this.checked)"
+                                    ${selected.has(candidate.username) ? 'checked' : ''} ${candidate.excluded ? 'disabled' : ''}>
+                            </td>
+                            <td>${this.escapeHtml(candidate.title)} <span class="text-gray-500">@${candidate.username}</span></td>
+                            <td>${metric(candidate.subscribers)}</td>
+                            <td>${metric(candidate.avgReach)}</td>
+                            <td>${this.escapeHtml(candidate.category || '—')}</td>
+                            <td class="text-gray-500">${this.escapeHtml(candidate.sources.join(', '))}</td>
+                            <td>
+                                ${candidate.excluded ? `<span class="text-gray-500">${excludedLabel[candidate.excluded]}</span>` : `
+                                    <button class="action-btn action-btn-warning" onclick="app.blacklistCandidate('${candidate.username}')" title="В черный список">
+                                        <i class="fas fa-ban"></i>
+                                    </button>
+                                `}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    toggleDiscoveryCandidate(username, checked) {
+        if (checked) {
+            this.discovery.selected.add(username);
+        } else {
+            this.discovery.selected.delete(username);
+        }
+        this.renderDiscovery();
+    }
+
+    selectAllDiscovery(checked) {
+        this.discovery.selected = new Set(checked
+            ? this.getVisibleCandidates().filter(candidate => !candidate.excluded).map(candidate => candidate.username)
+            : []);
+        this.renderDiscovery();
+    }
+
+    /**
+     * Выбранные каналы дописываются в поле ОЦЕНКИ, уже введенные каналы не повторяются
+     */
+    addDiscoveryToEvaluation() {
+        const channels = this.getVisibleCandidates()
+            .filter(candidate => this.discovery.selected.has(candidate.username) && !candidate.excluded)
+            .map(candidate => `@${candidate.username}`);
+
+        if (this.appendToEvaluation(channels)) this.discovery.selected = new Set();
+    }
+
+    /**
+     * Дописать каналы в поле ОЦЕНКИ без повторов и перейти к нему
+     */
+    appendToEvaluation(channels) {
+        const input = document.getElementById('channels-input');
+        const existing = this.parseChannelInput(input.value).map(channel => channel.toLowerCase());
+        const added = channels.filter(channel => !existing.includes(channel.toLowerCase()));
+
+        if (added.length === 0) {
+            this.showNotification('Выбранные каналы уже есть в списке для оценки', 'info');
+            return false;
+        }
+
+        input.value = [input.value.trim(), ...added].filter(Boolean).join('\n');
+        this.showTab('evaluation');
+        this.updateRunCostEstimate();
+        this.showNotification(`Добавлено каналов в оценку: ${added.length}`, 'success');
+        return true;
+    }
+
+    blacklistCandidate(username) {
+        if (!this.storage.addToBlacklist(username, 'Подбор каналов')) return;
+
+        this.discovery.selected.delete(username);
+        this.refreshDiscoveryExclusions();
+    }
+
+    removeFromBlacklist(entryId) {
+        if (!this.storage.removeFromBlacklist(entryId)) return;
+        this.refreshDiscoveryExclusions();
+    }
+
+    refreshDiscoveryExclusions() {
+        const excluded = this.service.getExcludedChannels();
+        this.discovery.candidates = this.discovery.candidates.map(candidate => ({
+            ...candidate,
+            excluded: excluded.get(candidate.username.toLowerCase()) || null
+        }));
+        this.renderDiscovery();
+        this.renderBlacklist();
+    }
+
+    renderBlacklist() {
+        const container = document.getElementById('discovery-blacklist');
+        const blacklist = this.storage.getBlacklist();
+
+        if (blacklist.length === 0) {
+            container.innerHTML = '<p class="text-gray-500">Черный список пуст</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="usage-table">
+                <thead><tr><th>Канал</th><th>Причина</th><th>Добавлен</th><th></th></tr></thead>
+                <tbody>
+                    ${blacklist.map(entry => `
+                        <tr>
+                            <td>@${this.escapeHtml(entry.username)}</td>
+                            <td>${this.escapeHtml(entry.reason || '—')}</td>
+                            <td>${new Date(entry.addedAt).toLocaleDateString('ru-RU')}</td>
+                            <td>
+                                <button class="action-btn action-btn-primary" onclick="app.removeFromBlacklist('${entry.id}')" title="Убрать из черного списка">
+                                    <i class="fas fa-undo"></i>
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Сеть упоминаний: обход /channels/mentions от исходных каналов
+     */
+    async buildMentionNetwork() {
+        const seeds = this.parseChannelInput(document.getElementById('network-seeds').value);
+        if (seeds.length === 0) {
+            this.showNotification('Введите каналы, с которых начать', 'warning');
+            return;
+        }
+
+        if (!this.ensureApiAccess()) return;
+
+        const settings = this.storage.getUserSettings();
+        const depth = Math.min(4, Math.max(1, parseInt(document.getElementById('network-depth').value, 10) || settings.networkDepth));
+        const status = document.getElementById('network-status');
+        const button = document.getElementById('network-build-btn');
+
+        button.disabled = true;
+        status.textContent = 'Построение сети...';
+
+        try {
+            const result = await this.service.buildMentionNetwork(seeds, {
+                depth,
+                maxChannels: settings.networkMaxChannels,
+                onProgress: ({ crawled, queued }) => {
+                    status.textContent = `Построение сети: запрошено каналов ${crawled}, в очереди ${queued}`;
+                }
+            });
+
+            this.mentionGraph = result.graph;
+            this.selectedNetworkNode = null;
+
+            let text = `Запрошено каналов: ${result.crawled}`;
+            if (result.pending > 0) text += `, не обойдено: ${result.pending} (лимит каналов в настройках)`;
+            status.textContent = text;
+
+            if (result.errors.length > 0) this.showNotification(result.errors.join('; '), 'warning');
+        } finally {
+            button.disabled = false;
+        }
+
+        this.renderMentionNetwork();
+    }
+
+    /**
+     * Граф: цвет — кластер, размер — вес канала как хаба, красная обводка — кольцо взаимного пиара
+     */
+    renderMentionNetwork() {
+        const container = document.getElementById('network-graph');
+        const summary = document.getElementById('network-summary');
+
+        if (!this.mentionGraph) this.mentionGraph = this.service.getMentionGraph();
+        const graph = this.mentionGraph;
+
+        if (!graph || graph.nodes.size === 0) {
+            container.innerHTML = '<p class="text-gray-500">Сеть еще не построена</p>';
+            summary.innerHTML = '';
+            this.renderNetworkDetails();
+            return;
+        }
+
+        const width = 720;
+        const height = 480;
+        const positions = graph.layout(width, height);
+        const clusters = graph.getClusters();
+        const rings = graph.getRings();
+        const hubs = graph.getHubs(graph.nodes.size);
+
+        const palette = ['#6366f1', '#10b981', '#f59e0b', '#3b82f6', '#ec4899', '#14b8a6', '#8b5cf6', '#84cc16'];
+        const clusterOf = new Map();
+        clusters.forEach((members, index) => members.forEach(name => clusterOf.set(name, index)));
+        const ringMembers = new Set(rings.flatMap(ring => ring.members));
+        const maxScore = hubs.length > 0 ? hubs[0].score : 1;
+        const scoreOf = new Map(hubs.map(hub => [hub.username, hub.score]));
+
+        const selected = this.selectedNetworkNode;
+        const focus = selected ? new Set([selected, ...graph.getNeighbors(selected)]) : null;
+        const opacity = names => !focus || names.every(name => focus.has(name)) ? 1 : 0.15;
+
+        const edges = [...graph.edges.values()].map(({ from, to, weight }) => {
+            const a = positions.get(from);
+            const b = positions.get(to);
+            const inRing = ringMembers.has(from) && ringMembers.has(to) && graph.getEdge(to, from);
+            return `<line x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}"
+                stroke="${inRing ? '#dc2626' : '#9ca3af'}" stroke-width="${(1 + Math.log2(weight)).toFixed(1)}"
+                opacity="${opacity([from, to])}" marker-end="url(#network-arrow)"><title>@${from} → @${to}: ${weight}</title></line>`;
+        }).join('');
+
+        const nodes = [...graph.nodes.values()].map(node => {
+            const { x, y } = positions.get(node.username);
+            const radius = 6 + 14 * (scoreOf.get(node.username) || 0) / maxScore;
+            return `
+                <g class="network-node" onclick="app.selectNetworkNode('${node.username}')" opacity="${opacity([node.username])}">
+                    <circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${radius.toFixed(1)}" fill="${palette[clusterOf.get(node.username) % palette.length]}"
+                        stroke="${ringMembers.has(node.username) ? '#dc2626' : '#ffffff'}" stroke-width="${node.username === selected ? 4 : 2}"></circle>
+                    <text x="${x.toFixed(1)}" y="${(y - radius - 4).toFixed(1)}" text-anchor="middle">@${node.username}</text>
+                    <title>${this.escapeHtml(node.title)}</title>
+                </g>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" width="100%">
+                <defs>
+                    <marker id="network-arrow" viewBox="0 0 10 10" refX="18" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                        <path d="M0,0 L10,5 L0,10 z" fill="#9ca3af"></path>
+                    </marker>
+                </defs>
+                ${edges}
+                ${nodes}
+            </svg>
+        `;
+
+        summary.innerHTML = `
+            <p class="text-gray-600 mb-2">Каналов: ${graph.nodes.size}, связей: ${graph.edges.size}, кластеров: ${clusters.length}</p>
+            <h4 class="font-semibold mt-3 mb-1">Хабы</h4>
+            ${hubs.filter(hub => hub.mentionedBy > 0).slice(0, 5).map(hub => `
+                <p>@${hub.username} <span class="text-gray-500">— упоминают каналов: ${hub.mentionedBy}</span></p>
+            `).join('') || '<p class="text-gray-500">Нет</p>'}
+            <h4 class="font-semibold mt-3 mb-1">Кольца взаимного пиара</h4>
+            ${rings.map(ring => `
+                <p class="${ring.insularity >= 0.7 ? 'text-red-600' : ''}">
+                    ${ring.members.map(name => `@${name}`).join(', ')}
+                    <span class="text-gray-500">— ${Math.round(ring.insularity * 100)}% упоминаний изнутри${ring.insularity >= 0.7 ? ', замкнутое' : ''}</span>
+                </p>
+            `).join('') || '<p class="text-gray-500">Нет</p>'}
+        `;
+
+        this.renderNetworkDetails();
+    }
+
+    /**
+     * Клик по каналу выделяет его соседей, повторный клик снимает выделение
+     */
+    selectNetworkNode(username) {
+        this.selectedNetworkNode = this.selectedNetworkNode === username ? null : username;
+        this.renderMentionNetwork();
+    }
+
+    renderNetworkDetails() {
+        const container = document.getElementById('network-details');
+        const graph = this.mentionGraph;
+        const username = this.selectedNetworkNode;
+
+        if (!graph || !username || !graph.nodes.has(username)) {
+            container.innerHTML = graph ? '<p class="text-gray-500">Нажмите на канал, чтобы увидеть его связи</p>' : '';
+            return;
+        }
+
+        const edges = [...graph.edges.values()].sort((a, b) => b.weight - a.weight);
+        const list = items => items.join(', ') || '—';
+        const mentionedBy = edges.filter(edge => edge.to === username).map(edge => `@${edge.from} (${edge.weight})`);
+        const mentions = edges.filter(edge => edge.from === username).map(edge => `@${edge.to} (${edge.weight})`);
+        const cluster = graph.getClusters().find(members => members.includes(username));
+
+        container.innerHTML = `
+            <h4 class="font-semibold">${this.escapeHtml(graph.nodes.get(username).title)} <span class="text-gray-500">@${username}</span></h4>
+            <p>Упоминают: ${list(mentionedBy)}</p>
+            <p>Упоминает: ${list(mentions)}</p>
+            <p>Кластер: ${cluster.map(name => `@${name}`).join(', ')}</p>
+            <button class="action-btn action-btn-primary mt-2" onclick="app.addNetworkClusterToEvaluation('${username}')" title="Каналы кластера в оценку">
+                <i class="fas fa-arrow-right"></i>
+            </button>
+        `;
+    }
+
+    /**
+     * Кластер выбранного канала в ОЦЕНКУ, кроме каналов из проектов и черного списка
+     */
+    addNetworkClusterToEvaluation(username) {
+        const cluster = this.mentionGraph.getClusters().find(members => members.includes(username)) || [];
+        const excluded = this.service.getExcludedChannels();
+        this.appendToEvaluation(cluster.filter(name => !excluded.has(name)).map(name => `@${name}`));
+    }
+
+    /**
+     * Есть ли чем авторизовать запросы; заблокированный ключ предлагается разблокировать
+     * Встроенному прокси ключ в браузере не нужен
+     */
+    ensureApiAccess() {
+        if (this.service.isApiKeyLocked() && !this.service.usesServerKey()) {
+            this.showNotification('API ключ заблокирован. Введите парольную фразу', 'warning');
+            this.showUnlockModal();
+            return false;
+        }
+
+        if (!this.service.hasApiKey()) {
+            this.showNotification('API ключ TGStat не настроен. Проверьте настройки.', 'error');
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Встроенный прокси запускается отдельно (npm run proxy): если он не отвечает, сообщаем сразу,
+     * а не ошибкой сети на первом канале
+     */
+    async checkBundledProxy() {
+        if (!this.service.usesServerKey()) {
+            this.bundledProxyStatus = null;
+            return;
+        }
+
+        const status = await this.service.checkBundledProxy();
+        this.bundledProxyStatus = status;
+        this.renderApiKeyStatus();
+
+        if (!status.available) {
+            this.showNotification(`Встроенный прокси не отвечает (${status.url}). Запустите npm run proxy или выберите другое подключение в НАСТРОЙКАХ`, 'warning');
+        } else if (!status.hasKey) {
+            this.showNotification('Встроенный прокси запущен без TGSTAT_API_KEY', 'warning');
+        }
+    }
+
     /**
      * Проверить API ключ
      */
     checkApiKey() {
-        if (!window.TGStatAPI || !window.TGStatAPI.hasValidToken()) {
+        if (!this.service.hasApiKey()) {
             console.warn('API ключ TGStat не настроен');
             // Можно показать уведомление или модальное окно настройки
         }
@@ -711,6 +3174,9 @@ class TGTrafficMaster {
         const analyzeBtn = document.getElementById('analyze-btn');
         const clearBtn = document.getElementById('clear-btn');
 
+        // Кнопка отмены видна только во время анализа
+        document.getElementById('cancel-analysis-btn').classList.toggle('hidden', enabled);
+
         if (enabled) {
             analyzeBtn.disabled = false;
             analyzeBtn.classList.remove('opacity-50', 'cursor-not-allowed');
@@ -730,6 +3196,21 @@ class TGTrafficMaster {
     hideAllModals() {
         document.getElementById('save-project-modal').classList.add('hidden');
         document.getElementById('real-cpm-modal').classList.add('hidden');
+        this.hideChannelDetails();
+        this.hideRestoreModal();
+        this.hideApiKeyModal();
+        this.hideUnlockModal();
+    }
+
+    /**
+     * Экранирование текста из внешних файлов перед вставкой в разметку
+     */
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
     }
 
     /**
@@ -744,9 +3225,11 @@ class TGTrafficMaster {
      * Получить класс для качества
      */
     getQualityClass(quality) {
-        if (quality >= 80) return 'quality-excellent';
-        if (quality >= 60) return 'quality-good';
-        if (quality >= 40) return 'quality-average';
+        const thresholds = this.analytics.scoringProfile.statusThresholds;
+
+        if (quality >= thresholds.excellent) return 'quality-excellent';
+        if (quality >= thresholds.good) return 'quality-good';
+        if (quality >= thresholds.average) return 'quality-average';
         return 'quality-poor';
     }
 
@@ -768,12 +3251,15 @@ class TGTrafficMaster {
      * Показать уведомление
      */
     showNotification(message, type = 'info') {
+        // Уведомления об успехе можно отключить в настройках, предупреждения и ошибки показываются всегда
+        if ((type === 'success' || type === 'info') && !this.storage.getUserSettings().notificationsEnabled) return;
+
         const notification = document.createElement('div');
-        notification.className = \`notification notification-\${type}\`;
-        notification.innerHTML = \`
-            <i class="fas \${this.getNotificationIcon(type)} mr-2"></i>
-            \${message}
-        \`;
+        notification.className = `notification notification-${type}`;
+        notification.innerHTML = `
+            <i class="fas ${this.getNotificationIcon(type)} mr-2"></i>
+            ${message}
+        `;
 
         document.body.appendChild(notification);
 
@@ -805,6 +3291,9 @@ class TGTrafficMaster {
     }
 }
 
+// Export for use in other modules
+window.TGTrafficMaster = TGTrafficMaster;
+
 // Инициализация приложения при загрузке страницы
 let app;
 document.addEventListener('DOMContentLoaded', () => {
@@ -0,0 +1,315 @@
+/**
+ * API Response Cache Module
+ * Persists TGStat responses in IndexedDB with per-endpoint TTLs and LRU eviction
+ */
+
+class TGStatCache {
+    constructor(options = {}) {
+        this.dbName = 'tg_traffic_cache';
+        this.storeName = 'responses';
+        this.dbVersion = 1;
+
+        this.enabled = options.enabled !== undefined ? options.enabled : true;
+        this.defaultTtl = options.defaultTtl || 3600000; // 1 hour
+        this.maxSize = options.maxSize || 100;
+
+        // TTL per endpoint path, 0 disables caching for the endpoint
+        this.ttlByEndpoint = {
+            '/usage': 0,
+            '/channels/get': 24 * 3600000,
+            '/channels/stat': 6 * 3600000,
+            '/channels/posts': 3600000,
+            '/channels/search': 6 * 3600000,
+            '/channels/mentions': 12 * 3600000,
+            ...(options.ttlByEndpoint || {})
+        };
+
+        this.dbPromise = null;
+        this.memoryStore = new Map(); // Fallback when IndexedDB is unavailable
+    }
+
+    /**
+     * Apply cache settings (cacheEnabled, cacheTtl, cacheMaxSize, cacheTtlByEndpoint)
+     */
+    configure(settings = {}) {
+        if (settings.cacheEnabled !== undefined) this.enabled = settings.cacheEnabled;
+        if (settings.cacheTtl) this.defaultTtl = settings.cacheTtl;
+        if (settings.cacheMaxSize) this.maxSize = settings.cacheMaxSize;
+        if (settings.cacheTtlByEndpoint) {
+            this.ttlByEndpoint = { ...this.ttlByEndpoint, ...settings.cacheTtlByEndpoint };
+        }
+    }
+
+    /**
+     * Get TTL for an endpoint (query string is ignored)
+     */
+    getTtl(endpoint) {
+        const path = endpoint.split('?')[0];
+        const ttl = this.ttlByEndpoint[path];
+        return ttl !== undefined ? ttl : this.defaultTtl;
+    }
+
+    /**
+     * Check whether responses of an endpoint may be cached
+     */
+    isCacheable(endpoint) {
+        return this.enabled && this.getTtl(endpoint) > 0;
+    }
+
+    /**
+     * Get cached response, returns { data, storedAt } or null when missing or expired
+     */
+    async get(endpoint) {
+        if (!this.isCacheable(endpoint)) return null;
+
+        try {
+            const entry = await this.readEntry(endpoint);
+            if (!entry) return null;
+
+            if (Date.now() - entry.storedAt > this.getTtl(endpoint)) {
+                await this.delete(endpoint);
+                return null;
+            }
+
+            // Touch entry for LRU ordering
+            entry.lastAccess = Date.now();
+            await this.writeEntry(entry);
+
+            return {
+                data: entry.data,
+                storedAt: entry.storedAt
+            };
+        } catch (error) {
+            console.error(`Error reading cache (${endpoint}):`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Check for a fresh cached response without touching the LRU order
+     */
+    async has(endpoint) {
+        if (!this.isCacheable(endpoint)) return false;
+
+        try {
+            const entry = await this.readEntry(endpoint);
+            return Boolean(entry) && Date.now() - entry.storedAt <= this.getTtl(endpoint);
+        } catch (error) {
+            console.error(`Error reading cache (${endpoint}):`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Fresh cached endpoints among the given ones, read in a single transaction
+     */
+    async hasMany(endpoints) {
+        const keys = [...new Set(endpoints)].filter(endpoint => this.isCacheable(endpoint));
+
+        try {
+            const entries = await this.readEntries(keys);
+            return new Set(entries
+                .filter(entry => entry && Date.now() - entry.storedAt <= this.getTtl(entry.key))
+                .map(entry => entry.key));
+        } catch (error) {
+            console.error('Error reading cache:', error);
+            return new Set();
+        }
+    }
+
+    /**
+     * Store response for an endpoint
+     */
+    async set(endpoint, data) {
+        if (!this.isCacheable(endpoint)) return false;
+
+        try {
+            const now = Date.now();
+            await this.writeEntry({
+                key: endpoint,
+                data,
+                storedAt: now,
+                lastAccess: now
+            });
+            await this.evict();
+            return true;
+        } catch (error) {
+            console.error(`Error writing cache (${endpoint}):`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove cached response for an endpoint
+     */
+    async delete(endpoint) {
+        const db = await this.openDatabase();
+
+        if (!db) {
+            this.memoryStore.delete(endpoint);
+            return true;
+        }
+
+        await this.runTransaction(db, 'readwrite', store => store.delete(endpoint));
+        return true;
+    }
+
+    /**
+     * Remove all cached responses
+     */
+    async clear() {
+        const db = await this.openDatabase();
+
+        if (!db) {
+            this.memoryStore.clear();
+            return true;
+        }
+
+        await this.runTransaction(db, 'readwrite', store => store.clear());
+        return true;
+    }
+
+    /**
+     * Get number of cached responses
+     */
+    async size() {
+        const db = await this.openDatabase();
+
+        if (!db) {
+            return this.memoryStore.size;
+        }
+
+        return this.runTransaction(db, 'readonly', store => store.count());
+    }
+
+    /**
+     * Drop least recently used entries above maxSize
+     */
+    async evict() {
+        const db = await this.openDatabase();
+
+        if (!db) {
+            const overflow = this.memoryStore.size - this.maxSize;
+            if (overflow > 0) {
+                [...this.memoryStore.values()]
+                    .sort((a, b) => a.lastAccess - b.lastAccess)
+                    .slice(0, overflow)
+                    .forEach(entry => this.memoryStore.delete(entry.key));
+            }
+            return;
+        }
+
+        const count = await this.runTransaction(db, 'readonly', store => store.count());
+        let overflow = count - this.maxSize;
+        if (overflow <= 0) return;
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readwrite');
+            const cursorRequest = transaction.objectStore(this.storeName).index('lastAccess').openCursor();
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor && overflow > 0) {
+                    cursor.delete();
+                    overflow--;
+                    cursor.continue();
+                }
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Low-level entry access
+     */
+    async readEntry(key) {
+        const db = await this.openDatabase();
+
+        if (!db) {
+            const entry = this.memoryStore.get(key);
+            return entry ? { ...entry } : null;
+        }
+
+        const entry = await this.runTransaction(db, 'readonly', store => store.get(key));
+        return entry || null;
+    }
+
+    async readEntries(keys) {
+        if (keys.length === 0) return [];
+
+        const db = await this.openDatabase();
+
+        if (!db) {
+            return keys.map(key => this.memoryStore.get(key) || null);
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readonly');
+            const store = transaction.objectStore(this.storeName);
+            const requests = keys.map(key => store.get(key));
+
+            transaction.oncomplete = () => resolve(requests.map(request => request.result || null));
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async writeEntry(entry) {
+        const db = await this.openDatabase();
+
+        if (!db) {
+            this.memoryStore.set(entry.key, entry);
+            return;
+        }
+
+        await this.runTransaction(db, 'readwrite', store => store.put(entry));
+    }
+
+    /**
+     * Open IndexedDB database, resolves to null when IndexedDB is unavailable
+     */
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        if (typeof indexedDB === 'undefined') {
+            this.dbPromise = Promise.resolve(null);
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise(resolve => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
+                    store.createIndex('lastAccess', 'lastAccess');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('Error opening cache database:', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request inside a transaction and resolve with its result
+     */
+    runTransaction(db, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+
+// Export for use in other modules
+window.TGStatCache = TGStatCache;
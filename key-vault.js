@@ -0,0 +1,269 @@
+/**
+ * API Key Vault Module
+ * Keeps the pool of TGStat API keys encrypted at rest: AES-GCM with a key derived from
+ * the user's passphrase (PBKDF2), decrypted only in memory and locked after inactivity
+ */
+
+class ApiKeyVault {
+    constructor({ storage, crypto = window.crypto, iterations = 310000, autoLockMinutes = 15 } = {}) {
+        this.storage = storage;
+        this.crypto = crypto;
+        this.iterations = iterations; // PBKDF2-SHA-256, OWASP recommendation
+        this.autoLockMinutes = autoLockMinutes;
+
+        this.keys = null; // decrypted pool [{ id, label, key }], only while unlocked
+        this.cryptoKey = null; // derived AES key, kept while unlocked to re-encrypt the pool
+        this.salt = null;
+        this.keyIterations = iterations;
+        this.lockTimer = null;
+        this.lockListeners = [];
+    }
+
+    /**
+     * Masked key for display: first and last 4 characters
+     */
+    static maskKey(apiKey) {
+        if (!apiKey) return '';
+        if (apiKey.length <= 8) return '•'.repeat(apiKey.length);
+        return `${apiKey.slice(0, 4)}${'•'.repeat(8)}${apiKey.slice(-4)}`;
+    }
+
+    static isAvailable(crypto = window.crypto) {
+        return Boolean(crypto && crypto.subtle);
+    }
+
+    isEncrypted() {
+        return Boolean(this.storage.getEncryptedApiKey());
+    }
+
+    hasKey() {
+        return this.isEncrypted() || Boolean(this.storage.getApiKey());
+    }
+
+    isLocked() {
+        return this.isEncrypted() && this.keys === null;
+    }
+
+    /**
+     * Primary key (first in the pool): decrypted key, a legacy plain key, or '' while locked
+     */
+    getKey() {
+        const [primary] = this.getKeys();
+        return primary ? primary.key : '';
+    }
+
+    /**
+     * Key pool in failover order, empty while locked
+     * A legacy plain key is a pool of one
+     */
+    getKeys() {
+        if (this.isEncrypted()) return this.keys || [];
+
+        const apiKey = this.storage.getApiKey();
+        return apiKey ? [{ id: ApiKeyVault.PRIMARY_KEY_ID, label: 'Основной', key: apiKey }] : [];
+    }
+
+    /**
+     * Encrypt and store the primary key with a new passphrase; the vault stays unlocked with it
+     * Other keys of an unlocked pool are kept
+     */
+    async saveKey(apiKey, passphrase) {
+        if (!passphrase) throw new Error('Парольная фраза не задана');
+
+        const [primary, ...others] = this.keys || [];
+        const keys = [
+            { id: primary ? primary.id : ApiKeyVault.PRIMARY_KEY_ID, label: primary ? primary.label : 'Основной', key: apiKey },
+            ...others
+        ];
+
+        const salt = this.crypto.getRandomValues(new Uint8Array(16));
+        const cryptoKey = await this.deriveKey(passphrase, salt, this.iterations);
+        if (!(await this.storeKeys(keys, cryptoKey, salt, this.iterations))) return false;
+
+        this.setUnlocked(keys, cryptoKey, salt, this.iterations);
+        return true;
+    }
+
+    /**
+     * Add a key to the unlocked pool, it is used after the keys added before it
+     */
+    async addKey({ label, key }) {
+        this.assertWritable();
+        if (this.keys.some(entry => entry.key === key)) throw new Error('Такой ключ уже добавлен');
+
+        const entry = { id: this.storage.generateId(), label: label || `Ключ ${this.keys.length + 1}`, key };
+        const keys = [...this.keys, entry];
+        if (!(await this.storeKeys(keys, this.cryptoKey, this.salt, this.keyIterations))) return null;
+
+        this.keys = keys;
+        this.touch();
+        return entry;
+    }
+
+    /**
+     * Remove one key from the unlocked pool, removing the last key removes the pool
+     */
+    async deleteKey(keyId) {
+        this.assertWritable();
+
+        const keys = this.keys.filter(entry => entry.id !== keyId);
+        if (keys.length === this.keys.length) return false;
+        if (keys.length === 0) return this.remove();
+        if (!(await this.storeKeys(keys, this.cryptoKey, this.salt, this.keyIterations))) return false;
+
+        this.keys = keys;
+        this.touch();
+        return true;
+    }
+
+    /**
+     * Decrypt the stored pool, returns the primary key or null for a wrong passphrase
+     */
+    async unlock(passphrase) {
+        const record = this.storage.getEncryptedApiKey();
+        if (!record) return null;
+
+        try {
+            const salt = this.fromBase64(record.salt);
+            const cryptoKey = await this.deriveKey(passphrase, salt, record.iterations);
+            const plaintext = await this.decrypt(record, cryptoKey);
+
+            this.setUnlocked(this.parsePayload(plaintext), cryptoKey, salt, record.iterations);
+            return this.getKey();
+        } catch (error) {
+            // AES-GCM fails authentication when the derived key is wrong
+            console.warn('API key unlock failed:', error.name);
+            return null;
+        }
+    }
+
+    lock(reason = 'manual') {
+        if (this.lockTimer) clearTimeout(this.lockTimer);
+        this.lockTimer = null;
+
+        if (this.keys === null) return;
+        this.keys = null;
+        this.cryptoKey = null;
+        this.salt = null;
+        this.lockListeners.forEach(listener => listener(reason));
+    }
+
+    /**
+     * Subscribe to locks, the listener receives 'manual' or 'inactivity'
+     */
+    onLock(listener) {
+        this.lockListeners.push(listener);
+    }
+
+    /**
+     * Auto-lock delay in minutes, 0 disables auto-lock
+     */
+    setAutoLock(minutes) {
+        this.autoLockMinutes = minutes;
+        this.touch();
+    }
+
+    /**
+     * Register user activity: restarts the inactivity timer while unlocked
+     */
+    touch() {
+        if (this.lockTimer) clearTimeout(this.lockTimer);
+        this.lockTimer = null;
+
+        if (this.keys === null || !this.autoLockMinutes) return;
+
+        this.lockTimer = setTimeout(() => this.lock('inactivity'), this.autoLockMinutes * 60000);
+        if (this.lockTimer.unref) this.lockTimer.unref();
+    }
+
+    remove() {
+        this.lock();
+        return this.storage.removeApiKey();
+    }
+
+    setUnlocked(keys, cryptoKey, salt, iterations) {
+        this.keys = keys;
+        this.cryptoKey = cryptoKey;
+        this.salt = salt;
+        this.keyIterations = iterations;
+        this.touch();
+    }
+
+    assertWritable() {
+        if (!this.isEncrypted()) throw new Error('Сохраните ключ с парольной фразой, чтобы добавить другие ключи');
+        if (this.isLocked()) throw new Error('Ключи заблокированы. Введите парольную фразу');
+    }
+
+    async storeKeys(keys, cryptoKey, salt, iterations) {
+        const record = await this.encrypt(JSON.stringify({ keys }), cryptoKey, salt, iterations);
+        return this.storage.setEncryptedApiKey(record);
+    }
+
+    /**
+     * Records saved before the pool hold a single key as plain text
+     */
+    parsePayload(plaintext) {
+        try {
+            const payload = JSON.parse(plaintext);
+            if (payload && Array.isArray(payload.keys)) return payload.keys;
+        } catch (error) {
+            // Not JSON: a single key
+        }
+
+        return [{ id: ApiKeyVault.PRIMARY_KEY_ID, label: 'Основной', key: plaintext }];
+    }
+
+    /**
+     * Stored record: only the ciphertext and the parameters needed to derive the key again
+     */
+    async encrypt(plaintext, cryptoKey, salt, iterations) {
+        const iv = this.crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await this.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, cryptoKey, new TextEncoder().encode(plaintext));
+
+        return {
+            version: 1,
+            kdf: 'PBKDF2-SHA-256',
+            iterations,
+            cipher: 'AES-GCM',
+            salt: this.toBase64(salt),
+            iv: this.toBase64(iv),
+            data: this.toBase64(new Uint8Array(ciphertext))
+        };
+    }
+
+    async decrypt(record, cryptoKey) {
+        const plaintext = await this.crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(record.iv) },
+            cryptoKey,
+            this.fromBase64(record.data)
+        );
+
+        return new TextDecoder().decode(plaintext);
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await this.crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+
+        return this.crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    fromBase64(value) {
+        return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+    }
+}
+
+// Id of the first key, also used for a legacy plain key
+ApiKeyVault.PRIMARY_KEY_ID = 'primary';
+
+// Export for use in other modules
+window.ApiKeyVault = ApiKeyVault;
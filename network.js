@@ -0,0 +1,317 @@
+/**
+ * Mention Network Module
+ * Weighted directed graph of channel mentions: an edge from → to means `from` mentioned `to`
+ * weight times. Finds clusters, mutual-promotion rings and hub channels, and lays the graph out
+ */
+
+class MentionGraph {
+    constructor({ nodes = [], edges = [], seeds = [], depth = 0, builtAt = null } = {}) {
+        this.nodes = new Map(); // username -> { username, title, depth }
+        this.edges = new Map(); // 'from>to' -> { from, to, weight }
+        this.seeds = seeds;
+        this.depth = depth;
+        this.builtAt = builtAt;
+
+        nodes.forEach(node => this.addNode(node.username, node));
+        edges.forEach(edge => this.addEdge(edge.from, edge.to, edge.weight));
+    }
+
+    /**
+     * Add a channel or update its title; the smallest crawl depth is kept
+     */
+    addNode(username, { title = null, depth = null } = {}) {
+        const node = this.nodes.get(username) || { username, title: username, depth };
+
+        if (title) node.title = title;
+        if (depth !== null && (node.depth === null || depth < node.depth)) node.depth = depth;
+
+        this.nodes.set(username, node);
+        return node;
+    }
+
+    /**
+     * Add a mention edge, repeated edges keep the larger weight (the same mentions seen twice)
+     */
+    addEdge(from, to, weight = 1) {
+        if (from === to) return;
+        if (!this.nodes.has(from)) this.addNode(from);
+        if (!this.nodes.has(to)) this.addNode(to);
+
+        const key = `${from}>${to}`;
+        const edge = this.edges.get(key);
+        this.edges.set(key, { from, to, weight: Math.max(weight, edge ? edge.weight : 0) });
+    }
+
+    getEdge(from, to) {
+        return this.edges.get(`${from}>${to}`) || null;
+    }
+
+    /**
+     * Channels connected to the given one in either direction
+     */
+    getNeighbors(username) {
+        const neighbors = new Set();
+
+        this.edges.forEach(edge => {
+            if (edge.from === username) neighbors.add(edge.to);
+            if (edge.to === username) neighbors.add(edge.from);
+        });
+
+        return [...neighbors];
+    }
+
+    /**
+     * Clusters by weighted label propagation on the undirected graph
+     * Deterministic: nodes are visited in name order and ties go to the smallest label
+     *
+     * @returns {Array<string[]>} members of each cluster, largest first
+     */
+    getClusters(maxIterations = 20) {
+        const names = [...this.nodes.keys()].sort();
+        const labels = new Map(names.map(name => [name, name]));
+        const weights = new Map(names.map(name => [name, new Map()]));
+
+        this.edges.forEach(({ from, to, weight }) => {
+            weights.get(from).set(to, (weights.get(from).get(to) || 0) + weight);
+            weights.get(to).set(from, (weights.get(to).get(from) || 0) + weight);
+        });
+
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            let changed = false;
+
+            names.forEach(name => {
+                const scores = new Map();
+                weights.get(name).forEach((weight, neighbor) => {
+                    const label = labels.get(neighbor);
+                    scores.set(label, (scores.get(label) || 0) + weight);
+                });
+                if (scores.size === 0) return;
+
+                const [best] = [...scores.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+                if (best[0] !== labels.get(name)) {
+                    labels.set(name, best[0]);
+                    changed = true;
+                }
+            });
+
+            if (!changed) break;
+        }
+
+        const clusters = new Map();
+        names.forEach(name => {
+            const label = labels.get(name);
+            clusters.set(label, [...(clusters.get(label) || []), name]);
+        });
+
+        return [...clusters.values()].sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]));
+    }
+
+    /**
+     * Mutual-promotion rings: strongly connected groups, every member is reachable from every other by mentions
+     * insularity is the share of the members' incoming mentions that come from inside the ring,
+     * close to 1 means the channels are promoted almost only by each other
+     *
+     * @returns {Array<{members: string[], weight: number, insularity: number}>}
+     */
+    getRings() {
+        return this.getStronglyConnected()
+            .filter(members => members.length > 1)
+            .map(members => {
+                const inside = new Set(members);
+                let internal = 0;
+                let incoming = 0;
+
+                this.edges.forEach(({ from, to, weight }) => {
+                    if (!inside.has(to)) return;
+                    incoming += weight;
+                    if (inside.has(from)) internal += weight;
+                });
+
+                return {
+                    members: members.sort(),
+                    weight: internal,
+                    insularity: incoming > 0 ? Math.round((internal / incoming) * 100) / 100 : 0
+                };
+            })
+            .sort((a, b) => b.insularity - a.insularity || b.members.length - a.members.length);
+    }
+
+    /**
+     * Tarjan's algorithm, iterative so deep mention chains do not overflow the stack
+     */
+    getStronglyConnected() {
+        const outgoing = new Map([...this.nodes.keys()].map(name => [name, []]));
+        this.edges.forEach(({ from, to }) => outgoing.get(from).push(to));
+
+        const index = new Map();
+        const lowLink = new Map();
+        const stack = [];
+        const onStack = new Set();
+        const components = [];
+        let counter = 0;
+
+        [...this.nodes.keys()].sort().forEach(root => {
+            if (index.has(root)) return;
+
+            const work = [{ name: root, next: 0 }];
+            while (work.length > 0) {
+                const frame = work[work.length - 1];
+                const { name } = frame;
+
+                if (frame.next === 0) {
+                    index.set(name, counter);
+                    lowLink.set(name, counter);
+                    counter++;
+                    stack.push(name);
+                    onStack.add(name);
+                }
+
+                const targets = outgoing.get(name);
+                if (frame.next < targets.length) {
+                    const target = targets[frame.next++];
+                    if (!index.has(target)) {
+                        work.push({ name: target, next: 0 });
+                    } else if (onStack.has(target)) {
+                        lowLink.set(name, Math.min(lowLink.get(name), index.get(target)));
+                    }
+                    continue;
+                }
+
+                work.pop();
+                if (work.length > 0) {
+                    const parent = work[work.length - 1].name;
+                    lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(name)));
+                }
+
+                if (lowLink.get(name) === index.get(name)) {
+                    const component = [];
+                    let member;
+                    do {
+                        member = stack.pop();
+                        onStack.delete(member);
+                        component.push(member);
+                    } while (member !== name);
+                    components.push(component);
+                }
+            }
+        });
+
+        return components;
+    }
+
+    /**
+     * Hub channels by weighted PageRank: mentioned often, and by channels that are mentioned themselves
+     *
+     * @returns {Array<{username: string, score: number, mentionedBy: number}>} highest score first
+     */
+    getHubs(limit = 10, { damping = 0.85, iterations = 30 } = {}) {
+        const names = [...this.nodes.keys()];
+        if (names.length === 0) return [];
+
+        const outWeight = new Map(names.map(name => [name, 0]));
+        const mentionedBy = new Map(names.map(name => [name, 0]));
+        this.edges.forEach(({ from, to, weight }) => {
+            outWeight.set(from, outWeight.get(from) + weight);
+            mentionedBy.set(to, mentionedBy.get(to) + 1);
+        });
+
+        let ranks = new Map(names.map(name => [name, 1 / names.length]));
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            // Rank of channels that mention nobody is spread evenly
+            const dangling = names.filter(name => outWeight.get(name) === 0).reduce((sum, name) => sum + ranks.get(name), 0);
+            const next = new Map(names.map(name => [name, (1 - damping) / names.length + damping * dangling / names.length]));
+
+            this.edges.forEach(({ from, to, weight }) => {
+                next.set(to, next.get(to) + damping * ranks.get(from) * weight / outWeight.get(from));
+            });
+            ranks = next;
+        }
+
+        return names
+            .map(name => ({ username: name, score: Math.round(ranks.get(name) * 1000) / 1000, mentionedBy: mentionedBy.get(name) }))
+            .sort((a, b) => b.score - a.score || a.username.localeCompare(b.username))
+            .slice(0, limit);
+    }
+
+    /**
+     * Force-directed layout in a width × height box, deterministic: nodes start on a circle
+     *
+     * @returns {Map<string, {x: number, y: number}>}
+     */
+    layout(width, height, iterations = 200) {
+        const names = [...this.nodes.keys()].sort();
+        const positions = new Map();
+        const radius = Math.min(width, height) / 3;
+
+        names.forEach((name, i) => {
+            const angle = (2 * Math.PI * i) / names.length;
+            positions.set(name, { x: width / 2 + radius * Math.cos(angle), y: height / 2 + radius * Math.sin(angle) });
+        });
+        if (names.length < 2) return positions;
+
+        const ideal = Math.sqrt((width * height) / names.length) * 0.6;
+        let temperature = width / 10;
+
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            const shift = new Map(names.map(name => [name, { x: 0, y: 0 }]));
+
+            // Every pair repels, linked channels attract
+            for (let i = 0; i < names.length; i++) {
+                for (let j = i + 1; j < names.length; j++) {
+                    const a = positions.get(names[i]);
+                    const b = positions.get(names[j]);
+                    const dx = a.x - b.x || 0.01;
+                    const dy = a.y - b.y || 0.01;
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+                    const force = (ideal * ideal) / distance;
+
+                    shift.get(names[i]).x += (dx / distance) * force;
+                    shift.get(names[i]).y += (dy / distance) * force;
+                    shift.get(names[j]).x -= (dx / distance) * force;
+                    shift.get(names[j]).y -= (dy / distance) * force;
+                }
+            }
+
+            this.edges.forEach(({ from, to }) => {
+                const a = positions.get(from);
+                const b = positions.get(to);
+                const dx = a.x - b.x;
+                const dy = a.y - b.y;
+                const distance = Math.sqrt(dx * dx + dy * dy) || 0.01;
+                const force = (distance * distance) / ideal;
+
+                shift.get(from).x -= (dx / distance) * force;
+                shift.get(from).y -= (dy / distance) * force;
+                shift.get(to).x += (dx / distance) * force;
+                shift.get(to).y += (dy / distance) * force;
+            });
+
+            names.forEach(name => {
+                const position = positions.get(name);
+                const { x, y } = shift.get(name);
+                const length = Math.sqrt(x * x + y * y) || 1;
+                const step = Math.min(length, temperature);
+
+                position.x = Math.min(width - 20, Math.max(20, position.x + (x / length) * step));
+                position.y = Math.min(height - 20, Math.max(20, position.y + (y / length) * step));
+            });
+
+            temperature *= 0.97;
+        }
+
+        return positions;
+    }
+
+    toJSON() {
+        return {
+            seeds: this.seeds,
+            depth: this.depth,
+            builtAt: this.builtAt,
+            nodes: [...this.nodes.values()],
+            edges: [...this.edges.values()]
+        };
+    }
+}
+
+// Export for use in other modules
+window.MentionGraph = MentionGraph;
@@ -0,0 +1,346 @@
+/**
+ * Budget Optimizer Module
+ * Picks the channel mix for a budget from analyzed records: one post per channel at its estimated
+ * post price, maximizing estimated reach or reach weighted by quality under per-channel and per-category limits
+ */
+
+class BudgetOptimizer {
+    constructor({ resolution = 1000, maxTableCells = 20000000 } = {}) {
+        this.resolution = resolution; // budget steps of the knapsack table, prices are rounded up to a step
+        this.maxTableCells = maxTableCells; // larger groups are planned greedily, see solveGroup()
+    }
+
+    /**
+     * Plan for the budget
+     * Null limits are not checked. With targetReach the cheapest plan reaching it is returned,
+     * when the budget cannot reach it the plan with the best objective is returned instead
+     *
+     * @param {ChannelAnalysis[]} records
+     * @param {Object} options - { budget, objective: 'reach'|'qualityReach', targetReach, maxCpm, minQuality,
+     *   maxPerCategory, exclude (usernames), alternatesLimit }
+     * @returns {{success: boolean, errors: Array<{id, message}>, selected, alternates, skipped, totals, targetReached}}
+     */
+    optimize(records, options = {}) {
+        const errors = this.validateOptions(options);
+        if (errors.length > 0) return { success: false, errors };
+
+        const settings = {
+            objective: 'reach',
+            targetReach: null,
+            maxCpm: null,
+            minQuality: null,
+            maxPerCategory: null,
+            exclude: [],
+            alternatesLimit: 5,
+            ...options
+        };
+        const { candidates, skipped } = this.getCandidates(records, settings);
+        const selected = this.solve(candidates, settings);
+        const chosen = new Set(selected);
+        const totals = this.summarize(selected, settings.budget);
+
+        return {
+            success: true,
+            errors: [],
+            objective: settings.objective,
+            selected,
+            alternates: this.getAlternates(candidates.filter(entry => !chosen.has(entry)), selected, totals, settings),
+            skipped,
+            totals,
+            targetReached: settings.targetReach === null ? null : totals.reach >= settings.targetReach
+        };
+    }
+
+    validateOptions({ budget, objective = 'reach', targetReach = null, maxCpm = null, minQuality = null, maxPerCategory = null }) {
+        const errors = [];
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+        if (!isNumber(budget) || budget <= 0) {
+            errors.push({ id: 'budget', message: 'Бюджет: укажите сумму больше 0' });
+        }
+        if (!['reach', 'qualityReach'].includes(objective)) {
+            errors.push({ id: 'objective', message: 'Цель: неизвестное значение' });
+        }
+        if (targetReach !== null && (!isNumber(targetReach) || targetReach <= 0)) {
+            errors.push({ id: 'target-reach', message: 'Целевой охват: укажите число больше 0' });
+        }
+        if (maxCpm !== null && (!isNumber(maxCpm) || maxCpm <= 0)) {
+            errors.push({ id: 'max-cpm', message: 'Максимальный CPM: укажите число больше 0' });
+        }
+        if (minQuality !== null && (!isNumber(minQuality) || minQuality < 0 || minQuality > 100)) {
+            errors.push({ id: 'min-quality', message: 'Минимальное качество: допустимо от 0 до 100' });
+        }
+        if (maxPerCategory !== null && (!Number.isInteger(maxPerCategory) || maxPerCategory < 1)) {
+            errors.push({ id: 'max-per-category', message: 'Каналов на категорию: укажите целое число от 1' });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Records that can go into the plan, the rest with the reason:
+     * 'error' | 'excluded' | 'noPrice' | 'quality' | 'cpm' | 'overBudget'
+     */
+    getCandidates(records, { budget, objective, maxCpm, minQuality, exclude }) {
+        const excluded = new Set(exclude.map(username => username.replace('@', '').toLowerCase()));
+        const candidates = [];
+        const skipped = [];
+
+        records.forEach(record => {
+            const cost = record.postPrice || 0;
+            const reach = record.avgReach || 0;
+            const entry = {
+                record,
+                cost,
+                reach,
+                value: objective === 'qualityReach' ? reach * (record.quality || 0) / 100 : reach,
+                cpm: reach > 0 ? Math.round(cost / reach * 1000 * 100) / 100 : null
+            };
+
+            let reason = null;
+            if (record.error) reason = 'error';
+            else if (excluded.has((record.username || '').toLowerCase())) reason = 'excluded';
+            else if (cost <= 0 || reach <= 0) reason = 'noPrice';
+            else if (minQuality !== null && (record.quality || 0) < minQuality) reason = 'quality';
+            else if (maxCpm !== null && entry.cpm > maxCpm) reason = 'cpm';
+            else if (cost > budget) reason = 'overBudget';
+
+            if (reason) {
+                skipped.push({ record, reason });
+            } else {
+                candidates.push(entry);
+            }
+        });
+
+        // Stable order, so equal plans come out the same way every time
+        candidates.sort((a, b) => b.value / b.cost - a.value / a.cost || a.record.channel.localeCompare(b.record.channel));
+        return { candidates, skipped };
+    }
+
+    /**
+     * 0/1 knapsack on a budget grid. With maxPerCategory every category is solved with a channel count
+     * limit, and the categories are then combined by splitting the budget between them
+     */
+    solve(candidates, { budget, targetReach, maxPerCategory }) {
+        if (candidates.length === 0) return [];
+
+        const steps = Math.max(1, Math.min(this.resolution, Math.floor(budget)));
+        const unit = budget / steps;
+        const weight = entry => Math.ceil(entry.cost / unit - 1e-9);
+
+        const groups = new Map();
+        candidates.forEach(entry => {
+            const key = maxPerCategory === null ? '' : this.getCategory(entry);
+            groups.set(key, [...(groups.get(key) || []), entry]);
+        });
+
+        const tables = [...groups.values()].map(items => this.solveGroup(items, items.map(weight), steps, maxPerCategory));
+
+        // best[b] - best value of the first groups within b steps, split[g][b] - steps given to group g
+        let best = tables[0].best;
+        const split = [new Int32Array(steps + 1).map((_, b) => b)];
+        for (let g = 1; g < tables.length; g++) {
+            const next = new Float64Array(steps + 1);
+            const choice = new Int32Array(steps + 1);
+            const groupBest = tables[g].best;
+
+            for (let b = 0; b <= steps; b++) {
+                for (let x = 0; x <= b; x++) {
+                    const value = best[b - x] + groupBest[x];
+                    if (value > next[b]) {
+                        next[b] = value;
+                        choice[b] = x;
+                    }
+                }
+            }
+
+            best = next;
+            split.push(choice);
+        }
+
+        const planFor = total => {
+            const plan = [];
+            let left = total;
+            for (let g = tables.length - 1; g >= 0; g--) {
+                const given = split[g][left];
+                plan.push(...tables[g].pick(given));
+                left -= given;
+            }
+            return plan;
+        };
+
+        // The cheapest grid step with the best value, or the first one reaching the target
+        let chosen = best.indexOf(best[steps]);
+        if (targetReach !== null) {
+            for (let b = 0; b <= steps; b++) {
+                if (b > 0 && best[b] === best[b - 1]) continue;
+                if (planFor(b).reduce((sum, entry) => sum + entry.reach, 0) >= targetReach) {
+                    chosen = b;
+                    break;
+                }
+            }
+        }
+
+        const plan = planFor(chosen);
+        if (targetReach === null || plan.reduce((sum, entry) => sum + entry.reach, 0) < targetReach) {
+            this.fillRemaining(plan, candidates, budget, maxPerCategory);
+        }
+
+        return plan.sort((a, b) => b.value - a.value || a.record.channel.localeCompare(b.record.channel));
+    }
+
+    /**
+     * Prices are rounded up to the grid, so the plan can leave room for one more channel at its real price
+     */
+    fillRemaining(plan, candidates, budget, maxPerCategory) {
+        const planned = new Set(plan);
+        const perCategory = {};
+        let left = budget - plan.reduce((sum, entry) => sum + entry.cost, 0);
+
+        plan.forEach(entry => {
+            perCategory[this.getCategory(entry)] = (perCategory[this.getCategory(entry)] || 0) + 1;
+        });
+
+        candidates.forEach(entry => {
+            const category = this.getCategory(entry);
+            if (planned.has(entry) || entry.cost > left) return;
+            if (maxPerCategory !== null && (perCategory[category] || 0) >= maxPerCategory) return;
+
+            plan.push(entry);
+            left -= entry.cost;
+            perCategory[category] = (perCategory[category] || 0) + 1;
+        });
+    }
+
+    /**
+     * Knapsack for one group, at most `limit` channels (null - no limit)
+     * The table keeps one decision per channel, count and budget step: above maxTableCells the group
+     * is planned greedily instead, so a large category cannot exhaust memory
+     *
+     * @returns {{best: Float64Array, pick: function(number): Object[]}} best[b] - best value within b steps
+     */
+    solveGroup(items, weights, steps, limit) {
+        // No plan holds more channels than the cheapest ones that fit into the budget together
+        let fitting = 0;
+        let spent = 0;
+        for (const w of [...weights].sort((a, b) => a - b)) {
+            if (spent + w > steps) break;
+            spent += w;
+            fitting++;
+        }
+
+        const counted = limit !== null && limit < fitting;
+        const rows = counted ? limit : 1;
+        const width = steps + 1;
+
+        if (items.length * (rows + 1) * width > this.maxTableCells) {
+            return this.solveGroupGreedy(items, weights, steps, counted ? limit : null);
+        }
+
+        // dp[k][b] - best value of at most k channels within b steps (one row when the count is not limited)
+        const dp = new Float64Array((rows + 1) * width);
+        const taken = new Uint8Array(items.length * (rows + 1) * width);
+
+        items.forEach((item, i) => {
+            for (let k = rows; k >= 1; k--) {
+                const from = counted ? k - 1 : k;
+                for (let b = steps; b >= weights[i]; b--) {
+                    const value = dp[from * width + b - weights[i]] + item.value;
+                    if (value > dp[k * width + b]) {
+                        dp[k * width + b] = value;
+                        taken[(i * (rows + 1) + k) * width + b] = 1;
+                    }
+                }
+            }
+        });
+
+        return {
+            best: dp.slice(rows * width),
+            pick: total => {
+                const picked = [];
+                let k = rows;
+                let b = total;
+                for (let i = items.length - 1; i >= 0 && k > 0; i--) {
+                    if (!taken[(i * (rows + 1) + k) * width + b]) continue;
+                    picked.push(items[i]);
+                    b -= weights[i];
+                    if (counted) k--;
+                }
+                return picked;
+            }
+        };
+    }
+
+    /**
+     * Items are in the order of value per ruble (see getCandidates), each budget takes them while they fit
+     *
+     * @returns {{best: Float64Array, pick: function(number): Object[]}} same shape as solveGroup()
+     */
+    solveGroupGreedy(items, weights, steps, limit) {
+        const pick = total => {
+            const picked = [];
+            let left = total;
+            for (let i = 0; i < items.length && (limit === null || picked.length < limit); i++) {
+                if (weights[i] > left) continue;
+                picked.push(items[i]);
+                left -= weights[i];
+            }
+            return picked;
+        };
+
+        const best = new Float64Array(steps + 1);
+        for (let b = 0; b <= steps; b++) {
+            best[b] = pick(b).reduce((sum, entry) => sum + entry.value, 0);
+        }
+
+        return { best, pick };
+    }
+
+    /**
+     * Next best channels outside the plan; swapFor names the weakest planned channel
+     * that frees enough budget (and a category slot) when the alternate does not fit as is
+     */
+    getAlternates(rest, selected, totals, { maxPerCategory, alternatesLimit }) {
+        return rest.slice(0, alternatesLimit).map(entry => {
+            const category = this.getCategory(entry);
+            const categoryFull = maxPerCategory !== null && (totals.categories[category] || 0) >= maxPerCategory;
+            const fits = entry.cost <= totals.remaining && !categoryFull;
+            const swap = fits ? null : selected
+                .filter(planned => totals.remaining + planned.cost >= entry.cost)
+                .filter(planned => !categoryFull || this.getCategory(planned) === category)
+                .sort((a, b) => a.value - b.value)[0];
+
+            return { ...entry, fits, swapFor: swap ? swap.record.channel : null };
+        });
+    }
+
+    getCategory(entry) {
+        return entry.record.category || 'unknown';
+    }
+
+    summarize(selected, budget) {
+        const cost = selected.reduce((sum, entry) => sum + entry.cost, 0);
+        const reach = selected.reduce((sum, entry) => sum + entry.reach, 0);
+        const qualityReach = selected.reduce((sum, entry) => sum + entry.reach * (entry.record.quality || 0), 0);
+        const categories = {};
+        selected.forEach(entry => {
+            const category = this.getCategory(entry);
+            categories[category] = (categories[category] || 0) + 1;
+        });
+
+        return {
+            budget,
+            cost,
+            remaining: budget - cost,
+            channels: selected.length,
+            reach,
+            weightedReach: Math.round(qualityReach / 100),
+            cpm: reach > 0 ? Math.round(cost / reach * 1000 * 100) / 100 : 0,
+            avgQuality: reach > 0 ? Math.round(qualityReach / reach * 100) / 100 : 0,
+            categories
+        };
+    }
+}
+
+// Export for use in other modules
+window.BudgetOptimizer = BudgetOptimizer;
@@ -0,0 +1,223 @@
+/**
+ * Results Table View Module
+ * Sorting, filtering and column configuration for ChannelAnalysis records
+ */
+
+class ResultsView {
+    constructor(settings = {}) {
+        // Configurable columns; 'channel' is always first and actions always last
+        this.columns = [
+            { key: 'channel', label: 'Канал', type: 'text', fixed: true },
+            { key: 'subscribers', label: 'Подписчики', type: 'number' },
+            { key: 'avgReach', label: 'Средний охват', type: 'number' },
+            { key: 'er', label: 'ER %', type: 'number' },
+            { key: 'quality', label: 'Качество', type: 'number' },
+            { key: 'cpmForecast', label: 'Прогноз CPM', type: 'number' },
+            { key: 'citationIndex', label: 'ИЦ', type: 'number' },
+            { key: 'mentions', label: 'Упоминания', type: 'number' },
+            { key: 'reposts', label: 'Репосты', type: 'number' },
+            { key: 'posts', label: 'Посты', type: 'number' },
+            { key: 'err24h', label: 'ERR 24h', type: 'number' },
+            { key: 'botScore', label: 'Боты', type: 'number' },
+            { key: 'growth7d', label: 'Рост 7 дн.', type: 'number' },
+            { key: 'growth30d', label: 'Рост 30 дн.', type: 'number' },
+            { key: 'growth90d', label: 'Рост 90 дн.', type: 'number' },
+            { key: 'category', label: 'Категория', type: 'text' },
+            { key: 'status', label: 'Статус', type: 'text' }
+        ];
+
+        this.configure({ ...ResultsView.getDefaultSettings(), ...settings });
+    }
+
+    /**
+     * Default view: best quality first, no filters, all columns visible
+     */
+    static getDefaultSettings() {
+        return {
+            sortBy: 'quality',
+            sortDirection: 'desc',
+            filters: {
+                search: '',
+                category: '',
+                status: '',
+                subscribersMin: null,
+                subscribersMax: null,
+                qualityMin: null,
+                qualityMax: null
+            },
+            columnOrder: [
+                'channel', 'subscribers', 'avgReach', 'er', 'quality', 'cpmForecast', 'citationIndex',
+                'mentions', 'reposts', 'posts', 'err24h', 'botScore', 'growth7d', 'growth30d', 'growth90d', 'category', 'status'
+            ],
+            hiddenColumns: []
+        };
+    }
+
+    /**
+     * Apply persisted view settings, unknown columns are ignored
+     */
+    configure(settings = {}) {
+        const known = this.columns.map(column => column.key);
+        const order = (settings.columnOrder || []).filter(key => known.includes(key) && key !== 'channel');
+
+        // Columns added after the settings were saved go to the end
+        known.forEach(key => {
+            if (key !== 'channel' && !order.includes(key)) order.push(key);
+        });
+
+        this.sortBy = known.includes(settings.sortBy) ? settings.sortBy : 'quality';
+        this.sortDirection = settings.sortDirection === 'asc' ? 'asc' : 'desc';
+        this.filters = { ...ResultsView.getDefaultSettings().filters, ...(settings.filters || {}) };
+        this.columnOrder = ['channel', ...order];
+        this.hiddenColumns = (settings.hiddenColumns || []).filter(key => known.includes(key) && key !== 'channel');
+    }
+
+    /**
+     * Settings to persist in USER_SETTINGS
+     */
+    toSettings() {
+        return {
+            sortBy: this.sortBy,
+            sortDirection: this.sortDirection,
+            filters: { ...this.filters },
+            columnOrder: [...this.columnOrder],
+            hiddenColumns: [...this.hiddenColumns]
+        };
+    }
+
+    /**
+     * Columns in display order, including hidden ones
+     */
+    getColumns() {
+        return this.columnOrder.map(key => ({
+            ...this.columns.find(column => column.key === key),
+            visible: !this.hiddenColumns.includes(key)
+        }));
+    }
+
+    getVisibleColumns() {
+        return this.getColumns().filter(column => column.visible);
+    }
+
+    /**
+     * Sort by a column; the same column again flips the direction
+     */
+    setSort(key) {
+        if (!this.columns.some(column => column.key === key)) return;
+
+        if (this.sortBy === key) {
+            this.sortDirection = this.sortDirection === 'desc' ? 'asc' : 'desc';
+        } else {
+            const column = this.columns.find(item => item.key === key);
+            this.sortBy = key;
+            this.sortDirection = column.type === 'number' ? 'desc' : 'asc';
+        }
+    }
+
+    setFilter(name, value) {
+        if (!(name in this.filters)) return;
+        this.filters[name] = value === '' || value === undefined ? ResultsView.getDefaultSettings().filters[name] : value;
+    }
+
+    resetFilters() {
+        this.filters = { ...ResultsView.getDefaultSettings().filters };
+    }
+
+    hasActiveFilters() {
+        const defaults = ResultsView.getDefaultSettings().filters;
+        return Object.keys(defaults).some(name => this.filters[name] !== defaults[name]);
+    }
+
+    toggleColumn(key) {
+        if (key === 'channel' || !this.columnOrder.includes(key)) return;
+
+        this.hiddenColumns = this.hiddenColumns.includes(key)
+            ? this.hiddenColumns.filter(hidden => hidden !== key)
+            : [...this.hiddenColumns, key];
+    }
+
+    /**
+     * Move a column left (-1) or right (+1), the channel column stays first
+     */
+    moveColumn(key, offset) {
+        const index = this.columnOrder.indexOf(key);
+        const target = index + offset;
+
+        if (index < 1 || target < 1 || target >= this.columnOrder.length) return;
+
+        const order = [...this.columnOrder];
+        [order[index], order[target]] = [order[target], order[index]];
+        this.columnOrder = order;
+    }
+
+    /**
+     * Filter and sort records; failed channels always go last
+     */
+    apply(records) {
+        return records
+            .filter(record => this.matchesFilters(record))
+            .sort((a, b) => this.compare(a, b));
+    }
+
+    matchesFilters(record) {
+        const { search, category, status, subscribersMin, subscribersMax, qualityMin, qualityMax } = this.filters;
+
+        if (search) {
+            const query = search.toLowerCase();
+            const haystack = [record.title, record.username, record.channel].filter(Boolean).join(' ').toLowerCase();
+            if (!haystack.includes(query)) return false;
+        }
+
+        if (category && record.category !== category) return false;
+        if (status && record.status !== status) return false;
+
+        if (!this.inRange(record.subscribers, subscribersMin, subscribersMax)) return false;
+        if (!this.inRange(record.quality, qualityMin, qualityMax)) return false;
+
+        return true;
+    }
+
+    inRange(value, min, max) {
+        if (min === null && max === null) return true;
+        if (typeof value !== 'number') return false;
+        if (min !== null && value < min) return false;
+        if (max !== null && value > max) return false;
+        return true;
+    }
+
+    compare(a, b) {
+        if (Boolean(a.error) !== Boolean(b.error)) return a.error ? 1 : -1;
+
+        const direction = this.sortDirection === 'asc' ? 1 : -1;
+        const valueA = this.getSortValue(a);
+        const valueB = this.getSortValue(b);
+
+        if (typeof valueA === 'string' || typeof valueB === 'string') {
+            return String(valueA).localeCompare(String(valueB), 'ru') * direction;
+        }
+
+        return (valueA - valueB) * direction;
+    }
+
+    getSortValue(record) {
+        if (this.sortBy === 'channel') return (record.title || record.channel || '').toLowerCase();
+
+        const value = record[this.sortBy];
+        return value === undefined || value === null ? '' : value;
+    }
+
+    /**
+     * Distinct values for the category and status filter options
+     */
+    getFilterOptions(records) {
+        const distinct = field => [...new Set(records.map(record => record[field]).filter(Boolean))].sort((a, b) => a.localeCompare(b, 'ru'));
+
+        return {
+            categories: distinct('category'),
+            statuses: distinct('status')
+        };
+    }
+}
+
+// Export for use in other modules
+window.ResultsView = ResultsView;
@@ -0,0 +1,199 @@
+/**
+ * Request Scheduler Module
+ * Token-bucket rate limiting, concurrency control and priority lanes for API requests
+ */
+
+class RequestScheduler {
+    constructor(options = {}) {
+        this.ratePerSecond = options.ratePerSecond || 1; // Token refill rate
+        this.burst = options.burst || 1; // Bucket capacity
+        this.maxConcurrent = options.maxConcurrent || 2; // Max requests in flight
+
+        // Lanes in priority order, interactive requests are dispatched first
+        this.lanes = {
+            interactive: [],
+            bulk: []
+        };
+        this.laneOrder = ['interactive', 'bulk'];
+
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this.inFlight = 0;
+        this.pausedUntil = 0;
+        this.timer = null;
+    }
+
+    /**
+     * Update limits (rateLimitDelay is the interval between requests in ms)
+     */
+    configure(settings = {}) {
+        if (settings.rateLimitDelay) this.ratePerSecond = 1000 / settings.rateLimitDelay;
+        if (settings.rateLimitBurst) this.burst = settings.rateLimitBurst;
+        if (settings.maxConcurrentRequests) this.maxConcurrent = settings.maxConcurrentRequests;
+
+        this.tokens = Math.min(this.tokens, this.burst);
+        this.pump();
+    }
+
+    /**
+     * Queue a task, resolves with the task result once it was dispatched and finished
+     * Pass { signal } (AbortSignal) to drop the task from the queue when the caller cancels
+     */
+    schedule(task, options = {}) {
+        const lane = this.lanes[options.priority] ? options.priority : 'bulk';
+        const signal = options.signal;
+
+        if (signal && signal.aborted) {
+            return Promise.reject(RequestScheduler.createAbortError());
+        }
+
+        return new Promise((resolve, reject) => {
+            const item = { task, resolve, reject, signal, onAbort: null };
+
+            if (signal) {
+                item.onAbort = () => {
+                    const index = this.lanes[lane].indexOf(item);
+                    if (index !== -1) {
+                        this.lanes[lane].splice(index, 1);
+                        reject(RequestScheduler.createAbortError());
+                    }
+                };
+                signal.addEventListener('abort', item.onAbort, { once: true });
+            }
+
+            this.lanes[lane].push(item);
+            this.pump();
+        });
+    }
+
+    /**
+     * Hold back all dispatching for the given time (e.g. Retry-After on 429)
+     */
+    pauseFor(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+        this.tokens = 0;
+        this.pump();
+    }
+
+    /**
+     * Number of queued tasks, per lane and total
+     */
+    getQueueStats() {
+        const stats = { inFlight: this.inFlight, total: 0 };
+
+        this.laneOrder.forEach(lane => {
+            stats[lane] = this.lanes[lane].length;
+            stats.total += this.lanes[lane].length;
+        });
+
+        return stats;
+    }
+
+    /**
+     * Refill tokens according to elapsed time
+     */
+    refill() {
+        const now = Date.now();
+        const elapsed = (now - this.lastRefill) / 1000;
+
+        this.tokens = Math.min(this.burst, this.tokens + elapsed * this.ratePerSecond);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Take next task from the highest priority non-empty lane
+     */
+    nextTask() {
+        for (const lane of this.laneOrder) {
+            if (this.lanes[lane].length > 0) {
+                return this.lanes[lane].shift();
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Dispatch queued tasks while tokens and concurrency slots are available
+     */
+    pump() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const now = Date.now();
+        if (now < this.pausedUntil) {
+            this.lastRefill = this.pausedUntil;
+            this.timer = setTimeout(() => this.pump(), this.pausedUntil - now);
+            return;
+        }
+
+        this.refill();
+
+        while (this.inFlight < this.maxConcurrent && this.tokens >= 1) {
+            const item = this.nextTask();
+            if (!item) return;
+
+            this.tokens -= 1;
+            this.run(item);
+        }
+
+        // Wait for the next token if work is still queued
+        if (this.inFlight < this.maxConcurrent && this.getQueueStats().total > 0) {
+            const waitMs = Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+            this.timer = setTimeout(() => this.pump(), Math.max(waitMs, 0));
+        }
+    }
+
+    /**
+     * Run a single task and release its slot when done
+     */
+    async run(item) {
+        this.inFlight++;
+
+        if (item.signal) {
+            item.signal.removeEventListener('abort', item.onAbort);
+        }
+
+        try {
+            item.resolve(await item.task());
+        } catch (error) {
+            item.reject(error);
+        } finally {
+            this.inFlight--;
+            this.pump();
+        }
+    }
+
+    /**
+     * Error used for cancelled tasks, matches fetch() abort errors by name
+     */
+    static createAbortError() {
+        const error = new Error('Запрос отменен');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Parse Retry-After header value (seconds or HTTP date) into milliseconds
+     */
+    static parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (!isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        if (!isNaN(date)) {
+            return Math.max(0, date - Date.now());
+        }
+
+        return null;
+    }
+}
+
+// Export for use in other modules
+window.RequestScheduler = RequestScheduler;
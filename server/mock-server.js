@@ -0,0 +1,146 @@
+/**
+ * TGStat Mock Server
+ * Serves recorded fixtures for offline development and testing
+ *
+ * Usage: node server/mock-server.js (port from MOCK_SERVER_PORT, default 3001)
+ * Point the client at it with api.setEndpoints({ mode: 'direct', baseURL: 'http://localhost:3001' })
+ * or run the bundled proxy with TGSTAT_API_URL=http://localhost:3001
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const INVALID_API_KEY = 'invalid_key';
+const EXHAUSTED_API_KEY = 'exhausted_key'; // valid key without requests left
+
+/**
+ * Load fixtures from directory
+ */
+function loadFixtures(fixturesDir = DEFAULT_FIXTURES_DIR) {
+    const readJson = file => JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8'));
+    const channels = {};
+
+    fs.readdirSync(path.join(fixturesDir, 'channels'))
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            channels[path.basename(file, '.json')] = readJson(path.join('channels', file));
+        });
+
+    return {
+        usage: readJson('usage.json'),
+        errors: readJson('errors.json'),
+        channels
+    };
+}
+
+/**
+ * Resolve request to { status, headers, body }
+ */
+function handleRequest(fixtures, requestUrl, authorization) {
+    const url = new URL(requestUrl, 'http://localhost');
+    const token = (authorization || '').replace(/^Bearer\s+/i, '') || url.searchParams.get('token');
+
+    if (!token || token === INVALID_API_KEY) {
+        return { status: 401, body: { status: 'error', error: 'invalid token' } };
+    }
+
+    if (url.pathname === '/usage') {
+        const body = token === EXHAUSTED_API_KEY ? { ...fixtures.usage, requests_left: 0 } : fixtures.usage;
+        return { status: 200, body };
+    }
+
+    if (token === EXHAUSTED_API_KEY) {
+        return { status: 403, body: { status: 'error', error: 'requests limit exceeded' } };
+    }
+
+    if (url.pathname === '/channels/search') {
+        const query = (url.searchParams.get('q') || '').toLowerCase();
+        const limit = parseInt(url.searchParams.get('limit'), 10) || 20;
+        const items = Object.values(fixtures.channels)
+            .map(channel => channel.get.response)
+            .filter(channel => [channel.username, channel.title, channel.category]
+                .some(value => (value || '').toLowerCase().includes(query)))
+            .slice(0, limit);
+
+        return { status: 200, body: { status: 'ok', response: { count: items.length, items } } };
+    }
+
+    const routes = {
+        '/channels/get': 'get',
+        '/channels/stat': 'stat',
+        '/channels/posts': 'posts',
+        '/channels/mentions': 'mentions'
+    };
+    const section = routes[url.pathname];
+
+    if (!section) {
+        return { status: 404, body: { status: 'error', error: 'method not found' } };
+    }
+
+    const username = (url.searchParams.get('channel') || '').replace('@', '');
+
+    // Error scenarios are bound to reserved channel names
+    if (fixtures.errors[username]) {
+        return fixtures.errors[username];
+    }
+
+    const channel = fixtures.channels[username];
+    if (!channel || !channel[section]) {
+        return { status: 404, body: { status: 'error', error: 'channel not found' } };
+    }
+
+    if (section === 'posts') {
+        const limit = parseInt(url.searchParams.get('limit'), 10) || 50;
+        const items = channel.posts.response.items.slice(0, limit);
+        return { status: 200, body: { ...channel.posts, response: { count: items.length, items } } };
+    }
+
+    return { status: 200, body: channel[section] };
+}
+
+/**
+ * Create HTTP server, options: { fixturesDir, latency }
+ */
+function createMockServer(options = {}) {
+    const fixtures = loadFixtures(options.fixturesDir);
+    const latency = options.latency || 0;
+
+    return http.createServer((req, res) => {
+        const corsHeaders = {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Authorization, Content-Type, User-Agent',
+            'Access-Control-Expose-Headers': 'Retry-After'
+        };
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, corsHeaders);
+            res.end();
+            return;
+        }
+
+        const result = handleRequest(fixtures, req.url, req.headers.authorization);
+
+        setTimeout(() => {
+            res.writeHead(result.status, {
+                ...corsHeaders,
+                'Content-Type': 'application/json; charset=utf-8',
+                ...(result.headers || {})
+            });
+            res.end(JSON.stringify(result.body));
+        }, latency);
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.MOCK_SERVER_PORT, 10) || 3001;
+    const latency = parseInt(process.env.MOCK_LATENCY, 10) || 0;
+
+    createMockServer({ latency }).listen(port, () => {
+        console.log(`TGStat mock server listening on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createMockServer, loadFixtures, handleRequest, INVALID_API_KEY, EXHAUSTED_API_KEY };
@@ -0,0 +1,267 @@
+/**
+ * TGStat Proxy Server
+ * Forwards browser requests to the TGStat API only. The API key is added here from the
+ * environment and never reaches the browser; requests are rate limited and responses cached
+ *
+ * Usage: TGSTAT_API_KEY=... node server/proxy-server.js (port from PROXY_PORT, default 3002)
+ * In the app choose the "bundled proxy" connection mode and the proxy address
+ *
+ * Every forwarded request spends the owner's quota, so by default the proxy listens on 127.0.0.1 only
+ * (PROXY_HOST) and answers only the app's own origin (CORS_ORIGINS, comma separated)
+ */
+
+const http = require('http');
+const { URL } = require('url');
+
+// Endpoints the app uses, everything else is rejected so the proxy cannot be used as an open relay
+const ALLOWED_PATHS = ['/usage', '/channels/get', '/channels/stat', '/channels/posts', '/channels/search', '/channels/mentions'];
+
+// Origins of the app served by `npm start`
+const DEFAULT_ALLOWED_ORIGINS = ['http://localhost:3000', 'http://127.0.0.1:3000'];
+
+// TTL per endpoint path, 0 disables caching (same defaults as TGStatCache in the browser)
+const DEFAULT_CACHE_TTL = {
+    '/usage': 0,
+    '/channels/get': 24 * 3600000,
+    '/channels/stat': 6 * 3600000,
+    '/channels/posts': 3600000,
+    '/channels/search': 6 * 3600000,
+    '/channels/mentions': 12 * 3600000
+};
+
+/**
+ * Token bucket shared by all clients, take() returns 0 or the wait in ms until the next token
+ */
+function createRateLimiter({ ratePerSecond, burst }) {
+    let tokens = burst;
+    let lastRefill = Date.now();
+
+    return {
+        take() {
+            const now = Date.now();
+            tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * ratePerSecond);
+            lastRefill = now;
+
+            if (tokens >= 1) {
+                tokens -= 1;
+                return 0;
+            }
+
+            return Math.ceil(((1 - tokens) / ratePerSecond) * 1000);
+        }
+    };
+}
+
+/**
+ * In-memory response cache with per-endpoint TTL, the oldest used entry is evicted first
+ */
+function createResponseCache({ ttlByEndpoint, maxSize }) {
+    const entries = new Map(); // key -> { body, storedAt }, Map order is the LRU order
+
+    const getTtl = key => ttlByEndpoint[key.split('?')[0]] || 0;
+
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+
+            if (Date.now() - entry.storedAt > getTtl(key)) {
+                entries.delete(key);
+                return null;
+            }
+
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry.body;
+        },
+
+        set(key, body) {
+            if (getTtl(key) <= 0) return;
+
+            entries.delete(key);
+            entries.set(key, { body, storedAt: Date.now() });
+
+            while (entries.size > maxSize) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+/**
+ * Whether a request may be served: requests without an Origin header are not sent by web pages,
+ * '*' in allowedOrigins allows any origin
+ */
+function isOriginAllowed(allowedOrigins, origin) {
+    return !origin || allowedOrigins.includes('*') || allowedOrigins.includes(origin);
+}
+
+/**
+ * CORS headers for the request origin, '*' in allowedOrigins allows any origin
+ */
+function getCorsHeaders(allowedOrigins, origin) {
+    const headers = {
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type, User-Agent',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Access-Control-Expose-Headers': 'Retry-After, X-Proxy-Cache'
+    };
+
+    if (allowedOrigins.includes('*')) {
+        headers['Access-Control-Allow-Origin'] = '*';
+    } else if (origin && allowedOrigins.includes(origin)) {
+        headers['Access-Control-Allow-Origin'] = origin;
+        headers['Vary'] = 'Origin';
+    }
+
+    return headers;
+}
+
+/**
+ * Resolve a GET request to { status, headers, body }
+ */
+async function handleProxyRequest(context, requestUrl) {
+    const { apiKey, targetUrl, limiter, cache, fetch, timeout } = context;
+    // Prefixed, so '//host/path' stays a path instead of naming another host
+    const url = new URL(`http://localhost${requestUrl}`);
+
+    if (!ALLOWED_PATHS.includes(url.pathname)) {
+        return { status: 404, body: { status: 'error', error: 'proxy: endpoint is not allowed' } };
+    }
+
+    if (!apiKey) {
+        return { status: 500, body: { status: 'error', error: 'proxy: TGSTAT_API_KEY is not set' } };
+    }
+
+    // A key sent by the browser is never forwarded
+    url.searchParams.delete('token');
+    const cacheKey = `${url.pathname}${url.search}`;
+
+    const cached = cache.get(cacheKey);
+    if (cached) {
+        return { status: 200, headers: { 'X-Proxy-Cache': 'HIT' }, body: cached };
+    }
+
+    const wait = limiter.take();
+    if (wait > 0) {
+        return {
+            status: 429,
+            headers: { 'Retry-After': String(Math.ceil(wait / 1000)) },
+            body: { status: 'error', error: 'proxy: too many requests' }
+        };
+    }
+
+    let response;
+    let body;
+    try {
+        response = await fetch(`${targetUrl}${cacheKey}`, {
+            headers: { 'Authorization': `Bearer ${apiKey}`, 'Accept': 'application/json' },
+            signal: AbortSignal.timeout(timeout)
+        });
+        body = await response.json();
+    } catch (error) {
+        console.error(`Proxy request failed (${url.pathname}):`, error.message);
+        return { status: 502, body: { status: 'error', error: 'proxy: TGStat is unavailable' } };
+    }
+
+    const headers = { 'X-Proxy-Cache': 'MISS' };
+    const retryAfter = response.headers.get('Retry-After');
+    if (retryAfter) headers['Retry-After'] = retryAfter;
+
+    if (response.ok && body && body.ok !== false && body.status !== 'error') {
+        cache.set(cacheKey, body);
+    }
+
+    return { status: response.status, headers, body };
+}
+
+/**
+ * Create HTTP server, options: { apiKey, targetUrl, allowedOrigins (default: the app's own origin),
+ * ratePerSecond, burst, cacheTtl (per endpoint), cacheMaxSize, timeout, fetch }
+ */
+function createProxyServer(options = {}) {
+    const allowedOrigins = options.allowedOrigins && options.allowedOrigins.length
+        ? options.allowedOrigins
+        : DEFAULT_ALLOWED_ORIGINS;
+    const context = {
+        apiKey: options.apiKey || '',
+        targetUrl: (options.targetUrl || 'https://api.tgstat.ru').replace(/\/$/, ''),
+        limiter: createRateLimiter({ ratePerSecond: options.ratePerSecond || 1, burst: options.burst || 3 }),
+        cache: createResponseCache({
+            ttlByEndpoint: { ...DEFAULT_CACHE_TTL, ...(options.cacheTtl || {}) },
+            maxSize: options.cacheMaxSize || 500
+        }),
+        fetch: options.fetch || fetch,
+        timeout: options.timeout || 15000
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const corsHeaders = getCorsHeaders(allowedOrigins, req.headers.origin);
+
+        // Another site's page must not spend the key, refused before anything is forwarded
+        if (!isOriginAllowed(allowedOrigins, req.headers.origin)) {
+            res.writeHead(403, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ status: 'error', error: 'proxy: origin is not allowed' }));
+            return;
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, corsHeaders);
+            res.end();
+            return;
+        }
+
+        let result;
+        if (req.method !== 'GET') {
+            result = { status: 405, body: { status: 'error', error: 'proxy: method not allowed' } };
+        } else if (req.url === '/health') {
+            // Lets the app tell a missing proxy from a TGStat error, never forwarded and costs no quota
+            result = { status: 200, body: { status: 'ok', hasKey: Boolean(context.apiKey) } };
+        } else {
+            result = await handleProxyRequest(context, req.url);
+        }
+
+        res.writeHead(result.status, {
+            ...corsHeaders,
+            'Content-Type': 'application/json; charset=utf-8',
+            ...(result.headers || {})
+        });
+        res.end(JSON.stringify(result.body));
+    });
+
+    server.cache = context.cache;
+    return server;
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.PROXY_PORT, 10) || 3002;
+    const host = process.env.PROXY_HOST || '127.0.0.1';
+
+    if (!process.env.TGSTAT_API_KEY) {
+        console.warn('TGSTAT_API_KEY is not set, requests will be rejected');
+    }
+
+    createProxyServer({
+        apiKey: process.env.TGSTAT_API_KEY,
+        targetUrl: process.env.TGSTAT_API_URL,
+        allowedOrigins: (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+        ratePerSecond: parseFloat(process.env.PROXY_RATE_LIMIT) || 1,
+        burst: parseInt(process.env.PROXY_RATE_BURST, 10) || 3,
+        cacheMaxSize: parseInt(process.env.PROXY_CACHE_MAX_SIZE, 10) || 500
+    }).listen(port, host, () => {
+        console.log(`TGStat proxy listening on http://${host}:${port}`);
+    });
+}
+
+module.exports = {
+    createProxyServer,
+    handleProxyRequest,
+    createRateLimiter,
+    createResponseCache,
+    isOriginAllowed,
+    ALLOWED_PATHS,
+    DEFAULT_ALLOWED_ORIGINS
+};
@@ -0,0 +1,1094 @@
+/**
+ * Channel Analysis Service Module
+ * Connects TGStatAPI, TGTrafficAnalytics and TGTrafficStorage and
+ * adapts their responses into one ChannelAnalysis record used across the app
+ */
+
+/**
+ * Canonical channel analysis record: results table, export, projects and campaigns
+ *
+ * @typedef {Object} ChannelAnalysis
+ * @property {string} channel - Normalized '@username' from the input, unique key of the record
+ * @property {string} username - Username without '@'
+ * @property {string} title - Channel title
+ * @property {string} category - TGStat category, 'unknown' if not set
+ * @property {boolean} verified - Verified by Telegram
+ * @property {number} subscribers - Participants count
+ * @property {number} avgReach - Average post reach
+ * @property {number} er - Engagement rate, %
+ * @property {number} quality - Quality score 0-100
+ * @property {number} cpmForecast - Forecast CPM, RUB
+ * @property {number} postPrice - Estimated post price, RUB
+ * @property {number} citationIndex - Citation index (ci_index)
+ * @property {number} mentions - Mentions per post
+ * @property {number} reposts - Forwards per post
+ * @property {number} posts - Posts in the stats period
+ * @property {number} err24h - ERR, %
+ * @property {?number} botScore - Bot probability 0-100 from TGTrafficAnalytics.detectFraud(), null when not checked
+ * @property {string} status - Status label, 'error' for failed channels
+ * @property {?number} growth7d - Subscriber growth over 7 days, %, null without enough history
+ * @property {?number} growth30d - Subscriber growth over 30 days, %
+ * @property {?number} growth90d - Subscriber growth over 90 days, %
+ * @property {Array} trendFlags - Sudden changes from TGTrafficAnalytics.analyzeTrends()
+ * @property {?number} realCpm - CPM actually paid, entered by the user
+ * @property {?string} cpmDeviation - Deviation of realCpm from cpmForecast, %
+ * @property {boolean} fromCache - All responses came from the API cache
+ * @property {?string} cachedAt - When the cached response was stored
+ * @property {string} analyzedAt - ISO date of the analysis
+ * @property {?string} error - Error message, set only for failed channels
+ * @property {?Object} source - Adapted API data: { info, stats }
+ * @property {?Object} analysis - TGTrafficAnalytics.analyzeChannel() output
+ */
+
+class TGTrafficService {
+    constructor({ storage, api, analytics, keyVault } = {}) {
+        this.storage = storage || new window.TGTrafficStorage();
+        this.keyVault = keyVault || new window.ApiKeyVault({ storage: this.storage });
+        this.api = api || new window.TGStatAPI(this.keyVault.getKey());
+        this.analytics = analytics || new window.TGTrafficAnalytics();
+        this.statsPeriod = 7;
+        this.fraudCheck = false; // posts are loaded with every channel for bot detection, one more request each
+        this.batchSize = 3; // channels analyzed in parallel
+        this.quotaStatus = null; // last /usage answer: { remaining, limit, checkedAt }
+        this.keyQuotas = {}; // key id -> last /usage answer of that key
+        this.cpmCalibration = null; // last TGTrafficAnalytics.calibrateCpmModel() report, null when the history changed since
+
+        // A locked key must not stay in the API client
+        this.keyVault.onLock(() => this.api.setApiKey(''));
+
+        // Every request sent to TGStat goes to the daily usage log
+        this.api.onRequest(({ endpoint, keyId }) => {
+            this.storage.recordApiUsage({ endpoint, keyId, user: this.storage.getUserSettings().userName });
+        });
+
+        this.applySettings(this.storage.getUserSettings());
+    }
+
+    /**
+     * Wait for stored data (IndexedDB loads asynchronously) and apply the saved key and settings
+     */
+    async ready() {
+        await this.storage.ready();
+
+        // An encrypted key stays locked until unlockApiKey()
+        const keys = this.keyVault.getKeys();
+        if (keys.length > 0) this.api.setApiKeys(keys);
+        this.applySettings(this.storage.getUserSettings());
+        this.recalibrateCpmModel();
+    }
+
+    /**
+     * Apply user settings to the API client (endpoints, rate limits, cache) and analytics
+     */
+    applySettings(settings = {}) {
+        this.api.setEndpoints({
+            mode: settings.apiMode,
+            baseURL: settings.apiBaseUrl,
+            proxyURL: settings.apiProxyUrl,
+            bundledProxyURL: settings.bundledProxyUrl
+        });
+        this.api.setRateLimits(settings);
+        if (this.api.cache) this.api.cache.configure(settings);
+        this.analytics.configure(settings);
+        this.analytics.setScoringProfile(this.getScoringProfile(settings.scoringProfileId, settings));
+        if (settings.analysisDepth) this.statsPeriod = settings.analysisDepth;
+        if (settings.batchSize) this.batchSize = settings.batchSize;
+        if (settings.fraudCheck !== undefined) this.fraudCheck = Boolean(settings.fraudCheck);
+        if (settings.apiKeyAutoLockMinutes !== undefined) this.keyVault.setAutoLock(settings.apiKeyAutoLockMinutes);
+    }
+
+    /**
+     * API key management
+     */
+    hasApiKey() {
+        return this.usesServerKey() || Boolean(this.api.apiKey);
+    }
+
+    /**
+     * Connected through the bundled proxy: the key is kept on the server, not in the browser
+     */
+    usesServerKey() {
+        return this.api.usesServerKey();
+    }
+
+    /**
+     * Bundled proxy mode only: whether the proxy is running and has a key, other modes report available
+     *
+     * @returns {Promise<{available: boolean, hasKey: boolean, url?: string}>}
+     */
+    async checkBundledProxy() {
+        if (!this.usesServerKey()) return { available: true, hasKey: true };
+
+        const status = await this.api.checkBundledProxy();
+        return { ...status, url: this.api.bundledProxyURL };
+    }
+
+    /**
+     * Store the key without encryption
+     */
+    setApiKey(apiKey) {
+        const saved = this.storage.setApiKey(apiKey);
+        if (saved) {
+            this.keyVault.lock();
+            this.api.setApiKey(apiKey);
+        }
+        return saved;
+    }
+
+    /**
+     * Store the key encrypted with the passphrase
+     */
+    async saveEncryptedApiKey(apiKey, passphrase) {
+        const saved = await this.keyVault.saveKey(apiKey, passphrase);
+        if (saved) this.api.setApiKeys(this.keyVault.getKeys());
+        return saved;
+    }
+
+    /**
+     * Key pool for display: { id, label, masked, active, failure, quota }, secrets stay in the vault
+     */
+    getApiKeys() {
+        const states = new Map(this.api.getKeyStates().map(state => [state.id, state]));
+
+        return this.keyVault.getKeys().map(({ id, label, key }) => {
+            const state = states.get(id) || {};
+            return {
+                id,
+                label,
+                masked: window.ApiKeyVault.maskKey(key),
+                active: Boolean(state.active),
+                failure: state.failure || null,
+                quota: this.keyQuotas[id] || null
+            };
+        });
+    }
+
+    /**
+     * Add a key to the encrypted pool, throws while the vault is locked or not encrypted
+     */
+    async addApiKey(label, apiKey) {
+        const entry = await this.keyVault.addKey({ label, key: apiKey });
+        if (entry) this.api.setApiKeys(this.keyVault.getKeys());
+        return entry;
+    }
+
+    async deleteApiKey(keyId) {
+        const deleted = await this.keyVault.deleteKey(keyId);
+        if (deleted) this.api.setApiKeys(this.keyVault.getKeys());
+        delete this.keyQuotas[keyId];
+        return deleted;
+    }
+
+    /**
+     * Subscribe to keys leaving the rotation: { keyId, label, reason, nextKeyId, nextLabel }
+     */
+    onApiKeyFailure(listener) {
+        this.api.onKeyFailure(({ keyId, reason, nextKeyId }) => {
+            const labels = new Map(this.keyVault.getKeys().map(entry => [entry.id, entry.label]));
+            listener({ keyId, label: labels.get(keyId) || keyId, reason, nextKeyId, nextLabel: labels.get(nextKeyId) || null });
+        });
+    }
+
+    isApiKeyEncrypted() {
+        return this.keyVault.isEncrypted();
+    }
+
+    isApiKeyLocked() {
+        return this.keyVault.isLocked();
+    }
+
+    /**
+     * Decrypt the stored key, false for a wrong passphrase
+     */
+    async unlockApiKey(passphrase) {
+        const apiKey = await this.keyVault.unlock(passphrase);
+        if (!apiKey) return false;
+
+        this.api.setApiKeys(this.keyVault.getKeys());
+        return true;
+    }
+
+    lockApiKey() {
+        this.keyVault.lock();
+    }
+
+    onApiKeyLock(listener) {
+        this.keyVault.onLock(listener);
+    }
+
+    removeApiKey() {
+        const removed = this.keyVault.remove();
+        if (removed) this.api.setApiKey('');
+        return removed;
+    }
+
+    /**
+     * Re-read the stored key, e.g. after a backup with the key was restored
+     */
+    reloadApiKey() {
+        this.keyVault.lock();
+        this.api.setApiKeys(this.keyVault.getKeys());
+    }
+
+    /**
+     * Key for display, '' when there is none or it is locked
+     */
+    getMaskedApiKey() {
+        return window.ApiKeyVault.maskKey(this.keyVault.getKey());
+    }
+
+    /**
+     * Check the keys against TGStat: { success, remaining, limit, error }
+     * Without keyId the quota of all working keys is summed up, keys without requests left leave the rotation
+     */
+    async testApiKey({ keyId = null } = {}) {
+        if (!this.hasApiKey()) {
+            return { success: false, error: 'API ключ не задан', remaining: 0, limit: 0 };
+        }
+
+        this.touchApiKey();
+        // Through the bundled proxy there is only the server key
+        const keyIds = this.usesServerKey() ? [null] : keyId ? [keyId] : this.api.getKeyStates().map(state => state.id);
+        const statuses = [];
+
+        for (const id of keyIds) {
+            const status = await this.api.getApiStatus({ keyId: id });
+            statuses.push(status);
+
+            if (!status.success || !id) continue;
+            this.keyQuotas[id] = { remaining: status.remaining, limit: status.limit, checkedAt: new Date().toISOString() };
+            if (status.remaining === 0) this.api.markKeyFailed(id, 'quota');
+        }
+
+        const working = statuses.filter(status => status.success);
+        if (working.length === 0) return statuses[0];
+
+        const total = {
+            success: true,
+            remaining: working.reduce((sum, status) => sum + status.remaining, 0),
+            limit: working.reduce((sum, status) => sum + status.limit, 0)
+        };
+        this.quotaStatus = { remaining: total.remaining, limit: total.limit, checkedAt: new Date().toISOString() };
+
+        return total;
+    }
+
+    /**
+     * Pre-flight cost of analyzing channels: requests per channel (info + stats, posts when the
+     * fraud check is on) minus responses that will be served from the cache
+     * fraudCheckRequests - the part of `requests` spent on posts for the fraud check
+     *
+     * @returns {Promise<{channels: number, requests: number, cached: number, fraudCheckRequests: number, costs: number[]}>}
+     */
+    async estimateRunCost(channels, { forceRefresh = false, withPosts = this.fraudCheck } = {}) {
+        const costs = [];
+        let cached = 0;
+        let fraudCheckRequests = 0;
+
+        const endpointsByChannel = channels.map(channel => this.api.getChannelEndpoints(channel, { period: this.statsPeriod, withPosts }));
+        // One cache read for the whole list, the estimate is refreshed while the user types
+        const fresh = this.api.cache && !forceRefresh
+            ? await this.api.cache.hasMany(endpointsByChannel.flat())
+            : new Set();
+
+        for (const endpoints of endpointsByChannel) {
+            let cost = endpoints.length;
+
+            for (const endpoint of endpoints) {
+                if (fresh.has(endpoint)) {
+                    cost--;
+                } else if (endpoint.startsWith('/channels/posts')) {
+                    fraudCheckRequests++;
+                }
+            }
+
+            cached += endpoints.length - cost;
+            costs.push(cost);
+        }
+
+        return {
+            channels: channels.length,
+            requests: costs.reduce((sum, cost) => sum + cost, 0),
+            cached,
+            fraudCheckRequests,
+            costs
+        };
+    }
+
+    /**
+     * Compare the run cost with the remaining quota
+     * quota is null when /usage could not be checked, such runs are not limited
+     *
+     * @returns {Promise<{estimate: Object, quota: ?Object, fits: boolean, affordable: number}>}
+     */
+    async planRun(channels, options = {}) {
+        const estimate = await this.estimateRunCost(channels, options);
+        const status = await this.testApiKey({ keyId: options.keyId || null });
+
+        if (!status.success) {
+            return { estimate, quota: null, fits: true, affordable: channels.length };
+        }
+
+        // Channels in input order that fit into the remaining requests
+        let affordable = 0;
+        let spent = 0;
+        while (affordable < estimate.costs.length && spent + estimate.costs[affordable] <= status.remaining) {
+            spent += estimate.costs[affordable];
+            affordable++;
+        }
+
+        return {
+            estimate,
+            quota: this.quotaStatus,
+            fits: estimate.requests <= status.remaining,
+            affordable
+        };
+    }
+
+    /**
+     * Work with the API counts as activity for the auto-lock
+     */
+    touchApiKey() {
+        this.keyVault.touch();
+    }
+
+    /**
+     * Analyze one channel: channel info, stats, posts for the fraud check and scoring
+     * Never throws, failed channels come back as error records
+     *
+     * @returns {Promise<ChannelAnalysis>}
+     */
+    async analyzeChannel(channel, options = {}) {
+        this.touchApiKey();
+        const info = await this.api.getChannelInfo(channel, options);
+
+        if (!info.success) {
+            return this.createErrorRecord(channel, info.error);
+        }
+
+        // Stats are optional: analytics falls back to the channel info fields
+        const stats = await this.api.getChannelStats(channel, this.statsPeriod, options);
+        // Without posts only the reach and subscriber signals are checked
+        const posts = this.fraudCheck ? await this.api.getChannelPosts(channel, 50, options) : null;
+        this.getCpmCalibration(); // price model with the real CPMs saved so far
+        const analysis = this.analytics.analyzeChannel(info.data, stats.success ? stats.data : null, {
+            posts: posts && posts.success ? posts.data : null,
+            subscriberHistory: this.getSubscriberHistory(info.data.username || channel),
+            profile: options.scoringProfileId ? this.getScoringProfile(options.scoringProfileId) : this.analytics.scoringProfile
+        });
+
+        if (!analysis.success) {
+            return this.createErrorRecord(channel, analysis.error);
+        }
+
+        const record = this.toChannelAnalysis(channel, {
+            info: info.data,
+            stats: stats.success ? stats.data : null,
+            analysis,
+            fromCache: Boolean(info.fromCache && (!stats.success || stats.fromCache) && (!posts || !posts.success || posts.fromCache)),
+            cachedAt: info.cachedAt || null
+        });
+
+        // A cancelled run or missing stats would store a partial point and skew the growth columns
+        const aborted = Boolean(options.signal && options.signal.aborted);
+        if (!aborted && stats.success) {
+            this.recordMetrics(record);
+        }
+        return { ...record, ...this.getTrendFields(record.username) };
+    }
+
+    /**
+     * Build a ChannelAnalysis record from adapted API data and analytics output
+     *
+     * @returns {ChannelAnalysis}
+     */
+    toChannelAnalysis(channel, { info, stats, analysis, fromCache = false, cachedAt = null }) {
+        const { metrics, qualityScore, priceEstimate } = analysis;
+
+        return {
+            channel,
+            username: info.username || channel.replace('@', ''),
+            title: info.title || channel,
+            category: metrics.category,
+            verified: metrics.verified,
+            subscribers: metrics.subscribers,
+            avgReach: metrics.avgReach,
+            er: metrics.engagementRate,
+            quality: qualityScore.overall,
+            cpmForecast: priceEstimate.cpm.avg,
+            postPrice: priceEstimate.postPrice.estimated,
+            citationIndex: metrics.ciIndex,
+            mentions: metrics.mentionsPerPost,
+            reposts: metrics.forwardsPerPost,
+            posts: stats ? stats.posts_count : 0,
+            err24h: metrics.errPercent,
+            botScore: analysis.botScore === undefined ? null : analysis.botScore,
+            growth7d: null,
+            growth30d: null,
+            growth90d: null,
+            trendFlags: [],
+            status: this.determineChannelStatus({
+                qualityScore: qualityScore.overall,
+                engagementRate: metrics.engagementRate,
+                botScore: analysis.botScore
+            }, this.getScoringProfile(analysis.scoringProfile)),
+            realCpm: null,
+            cpmDeviation: null,
+            fromCache,
+            cachedAt,
+            analyzedAt: analysis.analysisTimestamp || new Date().toISOString(),
+            error: null,
+            source: { info, stats },
+            analysis
+        };
+    }
+
+    /**
+     * Load recent posts for the channel detail view
+     * Runs in the interactive lane so it is not queued behind a bulk analysis
+     */
+    async loadChannelDetails(record, options = {}) {
+        const posts = await this.api.getChannelPosts(record.channel, 50, { priority: 'interactive', ...options });
+
+        return {
+            record,
+            posts: posts.data,
+            postStats: this.analytics.analyzePosts(posts.data),
+            fraud: posts.success ? this.analytics.detectFraud(posts.data, {
+                subscribers: record.subscribers,
+                avgReach: record.avgReach,
+                subscriberHistory: this.getSubscriberHistory(record.username)
+            }) : null,
+            postsError: posts.success ? null : posts.error,
+            fromCache: Boolean(posts.fromCache),
+            cachedAt: posts.cachedAt || null
+        };
+    }
+
+    /**
+     * Subscriber counts of the channel from the metrics history and the projects, for the subscriber jump signal
+     * Projects cover channels analyzed before the metrics history was kept
+     *
+     * @returns {Array<{date: string, subscribers: number}>}
+     */
+    getSubscriberHistory(username) {
+        const name = String(username || '').replace('@', '').toLowerCase();
+        const history = new Map(); // date -> point, a project record and its metrics point are one measurement
+
+        this.storage.getProjectSubscriberHistory(name).forEach(point => history.set(point.date, { ...point }));
+
+        this.storage.getMetricsHistory(name).forEach(point => {
+            if (point.subscribers) history.set(point.date, { date: point.date, subscribers: point.subscribers });
+        });
+
+        return [...history.values()];
+    }
+
+    /**
+     * Save the measured metrics of a successful analysis to the channel history
+     * Cached responses are dated by when they were received
+     */
+    recordMetrics(record) {
+        if (!record || record.error) return null;
+
+        return this.storage.addMetricsPoint({
+            username: record.username,
+            date: record.fromCache && record.cachedAt ? record.cachedAt : record.analyzedAt,
+            subscribers: record.subscribers,
+            avgReach: record.avgReach,
+            err24h: record.err24h,
+            citationIndex: record.citationIndex,
+            quality: record.quality
+        });
+    }
+
+    /**
+     * Metrics history of the channel, oldest point first
+     */
+    getMetricsHistory(username) {
+        return this.storage.getMetricsHistory(username);
+    }
+
+    /**
+     * Growth rates and sudden change flags, see TGTrafficAnalytics.analyzeTrends()
+     */
+    getChannelTrends(username) {
+        return this.analytics.analyzeTrends(this.getMetricsHistory(username));
+    }
+
+    /**
+     * Subscriber growth columns and flags of the results table
+     */
+    getTrendFields(username) {
+        const trends = this.getChannelTrends(username);
+
+        return {
+            growth7d: trends.growth[7] ? trends.growth[7].subscribers : null,
+            growth30d: trends.growth[30] ? trends.growth[30].subscribers : null,
+            growth90d: trends.growth[90] ? trends.growth[90].subscribers : null,
+            trendFlags: trends.flags
+        };
+    }
+
+    /**
+     * Record for a channel that could not be analyzed
+     *
+     * @returns {ChannelAnalysis}
+     */
+    createErrorRecord(channel, error) {
+        return {
+            channel,
+            username: channel.replace('@', ''),
+            title: channel,
+            status: 'error',
+            error: error || 'Неизвестная ошибка',
+            analyzedAt: new Date().toISOString(),
+            source: null,
+            analysis: null
+        };
+    }
+
+    /**
+     * Determine channel status label, thresholds come from the scoring profile
+     */
+    determineChannelStatus({ qualityScore, engagementRate, botScore }, profile = this.analytics.scoringProfile) {
+        const thresholds = profile.statusThresholds;
+
+        if (botScore > thresholds.bots) return 'Подозрение на боты';
+        if (qualityScore >= thresholds.excellent) return 'Отлично';
+        if (qualityScore >= thresholds.good) return 'Хорошо';
+        if (qualityScore >= thresholds.average) return 'Средне';
+        if (qualityScore >= thresholds.poor) return 'Плохо';
+        return 'Недоступен';
+    }
+
+    /**
+     * Scoring profiles: the built-in one first, then the user profiles from settings
+     */
+    getScoringProfiles(settings = this.storage.getUserSettings()) {
+        return [
+            this.analytics.getDefaultScoringProfile(),
+            ...(settings.scoringProfiles || []).map(profile => this.analytics.normalizeScoringProfile(profile))
+        ];
+    }
+
+    /**
+     * Profile by id, unknown or deleted profiles fall back to the built-in one
+     */
+    getScoringProfile(profileId, settings = this.storage.getUserSettings()) {
+        const profiles = this.getScoringProfiles(settings);
+        return profiles.find(profile => profile.id === profileId) || profiles[0];
+    }
+
+    /**
+     * Create or update a user profile; the built-in profile is saved as a new copy
+     *
+     * @returns {{success: boolean, profile?: Object, errors?: Array}}
+     */
+    saveScoringProfile(profile) {
+        const normalized = this.analytics.normalizeScoringProfile(profile);
+        if (!normalized.id || normalized.id === 'default') normalized.id = this.storage.generateId();
+
+        const { valid, errors } = this.storage.validateScoringProfile(normalized);
+        if (!valid) return { success: false, errors };
+
+        const settings = this.storage.getUserSettings();
+        const profiles = (settings.scoringProfiles || []).filter(item => item.id !== normalized.id);
+        const index = (settings.scoringProfiles || []).findIndex(item => item.id === normalized.id);
+        profiles.splice(index === -1 ? profiles.length : index, 0, normalized);
+
+        if (!this.storage.updateUserSettings({ scoringProfiles: profiles })) {
+            return { success: false, errors: [{ id: null, message: 'Не удалось сохранить профиль' }] };
+        }
+
+        this.applySettings(this.storage.getUserSettings());
+        return { success: true, profile: normalized };
+    }
+
+    /**
+     * Delete a user profile, projects and settings that used it go back to the built-in one
+     */
+    deleteScoringProfile(profileId) {
+        const settings = this.storage.getUserSettings();
+        const updates = { scoringProfiles: (settings.scoringProfiles || []).filter(profile => profile.id !== profileId) };
+        if (settings.scoringProfileId === profileId) updates.scoringProfileId = 'default';
+
+        if (!this.storage.updateUserSettings(updates)) return false;
+        this.applySettings(this.storage.getUserSettings());
+
+        this.storage.getProjects()
+            .filter(project => project.scoringProfileId === profileId)
+            .forEach(project => this.setProjectScoringProfile(project.id, null));
+
+        return true;
+    }
+
+    setActiveScoringProfile(profileId) {
+        const profile = this.getScoringProfile(profileId);
+        if (!this.storage.updateUserSettings({ scoringProfileId: profile.id })) return null;
+
+        this.applySettings(this.storage.getUserSettings());
+        return profile;
+    }
+
+    /**
+     * Profile as a JSON file for colleagues
+     */
+    exportScoringProfile(profileId) {
+        const { id, ...profile } = this.getScoringProfile(profileId);
+        return JSON.stringify({ type: 'tg-traffic-scoring-profile', version: 1, profile }, null, 2);
+    }
+
+    /**
+     * Import a profile exported by exportScoringProfile(), always as a new profile
+     *
+     * @returns {{success: boolean, profile?: Object, errors?: Array}}
+     */
+    importScoringProfile(json) {
+        let parsed;
+        try {
+            parsed = JSON.parse(json);
+        } catch (error) {
+            return { success: false, errors: [{ id: null, message: 'Файл не является JSON' }] };
+        }
+
+        if (!parsed || parsed.type !== 'tg-traffic-scoring-profile' || !parsed.profile || typeof parsed.profile !== 'object') {
+            return { success: false, errors: [{ id: null, message: 'Это не профиль оценки' }] };
+        }
+
+        const names = new Set(this.getScoringProfiles().map(profile => profile.name));
+        let name = String(parsed.profile.name || 'Импортированный профиль');
+        while (names.has(name)) name = `${name} (копия)`;
+
+        return this.saveScoringProfile({ ...parsed.profile, id: null, name });
+    }
+
+    /**
+     * Score records again with another profile from the stored metrics, without API requests
+     * Failed records and records without analysis are returned as they are
+     *
+     * @returns {ChannelAnalysis[]}
+     */
+    rescoreRecords(records, profile = this.analytics.scoringProfile) {
+        this.getCpmCalibration();
+
+        return records.map(record => {
+            if (record.error || !record.analysis || !record.source) return record;
+
+            const { metrics, fraud = null } = record.analysis;
+            const analysis = { ...record.analysis, ...this.analytics.scoreMetrics(metrics, fraud, profile), scoringProfile: profile.id };
+            const rescored = this.toChannelAnalysis(record.channel, {
+                info: record.source.info,
+                stats: record.source.stats,
+                analysis,
+                fromCache: record.fromCache,
+                cachedAt: record.cachedAt
+            });
+
+            return record.realCpm === null || record.realCpm === undefined ? rescored : this.applyRealCpm(rescored, record.realCpm);
+        });
+    }
+
+    /**
+     * Set the real CPM paid for a channel and its deviation from the forecast
+     */
+    applyRealCpm(record, realCpm) {
+        record.realCpm = realCpm;
+        record.cpmDeviation = record.cpmForecast > 0
+            ? ((realCpm - record.cpmForecast) / record.cpmForecast * 100).toFixed(1)
+            : null;
+        return record;
+    }
+
+    /**
+     * Set the real CPM and keep it with the channel metrics for the calibrated price model
+     */
+    recordRealCpm(record, realCpm) {
+        this.applyRealCpm(record, realCpm);
+
+        this.storage.addCpmRecord({
+            username: record.username,
+            realCpm,
+            forecastCpm: record.cpmForecast,
+            metrics: {
+                subscribers: record.subscribers,
+                avgReach: record.avgReach,
+                engagementRate: record.er,
+                quality: record.quality,
+                category: record.category,
+                verified: Boolean(record.verified)
+            }
+        });
+        // Refitted when the model is used next, not on every saved CPM
+        this.cpmCalibration = null;
+
+        return record;
+    }
+
+    /**
+     * Refit the price model on the stored real CPMs
+     *
+     * @returns {{model: ?Object, samples: number, error: {default: ?number, calibrated: ?number}}}
+     */
+    recalibrateCpmModel() {
+        this.cpmCalibration = this.analytics.calibrateCpmModel(this.storage.getCpmHistory());
+        this.analytics.setCpmModel(this.cpmCalibration.model);
+        return this.cpmCalibration;
+    }
+
+    /**
+     * Current price model report, refitted only when real CPMs were saved since the last fit
+     */
+    getCpmCalibration() {
+        return this.cpmCalibration || this.recalibrateCpmModel();
+    }
+
+    /**
+     * Price model report with the cross-validated error of the calibrated model
+     * The validation refits the model per fold, so it runs only when the report is shown and is kept until the next fit
+     */
+    getCpmModelReport() {
+        const calibration = this.getCpmCalibration();
+
+        if (calibration.model && calibration.error.calibrated === null) {
+            calibration.error.calibrated = this.analytics.validateCpmModel(this.storage.getCpmHistory());
+        }
+
+        return calibration;
+    }
+
+    /**
+     * Rows for the Excel export
+     */
+    buildExportRows(records) {
+        const optional = value => value === null || value === undefined ? '' : value;
+
+        return records.map(record => ({
+            'Канал': record.title || record.channel,
+            'Username': record.username || record.channel,
+            'Подписчики': record.subscribers || 0,
+            'Средний охват': record.avgReach || 0,
+            'ER %': record.er || 0,
+            'Качество': record.quality || 0,
+            'Прогноз CPM': record.cpmForecast || 0,
+            'Цена поста': record.postPrice || 0,
+            'Реальный CPM': record.realCpm || '',
+            'Отклонение %': record.cpmDeviation || '',
+            'ИЦ': record.citationIndex || 0,
+            'Упоминания': record.mentions || 0,
+            'Репосты': record.reposts || 0,
+            'Посты': record.posts || 0,
+            'ERR 24h': record.err24h || 0,
+            'Вероятность ботов %': optional(record.botScore),
+            'Рост 7 дн. %': optional(record.growth7d),
+            'Рост 30 дн. %': optional(record.growth30d),
+            'Рост 90 дн. %': optional(record.growth90d),
+            'Резкие изменения': (record.trendFlags || []).map(flag => flag.label).join(', '),
+            'Категория': record.category || '',
+            'Статус': record.status || '',
+            'Ошибка': record.error || '',
+            'Дата анализа': new Date(record.analyzedAt).toLocaleString('ru-RU')
+        }));
+    }
+
+    /**
+     * Export rows as CSV (semicolon separated, as Excel expects for the ru locale)
+     */
+    buildExportCsv(records) {
+        const rows = this.buildExportRows(records);
+        if (rows.length === 0) return '';
+
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const headers = Object.keys(rows[0]);
+
+        return [
+            headers.map(escape).join(';'),
+            ...rows.map(row => headers.map(header => escape(row[header])).join(';'))
+        ].join('\r\n');
+    }
+
+    /**
+     * Discovery: candidates from keyword search and from channels mentioned by a seed channel,
+     * deduplicated by username. Mentions carry no metrics, those candidates get channel info
+     * (one request each, cached like any other). keywords: comma or newline separated
+     *
+     * @returns {Promise<{success: boolean, candidates: Array<Object>, errors: string[]}>}
+     */
+    async discoverChannels({ keywords = '', seed = '', limit = 20, signal } = {}) {
+        const options = { priority: 'interactive', signal };
+        const queries = keywords.split(/[,\n]/).map(query => query.trim()).filter(Boolean);
+        const seedUsername = seed.trim().replace('@', '').toLowerCase();
+        const candidates = new Map(); // username -> candidate
+        const errors = [];
+
+        const addCandidate = (channel, source) => {
+            const username = (channel.username || '').replace('@', '');
+            if (!/^\w+$/.test(username) || username.toLowerCase() === seedUsername) return;
+
+            const key = username.toLowerCase();
+            const candidate = candidates.get(key) || {
+                username,
+                title: channel.title || username,
+                subscribers: null,
+                avgReach: null,
+                category: null,
+                verified: false,
+                sources: []
+            };
+
+            if (channel.participants_count !== undefined) {
+                candidate.subscribers = channel.participants_count;
+                candidate.avgReach = channel.avg_post_reach || 0;
+                candidate.category = channel.category || 'unknown';
+                candidate.verified = channel.verified || false;
+            }
+            if (!candidate.sources.includes(source)) candidate.sources.push(source);
+            candidates.set(key, candidate);
+        };
+
+        for (const query of queries) {
+            const result = await this.api.searchChannels(query, limit, options);
+            if (!result.success) {
+                errors.push(`Поиск «${query}»: ${result.error}`);
+                continue;
+            }
+            result.data.forEach(channel => addCandidate(channel, `поиск: ${query}`));
+        }
+
+        if (seedUsername) {
+            const result = await this.api.getSimilarChannels(seedUsername, limit, options);
+            if (result.success) {
+                result.data.forEach(channel => addCandidate(channel, `упоминания @${seedUsername}`));
+            } else {
+                errors.push(`Каналы рядом с @${seedUsername}: ${result.error}`);
+            }
+        }
+
+        for (const candidate of candidates.values()) {
+            if (candidate.subscribers !== null) continue;
+
+            const info = await this.api.getChannelInfo(candidate.username, options);
+            if (!info.success) continue;
+            addCandidate(info.data, candidate.sources[0]);
+        }
+
+        const excluded = this.getExcludedChannels();
+        const list = [...candidates.values()].map(candidate => ({
+            ...candidate,
+            excluded: excluded.get(candidate.username.toLowerCase()) || null
+        }));
+
+        return { success: list.length > 0 || errors.length === 0, candidates: list, errors };
+    }
+
+    /**
+     * Usernames discovery leaves out: channels of saved projects and the blacklist
+     *
+     * @returns {Map<string, 'project'|'blacklist'>}
+     */
+    getExcludedChannels() {
+        const excluded = new Map();
+
+        this.storage.getProjects().forEach(project => {
+            (project.channels || []).forEach(record => {
+                if (record.username) excluded.set(record.username.toLowerCase(), 'project');
+            });
+        });
+        this.storage.getBlacklist().forEach(entry => excluded.set(entry.username, 'blacklist'));
+
+        return excluded;
+    }
+
+    /**
+     * Candidates passing the thresholds, null thresholds are not checked
+     * Candidates without metrics only pass when no metric thresholds are set
+     */
+    filterCandidates(candidates, { minSubscribers = null, maxSubscribers = null, minReach = null, category = '', showExcluded = false } = {}) {
+        const hasThresholds = minSubscribers !== null || maxSubscribers !== null || minReach !== null;
+
+        return candidates.filter(candidate => {
+            if (candidate.excluded && !showExcluded) return false;
+            if (category && candidate.category !== category) return false;
+            if (candidate.subscribers === null) return !hasThresholds;
+            if (minSubscribers !== null && candidate.subscribers < minSubscribers) return false;
+            if (maxSubscribers !== null && candidate.subscribers > maxSubscribers) return false;
+            if (minReach !== null && candidate.avgReach < minReach) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Mention network: breadth-first crawl of /channels/mentions from the seed channels, `depth` hops out.
+     * Every crawled channel costs one request (cached), crawling stops after maxChannels channels.
+     * The graph is stored as the latest network
+     *
+     * @returns {Promise<{graph: MentionGraph, crawled: number, pending: number, errors: string[]}>}
+     */
+    async buildMentionNetwork(seeds, { depth = 2, limit = 20, maxChannels = 30, signal, onProgress } = {}) {
+        const seedNames = [...new Set(seeds.map(seed => seed.replace('@', '').toLowerCase()).filter(Boolean))];
+        const graph = new window.MentionGraph({ seeds: seedNames, depth, builtAt: new Date().toISOString() });
+        const queue = seedNames.map(username => ({ username, level: 0 }));
+        const visited = new Set(seedNames);
+        const errors = [];
+        let crawled = 0;
+
+        seedNames.forEach(username => graph.addNode(username, { depth: 0 }));
+
+        while (queue.length > 0 && crawled < maxChannels) {
+            if (signal && signal.aborted) break;
+
+            const { username, level } = queue.shift();
+            const result = await this.api.getSimilarChannels(username, limit, { priority: 'interactive', signal });
+            crawled++;
+
+            if (!result.success) {
+                errors.push(`@${username}: ${result.error}`);
+                continue;
+            }
+
+            result.data.forEach(item => {
+                const mentioner = (item.username || '').toLowerCase();
+                if (!mentioner) return;
+
+                graph.addNode(mentioner, { title: item.title, depth: level + 1 });
+                graph.addEdge(mentioner, username, item.mentions_count || 1);
+
+                if (level + 1 < depth && !visited.has(mentioner)) {
+                    visited.add(mentioner);
+                    queue.push({ username: mentioner, level: level + 1 });
+                }
+            });
+
+            if (onProgress) onProgress({ crawled, queued: queue.length });
+        }
+
+        this.storage.setMentionGraph(graph.toJSON());
+        return { graph, crawled, pending: queue.length, errors };
+    }
+
+    getMentionGraph() {
+        const stored = this.storage.getMentionGraph();
+        return stored ? new window.MentionGraph(stored) : null;
+    }
+
+    /**
+     * Who mentioned each channel, for the audience overlap estimate
+     * One /channels/mentions request per channel, answers are cached by the API client
+     *
+     * @returns {Promise<{mentionedBy: Object, errors: string[]}>} mentionedBy: username -> [{ username, mentions }]
+     */
+    async loadMentions(records, { signal } = {}) {
+        const mentionedBy = {};
+        const errors = [];
+
+        for (const record of records) {
+            if (signal && signal.aborted) break;
+
+            const result = await this.api.getSimilarChannels(record.username, 50, { priority: 'interactive', signal });
+            if (!result.success) {
+                errors.push(`${record.channel}: ${result.error}`);
+                continue;
+            }
+
+            mentionedBy[record.username.toLowerCase()] = result.data
+                .filter(item => item.username)
+                .map(item => ({ username: item.username.toLowerCase(), mentions: item.mentions_count || 1 }));
+        }
+
+        return { mentionedBy, errors };
+    }
+
+    /**
+     * Audience overlap of the analyzed records, see TGTrafficAnalytics.estimateOverlap()
+     * With projectId the mention lists are kept in the project for its unique reach
+     */
+    async estimateAudienceOverlap(records, { signal, projectId = null } = {}) {
+        const analyzed = records.filter(record => !record.error);
+        const { mentionedBy, errors } = await this.loadMentions(analyzed, { signal });
+
+        const project = projectId ? this.storage.getProject(projectId) : null;
+        if (project) {
+            this.storage.updateProject(projectId, { mentionedBy: { ...(project.mentionedBy || {}), ...mentionedBy } });
+        }
+
+        return { ...this.analytics.estimateOverlap(analyzed, mentionedBy), mentionedBy, errors };
+    }
+
+    /**
+     * Channel mix for a budget from analyzed records, see BudgetOptimizer.optimize()
+     * Blacklisted channels are never planned
+     */
+    planBudget(records, options = {}) {
+        const blacklist = this.storage.getBlacklist().map(entry => entry.username);
+        return new window.BudgetOptimizer().optimize(records, {
+            ...options,
+            exclude: [...(options.exclude || []), ...blacklist]
+        });
+    }
+
+    /**
+     * Projects: a named set of ChannelAnalysis records
+     */
+    saveProject(name, records, { mentionedBy = null } = {}) {
+        return this.storage.addProject(mentionedBy ? { name, channels: records, mentionedBy } : { name, channels: records });
+    }
+
+    getProjects() {
+        return this.storage.getProjects();
+    }
+
+    deleteProject(projectId) {
+        return this.storage.deleteProject(projectId);
+    }
+
+    /**
+     * Pin the project's analysis to one key of the pool (billing), null returns it to rotation
+     */
+    setProjectApiKey(projectId, keyId) {
+        return this.storage.updateProject(projectId, { apiKeyId: keyId || null });
+    }
+
+    /**
+     * Score the project with its own profile, null returns it to the active one
+     * The saved records are re-scored right away
+     */
+    setProjectScoringProfile(projectId, profileId) {
+        const project = this.storage.getProject(projectId);
+        if (!project) return null;
+
+        const profile = profileId ? this.getScoringProfile(profileId) : this.analytics.scoringProfile;
+        return this.storage.updateProject(projectId, {
+            scoringProfileId: profileId || null,
+            channels: this.rescoreRecords(project.channels, profile)
+        });
+    }
+
+    /**
+     * Replace the project's records with a fresh analysis
+     */
+    updateProjectChannels(projectId, records) {
+        return this.storage.updateProject(projectId, { channels: records });
+    }
+
+    /**
+     * Campaign card totals, failed channels are not counted
+     * Unique reach uses the mention lists saved with the project, without them only shared categories count
+     */
+    summarizeProject(project) {
+        const analyzed = project.channels.filter(record => !record.error);
+        const totalQuality = analyzed.reduce((sum, record) => sum + (record.quality || 0), 0);
+
+        return {
+            channelsCount: project.channels.length,
+            avgQuality: analyzed.length > 0 ? totalQuality / analyzed.length : 0,
+            totalReach: analyzed.reduce((sum, record) => sum + (record.avgReach || 0), 0),
+            uniqueReach: this.analytics.estimateOverlap(analyzed, project.mentionedBy || {}).uniqueReach
+        };
+    }
+}
+
+// Export for use in other modules
+window.TGTrafficService = TGTrafficService;
@@ -0,0 +1,268 @@
+/**
+ * Storage Backends Module
+ * Async persistence layer behind TGTrafficStorage: IndexedDB with per-record
+ * object stores, and localStorage as the fallback for browsers without IndexedDB
+ */
+
+/**
+ * localStorage backend: every key is one JSON value
+ * Reads and writes are synchronous by nature, so TGTrafficStorage can use it without waiting
+ */
+class LocalStorageBackend {
+    constructor(keys = []) {
+        this.name = 'localStorage';
+        this.keys = keys;
+        this.quota = 5 * 1024 * 1024; // Typical per-origin localStorage limit
+    }
+
+    static isAvailable() {
+        try {
+            const testKey = '__storage_test__';
+            localStorage.setItem(testKey, 'test');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    readAllSync() {
+        const values = {};
+
+        this.keys.forEach(key => {
+            const item = localStorage.getItem(key);
+            if (item === null) return;
+
+            try {
+                values[key] = JSON.parse(item);
+            } catch (error) {
+                console.error(`Error reading from localStorage (${key}):`, error);
+            }
+        });
+
+        return values;
+    }
+
+    async readAll() {
+        return this.readAllSync();
+    }
+
+    writeValueSync(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    removeValueSync(key) {
+        localStorage.removeItem(key);
+    }
+
+    async writeValue(key, value) {
+        this.writeValueSync(key, value);
+    }
+
+    async writeCollection(key, records) {
+        this.writeValueSync(key, records);
+    }
+
+    async removeValue(key) {
+        this.removeValueSync(key);
+    }
+
+    async estimate() {
+        return { quota: this.quota, usage: null };
+    }
+}
+
+/**
+ * IndexedDB backend: collections (projects, campaigns, results...) are stored
+ * one record per entry, other keys go to the 'meta' store
+ */
+class IndexedDBStorageBackend {
+    constructor({ dbName = 'tg_traffic_data', collections = {} } = {}) {
+        this.name = 'indexedDB';
+        this.dbName = dbName;
+        this.dbVersion = 3; // raised when a store is added, openDatabase() creates the missing ones
+        this.metaStore = 'meta';
+        this.collections = collections; // storage key -> object store name
+        this.dbPromise = null;
+    }
+
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Read every stored value, collections come back as arrays in their saved order
+     */
+    async readAll() {
+        const db = await this.openDatabase();
+        const values = {};
+
+        const metaEntries = await this.runTransaction(db, this.metaStore, 'readonly', store => store.getAll());
+        metaEntries.forEach(entry => {
+            values[entry.key] = entry.value;
+        });
+
+        for (const [key, storeName] of Object.entries(this.collections)) {
+            const entries = await this.runTransaction(db, storeName, 'readonly', store => store.getAll());
+            if (entries.length > 0 || values[this.getCollectionMarker(key)]) {
+                values[key] = entries.sort((a, b) => a.order - b.order).map(entry => entry.data);
+            }
+            delete values[this.getCollectionMarker(key)];
+        }
+
+        return values;
+    }
+
+    async writeValue(key, value) {
+        if (this.collections[key] && Array.isArray(value)) {
+            await this.writeCollection(key, value, null);
+            return;
+        }
+
+        const db = await this.openDatabase();
+        await this.runTransaction(db, this.metaStore, 'readwrite', store => store.put({ key, value }));
+    }
+
+    /**
+     * Write only the records that changed since `previous` (null rewrites the store)
+     */
+    async writeCollection(key, records, previous = null) {
+        const storeName = this.collections[key];
+        if (!storeName) {
+            await this.writeValue(key, records);
+            return;
+        }
+
+        const entries = this.toEntries(records);
+        const previousEntries = previous ? this.toEntries(previous) : null;
+        const previousById = new Map((previousEntries || []).map(entry => [entry.id, JSON.stringify(entry)]));
+        const currentIds = new Set(entries.map(entry => entry.id));
+
+        const upserts = entries.filter(entry => previousById.get(entry.id) !== JSON.stringify(entry));
+        const deletions = previousEntries ? previousEntries.filter(entry => !currentIds.has(entry.id)).map(entry => entry.id) : [];
+
+        const db = await this.openDatabase();
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName, this.metaStore], 'readwrite');
+            const store = transaction.objectStore(storeName);
+
+            if (!previousEntries) store.clear();
+            deletions.forEach(id => store.delete(id));
+            upserts.forEach(entry => store.put(entry));
+
+            // Marker keeps an emptied collection distinct from one that was never written
+            transaction.objectStore(this.metaStore).put({ key: this.getCollectionMarker(key), value: true });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Put single records of a collection at their positions, [{ record, order }], the rest of the store is kept
+     */
+    async writeRecords(key, records) {
+        const storeName = this.collections[key];
+        const db = await this.openDatabase();
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName, this.metaStore], 'readwrite');
+            const store = transaction.objectStore(storeName);
+
+            records.forEach(({ record, order }) => store.put({
+                id: record && record.id !== undefined ? String(record.id) : `position_${order}`,
+                order,
+                data: record
+            }));
+            transaction.objectStore(this.metaStore).put({ key: this.getCollectionMarker(key), value: true });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async removeValue(key) {
+        const db = await this.openDatabase();
+
+        if (this.collections[key]) {
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction([this.collections[key], this.metaStore], 'readwrite');
+                transaction.objectStore(this.collections[key]).clear();
+                transaction.objectStore(this.metaStore).delete(this.getCollectionMarker(key));
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+            return;
+        }
+
+        await this.runTransaction(db, this.metaStore, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Storage quota reported by the browser
+     */
+    async estimate() {
+        if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+            const { quota, usage } = await navigator.storage.estimate();
+            return { quota, usage };
+        }
+
+        return { quota: null, usage: null };
+    }
+
+    /**
+     * Records keep their position so arrays come back in the same order
+     */
+    toEntries(records) {
+        return records.map((record, index) => ({
+            id: record && record.id !== undefined ? String(record.id) : `position_${index}`,
+            order: index,
+            data: record
+        }));
+    }
+
+    getCollectionMarker(key) {
+        return `${key}__collection`;
+    }
+
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                [this.metaStore, ...Object.values(this.collections)].forEach(storeName => {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName, { keyPath: storeName === this.metaStore ? 'key' : 'id' });
+                    }
+                });
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request inside a transaction and resolve with its result
+     */
+    runTransaction(db, storeName, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+
+// Export for use in other modules
+window.LocalStorageBackend = LocalStorageBackend;
+window.IndexedDBStorageBackend = IndexedDBStorageBackend;
@@ -1,10 +1,14 @@
 /**
- * LocalStorage Data Management Module
+ * Data Management Module
  * Handles all data persistence and storage operations
+ *
+ * Reads and writes are synchronous against an in-memory snapshot; every write is
+ * queued to the backend (IndexedDB, or localStorage where IndexedDB is missing).
+ * Call ready() before reading when the backend loads asynchronously.
  */
 
 class TGTrafficStorage {
-    constructor() {
+    constructor(options = {}) {
         this.storageKeys = {
             API_KEY: 'tg_traffic_api_key',
             PROJECTS: 'tg_traffic_projects',
@@ -12,17 +16,244 @@ class TGTrafficStorage {
             USER_SETTINGS: 'tg_traffic_user_settings',
             WORK_CAMPAIGNS: 'tg_traffic_work_campaigns',
             TEMPLATES: 'tg_traffic_templates',
-            EXPORT_HISTORY: 'tg_traffic_export_history'
+            EXPORT_HISTORY: 'tg_traffic_export_history',
+            ANALYSIS_CHECKPOINT: 'tg_traffic_analysis_checkpoint',
+            ANALYSIS_CHECKPOINT_RESULTS: 'tg_traffic_analysis_checkpoint_results',
+            API_USAGE: 'tg_traffic_api_usage',
+            BLACKLIST: 'tg_traffic_blacklist',
+            MENTION_GRAPH: 'tg_traffic_mention_graph',
+            CPM_HISTORY: 'tg_traffic_cpm_history',
+            METRICS_HISTORY: 'tg_traffic_metrics_history',
+            SCHEMA_VERSION: 'tg_traffic_schema_version'
         };
 
+        // Backup sections (backup.data) and the keys they are stored under
+        this.dataSections = {
+            projects: this.storageKeys.PROJECTS,
+            analysisResults: this.storageKeys.ANALYSIS_RESULTS,
+            workCampaigns: this.storageKeys.WORK_CAMPAIGNS,
+            userSettings: this.storageKeys.USER_SETTINGS,
+            templates: this.storageKeys.TEMPLATES,
+            exportHistory: this.storageKeys.EXPORT_HISTORY,
+            blacklist: this.storageKeys.BLACKLIST,
+            cpmHistory: this.storageKeys.CPM_HISTORY,
+            metricsHistory: this.storageKeys.METRICS_HISTORY,
+            apiKey: this.storageKeys.API_KEY // only in backups created with includeApiKey
+        };
+
+        // Sections holding a single value instead of a list of records
+        this.valueSections = ['userSettings', 'apiKey'];
+
+        // Ordered schema migrations, see registerMigration()
+        this.migrations = [];
+        this.getDefaultMigrations().forEach(migration => this.registerMigration(migration));
+
+        // Keys stored record by record in the IndexedDB backend
+        this.collections = {
+            [this.storageKeys.PROJECTS]: 'projects',
+            [this.storageKeys.WORK_CAMPAIGNS]: 'campaigns',
+            [this.storageKeys.ANALYSIS_RESULTS]: 'results',
+            [this.storageKeys.TEMPLATES]: 'templates',
+            [this.storageKeys.EXPORT_HISTORY]: 'exports',
+            [this.storageKeys.METRICS_HISTORY]: 'metrics',
+            [this.storageKeys.ANALYSIS_CHECKPOINT_RESULTS]: 'checkpointResults'
+        };
+        this.migrationKey = 'tg_traffic_migrated_from_local_storage';
+
+        this.snapshot = new Map(); // key -> JSON string
+        this.staleSnapshots = new Map(); // key -> function returning the value, serialized on the next read
+        this.derived = new Map(); // key -> Map of values built from it, see getDerived()
+        this.quota = 5 * 1024 * 1024;
+        this.writeQueue = Promise.resolve();
+        this.writeErrorListeners = [];
+        this.backend = options.backend || this.createDefaultBackend();
+
+        if (this.backend.readAllSync) {
+            this.loadSnapshot(this.backend.readAllSync());
+            this.initializeStorage();
+            this.readyPromise = Promise.resolve();
+        } else {
+            this.readyPromise = this.load();
+        }
+    }
+
+    /**
+     * IndexedDB when the browser has it, localStorage otherwise
+     */
+    createDefaultBackend() {
+        if (window.IndexedDBStorageBackend && window.IndexedDBStorageBackend.isAvailable()) {
+            return new window.IndexedDBStorageBackend({ collections: this.collections });
+        }
+
+        return new window.LocalStorageBackend(Object.values(this.storageKeys));
+    }
+
+    /**
+     * Resolves once stored data is loaded
+     */
+    ready() {
+        return this.readyPromise;
+    }
+
+    /**
+     * Resolves once all queued writes reached the backend
+     */
+    flush() {
+        return this.writeQueue;
+    }
+
+    /**
+     * Subscribe to failed writes, the listener receives a user-facing message
+     */
+    onWriteError(listener) {
+        this.writeErrorListeners.push(listener);
+    }
+
+    /**
+     * Load data from an async backend, importing old localStorage data once
+     */
+    async load() {
+        try {
+            let values = await this.backend.readAll();
+
+            if (!values[this.migrationKey]) {
+                values = { ...values, ...(await this.migrateFromLocalStorage(values)) };
+            }
+
+            this.loadSnapshot(values);
+
+            const { quota } = await this.backend.estimate();
+            if (quota) this.quota = quota;
+        } catch (error) {
+            console.error('Error loading storage:', error);
+            this.reportWriteError('load', error);
+        }
+
         this.initializeStorage();
     }
 
+    /**
+     * One-time import of the tg_traffic_* localStorage keys into the backend
+     * Old keys are removed only after every value was written
+     */
+    async migrateFromLocalStorage(existing = {}) {
+        if (!window.LocalStorageBackend || !window.LocalStorageBackend.isAvailable()) return {};
+
+        const legacy = new window.LocalStorageBackend(Object.values(this.storageKeys)).readAllSync();
+        const imported = {};
+
+        try {
+            for (const [key, value] of Object.entries(legacy)) {
+                if (existing[key] !== undefined) continue;
+
+                if (this.collections[key] && Array.isArray(value)) {
+                    await this.backend.writeCollection(key, value, null);
+                } else {
+                    await this.backend.writeValue(key, value);
+                }
+                imported[key] = value;
+            }
+
+            await this.backend.writeValue(this.migrationKey, new Date().toISOString());
+            Object.keys(legacy).forEach(key => localStorage.removeItem(key));
+
+            return imported;
+        } catch (error) {
+            // Keep working with the old data, the migration is retried on the next start
+            console.error('Error migrating localStorage data:', error);
+            return legacy;
+        }
+    }
+
+    loadSnapshot(values) {
+        Object.entries(values).forEach(([key, value]) => {
+            if (key === this.migrationKey) return;
+            this.snapshot.set(key, JSON.stringify(value));
+            this.invalidateDerived(key);
+        });
+    }
+
+    /**
+     * Value built from a stored key (e.g. an index by channel), kept until the key is written again
+     */
+    getDerived(key, name, build) {
+        if (!this.derived.has(key)) this.derived.set(key, new Map());
+
+        const values = this.derived.get(key);
+        if (!values.has(name)) values.set(name, build());
+        return values.get(name);
+    }
+
+    invalidateDerived(key) {
+        this.derived.delete(key);
+        this.staleSnapshots.delete(key);
+    }
+
+    /**
+     * Persist one record of a collection changed in memory without setItem(): `records` is the live array
+     * holding it at `order`. The snapshot is serialized on the next read and IndexedDB receives only this
+     * record; localStorage keeps every key as one value, so there the whole array is written
+     */
+    writeCollectionRecord(key, records, record, order) {
+        this.staleSnapshots.set(key, () => records);
+
+        if (this.backend.writeValueSync) {
+            try {
+                this.backend.writeValueSync(key, records);
+            } catch (error) {
+                this.invalidateDerived(key);
+                this.reportWriteError(key, error);
+                return false;
+            }
+        } else if (this.backend.writeRecords) {
+            this.queueWrite(key, () => this.backend.writeRecords(key, [{ record, order }]));
+        } else {
+            const snapshot = records.slice();
+            this.queueWrite(key, () => this.backend.writeCollection(key, snapshot, null));
+        }
+
+        return true;
+    }
+
+    /**
+     * Serialize a key changed in memory by writeCollectionRecord()
+     */
+    flushSnapshot(key) {
+        const getValue = this.staleSnapshots.get(key);
+        if (!getValue) return;
+
+        this.staleSnapshots.delete(key);
+        this.snapshot.set(key, JSON.stringify(getValue()));
+    }
+
+    /**
+     * Queue a backend write; failures are reported to onWriteError listeners
+     */
+    queueWrite(key, operation) {
+        this.writeQueue = this.writeQueue
+            .then(operation)
+            .catch(error => this.reportWriteError(key, error));
+        return this.writeQueue;
+    }
+
+    reportWriteError(key, error) {
+        console.error(`Error saving to ${this.backend.name} (${key}):`, error);
+
+        const message = error && error.name === 'QuotaExceededError'
+            ? 'Не удалось сохранить данные: недостаточно места в хранилище браузера. Удалите старые проекты или результаты'
+            : `Не удалось сохранить данные: ${error && error.message ? error.message : 'ошибка хранилища'}`;
+
+        this.writeErrorListeners.forEach(listener => listener(message, error));
+    }
+
     /**
      * Initialize storage with default values if not exists
      */
     initializeStorage() {
         try {
+            // Bring stored data to the current schema before filling defaults
+            this.upgradeSchema();
+
             // Check if projects exist, if not create empty array
             if (!this.getProjects()) {
                 this.setProjects([]);
@@ -49,36 +280,322 @@ class TGTrafficStorage {
     }
 
     /**
-     * Generic localStorage methods with error handling
+     * Schema versioning and migrations
+     * Data without a stored version is treated as version 1 (backups with version '1.0')
+     */
+    getSchemaVersion() {
+        return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 1;
+    }
+
+    /**
+     * Add a migration: { version, description, migrate(data) }
+     * migrate() changes the data sections in place and returns a list of the changes made
+     */
+    registerMigration(migration) {
+        if (!Number.isInteger(migration.version) || migration.version < 2) {
+            throw new Error(`Invalid migration version: ${migration.version}`);
+        }
+        if (this.migrations.some(item => item.version === migration.version)) {
+            throw new Error(`Migration ${migration.version} is already registered`);
+        }
+
+        this.migrations.push(migration);
+        this.migrations.sort((a, b) => a.version - b.version);
+    }
+
+    getDefaultMigrations() {
+        return [
+            {
+                version: 2,
+                description: 'Каналы в проектах и кампаниях приведены к записи ChannelAnalysis',
+                migrate: data => {
+                    const changes = [];
+
+                    ['projects', 'workCampaigns'].forEach(section => {
+                        if (!Array.isArray(data[section])) return;
+
+                        let converted = 0;
+                        data[section] = data[section].map(item => {
+                            if (!item || !Array.isArray(item.channels)) return item;
+
+                            const channels = item.channels.map(record => {
+                                const upgraded = this.upgradeChannelRecord(record);
+                                if (upgraded !== record) converted++;
+                                return upgraded;
+                            });
+
+                            return { ...item, channels, updatedAt: item.updatedAt || item.createdAt || null };
+                        });
+
+                        if (converted > 0) changes.push(`${section}: обновлено записей каналов — ${converted}`);
+                    });
+
+                    return changes;
+                }
+            },
+            {
+                version: 3,
+                description: 'Из настроек удалены параметры, которых больше нет',
+                migrate: data => {
+                    // Missing settings are not written here: getUserSettings() fills them from the current
+                    // defaults, so later default changes still reach existing users
+                    if (!data.userSettings) return [];
+
+                    const defaults = this.getDefaultSettings();
+                    const removed = Object.keys(data.userSettings).filter(key => !(key in defaults));
+                    if (removed.length === 0) return [];
+
+                    data.userSettings = { ...data.userSettings };
+                    removed.forEach(key => delete data.userSettings[key]);
+
+                    return [`userSettings: удалены ${removed.join(', ')}`];
+                }
+            },
+            {
+                version: 4,
+                description: 'Настройки переведены с публичного CORS прокси на режим подключения',
+                migrate: data => {
+                    const settings = data.userSettings;
+                    const publicProxyHost = 'api.allorigins.win';
+                    if (!settings || settings.apiProxyUrl === undefined) return [];
+
+                    // The former default sent the key through a third-party proxy: dropped, the default mode applies
+                    if (String(settings.apiProxyUrl).includes(publicProxyHost)) {
+                        const { apiProxyUrl, ...rest } = settings;
+                        if (rest.apiMode === 'proxy') delete rest.apiMode;
+                        data.userSettings = rest;
+                        return [`userSettings: прокси ${publicProxyHost} отключен`];
+                    }
+
+                    // Saved before the connection mode existed: keep the proxy that was configured
+                    if (!settings.apiMode) {
+                        data.userSettings = { ...settings, apiMode: settings.apiProxyUrl ? 'proxy' : 'direct' };
+                        return [`userSettings: подключение — ${data.userSettings.apiMode}`];
+                    }
+
+                    return [];
+                }
+            }
+        ];
+    }
+
+    /**
+     * Channel row saved before the service layer: rawData is dropped, missing
+     * ChannelAnalysis fields are filled; records already in the new shape are returned as is
+     */
+    upgradeChannelRecord(record) {
+        if (!record || typeof record !== 'object' || ('source' in record && 'analysis' in record)) return record;
+
+        const { rawData, ...rest } = record;
+        const username = String(record.username || record.channel || '')
+            .replace(/^https?:\/\/t\.me\//, '')
+            .replace(/^@/, '');
+
+        const upgraded = {
+            ...rest,
+            username,
+            title: record.title || record.channel,
+            fromCache: false,
+            cachedAt: null,
+            source: null,
+            analysis: null
+        };
+
+        if (!record.error) {
+            upgraded.postPrice = record.postPrice || 0;
+            upgraded.realCpm = record.realCpm !== undefined ? record.realCpm : null;
+            upgraded.cpmDeviation = record.cpmDeviation !== undefined ? record.cpmDeviation : null;
+        }
+
+        return upgraded;
+    }
+
+    /**
+     * Run the migrations after `fromVersion` on a copy of the data sections
+     *
+     * @returns {{data: Object, fromVersion: number, toVersion: number, steps: Array<{version, description, changes}>}}
+     */
+    migrateData(data, fromVersion) {
+        const migrated = JSON.parse(JSON.stringify(data || {}));
+        const steps = this.migrations
+            .filter(migration => migration.version > fromVersion)
+            .map(migration => ({
+                version: migration.version,
+                description: migration.description,
+                changes: migration.migrate(migrated) || []
+            }));
+
+        return {
+            data: migrated,
+            fromVersion,
+            toVersion: Math.max(fromVersion, this.getSchemaVersion()),
+            steps
+        };
+    }
+
+    /**
+     * Version of stored data or a backup: numbers as is, '1.0' -> 1, missing -> 1
+     */
+    parseSchemaVersion(version) {
+        const parsed = parseInt(version, 10);
+        return Number.isInteger(parsed) && parsed > 0 ? parsed : 1;
+    }
+
+    /**
+     * Stored data sections, missing keys are left out
+     */
+    readDataSections() {
+        const data = {};
+
+        Object.entries(this.dataSections).forEach(([section, key]) => {
+            this.flushSnapshot(key);
+            if (this.snapshot.has(key)) data[section] = this.getItem(key);
+        });
+
+        return data;
+    }
+
+    getStoredSchemaVersion() {
+        const stored = this.getItem(this.storageKeys.SCHEMA_VERSION, null);
+        if (stored !== null) return this.parseSchemaVersion(stored);
+
+        // No version and no data means a fresh install
+        return Object.keys(this.readDataSections()).length > 0 ? 1 : this.getSchemaVersion();
+    }
+
+    /**
+     * Migrate stored data to the current schema version
+     *
+     * @returns {Array<{version, description, changes}>} migrations that ran, empty when the data was current
+     */
+    upgradeSchema() {
+        const fromVersion = this.getStoredSchemaVersion();
+        const currentVersion = this.getSchemaVersion();
+        let steps = [];
+
+        if (fromVersion > currentVersion) {
+            console.warn(`Storage schema ${fromVersion} is newer than supported ${currentVersion}, data is left as is`);
+            return steps;
+        }
+
+        if (fromVersion < currentVersion) {
+            const result = this.migrateData(this.readDataSections(), fromVersion);
+
+            Object.entries(result.data).forEach(([section, value]) => {
+                this.setItem(this.dataSections[section], value);
+            });
+            steps = result.steps;
+        }
+
+        if (this.getItem(this.storageKeys.SCHEMA_VERSION, null) !== currentVersion) {
+            this.setItem(this.storageKeys.SCHEMA_VERSION, currentVersion);
+        }
+
+        return steps;
+    }
+
+    /**
+     * Dry run: what migrating stored data (or a backup file when given) would change, nothing is written
+     *
+     * @returns {?{fromVersion: number, toVersion: number, steps: Array, changed: boolean}}
+     */
+    getMigrationReport(backupData = null) {
+        try {
+            let data;
+            let fromVersion;
+
+            if (backupData) {
+                const check = this.validateBackup(backupData);
+                if (!check.backup) {
+                    throw new Error(check.errors.join('; '));
+                }
+                data = check.backup.data;
+                fromVersion = check.fromVersion;
+            } else {
+                data = this.readDataSections();
+                fromVersion = this.getStoredSchemaVersion();
+            }
+
+            const { toVersion, steps } = this.migrateData(data, fromVersion);
+
+            return {
+                fromVersion,
+                toVersion,
+                steps,
+                changed: steps.some(step => step.changes.length > 0)
+            };
+        } catch (error) {
+            console.error('Error building migration report:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Generic storage methods with error handling
      */
     setItem(key, value) {
+        let jsonValue;
         try {
-            const jsonValue = JSON.stringify(value);
-            localStorage.setItem(key, jsonValue);
-            return true;
+            jsonValue = JSON.stringify(value);
         } catch (error) {
-            console.error(`Error saving to localStorage (${key}):`, error);
+            console.error(`Error saving to storage (${key}):`, error);
             return false;
         }
+
+        const stored = JSON.parse(jsonValue);
+        // A key changed in memory is serialized first, so the backend diffs against what it holds
+        this.flushSnapshot(key);
+        this.invalidateDerived(key);
+
+        // localStorage writes synchronously, so a full quota is reported to the caller right away
+        if (this.backend.writeValueSync) {
+            try {
+                this.backend.writeValueSync(key, stored);
+            } catch (error) {
+                this.reportWriteError(key, error);
+                return false;
+            }
+            this.snapshot.set(key, jsonValue);
+            return true;
+        }
+
+        const previous = this.snapshot.has(key) ? JSON.parse(this.snapshot.get(key)) : null;
+        this.snapshot.set(key, jsonValue);
+
+        if (this.collections[key] && Array.isArray(stored)) {
+            this.queueWrite(key, () => this.backend.writeCollection(key, stored, Array.isArray(previous) ? previous : null));
+        } else {
+            this.queueWrite(key, () => this.backend.writeValue(key, stored));
+        }
+
+        return true;
     }
 
     getItem(key, defaultValue = null) {
         try {
-            const item = localStorage.getItem(key);
-            if (item === null) return defaultValue;
+            this.flushSnapshot(key);
+            const item = this.snapshot.get(key);
+            if (item === undefined) return defaultValue;
             return JSON.parse(item);
         } catch (error) {
-            console.error(`Error reading from localStorage (${key}):`, error);
+            console.error(`Error reading from storage (${key}):`, error);
             return defaultValue;
         }
     }
 
     removeItem(key) {
         try {
-            localStorage.removeItem(key);
+            this.snapshot.delete(key);
+            this.invalidateDerived(key);
+
+            if (this.backend.removeValueSync) {
+                this.backend.removeValueSync(key);
+            } else {
+                this.queueWrite(key, () => this.backend.removeValue(key));
+            }
             return true;
         } catch (error) {
-            console.error(`Error removing from localStorage (${key}):`, error);
+            console.error(`Error removing from storage (${key}):`, error);
             return false;
         }
     }
@@ -90,8 +607,21 @@ class TGTrafficStorage {
         return this.setItem(this.storageKeys.API_KEY, apiKey);
     }
 
+    /**
+     * Plain key; '' when the key is stored encrypted (see ApiKeyVault)
+     */
     getApiKey() {
-        return this.getItem(this.storageKeys.API_KEY, '');
+        const value = this.getItem(this.storageKeys.API_KEY, '');
+        return typeof value === 'string' ? value : '';
+    }
+
+    setEncryptedApiKey(record) {
+        return this.setItem(this.storageKeys.API_KEY, record);
+    }
+
+    getEncryptedApiKey() {
+        const value = this.getItem(this.storageKeys.API_KEY, null);
+        return value && typeof value === 'object' && value.data ? value : null;
     }
 
     removeApiKey() {
@@ -143,6 +673,31 @@ class TGTrafficStorage {
         return projects.find(p => p.id === projectId) || null;
     }
 
+    /**
+     * Subscriber counts of a channel saved in projects, indexed by channel until the projects change
+     *
+     * @returns {Array<{date: string, subscribers: number}>}
+     */
+    getProjectSubscriberHistory(username) {
+        const index = this.getDerived(this.storageKeys.PROJECTS, 'subscribers', () => {
+            const byUsername = new Map();
+
+            this.getProjects().forEach(project => {
+                (project.channels || []).forEach(record => {
+                    if (record.error || !record.subscribers || !record.username) return;
+
+                    const name = record.username.toLowerCase();
+                    if (!byUsername.has(name)) byUsername.set(name, []);
+                    byUsername.get(name).push({ date: record.analyzedAt, subscribers: record.subscribers });
+                });
+            });
+
+            return byUsername;
+        });
+
+        return index.get(String(username || '').replace('@', '').toLowerCase()) || [];
+    }
+
     deleteProject(projectId) {
         const projects = this.getProjects();
         const filteredProjects = projects.filter(p => p.id !== projectId);
@@ -207,6 +762,45 @@ class TGTrafficStorage {
         return this.setAnalysisResults([]);
     }
 
+    /**
+     * Analysis run checkpoint (resume interrupted bulk analysis)
+     * The run (channels, options) and its finished results are stored apart: saveAnalysisCheckpoint()
+     * writes both when a run starts, every finished channel only appends its result
+     */
+    saveAnalysisCheckpoint(checkpoint) {
+        const { results = [], ...run } = checkpoint;
+        const saved = this.setItem(this.storageKeys.ANALYSIS_CHECKPOINT, {
+            ...run,
+            id: run.id || this.generateId(),
+            startedAt: run.startedAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+
+        return saved && this.setItem(this.storageKeys.ANALYSIS_CHECKPOINT_RESULTS, results);
+    }
+
+    appendAnalysisCheckpointResult(result) {
+        const key = this.storageKeys.ANALYSIS_CHECKPOINT_RESULTS;
+        const results = this.getDerived(key, 'records', () => this.getItem(key, []));
+        const order = results.push(result) - 1;
+
+        return this.writeCollectionRecord(key, results, result, order);
+    }
+
+    getAnalysisCheckpoint() {
+        const checkpoint = this.getItem(this.storageKeys.ANALYSIS_CHECKPOINT, null);
+        if (!checkpoint) return null;
+
+        // Checkpoints saved before the results were stored apart keep them inline
+        const results = this.getItem(this.storageKeys.ANALYSIS_CHECKPOINT_RESULTS, null);
+        return { ...checkpoint, results: results || checkpoint.results || [] };
+    }
+
+    clearAnalysisCheckpoint() {
+        const cleared = this.removeItem(this.storageKeys.ANALYSIS_CHECKPOINT);
+        return this.removeItem(this.storageKeys.ANALYSIS_CHECKPOINT_RESULTS) && cleared;
+    }
+
     /**
      * Work campaigns management (В РАБОТЕ section)
      */
@@ -267,13 +861,14 @@ class TGTrafficStorage {
     }
 
     getUserSettings() {
-        return this.getItem(this.storageKeys.USER_SETTINGS, this.getDefaultSettings());
+        // Settings added after the data was saved fall back to their defaults
+        return { ...this.getDefaultSettings(), ...this.getItem(this.storageKeys.USER_SETTINGS, {}) };
     }
 
     updateUserSettings(updates) {
-        const currentSettings = this.getUserSettings();
-        const newSettings = { ...currentSettings, ...updates };
-        return this.setUserSettings(newSettings) ? newSettings : null;
+        // Only the stored values are written, settings left at their defaults keep following them
+        const stored = this.getItem(this.storageKeys.USER_SETTINGS, {});
+        return this.setUserSettings({ ...stored, ...updates }) ? this.getUserSettings() : null;
     }
 
     getDefaultSettings() {
@@ -283,15 +878,259 @@ class TGTrafficStorage {
             autoSave: true,
             exportFormat: 'excel',
             defaultCpmRange: { min: 50, max: 500 },
+            cpmModel: 'default', // 'calibrated' prices channels with multipliers fitted on real CPMs
+            scoringProfileId: 'default', // 'default' is the built-in profile of TGTrafficAnalytics
+            scoringProfiles: [], // user profiles, see getScoringProfileSchema()
             analysisDepth: 7, // days
             chartType: 'line',
             notificationsEnabled: true,
+            apiKeyAutoLockMinutes: 15, // lock the encrypted API key after inactivity, 0 = never
+            userName: '', // shown in the API usage log
+            quotaPolicy: 'warn', // run exceeding the remaining quota: 'warn' asks, 'truncate' analyzes what fits
+            resultsView: null, // sorting, filters and columns of the results table, see ResultsView
+            apiMode: 'bundled', // 'bundled' (server/proxy-server.js holds the key), 'proxy' (apiProxyUrl) or 'direct'
+            apiBaseUrl: 'https://api.tgstat.ru',
+            apiProxyUrl: '',
+            bundledProxyUrl: 'http://localhost:3002',
             rateLimitDelay: 1000,
+            rateLimitBurst: 3,
+            maxConcurrentRequests: 2,
             maxRetries: 3,
-            batchSize: 10
+            batchSize: 10,
+            networkDepth: 2, // mention hops crawled from the seed channels
+            networkMaxChannels: 30, // channels requested per crawl
+            fraudCheck: false, // load posts for bot detection, one more request per channel (opt-in: +50% quota per run)
+            cacheEnabled: true,
+            cacheTtl: 3600000, // ms, used for endpoints without own TTL
+            cacheMaxSize: 100, // cached responses
+            cacheTtlByEndpoint: {
+                '/channels/get': 86400000,
+                '/channels/stat': 21600000,
+                '/channels/posts': 3600000,
+                '/channels/search': 21600000,
+                '/channels/mentions': 43200000
+            }
         };
     }
 
+    /**
+     * Editable user settings for the settings screen, in display order
+     * path points into the settings object, number fields with `scale` are shown in larger units
+     */
+    getSettingsSchema() {
+        const minutes = { type: 'number', scale: 60000, min: 1, max: 10080, integer: true };
+        const endpointTtl = (endpoint, label) => ({
+            id: `cache-ttl-${endpoint.replace(/\W+/g, '-').replace(/^-|-$/g, '')}`,
+            path: ['cacheTtlByEndpoint', endpoint],
+            label,
+            group: 'cache',
+            ...minutes
+        });
+
+        return [
+            { id: 'theme', path: ['theme'], label: 'Тема', group: 'interface', type: 'select', options: [['light', 'Светлая'], ['dark', 'Темная']] },
+            { id: 'language', path: ['language'], label: 'Язык', group: 'interface', type: 'select', options: [['ru', 'Русский']] },
+            { id: 'chart-type', path: ['chartType'], label: 'График просмотров', group: 'interface', type: 'select', options: [['line', 'Линия'], ['bar', 'Столбцы']] },
+            { id: 'notifications', path: ['notificationsEnabled'], label: 'Уведомления об успешных действиях', group: 'interface', type: 'boolean' },
+
+            { id: 'analysis-depth', path: ['analysisDepth'], label: 'Период статистики, дней', group: 'analysis', type: 'number', min: 1, max: 90, integer: true },
+            { id: 'batch-size', path: ['batchSize'], label: 'Каналов анализируется одновременно', group: 'analysis', type: 'number', min: 1, max: 50, integer: true },
+            { id: 'cpm-min', path: ['defaultCpmRange', 'min'], label: 'Целевой CPM от, ₽', group: 'analysis', type: 'number', min: 0, max: 100000 },
+            { id: 'cpm-max', path: ['defaultCpmRange', 'max'], label: 'Целевой CPM до, ₽', group: 'analysis', type: 'number', min: 0, max: 100000 },
+            { id: 'cpm-model', path: ['cpmModel'], label: 'Модель прогноза CPM', group: 'analysis', type: 'select', options: [['default', 'Стандартная формула'], ['calibrated', 'Откалиброванная по реальным CPM']] },
+            { id: 'network-depth', path: ['networkDepth'], label: 'Глубина сети упоминаний, шагов', group: 'analysis', type: 'number', min: 1, max: 4, integer: true },
+            { id: 'network-max-channels', path: ['networkMaxChannels'], label: 'Каналов в сети упоминаний, не больше', group: 'analysis', type: 'number', min: 1, max: 200, integer: true },
+            { id: 'fraud-check', path: ['fraudCheck'], label: 'Проверять посты на накрутку (+1 запрос на канал)', group: 'analysis', type: 'boolean' },
+            { id: 'auto-save', path: ['autoSave'], label: 'Сохранять прогресс анализа', group: 'analysis', type: 'boolean' },
+
+            { id: 'export-format', path: ['exportFormat'], label: 'Формат экспорта', group: 'export', type: 'select', options: [['excel', 'Excel (.xlsx)'], ['csv', 'CSV']] },
+
+            { id: 'api-mode', path: ['apiMode'], label: 'Подключение к API', group: 'api', type: 'select', options: [['bundled', 'Через встроенный прокси (ключ на сервере)'], ['proxy', 'Через свой CORS прокси'], ['direct', 'Напрямую']] },
+            { id: 'bundled-proxy-url', path: ['bundledProxyUrl'], label: 'Адрес встроенного прокси', group: 'api', type: 'url' },
+            { id: 'api-base-url', path: ['apiBaseUrl'], label: 'Адрес API', group: 'api', type: 'url' },
+            { id: 'api-proxy-url', path: ['apiProxyUrl'], label: 'Свой CORS прокси', group: 'api', type: 'url', optional: true },
+            { id: 'rate-limit-delay', path: ['rateLimitDelay'], label: 'Интервал между запросами, мс', group: 'api', type: 'number', min: 100, max: 60000, integer: true },
+            { id: 'rate-limit-burst', path: ['rateLimitBurst'], label: 'Запросов подряд без паузы', group: 'api', type: 'number', min: 1, max: 20, integer: true },
+            { id: 'max-concurrent', path: ['maxConcurrentRequests'], label: 'Параллельных запросов', group: 'api', type: 'number', min: 1, max: 10, integer: true },
+            { id: 'max-retries', path: ['maxRetries'], label: 'Повторов при ошибке', group: 'api', type: 'number', min: 0, max: 10, integer: true },
+            { id: 'quota-policy', path: ['quotaPolicy'], label: 'Если лимита запросов не хватает на запуск', group: 'api', type: 'select', options: [['warn', 'Предупредить'], ['truncate', 'Анализировать, сколько хватит']] },
+            { id: 'user-name', path: ['userName'], label: 'Ваше имя в журнале расхода запросов', group: 'api', type: 'text', maxLength: 50, optional: true },
+            { id: 'auto-lock', path: ['apiKeyAutoLockMinutes'], label: 'Блокировать ключ после бездействия, мин (0 — никогда)', group: 'api', type: 'number', min: 0, max: 1440, integer: true },
+
+            { id: 'cache-enabled', path: ['cacheEnabled'], label: 'Кэшировать ответы API', group: 'cache', type: 'boolean' },
+            { id: 'cache-ttl', path: ['cacheTtl'], label: 'Срок кэша по умолчанию, мин', group: 'cache', ...minutes },
+            { id: 'cache-max-size', path: ['cacheMaxSize'], label: 'Ответов в кэше', group: 'cache', type: 'number', min: 10, max: 10000, integer: true },
+            endpointTtl('/channels/get', 'Срок кэша: информация о канале, мин'),
+            endpointTtl('/channels/stat', 'Срок кэша: статистика, мин'),
+            endpointTtl('/channels/posts', 'Срок кэша: посты, мин'),
+            endpointTtl('/channels/search', 'Срок кэша: поиск, мин'),
+            endpointTtl('/channels/mentions', 'Срок кэша: упоминания, мин')
+        ];
+    }
+
+    getSettingValue(settings, path) {
+        return path.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), settings);
+    }
+
+    /**
+     * Copy of settings with one value replaced, nested objects are copied along the path
+     */
+    setSettingValue(settings, path, value) {
+        const [key, ...rest] = path;
+        const current = settings && typeof settings === 'object' ? settings : {};
+
+        return {
+            ...current,
+            [key]: rest.length === 0 ? value : this.setSettingValue(current[key], rest, value)
+        };
+    }
+
+    /**
+     * Validate settings against getSettingsSchema()
+     *
+     * @returns {{valid: boolean, errors: Array<{id: string, message: string}>}}
+     */
+    validateUserSettings(settings) {
+        const errors = [];
+
+        this.getSettingsSchema().forEach(field => {
+            const value = this.getSettingValue(settings, field.path);
+            const error = this.validateSettingValue(field, value);
+            if (error) errors.push({ id: field.id, message: `${field.label}: ${error}` });
+        });
+
+        const range = settings.defaultCpmRange || {};
+        if (typeof range.min === 'number' && typeof range.max === 'number' && range.min > range.max) {
+            errors.push({ id: 'cpm-max', message: 'Целевой CPM: верхняя граница меньше нижней' });
+        }
+
+        if (settings.apiMode === 'proxy' && !settings.apiProxyUrl) {
+            errors.push({ id: 'api-proxy-url', message: 'Свой CORS прокси: укажите адрес или выберите другое подключение' });
+        }
+
+        const profiles = settings.scoringProfiles || [];
+        if (settings.scoringProfileId !== 'default' && !profiles.some(profile => profile.id === settings.scoringProfileId)) {
+            errors.push({ id: 'scoring-profile', message: 'Профиль оценки не найден' });
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Editable fields of a scoring profile, category fields follow the categories of the profile
+     * Paths are relative to the profile, values are validated like settings (validateSettingValue)
+     */
+    getScoringProfileSchema(categories = []) {
+        const weight = (key, label) => ({ id: `weight-${key}`, path: ['weights', key], label: `Вес: ${label}`, group: 'weights', type: 'number', min: 0, max: 1 });
+        const cap = (key, label) => ({ id: `cap-${key}`, path: ['caps', key], label: `Максимум баллов: ${label}`, group: 'caps', type: 'number', min: 1, max: 100 });
+        const threshold = (group, key, label) => ({ id: `${group}-${key}`, path: [group, key], label, group, type: 'number', min: 0, max: 100 });
+
+        return [
+            { id: 'name', path: ['name'], label: 'Название', group: 'general', type: 'text', maxLength: 60 },
+
+            weight('subscribers', 'подписчики'),
+            weight('reach', 'охват'),
+            weight('engagement', 'вовлеченность'),
+            weight('ci', 'индекс цитирования'),
+
+            cap('subscribers', 'подписчики'),
+            cap('reach', 'охват'),
+            cap('engagement', 'вовлеченность'),
+            cap('ci', 'индекс цитирования'),
+
+            ...categories.map(category => ({
+                id: `category-${category}`, path: ['categoryMultipliers', category], label: `Категория ${category}`, group: 'categories', type: 'number', min: 0, max: 5
+            })),
+
+            { id: 'verified-bonus', path: ['verifiedBonus'], label: 'Множитель за верификацию', group: 'modifiers', type: 'number', min: 0.5, max: 2 },
+            { id: 'err-threshold', path: ['errPenalty', 'threshold'], label: 'Штраф за ERR выше, %', group: 'modifiers', type: 'number', min: 0, max: 100 },
+            { id: 'err-factor', path: ['errPenalty', 'factor'], label: 'Сила штрафа за ERR', group: 'modifiers', type: 'number', min: 0, max: 1 },
+
+            threshold('badgeThresholds', 'excellent', 'Оценка «Отлично» от'),
+            threshold('badgeThresholds', 'good', 'Оценка «Хорошо» от'),
+            threshold('badgeThresholds', 'average', 'Оценка «Средне» от'),
+            threshold('badgeThresholds', 'poor', 'Оценка «Плохо» от'),
+
+            threshold('statusThresholds', 'excellent', 'Статус «Отлично» от'),
+            threshold('statusThresholds', 'good', 'Статус «Хорошо» от'),
+            threshold('statusThresholds', 'average', 'Статус «Средне» от'),
+            threshold('statusThresholds', 'poor', 'Статус «Плохо» от'),
+            threshold('statusThresholds', 'bots', 'Статус «Подозрение на боты» при вероятности ботов выше, %')
+        ];
+    }
+
+    /**
+     * Validate a complete scoring profile (see TGTrafficAnalytics.normalizeScoringProfile)
+     *
+     * @returns {{valid: boolean, errors: Array<{id: string, message: string}>}}
+     */
+    validateScoringProfile(profile) {
+        const errors = [];
+
+        this.getScoringProfileSchema(Object.keys(profile.categoryMultipliers || {})).forEach(field => {
+            const error = this.validateSettingValue(field, this.getSettingValue(profile, field.path));
+            if (error) errors.push({ id: field.id, message: `${field.label}: ${error}` });
+        });
+
+        const weights = Object.values(profile.weights || {});
+        if (errors.length === 0 && weights.reduce((sum, value) => sum + value, 0) <= 0) {
+            errors.push({ id: 'weight-subscribers', message: 'Веса: хотя бы один вес должен быть больше нуля' });
+        }
+
+        ['badgeThresholds', 'statusThresholds'].forEach(group => {
+            const { excellent, good, average, poor } = profile[group] || {};
+            if (!(excellent >= good && good >= average && average >= poor)) {
+                errors.push({ id: `${group}-excellent`, message: 'Пороги должны идти по убыванию: «Отлично» ≥ «Хорошо» ≥ «Средне» ≥ «Плохо»' });
+            }
+        });
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    validateSettingValue(field, value) {
+        switch (field.type) {
+            case 'boolean':
+                return typeof value === 'boolean' ? null : 'ожидается да или нет';
+            case 'select':
+                return field.options.some(([option]) => option === value) ? null : 'недопустимое значение';
+            case 'text':
+                if (typeof value !== 'string') return 'ожидается текст';
+                if (!field.optional && value.trim() === '') return 'обязательное поле';
+                return value.length > field.maxLength ? `не длиннее ${field.maxLength} символов` : null;
+            case 'url':
+                if (field.optional && value === '') return null;
+                return typeof value === 'string' && /^https?:\/\/[^\s]+$/.test(value) ? null : 'ожидается адрес http(s)://';
+            case 'number': {
+                const shown = typeof value === 'number' ? value / (field.scale || 1) : NaN;
+                if (!Number.isFinite(shown)) return 'ожидается число';
+                if (field.integer && !Number.isInteger(shown)) return 'ожидается целое число';
+                if (shown < field.min || shown > field.max) return `допустимо от ${field.min} до ${field.max}`;
+                return null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Validate and store settings, nothing is written when a value is invalid
+     *
+     * @returns {{success: boolean, settings?: Object, errors?: Array<{id: string, message: string}>}}
+     */
+    saveUserSettings(settings) {
+        const { valid, errors } = this.validateUserSettings({ ...this.getUserSettings(), ...settings });
+
+        if (!valid) return { success: false, errors };
+
+        // Validated against the defaults, but only the stored values are written so defaults keep applying
+        const stored = this.getItem(this.storageKeys.USER_SETTINGS, {});
+        if (!this.setUserSettings({ ...stored, ...settings })) {
+            return { success: false, errors: [{ id: null, message: 'Не удалось сохранить настройки' }] };
+        }
+
+        return { success: true, settings: this.getUserSettings() };
+    }
+
     /**
      * Templates management
      */
@@ -382,13 +1221,228 @@ class TGTrafficStorage {
         return this.setItem(this.storageKeys.EXPORT_HISTORY, []);
     }
 
+    /**
+     * Blacklist: channels discovery never offers, { id, username, reason, addedAt }
+     */
+    getBlacklist() {
+        return this.getItem(this.storageKeys.BLACKLIST, []);
+    }
+
+    addToBlacklist(username, reason = '') {
+        const blacklist = this.getBlacklist();
+        const cleanUsername = username.replace('@', '').toLowerCase();
+
+        const existing = blacklist.find(entry => entry.username === cleanUsername);
+        if (existing) return existing;
+
+        const entry = { id: this.generateId(), username: cleanUsername, reason, addedAt: new Date().toISOString() };
+        blacklist.push(entry);
+        return this.setItem(this.storageKeys.BLACKLIST, blacklist) ? entry : null;
+    }
+
+    removeFromBlacklist(entryId) {
+        const blacklist = this.getBlacklist();
+        return this.setItem(this.storageKeys.BLACKLIST, blacklist.filter(entry => entry.id !== entryId));
+    }
+
+    /**
+     * Latest mention network, see MentionGraph.toJSON()
+     */
+    getMentionGraph() {
+        return this.getItem(this.storageKeys.MENTION_GRAPH, null);
+    }
+
+    setMentionGraph(graph) {
+        return this.setItem(this.storageKeys.MENTION_GRAPH, graph);
+    }
+
+    /**
+     * Real CPMs paid for channels with the metrics the forecast was based on
+     * { id, username, realCpm, forecastCpm, metrics: { subscribers, avgReach, engagementRate, quality, category, verified }, recordedAt }
+     */
+    getCpmHistory() {
+        return this.getItem(this.storageKeys.CPM_HISTORY, []);
+    }
+
+    addCpmRecord(record) {
+        const history = this.getCpmHistory();
+        const entry = { ...record, id: this.generateId(), recordedAt: new Date().toISOString() };
+
+        history.push(entry);
+
+        // Oldest prices go first, they reflect an older market
+        if (history.length > 1000) history.splice(0, history.length - 1000);
+
+        return this.setItem(this.storageKeys.CPM_HISTORY, history) ? entry : null;
+    }
+
+    removeCpmRecord(recordId) {
+        const history = this.getCpmHistory();
+        return this.setItem(this.storageKeys.CPM_HISTORY, history.filter(record => record.id !== recordId));
+    }
+
+    /**
+     * Channel metrics measured on every analysis, one point per channel and day
+     * { id: 'username_YYYY-MM-DD', username, date, subscribers, avgReach, err24h, citationIndex, quality, updatedAt }
+     * The id is built from the channel and the day, so a repeated analysis replaces the day's point
+     * and backups merge without duplicates
+     */
+    getMetricsHistory(username = null) {
+        if (username === null) return this.getItem(this.storageKeys.METRICS_HISTORY, []);
+
+        const name = String(username).replace('@', '').toLowerCase();
+        return (this.getMetricsIndex().byUsername.get(name) || []).map(point => ({ ...point }));
+    }
+
+    /**
+     * Parsed history with the points of every channel sorted by date, built once per load or rewrite
+     * @returns {{points: Object[], byUsername: Map<string, Object[]>}}
+     */
+    getMetricsIndex() {
+        return this.getDerived(this.storageKeys.METRICS_HISTORY, 'index', () => {
+            const points = this.getItem(this.storageKeys.METRICS_HISTORY, []);
+            const byUsername = new Map();
+
+            points.forEach(point => {
+                if (!byUsername.has(point.username)) byUsername.set(point.username, []);
+                byUsername.get(point.username).push(point);
+            });
+            byUsername.forEach(list => list.sort((a, b) => new Date(a.date) - new Date(b.date)));
+
+            return { points, byUsername };
+        });
+    }
+
+    /**
+     * Called for every analyzed channel: only the new point is written, the whole history
+     * is rewritten just when it has to be trimmed
+     */
+    addMetricsPoint(point) {
+        const key = this.storageKeys.METRICS_HISTORY;
+        const index = this.getMetricsIndex();
+        const username = String(point.username || '').replace('@', '').toLowerCase();
+        const date = point.date || new Date().toISOString();
+        const entry = {
+            ...point,
+            id: `${username}_${date.slice(0, 10)}`,
+            username,
+            date,
+            updatedAt: new Date().toISOString()
+        };
+
+        const channelPoints = index.byUsername.get(username) || [];
+        const replaced = channelPoints.find(item => item.id === entry.id) || null;
+        const added = replaced ? 0 : 1;
+
+        if (channelPoints.length + added > 730 || index.points.length + added > 20000) {
+            const history = index.points.map(item => (item === replaced ? entry : item));
+            if (!replaced) history.push(entry);
+            return this.trimMetricsHistory(history, username) ? entry : null;
+        }
+
+        let order;
+        if (replaced) {
+            order = index.points.indexOf(replaced);
+            index.points[order] = entry;
+            channelPoints[channelPoints.indexOf(replaced)] = entry;
+        } else {
+            order = index.points.push(entry) - 1;
+            const later = channelPoints.findIndex(item => new Date(item.date) > new Date(date));
+            channelPoints.splice(later >= 0 ? later : channelPoints.length, 0, entry);
+            index.byUsername.set(username, channelPoints);
+        }
+
+        return this.writeCollectionRecord(key, index.points, entry, order) ? entry : null;
+    }
+
+    trimMetricsHistory(history, username) {
+        // Two years of daily points per channel
+        const channelPoints = history.filter(item => item.username === username);
+        if (channelPoints.length > 730) {
+            const dropped = new Set(channelPoints
+                .sort((a, b) => new Date(a.date) - new Date(b.date))
+                .slice(0, channelPoints.length - 730)
+                .map(item => item.id));
+            history.splice(0, history.length, ...history.filter(item => !dropped.has(item.id)));
+        }
+
+        // Oldest points go first; trimmed by a margin so a full history is not rewritten on every analysis
+        if (history.length > 20000) history.splice(0, history.length - 18000);
+
+        return this.setItem(this.storageKeys.METRICS_HISTORY, history);
+    }
+
+    clearMetricsHistory(username = null) {
+        if (username === null) return this.setItem(this.storageKeys.METRICS_HISTORY, []);
+
+        const name = String(username).replace('@', '').toLowerCase();
+        return this.setItem(this.storageKeys.METRICS_HISTORY, this.getMetricsHistory().filter(point => point.username !== name));
+    }
+
+    /**
+     * API usage log: requests sent to TGStat per day, by user, endpoint and key of the pool
+     */
+    recordApiUsage({ endpoint, user = '', keyId = null, count = 1, date = new Date() }) {
+        const log = this.getItem(this.storageKeys.API_USAGE, []);
+        const day = date.toISOString().slice(0, 10);
+        const path = endpoint.split('?')[0];
+
+        let entry = log.find(item => item.date === day);
+        if (!entry) {
+            entry = { date: day, total: 0, byUser: {}, byEndpoint: {}, byKey: {} };
+            log.unshift(entry);
+            log.sort((a, b) => b.date.localeCompare(a.date));
+        }
+
+        entry.total += count;
+        entry.byUser[user] = (entry.byUser[user] || 0) + count;
+        entry.byEndpoint[path] = (entry.byEndpoint[path] || 0) + count;
+        if (keyId) {
+            entry.byKey = entry.byKey || {};
+            entry.byKey[keyId] = (entry.byKey[keyId] || 0) + count;
+        }
+
+        // Keep only last 90 days
+        if (log.length > 90) {
+            log.splice(90);
+        }
+
+        return this.setItem(this.storageKeys.API_USAGE, log);
+    }
+
+    /**
+     * Usage per day, newest first
+     */
+    getApiUsageLog(days = 30) {
+        return this.getItem(this.storageKeys.API_USAGE, []).slice(0, days);
+    }
+
+    /**
+     * Requests sent with each key over the last days: key id -> count
+     */
+    getApiUsageByKey(days = 30) {
+        const totals = {};
+
+        this.getApiUsageLog(days).forEach(entry => {
+            Object.entries(entry.byKey || {}).forEach(([keyId, count]) => {
+                totals[keyId] = (totals[keyId] || 0) + count;
+            });
+        });
+
+        return totals;
+    }
+
+    clearApiUsageLog() {
+        return this.setItem(this.storageKeys.API_USAGE, []);
+    }
+
     /**
      * Data backup and restore
      */
-    createBackup() {
+    createBackup({ includeApiKey = false } = {}) {
         try {
             const backup = {
-                version: '1.0',
+                version: this.getSchemaVersion(),
                 timestamp: new Date().toISOString(),
                 data: {
                     projects: this.getProjects(),
@@ -396,10 +1450,17 @@ class TGTrafficStorage {
                     workCampaigns: this.getWorkCampaigns(),
                     userSettings: this.getUserSettings(),
                     templates: this.getTemplates(),
-                    exportHistory: this.getExportHistory()
+                    exportHistory: this.getExportHistory(),
+                    blacklist: this.getBlacklist(),
+                    cpmHistory: this.getCpmHistory(),
+                    metricsHistory: this.getMetricsHistory()
                 }
             };
 
+            // The key goes into a backup only on request, in the form it is stored (encrypted or plain)
+            const apiKey = this.getItem(this.storageKeys.API_KEY, null);
+            if (includeApiKey && apiKey) backup.data.apiKey = apiKey;
+
             return JSON.stringify(backup, null, 2);
         } catch (error) {
             console.error('Error creating backup:', error);
@@ -407,22 +1468,33 @@ class TGTrafficStorage {
         }
     }
 
-    restoreFromBackup(backupData) {
+    /**
+     * Restore a backup
+     * mode 'replace' overwrites the selected sections, 'merge' adds and updates records by id;
+     * resolutions pick the side per record: { projects: { [id]: 'local' | 'backup' } }.
+     * Nothing is written when the file fails validation
+     */
+    restoreFromBackup(backupData, { mode = 'replace', sections = null, resolutions = {} } = {}) {
         try {
-            const backup = JSON.parse(backupData);
-
-            if (!backup.version || !backup.data) {
-                throw new Error('Неверный формат файла резервной копии');
+            const check = this.validateBackup(backupData);
+            if (!check.valid) {
+                throw new Error(check.errors.join('; '));
             }
 
-            // Restore data
-            if (backup.data.projects) this.setProjects(backup.data.projects);
-            if (backup.data.analysisResults) this.setAnalysisResults(backup.data.analysisResults);
-            if (backup.data.workCampaigns) this.setWorkCampaigns(backup.data.workCampaigns);
-            if (backup.data.userSettings) this.setUserSettings(backup.data.userSettings);
-            if (backup.data.templates) this.setTemplates(backup.data.templates);
-            if (backup.data.exportHistory) this.setItem(this.storageKeys.EXPORT_HISTORY, backup.data.exportHistory);
+            // Old backups are upgraded to the current schema before restoring
+            const { data } = this.migrateData(check.backup.data, check.fromVersion);
+            const selected = (sections || Object.keys(this.dataSections)).filter(section => data[section] !== undefined);
+
+            selected.forEach(section => {
+                const key = this.dataSections[section];
+                const value = mode === 'merge' && !this.valueSections.includes(section)
+                    ? this.mergeRecords(this.getItem(key, []), data[section], resolutions[section] || {})
+                    : data[section];
 
+                this.setItem(key, value);
+            });
+
+            this.setItem(this.storageKeys.SCHEMA_VERSION, this.getSchemaVersion());
             return true;
         } catch (error) {
             console.error('Error restoring backup:', error);
@@ -430,6 +1502,187 @@ class TGTrafficStorage {
         }
     }
 
+    /**
+     * Check a backup file before anything is written
+     *
+     * @returns {{valid: boolean, errors: string[], backup: ?Object, fromVersion: ?number}}
+     */
+    validateBackup(backupData) {
+        let backup;
+
+        try {
+            backup = JSON.parse(backupData);
+        } catch (error) {
+            return { valid: false, errors: ['Файл не является JSON'], backup: null, fromVersion: null };
+        }
+
+        if (!backup || !backup.version || !backup.data || typeof backup.data !== 'object' || Array.isArray(backup.data)) {
+            return { valid: false, errors: ['Неверный формат файла резервной копии'], backup: null, fromVersion: null };
+        }
+
+        const errors = [];
+        const fromVersion = this.parseSchemaVersion(backup.version);
+
+        if (fromVersion > this.getSchemaVersion()) {
+            errors.push('Резервная копия создана более новой версией приложения');
+        }
+
+        const sections = Object.keys(this.dataSections).filter(section => backup.data[section] !== undefined);
+        if (sections.length === 0) {
+            errors.push('В резервной копии нет данных');
+        }
+
+        sections.forEach(section => {
+            const value = backup.data[section];
+
+            if (section === 'userSettings') {
+                if (!value || typeof value !== 'object' || Array.isArray(value)) errors.push('userSettings: ожидается объект');
+                return;
+            }
+
+            if (section === 'apiKey') {
+                const encrypted = value && typeof value === 'object' && value.data && value.iv && value.salt;
+                if (typeof value !== 'string' && !encrypted) errors.push('apiKey: неверный формат ключа');
+                return;
+            }
+
+            if (!Array.isArray(value)) {
+                errors.push(`${section}: ожидается список записей`);
+                return;
+            }
+
+            const ids = new Set();
+            value.forEach((record, index) => {
+                if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                    errors.push(`${section}[${index}]: запись не является объектом`);
+                    return;
+                }
+
+                const hasId = record.id !== undefined && record.id !== null && record.id !== '';
+
+                // Projects and campaigns are merged by id, so it is required there
+                if (!hasId && (section === 'projects' || section === 'workCampaigns')) {
+                    errors.push(`${section}[${index}]: нет id`);
+                } else if (hasId && ids.has(String(record.id))) {
+                    errors.push(`${section}[${index}]: повторяющийся id ${record.id}`);
+                }
+
+                if (hasId) ids.add(String(record.id));
+            });
+        });
+
+        return { valid: errors.length === 0, errors, backup, fromVersion };
+    }
+
+    /**
+     * Dry run of a merge restore: added, updated and conflicting records per section
+     * A record is 'updated' when the backup copy has a newer updatedAt, otherwise a differing
+     * record is a conflict and keeps the local version unless resolved to 'backup'
+     */
+    previewRestore(backupData, { sections = null } = {}) {
+        const check = this.validateBackup(backupData);
+        if (!check.valid) {
+            return { valid: false, errors: check.errors, sections: {} };
+        }
+
+        const migration = this.migrateData(check.backup.data, check.fromVersion);
+        const selected = (sections || Object.keys(this.dataSections)).filter(section => migration.data[section] !== undefined);
+        const preview = {};
+
+        selected.forEach(section => {
+            if (this.valueSections.includes(section)) {
+                preview[section] = { replaced: true };
+                return;
+            }
+
+            const local = new Map(this.getItem(this.dataSections[section], []).map(record => [this.getRecordKey(record), record]));
+            const result = { added: [], updated: [], conflicts: [], unchanged: 0 };
+
+            migration.data[section].forEach(record => {
+                const key = this.getRecordKey(record);
+                const localRecord = local.get(key) || null;
+                const state = this.compareRecords(localRecord, record);
+
+                if (state === 'unchanged') {
+                    result.unchanged++;
+                    return;
+                }
+
+                const item = {
+                    id: key,
+                    label: this.getRecordLabel(record),
+                    localUpdatedAt: localRecord ? localRecord.updatedAt || null : null,
+                    backupUpdatedAt: record.updatedAt || null
+                };
+
+                if (state === 'added') result.added.push(item);
+                else if (state === 'updated') result.updated.push(item);
+                else result.conflicts.push(item);
+            });
+
+            preview[section] = result;
+        });
+
+        return {
+            valid: true,
+            errors: [],
+            fromVersion: migration.fromVersion,
+            toVersion: migration.toVersion,
+            migration: migration.steps,
+            sections: preview
+        };
+    }
+
+    /**
+     * Merge backup records into local ones by id, see previewRestore() for the rules
+     */
+    mergeRecords(localRecords, backupRecords, resolutions = {}) {
+        const merged = [...localRecords];
+        const positions = new Map(merged.map((record, index) => [this.getRecordKey(record), index]));
+
+        backupRecords.forEach(record => {
+            const key = this.getRecordKey(record);
+            const position = positions.get(key);
+            const state = this.compareRecords(position !== undefined ? merged[position] : null, record);
+
+            if (state === 'added') {
+                positions.set(key, merged.length);
+                merged.push(record);
+            } else if (state === 'updated' && resolutions[key] !== 'local') {
+                merged[position] = record;
+            } else if (state === 'conflict' && resolutions[key] === 'backup') {
+                merged[position] = record;
+            }
+        });
+
+        return merged;
+    }
+
+    /**
+     * 'added', 'unchanged', 'updated' (backup is newer) or 'conflict'
+     */
+    compareRecords(localRecord, backupRecord) {
+        if (!localRecord) return 'added';
+        if (JSON.stringify(localRecord) === JSON.stringify(backupRecord)) return 'unchanged';
+
+        const localTime = Date.parse(localRecord.updatedAt);
+        const backupTime = Date.parse(backupRecord.updatedAt);
+
+        if (!isNaN(backupTime) && (isNaN(localTime) || backupTime > localTime)) return 'updated';
+        return 'conflict';
+    }
+
+    /**
+     * Records without id (old history entries) are matched by content
+     */
+    getRecordKey(record) {
+        return record.id !== undefined && record.id !== null ? String(record.id) : JSON.stringify(record);
+    }
+
+    getRecordLabel(record) {
+        return record.name || record.title || record.channel || record.fileName || String(record.id);
+    }
+
     /**
      * Storage cleanup and maintenance
      */
@@ -439,17 +1692,21 @@ class TGTrafficStorage {
             const usage = {};
 
             Object.entries(this.storageKeys).forEach(([key, storageKey]) => {
-                const data = localStorage.getItem(storageKey);
+                this.flushSnapshot(storageKey);
+                const data = this.snapshot.get(storageKey);
                 const size = data ? data.length : 0;
                 usage[key] = size;
                 totalSize += size;
             });
 
+            // Quota comes from navigator.storage.estimate() for IndexedDB, 5 MB for localStorage
             return {
+                backend: this.backend.name,
                 totalSize,
                 usage,
-                available: (5 * 1024 * 1024) - totalSize, // Assuming 5MB localStorage limit
-                percentage: Math.round((totalSize / (5 * 1024 * 1024)) * 100)
+                quota: this.quota,
+                available: this.quota - totalSize,
+                percentage: Math.round((totalSize / this.quota) * 100)
             };
         } catch (error) {
             console.error('Error calculating storage usage:', error);
@@ -460,7 +1717,7 @@ class TGTrafficStorage {
     clearAllData() {
         try {
             Object.values(this.storageKeys).forEach(key => {
-                localStorage.removeItem(key);
+                this.removeItem(key);
             });
 
             // Reinitialize with defaults
@@ -516,14 +1773,8 @@ class TGTrafficStorage {
     }
 
     isStorageAvailable() {
-        try {
-            const testKey = '__storage_test__';
-            localStorage.setItem(testKey, 'test');
-            localStorage.removeItem(testKey);
-            return true;
-        } catch (error) {
-            return false;
-        }
+        if (this.backend.name === 'indexedDB') return true;
+        return window.LocalStorageBackend ? window.LocalStorageBackend.isAvailable() : false;
     }
 }
 
@@ -0,0 +1,521 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { setupBrowserEnv, loadScripts, plain } = require('./helpers/browser-env');
+
+setupBrowserEnv();
+loadScripts('analytics.js');
+
+const GOLDEN_FILE = path.join(__dirname, 'golden', 'scoring.json');
+const FIXTURES_DIR = path.join(__dirname, '..', 'server', 'fixtures', 'channels');
+
+/**
+ * Channel info/stats pairs used for golden scoring output
+ */
+function loadScoringCases() {
+    const cases = {};
+
+    fs.readdirSync(FIXTURES_DIR).sort().forEach(file => {
+        const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+        cases[path.basename(file, '.json')] = {
+            info: fixture.get.response,
+            stats: { period: 7, ...fixture.stat.response }
+        };
+    });
+
+    cases.empty_channel = {
+        info: { username: 'empty_channel', participants_count: 0 },
+        stats: null
+    };
+    cases.tiny_verified = {
+        info: { username: 'tiny_verified', participants_count: 600, avg_post_reach: 450, verified: true, category: 'business', ci_index: 1.5 },
+        stats: { period: 7, posts_count: 3, views_per_post: 450, forwards_per_post: 30, mentions_per_post: 20 }
+    };
+
+    return cases;
+}
+
+function buildMetrics(overrides = {}) {
+    return {
+        subscribers: 10000,
+        avgReach: 3000,
+        reachPercentage: 30,
+        engagementRate: 8,
+        ciIndex: 0.5,
+        errPercent: 2,
+        postsPerDay: 2,
+        viewsPerPost: 3000,
+        forwardsPerPost: 60,
+        mentionsPerPost: 15,
+        category: 'tech',
+        verified: false,
+        language: 'ru',
+        ...overrides
+    };
+}
+
+// Low values keep the normalized score below the 100 cap so modifiers stay visible
+const WEAK_METRICS = {
+    subscribers: 2,
+    reachPercentage: 0.2,
+    engagementRate: 0.1,
+    ciIndex: 0.01
+};
+
+describe('TGTrafficAnalytics', () => {
+    let analytics;
+
+    beforeEach(() => {
+        analytics = new window.TGTrafficAnalytics();
+    });
+
+    test('analyzeChannel returns full analysis for valid data', () => {
+        const result = analytics.analyzeChannel(
+            { username: 'mock_tech', title: 'Mock Tech', participants_count: 45000, avg_post_reach: 15500, category: 'tech' },
+            { period: 7, posts_count: 14, views_per_post: 15500, forwards_per_post: 420, mentions_per_post: 12 }
+        );
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.channel.username, 'mock_tech');
+        assert.ok(result.qualityScore.overall > 0);
+        assert.ok(Array.isArray(result.recommendations));
+        assert.ok(result.priceEstimate.cpm.avg > 0);
+        assert.ok(!isNaN(Date.parse(result.analysisTimestamp)));
+    });
+
+    test('configure adds recommendations for CPM outside the target range', () => {
+        const channel = { username: 'mock_tech', title: 'Mock Tech', participants_count: 45000, avg_post_reach: 15500, category: 'tech' };
+        const titles = result => result.recommendations.map(item => item.title);
+
+        const cpm = analytics.analyzeChannel(channel).priceEstimate.cpm.avg;
+
+        analytics.configure({ defaultCpmRange: { min: 0, max: cpm - 1 } });
+        assert.ok(titles(analytics.analyzeChannel(channel)).includes('CPM выше целевого'));
+
+        analytics.configure({ defaultCpmRange: { min: cpm + 1, max: cpm + 100 } });
+        assert.ok(titles(analytics.analyzeChannel(channel)).includes('CPM ниже целевого'));
+
+        analytics.configure({});
+        assert.strictEqual(analytics.cpmRange, null);
+        assert.ok(!titles(analytics.analyzeChannel(channel)).some(title => title.startsWith('CPM')));
+    });
+
+    test('analyzeChannel reports failure instead of throwing', () => {
+        const result = analytics.analyzeChannel(null);
+
+        assert.strictEqual(result.success, false);
+        assert.ok(result.error);
+        assert.strictEqual(result.channel, null);
+    });
+
+    test('calculateChannelMetrics derives reach, engagement and activity', () => {
+        const metrics = analytics.calculateChannelMetrics(
+            { participants_count: 1000, avg_post_reach: 250, err_percent: 3.456 },
+            { period: 7, posts_count: 21, forwards_per_post: 5, mentions_per_post: 1 }
+        );
+
+        assert.strictEqual(metrics.reachPercentage, 25);
+        assert.strictEqual(metrics.engagementRate, 20); // reach * 0.8 without CI
+        assert.strictEqual(metrics.postsPerDay, 3);
+        assert.strictEqual(metrics.viewsPerPost, 250);
+        assert.strictEqual(metrics.errPercent, 3.46);
+        assert.strictEqual(metrics.category, 'unknown');
+    });
+
+    test('calculateChannelMetrics prefers CI index as engagement rate', () => {
+        const metrics = analytics.calculateChannelMetrics({ participants_count: 1000, avg_post_reach: 250, ci_index: 0.7 }, null);
+
+        assert.strictEqual(metrics.engagementRate, 0.7);
+        assert.strictEqual(metrics.postsPerDay, 1);
+    });
+
+    test('calculateQualityScore stays within 0-100 and exposes breakdown', () => {
+        const score = analytics.calculateQualityScore(buildMetrics());
+
+        assert.ok(score.overall >= 0 && score.overall <= 100);
+        assert.deepStrictEqual(Object.keys(score.breakdown), ['subscribers', 'reach', 'engagement', 'ci']);
+        assert.strictEqual(score.modifiers.category, 1.3);
+        assert.strictEqual(score.modifiers.verified, 1.0);
+        assert.strictEqual(score.modifiers.err, 1.0);
+    });
+
+    test('calculateQualityScore applies verified bonus and ERR penalty', () => {
+        const base = analytics.calculateQualityScore(buildMetrics(WEAK_METRICS));
+        const verified = analytics.calculateQualityScore(buildMetrics({ ...WEAK_METRICS, verified: true }));
+        const penalized = analytics.calculateQualityScore(buildMetrics({ ...WEAK_METRICS, errPercent: 20 }));
+
+        assert.strictEqual(base.overall, 85.97);
+        assert.strictEqual(verified.overall, 94.56);
+        assert.strictEqual(penalized.overall, 77.37);
+        assert.strictEqual(penalized.modifiers.err, 0.9);
+    });
+
+    test('calculateQualityScore returns 0 without data', () => {
+        const score = analytics.calculateQualityScore(buildMetrics({
+            subscribers: 0, reachPercentage: 0, engagementRate: 0, ciIndex: 0
+        }));
+
+        assert.strictEqual(score.overall, 0);
+    });
+
+    test('calculateEngagementMetrics computes rates and viral potential', () => {
+        const engagement = analytics.calculateEngagementMetrics(buildMetrics());
+
+        assert.strictEqual(engagement.views.perSubscriber, 0.3);
+        assert.strictEqual(engagement.forwards.rate, 2);
+        assert.strictEqual(engagement.mentions.rate, 0.5);
+        assert.strictEqual(engagement.activity.consistency, 'excellent');
+        assert.strictEqual(typeof engagement.viralPotential, 'number');
+    });
+
+    test('calculateConsistencyScore classifies posting frequency', () => {
+        assert.strictEqual(analytics.calculateConsistencyScore(2), 'excellent');
+        assert.strictEqual(analytics.calculateConsistencyScore(0.7), 'good');
+        assert.strictEqual(analytics.calculateConsistencyScore(0.3), 'average');
+        assert.strictEqual(analytics.calculateConsistencyScore(5), 'too_frequent');
+        assert.strictEqual(analytics.calculateConsistencyScore(0.1), 'poor');
+    });
+
+    test('calculateViralPotential sums signals and caps at 100', () => {
+        const high = analytics.calculateViralPotential({
+            forwards: { rate: 6 },
+            mentions: { rate: 4 },
+            views: { perSubscriber: 1.5 },
+            activity: { consistency: 'excellent' }
+        });
+        const low = analytics.calculateViralPotential({
+            forwards: { rate: 0 },
+            mentions: { rate: 0 },
+            views: { perSubscriber: 0.1 },
+            activity: { consistency: 'poor' }
+        });
+
+        assert.strictEqual(high, 100);
+        assert.strictEqual(low, 0);
+    });
+
+    test('generateRecommendations flags weak metrics', () => {
+        const recommendations = analytics.generateRecommendations(
+            buildMetrics({ reachPercentage: 10, errPercent: 15, engagementRate: 2, postsPerDay: 8 }),
+            { overall: 40 }
+        );
+        const titles = recommendations.map(r => r.title);
+
+        assert.deepStrictEqual(titles, [
+            'Требует проверки',
+            'Низкий охват',
+            'Высокий ERR',
+            'Низкая вовлеченность',
+            'Слишком частые посты'
+        ]);
+    });
+
+    test('generateRecommendations praises excellent channels', () => {
+        const recommendations = analytics.generateRecommendations(buildMetrics(), { overall: 95 });
+
+        assert.strictEqual(recommendations[0].type, 'success');
+        assert.strictEqual(recommendations.length, 1);
+    });
+
+    test('estimateAdPrice scales CPM with size, category and quality', () => {
+        const price = analytics.estimateAdPrice(buildMetrics(), { overall: 50 });
+
+        // 100 * 1.3 (tech) * 1.0 (quality) = 130
+        assert.strictEqual(price.cpm.avg, 130);
+        assert.strictEqual(price.cpm.min, 91);
+        assert.strictEqual(price.cpm.max, 169);
+        assert.strictEqual(price.postPrice.estimated, 390);
+        assert.strictEqual(price.factors.category, 'tech');
+    });
+
+    test('estimateAdPrice discounts tiny channels and rewards verification', () => {
+        const tiny = analytics.estimateAdPrice(buildMetrics({ subscribers: 500, category: 'lifestyle' }), { overall: 50 });
+        const verified = analytics.estimateAdPrice(buildMetrics({ verified: true }), { overall: 50 });
+
+        assert.strictEqual(tiny.cpm.avg, 50);
+        assert.strictEqual(verified.cpm.avg, 156);
+    });
+
+    test('analyzePosts builds timeline, averages and distributions', () => {
+        const posts = [
+            { id: 2, date: 1760003600, views: 200, forwards: 10, replies: 0, reactions: 4 },
+            { id: 1, date: 1760000000, views: 100, forwards: 0, replies: 0, reactions: 2 }
+        ];
+        const stats = analytics.analyzePosts(posts);
+
+        assert.strictEqual(stats.count, 2);
+        assert.deepStrictEqual(stats.timeline.map(point => point.id), [1, 2]);
+        assert.strictEqual(stats.timeline[0].date, new Date(1760000000 * 1000).toISOString());
+        assert.deepStrictEqual(plain(stats.averages), { views: 150, forwards: 5, replies: 0, reactions: 3 });
+        assert.deepStrictEqual(plain(stats.distributions.replies), [{ label: '0', from: 0, to: 0, count: 2 }]);
+        assert.strictEqual(stats.distributions.forwards.reduce((sum, bucket) => sum + bucket.count, 0), 2);
+    });
+
+    test('analyzePosts handles channels without posts', () => {
+        const stats = analytics.analyzePosts([]);
+
+        assert.strictEqual(stats.count, 0);
+        assert.deepStrictEqual(plain(stats.averages), { views: 0, forwards: 0, replies: 0, reactions: 0 });
+        assert.deepStrictEqual(plain(stats.distributions.forwards), []);
+    });
+
+    test('calibrateCpmModel refits multipliers to real CPMs and beats the default formula', () => {
+        // The market pays 1.5× the formula for tech and exactly the formula for news
+        const defaults = analytics.getDefaultCpmModel();
+        const history = [20000, 60000, 8000, 150000, 30000, 12000].flatMap((subscribers, index) => ['tech', 'news'].map(category => {
+            const metrics = { subscribers, category, quality: 50 + index * 5, engagementRate: 4 + index, verified: false };
+            return { realCpm: analytics.calculateCpm(defaults, metrics) * (category === 'tech' ? 1.5 : 1), metrics };
+        }));
+
+        const report = analytics.calibrateCpmModel(history);
+        assert.strictEqual(report.samples, 12);
+        assert.strictEqual(report.error.calibrated, null);
+        assert.ok(analytics.validateCpmModel(history) < report.error.default / 1.5);
+        assert.ok(report.model.categories.tech / report.model.categories.news > 1.3);
+        assert.strictEqual(report.model.categories.business, defaults.categories.business);
+
+        const few = analytics.calibrateCpmModel(history.slice(0, 4));
+        assert.strictEqual(few.model, null);
+        assert.strictEqual(analytics.validateCpmModel(history.slice(0, 4)), null);
+    });
+
+    test('validateCpmModel refits once per fold', () => {
+        const defaults = analytics.getDefaultCpmModel();
+        const history = Array.from({ length: 40 }, (value, index) => {
+            const metrics = { subscribers: 5000 + index * 3000, category: index % 2 ? 'tech' : 'news', quality: 60, engagementRate: 5, verified: false };
+            return { realCpm: analytics.calculateCpm(defaults, metrics) * 1.2, metrics };
+        });
+        const fitCpmModel = analytics.fitCpmModel;
+        let fits = 0;
+        analytics.fitCpmModel = (...args) => {
+            fits++;
+            return fitCpmModel.apply(analytics, args);
+        };
+
+        assert.strictEqual(typeof analytics.validateCpmModel(history, { folds: 5 }), 'number');
+        assert.strictEqual(fits, 5);
+        delete analytics.fitCpmModel;
+    });
+
+    test('estimateAdPrice uses the calibrated model only when it is switched on', () => {
+        const metrics = analytics.calculateChannelMetrics({ username: 'tech_channel', participants_count: 30000, avg_post_reach: 6000, category: 'tech' });
+        const score = analytics.calculateQualityScore(metrics);
+        const standard = analytics.estimateAdPrice(metrics, score);
+        const model = { ...analytics.getDefaultCpmModel(), base: 200 };
+
+        analytics.setCpmModel(model);
+        assert.strictEqual(analytics.estimateAdPrice(metrics, score).cpm.avg, standard.cpm.avg);
+
+        analytics.configure({ cpmModel: 'calibrated' });
+        const calibrated = analytics.estimateAdPrice(metrics, score);
+        assert.strictEqual(calibrated.model, 'calibrated');
+        assert.ok(Math.abs(calibrated.cpm.avg - standard.cpm.avg * 2) <= 1);
+
+        analytics.configure({});
+        analytics.setCpmModel(null);
+        assert.strictEqual(standard.model, 'default');
+    });
+
+    test('detectFraud separates bought views from an organic post history', () => {
+        // 12 posts 6 hours apart: bot views are flat and nobody reacts, organic views vary and are still growing
+        const makePosts = (views, interaction) => views.map((value, index) => ({
+            id: index, date: 1760000000 - index * 21600, views: value, forwards: interaction(value), reactions: interaction(value)
+        }));
+        const bot = makePosts([5000, 5100, 4950, 5050, 5000, 4900, 5100, 5000, 5050, 4950, 5000, 5020], () => 0);
+        const organic = makePosts([1800, 3200, 4100, 5200, 4300, 6100, 3900, 5800, 4500, 7000, 3600, 5400], views => Math.round(views * 0.03));
+
+        const botFraud = analytics.detectFraud(bot, { subscribers: 5500, avgReach: 5000 });
+        const organicFraud = analytics.detectFraud(organic, { subscribers: 20000, avgReach: 4500 });
+        const fired = fraud => fraud.signals.filter(signal => signal.fired).map(signal => signal.id);
+
+        assert.strictEqual(botFraud.botScore, 90);
+        assert.deepStrictEqual(fired(botFraud), ['uniformViews', 'noDecay', 'lowInteraction', 'reachAnomaly']);
+        assert.strictEqual(organicFraud.botScore, 0);
+        assert.deepStrictEqual(fired(organicFraud), []);
+        assert.strictEqual(organicFraud.postsChecked, true);
+    });
+
+    test('detectFraud checks subscriber jumps without posts and reports nothing without data', () => {
+        const history = [
+            { date: '2025-03-01T00:00:00.000Z', subscribers: 10000 },
+            { date: '2025-03-03T00:00:00.000Z', subscribers: 13000 }
+        ];
+        const fraud = analytics.detectFraud(null, { subscribers: 13000, avgReach: 3000, subscriberHistory: history });
+        const jump = fraud.signals.find(signal => signal.id === 'subscriberJump');
+
+        assert.strictEqual(fraud.postsChecked, false);
+        assert.strictEqual(jump.value, 0.15);
+        assert.strictEqual(jump.fired, true);
+        assert.strictEqual(fraud.botScore, 25);
+        assert.deepStrictEqual(analytics.getFraudRecommendations(fraud).map(item => item.type), ['warning']);
+
+        assert.strictEqual(analytics.detectFraud([{ date: 1, views: 10 }], {}).botScore, null);
+    });
+
+    test('analyzeTrends computes growth per period and flags sudden changes', () => {
+        const point = (date, subscribers, avgReach, err24h, quality) => ({ date, subscribers, avgReach, err24h, citationIndex: 10, quality });
+        const trends = analytics.analyzeTrends([
+            point('2025-04-01T00:00:00.000Z', 13000, 2400, 12, 50),
+            point('2025-01-01T00:00:00.000Z', 10000, 4000, 20, 60),
+            point('2025-03-02T00:00:00.000Z', 10000, 4000, 20, 60),
+            point('2025-03-25T00:00:00.000Z', 10000, 4000, 20, 60),
+            point('2025-03-31T00:00:00.000Z', 10000, 2400, 20, 60)
+        ]);
+
+        assert.strictEqual(trends.points, 5);
+        assert.strictEqual(trends.first, '2025-01-01T00:00:00.000Z');
+        assert.deepStrictEqual(plain(trends.growth[7]), { subscribers: 30, avgReach: -40, err24h: -40, citationIndex: 0, quality: -16.7 });
+        assert.strictEqual(trends.growth[30].subscribers, 30);
+        assert.strictEqual(trends.growth[90].subscribers, 30);
+        assert.deepStrictEqual(trends.flags.map(flag => [flag.id, flag.date.slice(0, 10), flag.value]), [
+            ['reachDrop', '2025-03-31', -40],
+            ['subscriberSpike', '2025-04-01', 30],
+            ['hollowGrowth', '2025-04-01', 30]
+        ]);
+    });
+
+    test('analyzeTrends scales sparse history to the period and skips periods it cannot cover', () => {
+        const trends = analytics.analyzeTrends([
+            { date: '2025-01-01T00:00:00.000Z', subscribers: 10000, avgReach: 3000 },
+            { date: '2025-04-11T00:00:00.000Z', subscribers: 11000, avgReach: 3000 }
+        ]);
+
+        assert.strictEqual(trends.growth[7].subscribers, null);
+        assert.strictEqual(trends.growth[30].subscribers, null);
+        assert.strictEqual(trends.growth[90].subscribers, 9);
+        assert.deepStrictEqual(plain(trends.flags), []);
+
+        const empty = analytics.analyzeTrends([]);
+        assert.strictEqual(empty.points, 0);
+        assert.strictEqual(empty.growth[30].quality, null);
+    });
+
+    test('buildDistribution splits values into equal-width buckets', () => {
+        const buckets = analytics.buildDistribution([0, 1, 2, 3, 4, 5, 6, 7, 8, 9], 5);
+
+        assert.deepStrictEqual(buckets.map(bucket => bucket.label), ['0–1', '2–3', '4–5', '6–7', '8–9']);
+        assert.ok(buckets.every(bucket => bucket.count === 2));
+    });
+
+    test('compareChannels ranks channels by quality and summarizes', () => {
+        const comparison = analytics.compareChannels([
+            { info: { username: 'small_one', participants_count: 0, category: 'news' }, stats: null },
+            { info: { username: 'large_one', participants_count: 90000, avg_post_reach: 40000, category: 'news', ci_index: 0.9 }, stats: null }
+        ]);
+
+        assert.deepStrictEqual(comparison.channels.map(c => c.channel.username), ['large_one', 'small_one']);
+        assert.deepStrictEqual(comparison.channels.map(c => c.rank), [1, 2]);
+        assert.strictEqual(comparison.summary.total, 2);
+        assert.strictEqual(comparison.summary.categoryStats.news.count, 2);
+        assert.deepStrictEqual(comparison.overlap.matrix.usernames, ['large_one', 'small_one']);
+        assert.strictEqual(comparison.summary.uniqueReach, 40000);
+    });
+
+    test('estimateOverlap combines mentions, co-citation and categories', () => {
+        const channels = [
+            { username: 'a', category: 'news', avgReach: 1000 },
+            { username: 'b', category: 'news', avgReach: 500 },
+            { username: '@c', category: 'tech', avgReach: 400 },
+            { username: 'd', category: 'tech', avgReach: 200 }
+        ];
+        const overlap = analytics.estimateOverlap(channels, {
+            a: [{ username: 'B', mentions: 10 }],
+            c: [{ username: 'x', mentions: 1 }, { username: 'y', mentions: 3 }],
+            d: [{ username: 'x', mentions: 2 }, { username: 'y', mentions: 1 }]
+        });
+
+        // Mentioned by each other in one category, cited by the same channels in another, unrelated otherwise
+        assert.deepStrictEqual(overlap.pairs.slice(0, 2).map(plain), [
+            { a: 'a', b: 'b', overlap: 0.4, sharedReach: 200, signals: { direct: 1, coCitation: 0, sameCategory: true } },
+            { a: 'c', b: 'd', overlap: 0.5, sharedReach: 100, signals: { direct: 0, coCitation: 1, sameCategory: true } }
+        ]);
+        assert.strictEqual(overlap.pairs.find(pair => pair.a === 'a' && pair.b === 'c').overlap, 0.02);
+
+        // The small channel is mostly inside the large one, not the other way round
+        assert.strictEqual(overlap.matrix.values[1][0], 0.4);
+        assert.strictEqual(overlap.matrix.values[0][1], 0.2);
+
+        assert.strictEqual(overlap.totalReach, 2100);
+        assert.strictEqual(overlap.uniqueReach, 1780);
+    });
+
+    test('calculateCategoryStats averages per category', () => {
+        const stats = analytics.calculateCategoryStats([
+            { metrics: { category: 'tech', subscribers: 100 }, qualityScore: { overall: 40 }, priceEstimate: { cpm: { avg: 100 } } },
+            { metrics: { category: 'tech', subscribers: 300 }, qualityScore: { overall: 60 }, priceEstimate: { cpm: { avg: 200 } } },
+            { metrics: { category: 'news', subscribers: 50 }, qualityScore: { overall: 10 }, priceEstimate: { cpm: { avg: 80 } } }
+        ]);
+
+        assert.deepStrictEqual(plain(stats), {
+            tech: { count: 2, avgScore: 50, avgSubscribers: 200, avgCpm: 150 },
+            news: { count: 1, avgScore: 10, avgSubscribers: 50, avgCpm: 80 }
+        });
+    });
+
+    test('generateExportData skips failed results', () => {
+        const ok = analytics.analyzeChannel({ username: 'mock_news', title: 'Mock', participants_count: 1000, avg_post_reach: 300 });
+        const rows = analytics.generateExportData([ok, { success: false }]);
+
+        assert.strictEqual(rows.length, 1);
+        assert.strictEqual(rows[0]['Канал'], '@mock_news');
+        assert.strictEqual(rows[0]['Подписчики'], 1000);
+        assert.strictEqual(rows[0]['Верифицирован'], 'Нет');
+    });
+
+    test('getQualityBadge maps score thresholds', () => {
+        assert.strictEqual(analytics.getQualityBadge(95).label, 'Отлично');
+        assert.strictEqual(analytics.getQualityBadge(75).label, 'Хорошо');
+        assert.strictEqual(analytics.getQualityBadge(55).label, 'Средне');
+        assert.strictEqual(analytics.getQualityBadge(35).label, 'Плохо');
+        assert.strictEqual(analytics.getQualityBadge(5).label, 'Очень плохо');
+    });
+
+    test('scoring profiles change weights, caps, modifiers and badge thresholds', () => {
+        const metrics = analytics.calculateChannelMetrics({ username: 'crypto_channel', participants_count: 20000, avg_post_reach: 60, ci_index: 0.5, err_percent: 20, category: 'tech' });
+        const standard = analytics.calculateQualityScore(metrics);
+
+        // Only reach counts, no category bonus and no ERR penalty
+        const reachOnly = analytics.normalizeScoringProfile({
+            weights: { subscribers: 0, reach: 1, engagement: 0, ci: 0 },
+            categoryMultipliers: { tech: 1 },
+            errPenalty: { threshold: 50 }
+        });
+        const score = analytics.calculateQualityScore(metrics, reachOnly);
+
+        assert.strictEqual(score.overall, 60);
+        assert.deepStrictEqual(plain(score.modifiers), { category: 1, verified: 1, err: 1 });
+        assert.notStrictEqual(score.overall, standard.overall);
+        assert.strictEqual(reachOnly.caps.reach, 30);
+
+        const strict = analytics.normalizeScoringProfile({ badgeThresholds: { excellent: 98, good: 90 } });
+        assert.strictEqual(analytics.getQualityBadge(95, strict).label, 'Хорошо');
+        assert.strictEqual(analytics.getQualityBadge(95).label, 'Отлично');
+    });
+
+    test('validateAnalysisData rejects incomplete channel data', () => {
+        assert.strictEqual(analytics.validateAnalysisData({ username: 'valid_name', participants_count: 10 }), true);
+        assert.throws(() => analytics.validateAnalysisData(null), /не предоставлены/);
+        assert.throws(() => analytics.validateAnalysisData({ participants_count: 10 }), /имя канала/);
+        assert.throws(() => analytics.validateAnalysisData({ username: 'valid_name', participants_count: -1 }), /подписчиков/);
+    });
+
+    test('scoring output matches golden file', () => {
+        const actual = {};
+
+        Object.entries(loadScoringCases()).forEach(([name, { info, stats }]) => {
+            const { analysisTimestamp, ...analysis } = analytics.analyzeChannel(info, stats);
+            actual[name] = plain(analysis);
+        });
+
+        // UPDATE_GOLDEN=1 npm test rewrites the file after an intended scoring change
+        if (process.env.UPDATE_GOLDEN) {
+            fs.mkdirSync(path.dirname(GOLDEN_FILE), { recursive: true });
+            fs.writeFileSync(GOLDEN_FILE, JSON.stringify(actual, null, 2) + '\n');
+        }
+
+        const expected = JSON.parse(fs.readFileSync(GOLDEN_FILE, 'utf8'));
+        assert.deepStrictEqual(actual, expected);
+    });
+});
@@ -0,0 +1,274 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { setupBrowserEnv, loadScripts, plain } = require('./helpers/browser-env');
+const { createMockServer, INVALID_API_KEY, EXHAUSTED_API_KEY } = require('../server/mock-server');
+
+setupBrowserEnv();
+loadScripts('cache.js', 'scheduler.js', 'api.js');
+
+describe('TGStatAPI static helpers', () => {
+    test('validateChannelUsername accepts 5-32 word characters', () => {
+        assert.deepStrictEqual(plain(TGStatAPI.validateChannelUsername('@mock_news')), { valid: true, cleaned: 'mock_news' });
+        assert.strictEqual(TGStatAPI.validateChannelUsername('abcd').valid, false);
+        assert.strictEqual(TGStatAPI.validateChannelUsername('a'.repeat(33)).valid, false);
+        assert.strictEqual(TGStatAPI.validateChannelUsername('bad-name').valid, false);
+    });
+
+    test('parseChannelUsernames normalizes links and removes duplicates', () => {
+        const parsed = TGStatAPI.parseChannelUsernames([
+            '@mock_news',
+            'https://t.me/mock_tech?start=1',
+            't.me/mock_tech/123',
+            'mock_news',
+            '',
+            'bad'
+        ].join('\n'));
+
+        // Links without the scheme are not recognized
+        assert.deepStrictEqual(plain(parsed.usernames), ['mock_news', 'mock_tech']);
+        assert.deepStrictEqual(plain(parsed.errors).map(error => error.line), [3, 5]);
+        assert.strictEqual(parsed.errors[1].error, 'Неверный формат имени канала');
+    });
+});
+
+describe('TGStatAPI against mock server', () => {
+    let server;
+    let baseURL;
+    let api;
+
+    before(async () => {
+        server = createMockServer();
+        await new Promise(resolve => server.listen(0, resolve));
+        baseURL = `http://localhost:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    beforeEach(() => {
+        api = new TGStatAPI('test_key', { baseURL, proxyURL: '' });
+        api.setRateLimits({ rateLimitDelay: 1, rateLimitBurst: 10, maxConcurrentRequests: 5, maxRetries: 0 });
+    });
+
+    test('setApiKey replaces the key', async () => {
+        api.setApiKey(INVALID_API_KEY);
+        const status = await api.getApiStatus();
+
+        assert.strictEqual(status.success, false);
+        assert.match(status.error, /Неверный API ключ/);
+    });
+
+    test('setEndpoints and buildUrl handle direct and proxied URLs', () => {
+        assert.strictEqual(api.buildUrl('/usage'), `${baseURL}/usage`);
+
+        api.setEndpoints({ baseURL: 'https://api.tgstat.ru/', proxyURL: 'https://proxy.example/raw?url=' });
+        assert.strictEqual(api.buildUrl('/usage'), 'https://proxy.example/raw?url=https%3A%2F%2Fapi.tgstat.ru%2Fusage');
+    });
+
+    test('connection modes: direct ignores the proxy, bundled proxy needs no key', async () => {
+        api.setEndpoints({ baseURL: 'https://api.tgstat.ru', proxyURL: 'https://proxy.example/raw?url=', mode: 'direct' });
+        assert.strictEqual(api.buildUrl('/usage'), 'https://api.tgstat.ru/usage');
+
+        // The mock server stands in for the bundled proxy: without a key the request is rejected
+        api.setApiKeys([]);
+        api.setEndpoints({ mode: 'bundled', bundledProxyURL: `${baseURL}/` });
+        assert.strictEqual(api.usesServerKey(), true);
+        assert.strictEqual(api.buildUrl('/usage'), `${baseURL}/usage`);
+
+        const status = await api.getApiStatus();
+        assert.strictEqual(status.success, false);
+        assert.match(status.error, /Неверный API ключ/);
+    });
+
+    test('setRateLimits configures retries and scheduler', () => {
+        api.setRateLimits({ rateLimitDelay: 500, maxRetries: 2, maxConcurrentRequests: 4 });
+
+        assert.strictEqual(api.rateLimitDelay, 500);
+        assert.strictEqual(api.maxRetries, 2);
+        assert.strictEqual(api.scheduler.ratePerSecond, 2);
+        assert.strictEqual(api.scheduler.maxConcurrent, 4);
+    });
+
+    test('getApiStatus returns quota', async () => {
+        const status = await api.getApiStatus();
+
+        assert.strictEqual(status.success, true);
+        assert.strictEqual(status.remaining, 950);
+        assert.strictEqual(status.limit, 1000);
+    });
+
+    test('getChannelInfo maps channel fields', async () => {
+        const info = await api.getChannelInfo('@mock_news');
+
+        assert.strictEqual(info.success, true);
+        assert.strictEqual(info.fromCache, false);
+        assert.strictEqual(info.data.username, 'mock_news');
+        assert.strictEqual(info.data.description, 'Тестовый новостной канал');
+        assert.strictEqual(info.data.participants_count, 250000);
+        assert.strictEqual(info.data.fake, false);
+    });
+
+    test('getChannelInfo reports missing channels', async () => {
+        const info = await api.getChannelInfo('mock_missing');
+
+        assert.strictEqual(info.success, false);
+        assert.strictEqual(info.data, null);
+        assert.strictEqual(info.error, 'Ресурс не найден');
+    });
+
+    test('getChannelStats returns period statistics', async () => {
+        const stats = await api.getChannelStats('mock_tech', 30);
+
+        assert.strictEqual(stats.success, true);
+        assert.strictEqual(stats.data.period, 30);
+        assert.strictEqual(stats.data.forwards_per_post, 420);
+    });
+
+    test('getChannelPosts respects limit', async () => {
+        const posts = await api.getChannelPosts('mock_tech', 5);
+
+        assert.strictEqual(posts.success, true);
+        assert.strictEqual(posts.count, 5);
+        assert.deepStrictEqual(Object.keys(posts.data[0]), [
+            'id', 'date', 'text', 'views', 'forwards', 'replies', 'reactions', 'media_type', 'link_preview'
+        ]);
+    });
+
+    test('searchChannels finds channels by keyword', async () => {
+        const found = await api.searchChannels('tech');
+
+        assert.strictEqual(found.success, true);
+        assert.deepStrictEqual(found.data.map(channel => channel.username), ['mock_tech']);
+    });
+
+    test('getSimilarChannels returns mentions', async () => {
+        const similar = await api.getSimilarChannels('mock_news');
+
+        assert.strictEqual(similar.success, true);
+        assert.strictEqual(similar.count, 2);
+    });
+
+    test('makeRequest maps HTTP errors and ok:false bodies', async () => {
+        await assert.rejects(api.makeRequest('/channels/get?channel=mock_unauthorized'), /Неверный API ключ/);
+        await assert.rejects(api.makeRequest('/channels/get?channel=mock_forbidden'), /Доступ запрещен/);
+        await assert.rejects(api.makeRequest('/channels/get?channel=mock_notok'), /channel is private/);
+        await assert.rejects(api.makeRequest('/channels/get?channel=mock_ratelimit'), /HTTP 429/);
+    });
+
+    test('makeRequest requires an API key', async () => {
+        api.setApiKey('');
+        await assert.rejects(api.makeRequest('/usage'), /API ключ не установлен/);
+    });
+
+    test('makeRequest pauses the scheduler for Retry-After on 429', async () => {
+        const pauses = [];
+        api.maxRetries = 1;
+        api.scheduler.pauseFor = ms => pauses.push(ms);
+
+        await assert.rejects(api.makeRequest('/channels/get?channel=mock_ratelimit'), /HTTP 429/);
+        assert.deepStrictEqual(pauses, [2000]);
+    });
+
+    test('makeRequest rejects cancelled requests without retrying', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        api.maxRetries = 3;
+
+        await assert.rejects(api.makeRequest('/usage', { signal: controller.signal }), { name: 'AbortError' });
+    });
+
+    test('cachedRequest serves repeated requests from cache unless forced', async () => {
+        const first = await api.cachedRequest('/channels/get?channel=mock_news');
+        const second = await api.cachedRequest('/channels/get?channel=mock_news');
+        const forced = await api.cachedRequest('/channels/get?channel=mock_news', { forceRefresh: true });
+
+        assert.strictEqual(first.cache.fromCache, false);
+        assert.strictEqual(second.cache.fromCache, true);
+        assert.ok(second.cache.cachedAt);
+        assert.strictEqual(forced.cache.fromCache, false);
+        assert.deepStrictEqual(plain(second.data), plain(first.data));
+    });
+
+    test('onRequest reports requests sent to TGStat, not cache hits or quota checks', async () => {
+        const requests = [];
+        api.onRequest(event => requests.push(event));
+
+        await api.getApiStatus();
+        await api.getChannelInfo('@mock_news');
+        await api.getChannelInfo('@mock_news');
+        await api.getChannelInfo('@mock_missing');
+
+        assert.deepStrictEqual(requests, [
+            { endpoint: '/channels/get?channel=mock_news', status: 200, keyId: 'primary' },
+            { endpoint: '/channels/get?channel=mock_missing', status: 404, keyId: 'primary' }
+        ]);
+        assert.strictEqual(await api.cache.has('/channels/get?channel=mock_news'), true);
+        assert.strictEqual(await api.cache.has('/channels/stat?channel=mock_news&period=7'), false);
+        assert.deepStrictEqual(api.getChannelEndpoints('@mock_news', { withPosts: true }), [
+            '/channels/get?channel=mock_news',
+            '/channels/stat?channel=mock_news&period=7',
+            '/channels/posts?channel=mock_news&limit=50'
+        ]);
+    });
+
+    test('requests fail over to the next key of the pool', async () => {
+        const failures = [];
+        const requests = [];
+        api.onKeyFailure(event => failures.push(event));
+        api.onRequest(event => requests.push(event.keyId));
+        api.setApiKeys([
+            { id: 'exhausted', key: EXHAUSTED_API_KEY },
+            { id: 'revoked', key: INVALID_API_KEY },
+            { id: 'team', key: 'test_key' }
+        ]);
+
+        const info = await api.getChannelInfo('@mock_news', { forceRefresh: true });
+
+        assert.strictEqual(info.success, true);
+        assert.deepStrictEqual(requests, ['exhausted', 'revoked', 'team']);
+        assert.deepStrictEqual(failures, [
+            { keyId: 'exhausted', reason: 'quota', nextKeyId: 'revoked' },
+            { keyId: 'revoked', reason: 'auth', nextKeyId: 'team' }
+        ]);
+        assert.strictEqual(api.apiKey, 'test_key');
+        assert.deepStrictEqual(api.getKeyStates().map(state => state.failure), ['quota', 'auth', null]);
+
+        // Pinned requests use only their key
+        await assert.rejects(api.makeRequest('/channels/get?channel=mock_news', { keyId: 'exhausted' }), /Доступ запрещен/);
+        await assert.rejects(api.makeRequest('/channels/get?channel=mock_news', { keyId: 'missing' }), /не найден в списке ключей/);
+
+        api.resetKeyFailures();
+        assert.strictEqual(api.activeKeyId, 'exhausted');
+    });
+
+    test('a rejected key is not retried once the pool has no other key', async () => {
+        const requests = [];
+        api.onRequest(event => requests.push(event.keyId));
+        api.setRateLimits({ maxRetries: 3 });
+        api.setApiKeys([{ id: 'exhausted', key: EXHAUSTED_API_KEY }]);
+
+        const start = Date.now();
+        await assert.rejects(api.makeRequest('/channels/get?channel=mock_news'), /Доступ запрещен/);
+
+        assert.deepStrictEqual(requests, ['exhausted']);
+        assert.ok(Date.now() - start < 500);
+    });
+
+    test('batchAnalyzeChannels collects info, stats and progress', async () => {
+        const progress = [];
+        const results = await api.batchAnalyzeChannels(['mock_news', 'mock_missing'], update => progress.push(update.current));
+
+        assert.deepStrictEqual(results.map(result => result.success), [true, false]);
+        assert.strictEqual(results[0].stats.posts_count, 28);
+        assert.strictEqual(results[1].error, 'Ресурс не найден');
+        assert.deepStrictEqual(progress, [1, 2]);
+    });
+
+    test('delay waits the given time', async () => {
+        const start = Date.now();
+        await api.delay(20);
+        assert.ok(Date.now() - start >= 15);
+    });
+});
@@ -0,0 +1,851 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { setupBrowserEnv, loadScripts } = require('./helpers/browser-env');
+const { createMockServer, EXHAUSTED_API_KEY } = require('../server/mock-server');
+
+setupBrowserEnv();
+loadScripts('storage-backends.js', 'storage.js', 'key-vault.js', 'cache.js', 'scheduler.js', 'api.js', 'analytics.js', 'network.js', 'optimizer.js', 'service.js', 'results-view.js', 'virtual-table.js', 'app.js');
+
+/**
+ * Stubbed API: channels listed in `pending` wait until the request is aborted
+ */
+function createApiStub(pending = []) {
+    const waitForAbort = signal => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => {
+            const error = new Error('Запрос отменен');
+            error.name = 'AbortError';
+            reject(error);
+        });
+    });
+
+    return {
+        calls: [],
+        apiKey: 'test_key',
+        cache: null,
+        remaining: 1000,
+        setEndpoints() {},
+        setRateLimits() {},
+        usesServerKey() {
+            return false;
+        },
+        onRequest() {},
+        getChannelEndpoints: TGStatAPI.prototype.getChannelEndpoints,
+        async getApiStatus() {
+            return { success: true, remaining: this.remaining, limit: 1000 };
+        },
+        setApiKey(apiKey) {
+            this.apiKey = apiKey;
+        },
+        setApiKeys(keys) {
+            this.apiKey = keys.length > 0 ? keys[0].key : '';
+        },
+        getKeyStates() {
+            return this.apiKey ? [{ id: 'primary', active: true, failure: null }] : [];
+        },
+        onKeyFailure() {},
+        markKeyFailed() {
+            return false;
+        },
+        async getChannelInfo(channel, options = {}) {
+            this.calls.push(channel);
+            if (pending.includes(channel)) {
+                try {
+                    await waitForAbort(options.signal);
+                } catch (error) {
+                    return { success: false, error: error.message, data: null };
+                }
+            }
+            const username = channel.replace('@', '');
+            return {
+                success: true,
+                fromCache: false,
+                cachedAt: null,
+                data: { username, title: `Title ${username}`, participants_count: 1000, category: 'tech', avg_post_reach: 300, ci_index: 0.2 }
+            };
+        },
+        async getChannelStats() {
+            return {
+                success: true,
+                fromCache: false,
+                cachedAt: null,
+                data: { period: 7, views_per_post: 300, forwards_per_post: 3, mentions_per_post: 2, avg_post_reach: 300, ci_index: 0.2, posts_count: 10 }
+            };
+        },
+        async getChannelPosts() {
+            return { success: true, fromCache: false, cachedAt: null, data: [] };
+        }
+    };
+}
+
+/**
+ * App wired to a service with the given API client
+ */
+function createApp(api) {
+    const service = new TGTrafficService({ storage: new TGTrafficStorage(), api });
+    return new TGTrafficMaster(service);
+}
+
+describe('TGTrafficMaster', () => {
+    let app;
+    let api;
+    let notifications;
+
+    beforeEach(() => {
+        setupBrowserEnv();
+        api = createApiStub();
+        app = createApp(api);
+        notifications = [];
+        app.showNotification = (message, type) => notifications.push({ message, type });
+    });
+
+    test('constructor exposes service modules', () => {
+        assert.ok(app.service instanceof TGTrafficService);
+        assert.strictEqual(app.api, api);
+        assert.ok(app.storage instanceof TGTrafficStorage);
+        assert.ok(app.analytics instanceof TGTrafficAnalytics);
+    });
+
+    test('storage write errors are shown as notifications', async () => {
+        await app.readyPromise;
+
+        const quotaError = new Error('full');
+        quotaError.name = 'QuotaExceededError';
+        app.storage.reportWriteError('tg_traffic_projects', quotaError);
+
+        assert.strictEqual(notifications.length, 1);
+        assert.strictEqual(notifications[0].type, 'error');
+        assert.match(notifications[0].message, /недостаточно места/);
+    });
+
+    test('restore modal previews conflicts and applies the chosen resolution', () => {
+        app.storage.setProjects([
+            { id: 'p1', name: 'Мой проект', channels: [], updatedAt: '2025-03-01T00:00:00.000Z' }
+        ]);
+        const backup = JSON.stringify({
+            version: app.storage.getSchemaVersion(),
+            data: {
+                projects: [
+                    { id: 'p1', name: 'Проект коллеги', channels: [], updatedAt: '2025-02-01T00:00:00.000Z' },
+                    { id: 'p2', name: 'Новый проект', channels: [], updatedAt: '2025-02-01T00:00:00.000Z' }
+                ],
+                userSettings: app.storage.getDefaultSettings()
+            }
+        });
+
+        app.openRestore(backup, 'backup.json');
+
+        assert.ok(!document.getElementById('restore-modal').classList.contains('hidden'));
+        assert.strictEqual(document.getElementById('restore-section-projects').checked, true);
+        assert.strictEqual(document.getElementById('restore-section-settings').checked, false);
+        assert.strictEqual(document.getElementById('restore-section-campaigns').disabled, true);
+
+        const preview = document.getElementById('restore-preview').innerHTML;
+        assert.match(preview, /Новых: 1, обновится: 0,\s+конфликтов: 1/);
+        assert.match(preview, /app\.setRestoreResolution\('projects', 'p1', this\.value\)/);
+
+        app.setRestoreResolution('projects', 'p1', 'backup');
+        app.confirmRestore();
+
+        assert.deepStrictEqual(app.storage.getProjects().map(project => project.name), ['Проект коллеги', 'Новый проект']);
+        assert.ok(document.getElementById('restore-modal').classList.contains('hidden'));
+        assert.strictEqual(notifications.pop().type, 'success');
+    });
+
+    test('restore modal shows validation errors and blocks the restore', () => {
+        app.storage.addProject({ name: 'Keep', channels: [] });
+
+        app.openRestore(JSON.stringify({ version: 3, data: { projects: [{ name: 'No id' }] } }), 'broken.json');
+
+        assert.ok(!document.getElementById('restore-errors').classList.contains('hidden'));
+        assert.match(document.getElementById('restore-errors').innerHTML, /projects\[0\]: нет id/);
+        assert.strictEqual(document.getElementById('confirm-restore-btn').disabled, true);
+
+        app.confirmRestore();
+        assert.strictEqual(app.storage.getProjects()[0].name, 'Keep');
+    });
+
+    test('encrypted API key is unlocked from the startup prompt', async () => {
+        const storage = new TGTrafficStorage();
+        const keyVault = new ApiKeyVault({ storage, iterations: 1000 });
+        await keyVault.saveKey('secret_key', 'passphrase-1');
+        keyVault.lock();
+
+        const lockedApi = createApiStub();
+        lockedApi.apiKey = '';
+        const lockedApp = new TGTrafficMaster(new TGTrafficService({ storage, api: lockedApi, keyVault }));
+        lockedApp.showNotification = (message, type) => notifications.push({ message, type });
+        await lockedApp.readyPromise;
+
+        assert.ok(!document.getElementById('unlock-modal').classList.contains('hidden'));
+
+        document.getElementById('unlock-passphrase-input').value = 'wrong passphrase';
+        await lockedApp.unlockApiKey();
+        assert.ok(!document.getElementById('unlock-error').classList.contains('hidden'));
+        assert.strictEqual(lockedApi.apiKey, '');
+
+        document.getElementById('unlock-passphrase-input').value = 'passphrase-1';
+        await lockedApp.unlockApiKey();
+        assert.ok(document.getElementById('unlock-modal').classList.contains('hidden'));
+        assert.strictEqual(lockedApi.apiKey, 'secret_key');
+
+        lockedApp.showApiKeyModal();
+        assert.strictEqual(document.getElementById('api-key-status').textContent, 'Ключ зашифрован: secr••••••••_key');
+        lockedApp.service.lockApiKey();
+    });
+
+    test('normalizeChannelUrl accepts usernames and t.me links', () => {
+        assert.strictEqual(app.normalizeChannelUrl('@mock_news'), '@mock_news');
+        assert.strictEqual(app.normalizeChannelUrl('https://t.me/mock_news'), '@mock_news');
+        assert.strictEqual(app.normalizeChannelUrl('t.me/mock_news/42'), '@mock_news');
+        assert.strictEqual(app.normalizeChannelUrl('mock_news'), '@mock_news');
+        assert.strictEqual(app.normalizeChannelUrl('  '), null);
+        assert.strictEqual(app.normalizeChannelUrl('not a channel'), null);
+    });
+
+    test('parseChannelInput splits lines and commas and removes duplicates', () => {
+        const channels = app.parseChannelInput('@mock_news, t.me/mock_tech\nmock_news\n\nbad channel');
+        assert.deepStrictEqual(channels, ['@mock_news', '@mock_tech']);
+    });
+
+    test('formatting helpers', () => {
+        assert.strictEqual(app.formatNumber(null), '-');
+        assert.strictEqual(app.formatNumber(1234567), new Intl.NumberFormat('ru-RU').format(1234567));
+        assert.strictEqual(app.getQualityClass(85), 'quality-excellent');
+        assert.strictEqual(app.getQualityClass(10), 'quality-poor');
+        assert.strictEqual(app.getStatusClass('Хорошо'), 'status-good');
+        assert.strictEqual(app.getStatusClass('???'), 'status-error');
+        assert.strictEqual(app.getNotificationIcon('warning'), 'fa-exclamation-triangle');
+        assert.strictEqual(app.getNotificationIcon('other'), 'fa-info-circle');
+    });
+
+    test('getCacheMarker shows data age only for cached rows', () => {
+        const cachedAt = new Date(Date.now() - 5 * 60000).toISOString();
+
+        assert.strictEqual(app.getCacheMarker({ fromCache: false }), '');
+        assert.match(app.getCacheMarker({ fromCache: true, cachedAt }), /из кэша, 5 мин назад/);
+    });
+
+    test('showTab switches visible section', () => {
+        app.showTab('work');
+
+        assert.strictEqual(app.currentTab, 'work');
+        assert.ok(document.getElementById('evaluation-section').classList.contains('hidden'));
+        assert.ok(!document.getElementById('work-section').classList.contains('hidden'));
+    });
+
+    test('startAnalysis validates input', async () => {
+        await app.startAnalysis();
+        assert.strictEqual(notifications[0].type, 'warning');
+
+        document.getElementById('channels-input').value = '@mock_news';
+        api.apiKey = '';
+        await app.startAnalysis();
+        assert.strictEqual(notifications[1].message, 'API ключ TGStat не настроен. Проверьте настройки.');
+        api.apiKey = 'test_key';
+
+        document.getElementById('channels-input').value = 'bad channel';
+        await app.startAnalysis();
+        assert.strictEqual(notifications[2].message, 'Не найдено валидных ссылок на каналы');
+    });
+
+    test('startAnalysis analyzes channels end to end', async () => {
+        document.getElementById('channels-input').value = '@mock_news\nt.me/mock_tech, mock_news';
+
+        await app.startAnalysis();
+
+        assert.deepStrictEqual(app.analysisResults.map(result => result.channel), ['@mock_news', '@mock_tech']);
+        assert.strictEqual(app.analysisResults[0].title, 'Title mock_news');
+        assert.strictEqual(app.analysisResults[0].subscribers, 1000);
+        assert.strictEqual(app.analysisResults[0].reposts, 3);
+        assert.strictEqual(app.analysisResults[0].status, app.service.determineChannelStatus({ qualityScore: app.analysisResults[0].quality }));
+        assert.strictEqual(document.getElementById('results-table-body').children.length, 2);
+        assert.strictEqual(document.getElementById('results-count').textContent, 'Анализ: 2 каналов');
+        assert.ok(!document.getElementById('results-section').classList.contains('hidden'));
+        assert.strictEqual(app.storage.getAnalysisCheckpoint(), null);
+        assert.strictEqual(app.analysisInProgress, false);
+        assert.strictEqual(notifications.at(-1).type, 'success');
+    });
+
+    test('cancelled run keeps a checkpoint that can be resumed', async () => {
+        const channels = ['@chan_one', '@chan_two', '@chan_three', '@chan_four'];
+        app.service.api = createApiStub(channels.slice(1));
+        document.getElementById('channels-input').value = channels.join('\n');
+
+        const run = app.startAnalysis();
+        setTimeout(() => app.cancelAnalysis(), 20);
+        await run;
+
+        const checkpoint = app.storage.getAnalysisCheckpoint();
+        assert.deepStrictEqual(app.analysisResults.map(result => result.channel), ['@chan_one']);
+        assert.deepStrictEqual(checkpoint.results.map(result => result.channel), ['@chan_one']);
+        assert.strictEqual(notifications.at(-1).type, 'warning');
+
+        app.checkInterruptedRun();
+        assert.ok(!document.getElementById('resume-run-banner').classList.contains('hidden'));
+        assert.match(document.getElementById('resume-run-text').textContent, /\(1\/4 готово\)/);
+
+        const resumeApi = createApiStub();
+        app.service.api = resumeApi;
+        await app.resumeAnalysis();
+
+        assert.deepStrictEqual(app.analysisResults.map(result => result.channel), channels);
+        assert.deepStrictEqual(resumeApi.calls, channels.slice(1));
+        assert.strictEqual(app.storage.getAnalysisCheckpoint(), null);
+    });
+
+    test('discardInterruptedRun removes checkpoint', () => {
+        app.storage.saveAnalysisCheckpoint({ channels: ['@a_chan', '@b_chan'], results: [], options: {} });
+
+        app.checkInterruptedRun();
+        app.discardInterruptedRun();
+
+        assert.strictEqual(app.storage.getAnalysisCheckpoint(), null);
+        assert.ok(document.getElementById('resume-run-banner').classList.contains('hidden'));
+    });
+
+    test('table view settings are applied and persisted', async () => {
+        document.getElementById('channels-input').value = '@mock_news\n@mock_tech';
+        await app.startAnalysis();
+
+        app.sortResults('channel');
+        app.updateFilter('search', 'mock_tech');
+        app.toggleColumn('posts');
+
+        assert.strictEqual(document.getElementById('results-table-body').children.length, 1);
+        assert.strictEqual(document.getElementById('results-count').textContent, 'Анализ: 2 каналов, показано 1');
+        assert.doesNotMatch(document.getElementById('results-table-header').innerHTML, />Посты</);
+        assert.match(document.getElementById('results-table-header').innerHTML, /Канал<i class="fas fa-sort-up/);
+        assert.deepStrictEqual(app.analysisResults.map(result => result.channel), ['@mock_news', '@mock_tech']);
+
+        const saved = app.storage.getUserSettings().resultsView;
+        assert.strictEqual(saved.sortBy, 'channel');
+        assert.strictEqual(saved.filters.search, 'mock_tech');
+        assert.deepStrictEqual(saved.hiddenColumns, ['posts']);
+
+        const reopened = new TGTrafficMaster(app.service);
+        assert.strictEqual(reopened.resultsView.filters.search, 'mock_tech');
+        reopened.displayResults(app.analysisResults);
+        assert.strictEqual(document.getElementById('filter-search').value, 'mock_tech');
+
+        app.resetFilters();
+        assert.strictEqual(document.getElementById('results-table-body').children.length, 2);
+    });
+
+    test('filter options from the API are escaped', () => {
+        app.renderFilterOptions([
+            { channel: '@a', category: '"><img src=x onerror=alert(1)>', status: '<b>Хорошо</b>' },
+            { channel: '@b', category: 'tech', status: 'error' }
+        ]);
+
+        const category = document.getElementById('filter-category').innerHTML;
+        assert.doesNotMatch(category, /<img/);
+        assert.match(category, /value="&quot;&gt;&lt;img src=x onerror=alert\(1\)&gt;"/);
+        assert.doesNotMatch(document.getElementById('filter-status').innerHTML, /<b>/);
+        assert.match(document.getElementById('filter-status').innerHTML, /Ошибка/);
+    });
+
+    test('result rows escape API text and pass the channel through a data attribute', () => {
+        const channel = "@x');alert(1);('";
+        const result = {
+            channel, title: '<img src=x onerror=alert(1)>', username: 'x', category: '<b>tech</b>', status: '<i>Хорошо</i>',
+            subscribers: 1000, avgReach: 300, er: 5, quality: 70, cpmForecast: 100, citationIndex: 0.2, mentions: 1, reposts: 2, posts: 10, err24h: 3
+        };
+        app.analysisResults = [result];
+
+        const html = app.createResultRow(result).innerHTML;
+        assert.doesNotMatch(html, /<img|<b>|<i>Хорошо|onclick/);
+        assert.match(html, /data-action="real-cpm" data-channel="@x'\);alert\(1\);\('"/);
+        assert.doesNotMatch(app.createResultRow({ channel: '@y', error: '<script>x</script>' }).innerHTML, /<script>/);
+
+        const button = { dataset: { action: 'real-cpm', channel } };
+        document.getElementById('results-table-body').dispatchEvent({ type: 'click', target: { closest: () => button } });
+
+        assert.strictEqual(app.currentChannel, channel);
+        assert.strictEqual(document.getElementById('predicted-cpm-display').textContent, '100.00 ₽');
+    });
+
+    test('saveRealCpm stores deviation from forecast', async () => {
+        document.getElementById('channels-input').value = '@mock_news';
+        await app.startAnalysis();
+
+        const forecast = app.analysisResults[0].cpmForecast;
+        app.showRealCpmModal('@mock_news', forecast);
+        document.getElementById('real-cpm-input').value = String(forecast * 1.25);
+        app.saveRealCpm();
+
+        assert.strictEqual(app.analysisResults[0].realCpm, forecast * 1.25);
+        assert.strictEqual(app.analysisResults[0].cpmDeviation, '25.0');
+        assert.ok(document.getElementById('real-cpm-modal').classList.contains('hidden'));
+        assert.strictEqual(app.storage.getCpmHistory()[0].realCpm, forecast * 1.25);
+
+        app.showTab('settings');
+        assert.match(document.getElementById('cpm-model-report').innerHTML, /Реальных CPM сохранено: 1/);
+    });
+
+    test('editing a scoring profile re-scores the open results', async () => {
+        document.getElementById('channels-input').value = '@mock_news';
+        await app.startAnalysis();
+        const quality = app.analysisResults[0].quality;
+
+        app.showTab('settings');
+        assert.match(document.getElementById('scoring-profile-form').innerHTML, /profile-weight-reach/);
+        assert.strictEqual(document.getElementById('save-scoring-profile-btn').disabled, true);
+
+        app.copyScoringProfile();
+        app.updateProfileField('name', { value: 'Техника дешевле' });
+        app.updateProfileField('category-tech', { value: '0,02' });
+        app.saveScoringProfile();
+
+        assert.strictEqual(notifications.at(-1).message, 'Профиль "Техника дешевле" сохранен, результаты пересчитаны');
+        assert.strictEqual(app.analytics.scoringProfile.categoryMultipliers.tech, 0.02);
+        assert.ok(app.analysisResults[0].quality < quality);
+
+        app.updateProfileField('weight-reach', { value: '-1' });
+        app.saveScoringProfile();
+        assert.match(document.getElementById('scoring-profile-errors').innerHTML, /Вес: охват: допустимо от 0 до 1/);
+
+        // The general settings form does not overwrite the profiles
+        app.saveSettings();
+        assert.strictEqual(app.storage.getUserSettings().scoringProfiles.length, 1);
+
+        app.selectScoringProfile('default');
+        assert.strictEqual(app.analysisResults[0].quality, quality);
+
+        const project = app.service.saveProject('Осень', app.analysisResults);
+        assert.match(app.createCampaignCard(project), /Профиль оценки/);
+    });
+
+    test('settings tab validates and applies settings', async () => {
+        await app.readyPromise;
+        app.showTab('settings');
+        assert.match(document.getElementById('settings-form').innerHTML, /setting-batch-size/);
+
+        app.updateSetting('batch-size', { value: '0' });
+        app.updateSetting('cpm-min', { value: '500' });
+        app.updateSetting('cpm-max', { value: '200' });
+        app.saveSettings();
+
+        assert.match(document.getElementById('settings-errors').innerHTML, /Каналов анализируется одновременно: допустимо от 1 до 50/);
+        assert.match(document.getElementById('settings-errors').innerHTML, /верхняя граница меньше нижней/);
+        assert.strictEqual(app.storage.getUserSettings().batchSize, app.storage.getDefaultSettings().batchSize);
+
+        app.updateSetting('batch-size', { value: '5' });
+        app.updateSetting('cpm-max', { value: '900' });
+        app.updateSetting('rate-limit-delay', { value: '250' });
+        app.updateSetting('cache-ttl', { value: '30' });
+        app.saveSettings();
+
+        assert.ok(document.getElementById('settings-errors').classList.contains('hidden'));
+        assert.strictEqual(notifications.at(-1).message, 'Настройки сохранены');
+        assert.strictEqual(app.storage.getUserSettings().cacheTtl, 30 * 60000);
+        assert.strictEqual(app.service.batchSize, 5);
+        assert.deepStrictEqual(app.analytics.cpmRange, { min: 500, max: 900 });
+
+        document.getElementById('channels-input').value = Array.from({ length: 8 }, (value, index) => `@chan_${index}`).join('\n');
+        await app.startAnalysis();
+        assert.strictEqual(app.analysisResults.length, 8);
+    });
+
+    test('runs over the remaining quota are confirmed or truncated', async () => {
+        document.getElementById('channels-input').value = '@chan_1\n@chan_2\n@chan_3\n@chan_4';
+        await app.updateRunCostEstimate();
+        assert.strictEqual(document.getElementById('run-cost-estimate').textContent, 'Потребуется запросов к TGStat: 8');
+
+        api.remaining = 5;
+        global.confirm = () => false;
+        await app.startAnalysis();
+        assert.deepStrictEqual(api.calls, []);
+
+        app.storage.updateUserSettings({ quotaPolicy: 'truncate' });
+        await app.startAnalysis();
+        assert.deepStrictEqual(app.analysisResults.map(result => result.channel), ['@chan_1', '@chan_2']);
+        assert.match(notifications.find(item => item.type === 'warning').message, /Лимита хватит на 2 из 4 каналов/);
+
+        api.remaining = 1;
+        await app.startAnalysis();
+        assert.strictEqual(notifications.at(-1).type, 'error');
+        assert.match(notifications.at(-1).message, /Лимит запросов TGStat исчерпан/);
+
+        // The opt-in fraud check shows its share of the cost
+        app.service.applySettings({ ...app.storage.getUserSettings(), fraudCheck: true });
+        await app.updateRunCostEstimate();
+        assert.match(document.getElementById('run-cost-estimate').textContent, /^Потребуется запросов к TGStat: 12 \(из них 4 — проверка на накрутку\)/);
+    });
+
+    test('run cost hint is debounced while typing and ignores stale estimates', async () => {
+        const input = document.getElementById('channels-input');
+        const pending = [];
+        app.service.estimateRunCost = channels => new Promise(resolve => {
+            pending.push(() => resolve({ channels: channels.length, requests: channels.length * 2, cached: 0, fraudCheckRequests: 0, costs: [] }));
+        });
+
+        input.value = '@chan_1';
+        input.dispatchEvent({ type: 'input' });
+        input.value = '@chan_1\n@chan_2';
+        input.dispatchEvent({ type: 'input' });
+        await new Promise(resolve => setTimeout(resolve, 350));
+        assert.strictEqual(pending.length, 1);
+
+        const older = app.updateRunCostEstimate();
+        input.value = '@chan_1\n@chan_2\n@chan_3';
+        const newer = app.updateRunCostEstimate();
+        pending[2]();
+        await newer;
+        pending[1]();
+        await older;
+
+        assert.strictEqual(document.getElementById('run-cost-estimate').textContent, 'Потребуется запросов к TGStat: 6');
+        pending[0]();
+    });
+
+    test('large result sets render a window of rows and update rows in place', () => {
+        app.analysisResults = Array.from({ length: 5000 }, (value, index) => ({
+            channel: `@chan_${index}`, title: `Channel ${index}`, username: `chan_${index}`, category: 'tech', status: 'Хорошо',
+            subscribers: 1000 + index, avgReach: 300, er: 5, quality: 70, cpmForecast: 100, citationIndex: 0.2,
+            mentions: 1, reposts: 2, posts: 10, err24h: 3
+        }));
+        app.displayResults(app.analysisResults);
+
+        const tbody = document.getElementById('results-table-body');
+        assert.ok(tbody.children.length < 50);
+        assert.strictEqual(document.getElementById('results-count').textContent, 'Анализ: 5000 каналов');
+
+        const rowsBefore = tbody.children.slice();
+        app.showRealCpmModal('@chan_0', 100);
+        document.getElementById('real-cpm-input').value = '120';
+        app.saveRealCpm();
+
+        assert.strictEqual(app.analysisResults[0].cpmDeviation, '20.0');
+        assert.notStrictEqual(tbody.children[0], rowsBefore[0]);
+        assert.ok(tbody.children.slice(1).every((row, index) => row === rowsBefore[index + 1]));
+    });
+
+        test('clearResults is blocked during analysis', () => {
+        app.analysisInProgress = true;
+        app.clearResults();
+        assert.strictEqual(notifications[0].message, 'Дождитесь завершения анализа');
+
+        app.analysisInProgress = false;
+        app.analysisResults = [{ channel: '@x' }];
+        app.clearResults();
+        assert.deepStrictEqual(app.analysisResults, []);
+    });
+});
+
+describe('TGTrafficMaster against mock server', () => {
+    let server;
+    let app;
+    let notifications;
+
+    before(async () => {
+        server = createMockServer();
+        await new Promise(resolve => server.listen(0, resolve));
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    beforeEach(() => {
+        setupBrowserEnv();
+        const storage = new TGTrafficStorage();
+        storage.setApiKey('test_key');
+        storage.updateUserSettings({
+            apiMode: 'direct',
+            apiBaseUrl: `http://localhost:${server.address().port}`,
+            apiProxyUrl: '',
+            rateLimitDelay: 1,
+            rateLimitBurst: 10,
+            maxRetries: 0
+        });
+
+        app = new TGTrafficMaster(new TGTrafficService({ storage }));
+        notifications = [];
+        app.showNotification = (message, type) => notifications.push({ message, type });
+    });
+
+    test('analysis, project and campaign card share one record', async () => {
+        document.getElementById('channels-input').value = '@mock_news\n@mock_missing\n@mock_tech';
+
+        await app.startAnalysis();
+
+        const [news, missing, tech] = app.analysisResults;
+        assert.strictEqual(news.subscribers, 250000);
+        assert.strictEqual(tech.username, 'mock_tech');
+        assert.strictEqual(missing.status, 'error');
+        assert.strictEqual(document.getElementById('results-table-body').children.length, 3);
+
+        app.showSaveProjectModal();
+        document.getElementById('project-name-input').value = 'Осень';
+        app.saveProject();
+
+        const [project] = app.storage.getProjects();
+        assert.strictEqual(project.name, 'Осень');
+        assert.deepStrictEqual(project.channels.map(record => record.channel), ['@mock_news', '@mock_missing', '@mock_tech']);
+        assert.match(app.createCampaignCard(project), new RegExp(app.formatNumber(news.avgReach + tech.avgReach)));
+
+        app.analysisResults = [];
+        app.openProject(project.id);
+        assert.strictEqual(notifications.at(-1).message, 'Проект "Осень" загружен');
+        assert.strictEqual(app.analysisResults[0].quality, news.quality);
+    });
+
+    test('budget plan is built from the results and saved as a project', async () => {
+        document.getElementById('channels-input').value = '@mock_news\n@mock_missing\n@mock_tech\n@mock_lifestyle';
+        await app.startAnalysis();
+        const [news, , tech] = app.analysisResults;
+
+        app.toggleBudgetPanel();
+        assert.strictEqual(document.getElementById('budget-panel').classList.contains('hidden'), false);
+
+        app.optimizeBudget();
+        assert.match(document.getElementById('budget-errors').innerHTML, /Бюджет: укажите сумму больше 0/);
+
+        document.getElementById('budget-amount').value = String(news.postPrice + tech.postPrice);
+        document.getElementById('budget-exclude').value = '@mock_lifestyle';
+        document.getElementById('budget-objective').value = 'reach';
+        app.optimizeBudget();
+
+        const html = document.getElementById('budget-plan').innerHTML;
+        assert.strictEqual(document.getElementById('budget-errors').classList.contains('hidden'), true);
+        assert.match(html, /Каналов: 2/);
+        assert.match(html, /Не вошли: ошибка анализа: 1, исключены: 1/);
+
+        app.saveBudgetPlan();
+        const [project] = app.storage.getProjects();
+        assert.deepStrictEqual(project.channels.map(record => record.channel).sort(), ['@mock_news', '@mock_tech']);
+        assert.strictEqual(notifications.at(-1).message, `Проект "${project.name}" сохранен`);
+    });
+
+    test('comparison view shows the overlap matrix and the project keeps unique reach', async () => {
+        document.getElementById('channels-input').value = '@mock_news\n@mock_tech\n@mock_lifestyle';
+        await app.startAnalysis();
+
+        app.toggleComparisonPanel();
+        await app.estimateAudienceOverlap();
+
+        const matrix = document.getElementById('overlap-matrix').innerHTML;
+        assert.match(matrix, /<th>@mock_news<\/th>/);
+        assert.match(matrix, /@mock_news и @mock_tech: около [\d\s]+ общих читателей\s+\(27% меньшего канала\) — упоминают друг друга/);
+        assert.match(document.getElementById('overlap-status').textContent, /уникальный охват \(оценка\)/);
+
+        app.showSaveProjectModal();
+        document.getElementById('project-name-input').value = 'Осень';
+        app.saveProject();
+
+        const [project] = app.storage.getProjects();
+        assert.ok(project.mentionedBy.mock_news);
+        assert.match(app.createCampaignCard(project), new RegExp(`${app.formatNumber(app.overlap.uniqueReach)}</div>\\s*<div class="campaign-stat-label">Уникальный охват`));
+    });
+
+    test('showChannelDetails renders analysis and post charts', async () => {
+        const charts = [];
+        window.Chart = class {
+            constructor(context, config) {
+                this.config = config;
+                this.destroyed = false;
+                charts.push(this);
+            }
+
+            destroy() {
+                this.destroyed = true;
+            }
+        };
+
+        document.getElementById('channels-input').value = '@mock_tech';
+        await app.startAnalysis();
+        await app.showChannelDetails('@mock_tech');
+
+        assert.ok(!document.getElementById('channel-details-modal').classList.contains('hidden'));
+        assert.strictEqual(document.getElementById('channel-details-title').textContent, app.analysisResults[0].title);
+        assert.match(document.getElementById('details-score').innerHTML, /Индекс цитирования/);
+        assert.match(document.getElementById('details-engagement').innerHTML, /Вирусный потенциал/);
+        assert.match(document.getElementById('details-price').innerHTML, /Цена поста/);
+        assert.strictEqual(document.getElementById('details-posts-status').textContent, 'Последние 20 постов');
+        assert.deepStrictEqual(charts.map(chart => chart.config.type), ['line', 'bar', 'bar', 'bar']);
+        assert.strictEqual(charts[0].config.data.datasets[0].data.length, 20);
+
+        app.hideChannelDetails();
+        assert.ok(document.getElementById('channel-details-modal').classList.contains('hidden'));
+        assert.ok(charts.every(chart => chart.destroyed));
+        delete window.Chart;
+    });
+
+    test('bot score is shown in the table and explained in the detail view', async () => {
+        app.service.applySettings({ ...app.storage.getUserSettings(), fraudCheck: true });
+        document.getElementById('channels-input').value = '@mock_lifestyle';
+        await app.startAnalysis();
+        app.service.applySettings(app.storage.getUserSettings());
+
+        const [result] = app.analysisResults;
+        assert.match(document.getElementById('results-table-body').children[0].innerHTML, new RegExp(`${result.botScore}%`));
+
+        await app.showChannelDetails('@mock_lifestyle');
+        const fraud = document.getElementById('details-fraud').innerHTML;
+        assert.match(fraud, /Вероятность ботов/);
+        assert.match(fraud, /fraud-signal-fired/);
+        assert.match(fraud, /Одинаковые просмотры/);
+        app.hideChannelDetails();
+    });
+
+    test('growth columns, change flags and trend charts come from the metrics history', async () => {
+        const DAY = 86400000;
+        [31, 8].forEach(days => app.storage.addMetricsPoint({
+            username: 'mock_tech',
+            date: new Date(Date.now() - days * DAY).toISOString(),
+            subscribers: 22500,
+            avgReach: 15500,
+            err24h: 5,
+            citationIndex: 1,
+            quality: 80
+        }));
+
+        document.getElementById('channels-input').value = '@mock_tech';
+        await app.startAnalysis();
+
+        const [result] = app.analysisResults;
+        const row = document.getElementById('results-table-body').children[0].innerHTML;
+        assert.strictEqual(result.growth7d, 87.5);
+        assert.match(row, /<span class="trend-up">\+87\.5%<\/span>/);
+        assert.match(row, /<span class="trend-up">\+96\.8%<\/span>/);
+        assert.match(row, /trend-marker[\s\S]*Скачок подписчиков, Рост без охвата/);
+
+        const charts = [];
+        window.Chart = class {
+            constructor(context, config) {
+                this.config = config;
+                charts.push(this);
+            }
+
+            destroy() {}
+        };
+
+        await app.showChannelDetails('@mock_tech');
+        const trends = document.getElementById('details-trends').innerHTML;
+        assert.match(document.getElementById('details-trends-status').textContent, /^3 замеров с /);
+        assert.match(trends, /<td>Подписчики<\/td>\s*<td class="metric-value"><span class="trend-up">\+87\.5%<\/span><\/td>/);
+        assert.match(trends, /⚠ Скачок подписчиков/);
+        assert.deepStrictEqual(charts.slice(0, 2).map(chart => chart.config.data.datasets.map(dataset => dataset.label)), [
+            ['Подписчики', 'Средний охват'],
+            ['Качество', 'ERR 24h, %', 'ИЦ']
+        ]);
+        assert.deepStrictEqual(charts[0].config.data.datasets[0].data, [22500, 22500, 45000]);
+
+        app.hideChannelDetails();
+        delete window.Chart;
+    });
+
+    test('settings tab checks the API key quota', async () => {
+        await app.readyPromise;
+        app.showTab('settings');
+        assert.match(document.getElementById('settings-api-key-status').textContent, /Ключ хранится без шифрования/);
+
+        await app.testApiKey();
+
+        const result = document.getElementById('api-key-test-result');
+        assert.ok(!result.classList.contains('hidden'));
+        assert.match(result.innerHTML, new RegExp(`осталось ${app.formatNumber(950)} из ${app.formatNumber(1000)} запросов`));
+        assert.strictEqual(document.getElementById('test-api-key-btn').disabled, false);
+    });
+
+    test('project analysis can be pinned to a key of the pool', async () => {
+        const keyVault = new ApiKeyVault({ storage: app.storage, iterations: 1000, autoLockMinutes: 0 });
+        const service = new TGTrafficService({ storage: app.storage, keyVault });
+        await service.saveEncryptedApiKey(EXHAUSTED_API_KEY, 'correct horse');
+        const client = await service.addApiKey('Клиент', 'client_key');
+
+        const pooled = new TGTrafficMaster(service);
+        pooled.showNotification = (message, type) => notifications.push({ message, type });
+        await pooled.readyPromise;
+
+        document.getElementById('channels-input').value = '@mock_news';
+        await pooled.startAnalysis();
+        assert.ok(notifications.some(item => item.message === 'Ключ "Основной" исчерпал лимит, переключаемся на "Клиент"'));
+        assert.strictEqual(pooled.analysisResults[0].subscribers, 250000);
+
+        const project = service.saveProject('Клиентский', pooled.analysisResults);
+        pooled.loadSavedProjects();
+        assert.match(pooled.createCampaignCard(project), /Любой \(ротация ключей\)/);
+
+        app.storage.updateUserSettings({ quotaPolicy: 'truncate' });
+        pooled.setProjectApiKey(project.id, 'primary');
+        await pooled.reanalyzeProject(project.id);
+        assert.match(notifications.at(-1).message, /Лимит запросов TGStat исчерпан/);
+
+        pooled.setProjectApiKey(project.id, client.id);
+        await pooled.reanalyzeProject(project.id);
+
+        const [saved] = app.storage.getProjects();
+        assert.strictEqual(saved.apiKeyId, client.id);
+        assert.strictEqual(saved.channels[0].fromCache, false);
+        assert.deepStrictEqual(app.storage.getApiUsageByKey(), { [client.id]: 4 });
+
+        pooled.showTab('settings');
+        assert.match(document.getElementById('api-keys-list').innerHTML, /лимит исчерпан/);
+        assert.match(document.getElementById('api-keys-list').innerHTML, /Клиент/);
+    });
+
+    test('discovery pushes selected channels into the evaluation input', async () => {
+        app.storage.addToBlacklist('mock_lifestyle');
+        document.getElementById('channels-input').value = '@mock_tech';
+        document.getElementById('discovery-keywords').value = 'mock';
+
+        app.showTab('discovery');
+        await app.searchDiscovery();
+        assert.match(document.getElementById('discovery-status').textContent, /Найдено каналов: 3, показано: 2/);
+        assert.match(document.getElementById('discovery-blacklist').innerHTML, /@mock_lifestyle/);
+
+        app.selectAllDiscovery(true);
+        app.addDiscoveryToEvaluation();
+
+        assert.strictEqual(app.currentTab, 'evaluation');
+        assert.strictEqual(document.getElementById('channels-input').value, '@mock_tech\n@mock_news');
+        assert.strictEqual(notifications.at(-1).message, 'Добавлено каналов в оценку: 1');
+
+        app.blacklistCandidate('mock_news');
+        assert.strictEqual(app.getVisibleCandidates().length, 1);
+        app.removeFromBlacklist(app.storage.getBlacklist()[0].id);
+        assert.strictEqual(app.getVisibleCandidates().length, 2);
+    });
+
+    test('mention network is built, rendered and explored', async () => {
+        app.showTab('discovery');
+        assert.strictEqual(document.getElementById('network-depth').value, 2);
+        assert.match(document.getElementById('network-graph').innerHTML, /Сеть еще не построена/);
+
+        document.getElementById('network-seeds').value = '@mock_news';
+        await app.buildMentionNetwork();
+
+        assert.strictEqual(document.getElementById('network-status').textContent, 'Запрошено каналов: 3');
+        assert.match(document.getElementById('network-graph').innerHTML, /<svg[\s\S]*@mock_lifestyle/);
+        assert.match(document.getElementById('network-summary').innerHTML, /@mock_news, @mock_tech/);
+
+        app.selectNetworkNode('mock_news');
+        assert.match(document.getElementById('network-details').innerHTML, /Упоминают: @mock_lifestyle \(12\), @mock_tech \(2\)/);
+
+        app.storage.addToBlacklist('mock_tech');
+        app.addNetworkClusterToEvaluation('mock_news');
+        assert.strictEqual(app.currentTab, 'evaluation');
+        assert.strictEqual(document.getElementById('channels-input').value, '@mock_lifestyle\n@mock_news');
+    });
+
+    test('settings tab shows the API usage log', async () => {
+        app.storage.updateUserSettings({ userName: 'Анна' });
+        document.getElementById('channels-input').value = '@mock_news\n@mock_tech';
+        await app.startAnalysis();
+
+        app.showTab('settings');
+        assert.match(document.getElementById('api-usage-summary').textContent, /Сегодня отправлено запросов: 4\. Остаток лимита/);
+        assert.match(document.getElementById('api-usage-log').innerHTML, /Анна: 4/);
+    });
+
+        test('showChannelDetails rejects failed channels', async () => {
+        document.getElementById('channels-input').value = '@mock_missing';
+        await app.startAnalysis();
+        await app.showChannelDetails('@mock_missing');
+
+        assert.strictEqual(notifications.at(-1).message, 'Данные канала недоступны');
+        assert.ok(document.getElementById('channel-details-modal').classList.contains('hidden'));
+    });
+});
@@ -0,0 +1,84 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { setupBrowserEnv, loadScripts, plain } = require('./helpers/browser-env');
+
+setupBrowserEnv();
+loadScripts('cache.js');
+
+// IndexedDB is not available on Node, so these tests cover the in-memory fallback
+describe('TGStatCache', () => {
+    let cache;
+
+    beforeEach(() => {
+        cache = new TGStatCache({ maxSize: 2 });
+    });
+
+    test('set and get round-trip a response', async () => {
+        await cache.set('/channels/get?channel=mock_news', { response: { id: 1 } });
+        const entry = await cache.get('/channels/get?channel=mock_news');
+
+        assert.deepStrictEqual(plain(entry.data), { response: { id: 1 } });
+        assert.ok(entry.storedAt <= Date.now());
+    });
+
+    test('getTtl uses endpoint path and falls back to default', () => {
+        assert.strictEqual(cache.getTtl('/channels/posts?channel=x&limit=5'), 3600000);
+        assert.strictEqual(cache.getTtl('/unknown'), cache.defaultTtl);
+        assert.strictEqual(cache.isCacheable('/usage'), false);
+    });
+
+    test('expired entries are dropped', async () => {
+        cache.configure({ cacheTtlByEndpoint: { '/channels/get': 1 } });
+        await cache.set('/channels/get?channel=mock_news', { ok: true });
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        assert.strictEqual(await cache.get('/channels/get?channel=mock_news'), null);
+        assert.strictEqual(await cache.size(), 0);
+    });
+
+    test('least recently used entries are evicted above maxSize', async () => {
+        await cache.set('/channels/get?channel=a', 1);
+        await new Promise(resolve => setTimeout(resolve, 2));
+        await cache.set('/channels/get?channel=b', 2);
+        await new Promise(resolve => setTimeout(resolve, 2));
+        await cache.get('/channels/get?channel=a');
+        await new Promise(resolve => setTimeout(resolve, 2));
+        await cache.set('/channels/get?channel=c', 3);
+
+        assert.strictEqual(await cache.size(), 2);
+        assert.strictEqual(await cache.get('/channels/get?channel=b'), null);
+        assert.ok(await cache.get('/channels/get?channel=a'));
+    });
+
+    test('hasMany returns the fresh entries without touching the LRU order', async () => {
+        cache.configure({ cacheTtlByEndpoint: { '/channels/stat': 1 } });
+        await cache.set('/channels/get?channel=a', 1);
+        await cache.set('/channels/stat?channel=a', 2);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const lastAccess = (await cache.readEntry('/channels/get?channel=a')).lastAccess;
+
+        const fresh = await cache.hasMany(['/channels/get?channel=a', '/channels/stat?channel=a', '/channels/get?channel=b', '/usage']);
+
+        assert.deepStrictEqual([...fresh], ['/channels/get?channel=a']);
+        assert.strictEqual((await cache.readEntry('/channels/get?channel=a')).lastAccess, lastAccess);
+    });
+
+    test('disabled cache stores nothing', async () => {
+        cache.configure({ cacheEnabled: false });
+
+        assert.strictEqual(await cache.set('/channels/get?channel=a', 1), false);
+        assert.strictEqual(await cache.get('/channels/get?channel=a'), null);
+    });
+
+    test('delete and clear remove entries', async () => {
+        await cache.set('/channels/get?channel=a', 1);
+        await cache.set('/channels/get?channel=b', 2);
+
+        await cache.delete('/channels/get?channel=a');
+        assert.strictEqual(await cache.size(), 1);
+
+        await cache.clear();
+        assert.strictEqual(await cache.size(), 0);
+    });
+});
@@ -0,0 +1,257 @@
+/**
+ * Headless browser environment for tests
+ * Provides window, localStorage and a minimal DOM built from index.html so the
+ * browser modules can be loaded with require()
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+/**
+ * In-memory localStorage implementation
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return [...this.items.keys()][index] || null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+/**
+ * Minimal classList backed by a Set
+ */
+class FakeClassList {
+    constructor(classNames = '') {
+        this.classes = new Set(classNames.split(/\s+/).filter(Boolean));
+    }
+
+    add(...names) {
+        names.forEach(name => this.classes.add(name));
+    }
+
+    remove(...names) {
+        names.forEach(name => this.classes.delete(name));
+    }
+
+    contains(name) {
+        return this.classes.has(name);
+    }
+
+    toggle(name, force) {
+        const enabled = force !== undefined ? force : !this.classes.has(name);
+        if (enabled) this.classes.add(name);
+        else this.classes.delete(name);
+        return enabled;
+    }
+}
+
+/**
+ * Minimal DOM element: properties, classes, children and event listeners
+ */
+class FakeElement {
+    constructor(tagName, attributes = {}) {
+        this.tagName = tagName.toUpperCase();
+        this.id = attributes.id || '';
+        this.classList = new FakeClassList(attributes.class || '');
+        this.children = [];
+        this.parentNode = null;
+        this.listeners = {};
+        this.dataset = {};
+        this.style = {};
+        this.value = attributes.value || '';
+        this.checked = false;
+        this.disabled = false;
+        this.textContent = '';
+        this.html = '';
+        this.title = '';
+    }
+
+    // Replacing the markup drops appended children, as in the browser
+    get innerHTML() {
+        return this.html;
+    }
+
+    set innerHTML(value) {
+        this.html = value;
+        this.children = [];
+    }
+
+    get className() {
+        return [...this.classList.classes].join(' ');
+    }
+
+    set className(value) {
+        this.classList = new FakeClassList(value);
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+    }
+
+    dispatchEvent(event) {
+        (this.listeners[event.type] || []).forEach(listener => listener({ target: this, ...event }));
+    }
+
+    click() {
+        this.dispatchEvent({ type: 'click' });
+    }
+
+    appendChild(child) {
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    replaceChild(newChild, oldChild) {
+        const index = this.children.indexOf(oldChild);
+        if (index === -1) throw new Error('Node to replace is not a child');
+
+        this.children[index] = newChild;
+        newChild.parentNode = this;
+        oldChild.parentNode = null;
+        return oldChild;
+    }
+
+    removeChild(child) {
+        this.children = this.children.filter(c => c !== child);
+        child.parentNode = null;
+        return child;
+    }
+
+    querySelector() {
+        return null;
+    }
+
+    querySelectorAll() {
+        return [];
+    }
+
+    setAttribute(name, value) {
+        this[name] = value;
+    }
+
+    getContext() {
+        return {};
+    }
+}
+
+/**
+ * Document built from the element ids and classes found in index.html
+ */
+class FakeDocument {
+    constructor(html) {
+        this.elements = new Map();
+        this.listeners = {};
+        this.body = new FakeElement('body');
+
+        const tagRegex = /<([a-zA-Z0-9]+)\s([^>]*?)\/?>/g;
+        let match;
+
+        while ((match = tagRegex.exec(html)) !== null) {
+            const attributes = {};
+            const attrRegex = /([a-zA-Z-]+)="([^"]*)"/g;
+            let attr;
+
+            while ((attr = attrRegex.exec(match[2])) !== null) {
+                attributes[attr[1]] = attr[2];
+            }
+
+            if (attributes.id) {
+                this.elements.set(attributes.id, new FakeElement(match[1], attributes));
+            }
+        }
+    }
+
+    getElementById(id) {
+        return this.elements.get(id) || null;
+    }
+
+    querySelectorAll(selector) {
+        if (!selector.startsWith('.')) return [];
+        const className = selector.slice(1);
+        return [...this.elements.values()].filter(element => element.classList.contains(className));
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    createElement(tagName) {
+        return new FakeElement(tagName);
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+}
+
+/**
+ * Install browser globals, returns the environment handles
+ */
+function setupBrowserEnv() {
+    const html = fs.readFileSync(path.join(ROOT_DIR, 'index.html'), 'utf8');
+
+    global.window = global;
+    global.localStorage = new MemoryStorage();
+    global.document = new FakeDocument(html);
+    global.confirm = () => true;
+
+    return {
+        window: global.window,
+        localStorage: global.localStorage,
+        document: global.document
+    };
+}
+
+/**
+ * Load browser modules from the project root in the given order
+ */
+function loadScripts(...files) {
+    files.forEach(file => require(path.join(ROOT_DIR, file)));
+}
+
+/**
+ * Drop undefined values and non-JSON data for deep comparisons
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+    ROOT_DIR,
+    MemoryStorage,
+    FakeElement,
+    FakeDocument,
+    setupBrowserEnv,
+    loadScripts,
+    plain
+};
@@ -0,0 +1,107 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { setupBrowserEnv, loadScripts } = require('./helpers/browser-env');
+
+setupBrowserEnv();
+loadScripts('storage-backends.js', 'storage.js', 'key-vault.js');
+
+describe('ApiKeyVault', () => {
+    let storage;
+    let vault;
+
+    beforeEach(() => {
+        localStorage.clear();
+        storage = new TGTrafficStorage();
+        // Few PBKDF2 iterations keep the tests fast
+        vault = new ApiKeyVault({ storage, iterations: 1000, autoLockMinutes: 0 });
+    });
+
+    test('saveKey stores only the ciphertext', async () => {
+        assert.strictEqual(await vault.saveKey('tgstat-secret-key', 'correct horse'), true);
+
+        const record = storage.getEncryptedApiKey();
+        assert.strictEqual(record.kdf, 'PBKDF2-SHA-256');
+        assert.strictEqual(record.cipher, 'AES-GCM');
+        assert.strictEqual(record.iterations, 1000);
+        assert.ok(!localStorage.getItem('tg_traffic_api_key').includes('tgstat-secret-key'));
+        assert.strictEqual(storage.getApiKey(), '');
+        assert.strictEqual(vault.getKey(), 'tgstat-secret-key');
+        assert.strictEqual(vault.isLocked(), false);
+    });
+
+    test('a stored key starts locked and needs the right passphrase', async () => {
+        await vault.saveKey('tgstat-secret-key', 'correct horse');
+
+        const reopened = new ApiKeyVault({ storage: new TGTrafficStorage(), iterations: 1000, autoLockMinutes: 0 });
+        assert.strictEqual(reopened.isLocked(), true);
+        assert.strictEqual(reopened.getKey(), '');
+
+        assert.strictEqual(await reopened.unlock('wrong passphrase'), null);
+        assert.strictEqual(reopened.isLocked(), true);
+
+        assert.strictEqual(await reopened.unlock('correct horse'), 'tgstat-secret-key');
+        assert.strictEqual(reopened.getKey(), 'tgstat-secret-key');
+    });
+
+    test('locks after inactivity and notifies listeners', async () => {
+        const reasons = [];
+        vault.onLock(reason => reasons.push(reason));
+
+        await vault.saveKey('tgstat-secret-key', 'correct horse');
+        vault.setAutoLock(0.0002); // 12 ms
+        await new Promise(resolve => setTimeout(resolve, 40));
+
+        assert.strictEqual(vault.isLocked(), true);
+        assert.deepStrictEqual(reasons, ['inactivity']);
+
+        vault.lock();
+        assert.deepStrictEqual(reasons, ['inactivity']);
+    });
+
+    test('additional keys are kept in the encrypted pool', async () => {
+        await assert.rejects(vault.addKey({ label: 'Команда', key: 'team-key' }), /с парольной фразой/);
+
+        await vault.saveKey('tgstat-secret-key', 'correct horse');
+        const team = await vault.addKey({ label: 'Команда', key: 'team-key' });
+        await assert.rejects(vault.addKey({ key: 'team-key' }), /уже добавлен/);
+        assert.ok(!localStorage.getItem('tg_traffic_api_key').includes('team-key'));
+
+        const reopened = new ApiKeyVault({ storage: new TGTrafficStorage(), iterations: 1000, autoLockMinutes: 0 });
+        await assert.rejects(reopened.addKey({ key: 'other-key' }), /заблокированы/);
+        await reopened.unlock('correct horse');
+        assert.deepStrictEqual(reopened.getKeys().map(entry => entry.label), ['Основной', 'Команда']);
+
+        // Replacing the primary key with a new passphrase keeps the other keys
+        await reopened.saveKey('new-primary-key', 'new passphrase');
+        assert.deepStrictEqual(reopened.getKeys().map(entry => entry.key), ['new-primary-key', 'team-key']);
+
+        assert.strictEqual(await reopened.deleteKey(team.id), true);
+        assert.strictEqual(await reopened.deleteKey('primary'), true);
+        assert.strictEqual(reopened.hasKey(), false);
+    });
+
+    test('records with a single encrypted key are read as a pool of one', async () => {
+        const salt = vault.crypto.getRandomValues(new Uint8Array(16));
+        const cryptoKey = await vault.deriveKey('correct horse', salt, 1000);
+        storage.setEncryptedApiKey(await vault.encrypt('old-single-key', cryptoKey, salt, 1000));
+
+        assert.strictEqual(await vault.unlock('correct horse'), 'old-single-key');
+        assert.deepStrictEqual(vault.getKeys(), [{ id: 'primary', label: 'Основной', key: 'old-single-key' }]);
+    });
+
+    test('legacy plain keys are readable but not encrypted', () => {
+        storage.setApiKey('plain-key');
+
+        assert.strictEqual(vault.isEncrypted(), false);
+        assert.strictEqual(vault.isLocked(), false);
+        assert.strictEqual(vault.getKey(), 'plain-key');
+        assert.strictEqual(vault.hasKey(), true);
+    });
+
+    test('maskKey keeps only the edges of the key', () => {
+        assert.strictEqual(ApiKeyVault.maskKey('1234567890abcdef'), '1234••••••••cdef');
+        assert.strictEqual(ApiKeyVault.maskKey('short'), '•••••');
+        assert.strictEqual(ApiKeyVault.maskKey(''), '');
+    });
+});
@@ -0,0 +1,89 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { setupBrowserEnv, loadScripts } = require('./helpers/browser-env');
+
+setupBrowserEnv();
+loadScripts('network.js');
+
+/**
+ * Two groups joined by one weak mention: a ring of three channels that only cite each other
+ * and a star around a hub that everyone mentions
+ */
+function createGraph() {
+    const graph = new MentionGraph();
+
+    graph.addEdge('ring_a', 'ring_b', 10);
+    graph.addEdge('ring_b', 'ring_c', 10);
+    graph.addEdge('ring_c', 'ring_a', 10);
+
+    ['star_a', 'star_b', 'star_c', 'star_d'].forEach(name => graph.addEdge(name, 'hub', 5));
+    graph.addEdge('hub', 'star_a', 2);
+    graph.addEdge('ring_a', 'hub', 1);
+
+    return graph;
+}
+
+describe('MentionGraph', () => {
+    test('addEdge creates nodes, ignores self mentions and keeps the larger weight', () => {
+        const graph = new MentionGraph();
+        graph.addEdge('a', 'b', 3);
+        graph.addEdge('a', 'b', 2);
+        graph.addEdge('a', 'a', 5);
+
+        assert.deepStrictEqual([...graph.nodes.keys()], ['a', 'b']);
+        assert.strictEqual(graph.getEdge('a', 'b').weight, 3);
+        assert.strictEqual(graph.edges.size, 1);
+        assert.deepStrictEqual(graph.getNeighbors('b'), ['a']);
+    });
+
+    test('getClusters separates weakly linked groups', () => {
+        const clusters = createGraph().getClusters();
+
+        assert.deepStrictEqual(clusters, [
+            ['hub', 'star_a', 'star_b', 'star_c', 'star_d'],
+            ['ring_a', 'ring_b', 'ring_c']
+        ]);
+    });
+
+    test('getRings finds mutual promotion and how closed it is', () => {
+        const rings = createGraph().getRings();
+
+        assert.deepStrictEqual(rings, [
+            { members: ['ring_a', 'ring_b', 'ring_c'], weight: 30, insularity: 1 },
+            { members: ['hub', 'star_a'], weight: 7, insularity: 0.3 }
+        ]);
+    });
+
+    test('getHubs ranks the most mentioned channel first', () => {
+        const hubs = createGraph().getHubs(3);
+
+        assert.strictEqual(hubs[0].username, 'hub');
+        assert.strictEqual(hubs[0].mentionedBy, 5);
+        assert.ok(hubs[0].score > hubs[1].score);
+        assert.strictEqual(hubs.length, 3);
+    });
+
+    test('layout is deterministic and stays inside the box', () => {
+        const graph = createGraph();
+        const first = graph.layout(400, 300);
+        const second = graph.layout(400, 300);
+
+        assert.deepStrictEqual([...first.entries()], [...second.entries()]);
+        first.forEach(({ x, y }) => {
+            assert.ok(x >= 20 && x <= 380 && y >= 20 && y <= 280);
+        });
+    });
+
+    test('toJSON round trip keeps nodes, edges and crawl parameters', () => {
+        const graph = createGraph();
+        graph.seeds = ['hub'];
+        graph.depth = 2;
+        graph.addNode('hub', { title: 'Hub channel', depth: 0 });
+
+        const restored = new MentionGraph(JSON.parse(JSON.stringify(graph.toJSON())));
+
+        assert.deepStrictEqual(restored.toJSON(), graph.toJSON());
+        assert.strictEqual(restored.nodes.get('hub').title, 'Hub channel');
+    });
+});
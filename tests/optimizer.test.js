@@ -0,0 +1,114 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { setupBrowserEnv, loadScripts } = require('./helpers/browser-env');
+
+setupBrowserEnv();
+loadScripts('optimizer.js');
+
+const record = (username, postPrice, avgReach, extra = {}) => ({
+    channel: `@${username}`, username, category: 'news', quality: 80, postPrice, avgReach, error: null, ...extra
+});
+
+const channels = plan => plan.selected.map(entry => entry.record.username).sort();
+
+describe('BudgetOptimizer', () => {
+    const optimizer = new BudgetOptimizer();
+
+    test('finds the best mix where picking by reach per ruble falls short', () => {
+        // 'cheap' has the best reach per ruble but leaves no room for the other two
+        const records = [record('cheap', 60, 70), record('left', 50, 50), record('right', 50, 50)];
+        const plan = optimizer.optimize(records, { budget: 100 });
+
+        assert.strictEqual(plan.success, true);
+        assert.deepStrictEqual(channels(plan), ['left', 'right']);
+        assert.deepStrictEqual(plan.totals, {
+            budget: 100, cost: 100, remaining: 0, channels: 2, reach: 100, weightedReach: 80,
+            cpm: 1000, avgQuality: 80, categories: { news: 2 }
+        });
+        assert.strictEqual(plan.alternates[0].record.username, 'cheap');
+        assert.strictEqual(plan.alternates[0].fits, false);
+        assert.strictEqual(plan.alternates[0].swapFor, null);
+    });
+
+    test('skips channels that break the constraints and says why', () => {
+        const records = [
+            record('ok', 1000, 2000),
+            record('failed', 0, 0, { error: 'Ресурс не найден' }),
+            record('banned', 1000, 2000),
+            record('weak', 1000, 2000, { quality: 20 }),
+            record('pricey', 1000, 500),
+            record('huge', 20000, 50000),
+            record('unpriced', 0, 2000)
+        ];
+        const plan = optimizer.optimize(records, { budget: 10000, maxCpm: 1000, minQuality: 50, exclude: ['@Banned'] });
+
+        assert.deepStrictEqual(channels(plan), ['ok']);
+        assert.deepStrictEqual(plan.skipped.map(({ record, reason }) => `${record.username}:${reason}`), [
+            'failed:error', 'banned:excluded', 'weak:quality', 'pricey:cpm', 'huge:overBudget', 'unpriced:noPrice'
+        ]);
+    });
+
+    test('maxPerCategory limits the channels of one category', () => {
+        const records = [
+            record('news_a', 100, 900), record('news_b', 100, 800), record('news_c', 100, 700),
+            record('tech_a', 100, 300, { category: 'tech' })
+        ];
+        const plan = optimizer.optimize(records, { budget: 300, maxPerCategory: 2 });
+
+        assert.deepStrictEqual(channels(plan), ['news_a', 'news_b', 'tech_a']);
+        assert.deepStrictEqual(plan.totals.categories, { news: 2, tech: 1 });
+        assert.strictEqual(plan.alternates[0].swapFor, '@news_b');
+    });
+
+    test('targetReach returns the cheapest plan that reaches it', () => {
+        const records = [record('a', 100, 500), record('b', 300, 1200), record('c', 250, 900)];
+
+        const reached = optimizer.optimize(records, { budget: 1000, targetReach: 1300 });
+        assert.deepStrictEqual(channels(reached), ['a', 'c']);
+        assert.strictEqual(reached.targetReached, true);
+        assert.strictEqual(reached.totals.cost, 350);
+
+        const missed = optimizer.optimize(records, { budget: 400, targetReach: 5000 });
+        assert.deepStrictEqual(channels(missed), ['a', 'b']);
+        assert.strictEqual(missed.targetReached, false);
+    });
+
+    test('quality-weighted reach prefers better channels at the same price', () => {
+        const records = [record('big', 100, 1000, { quality: 30 }), record('good', 100, 800, { quality: 90 })];
+
+        assert.deepStrictEqual(channels(optimizer.optimize(records, { budget: 100 })), ['big']);
+        assert.deepStrictEqual(channels(optimizer.optimize(records, { budget: 100, objective: 'qualityReach' })), ['good']);
+    });
+
+    test('a large category is planned without a table per channel, count and budget step', () => {
+        const records = Array.from({ length: 5000 }, (_, i) => record(`ch${String(i).padStart(4, '0')}`, 100 + (i % 50), 1000 + (i % 97) * 10));
+
+        const plan = optimizer.optimize(records, { budget: 200000, maxPerCategory: 1000 });
+        assert.strictEqual(plan.success, true);
+        assert.strictEqual(plan.totals.channels, 1000);
+        assert.ok(plan.totals.cost <= 200000);
+
+        // Only 10 channels fit into this budget, so the count limit of 500 does not grow the exact table
+        const equal = Array.from({ length: 1000 }, (_, i) => record(`eq${String(i).padStart(4, '0')}`, 100, 1000 + i));
+        const small = optimizer.optimize(equal, { budget: 1000, maxPerCategory: 500 });
+        assert.strictEqual(small.totals.channels, 10);
+        assert.strictEqual(small.totals.reach, 10 * 1000 + 990 + 991 + 992 + 993 + 994 + 995 + 996 + 997 + 998 + 999);
+    });
+
+    test('greedy planning above the table size keeps the limits', () => {
+        const records = [record('cheap', 60, 70), record('left', 50, 50), record('right', 50, 50), record('extra', 40, 10)];
+        const greedy = new BudgetOptimizer({ maxTableCells: 1 });
+        const plan = greedy.optimize(records, { budget: 100, maxPerCategory: 2 });
+
+        assert.deepStrictEqual(channels(plan), ['cheap', 'extra']);
+        assert.strictEqual(plan.totals.cost, 100);
+    });
+
+    test('rejects invalid options', () => {
+        const plan = optimizer.optimize([], { budget: 0, maxCpm: -1, minQuality: 150, maxPerCategory: 1.5 });
+
+        assert.strictEqual(plan.success, false);
+        assert.deepStrictEqual(plan.errors.map(error => error.id), ['budget', 'max-cpm', 'min-quality', 'max-per-category']);
+    });
+});
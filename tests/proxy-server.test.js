@@ -0,0 +1,141 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { setupBrowserEnv, loadScripts } = require('./helpers/browser-env');
+const { createMockServer, INVALID_API_KEY } = require('../server/mock-server');
+const { createProxyServer } = require('../server/proxy-server');
+
+setupBrowserEnv();
+loadScripts('cache.js', 'scheduler.js', 'api.js');
+
+const listen = server => new Promise(resolve => server.listen(0, resolve)).then(() => `http://localhost:${server.address().port}`);
+
+describe('TGStat proxy server', () => {
+    let upstream;
+    let upstreamURL;
+    const servers = [];
+
+    const startProxy = async (options = {}) => {
+        const proxy = createProxyServer({ apiKey: 'test_key', targetUrl: upstreamURL, burst: 20, ratePerSecond: 20, ...options });
+        servers.push(proxy);
+        return { proxy, proxyURL: await listen(proxy) };
+    };
+
+    before(async () => {
+        upstream = createMockServer();
+        upstreamURL = await listen(upstream);
+    });
+
+    after(() => {
+        servers.forEach(server => server.close());
+        upstream.close();
+    });
+
+    test('adds the server key, a key sent by the browser is ignored', async () => {
+        const { proxyURL } = await startProxy();
+
+        const response = await fetch(`${proxyURL}/channels/get?channel=mock_news&token=${INVALID_API_KEY}`, {
+            headers: { 'Authorization': `Bearer ${INVALID_API_KEY}`, 'Origin': 'http://localhost:3000' }
+        });
+        const body = await response.json();
+
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.headers.get('access-control-allow-origin'), 'http://localhost:3000');
+        assert.strictEqual(body.response.username, 'mock_news');
+    });
+
+    test('answers only the configured origins', async () => {
+        const { proxyURL } = await startProxy();
+        const { proxyURL: openProxyURL } = await startProxy({ allowedOrigins: ['*'] });
+        const foreign = { headers: { 'Origin': 'https://evil.example' } };
+
+        const refused = await fetch(`${proxyURL}/usage`, foreign);
+        const preflight = await fetch(`${proxyURL}/usage`, { method: 'OPTIONS', ...foreign });
+        const open = await fetch(`${openProxyURL}/usage`, foreign);
+
+        assert.strictEqual(refused.status, 403);
+        assert.strictEqual(refused.headers.get('access-control-allow-origin'), null);
+        assert.match((await refused.json()).error, /origin/);
+        assert.strictEqual(preflight.status, 403);
+        assert.strictEqual(open.status, 200);
+        assert.strictEqual(open.headers.get('access-control-allow-origin'), '*');
+    });
+
+    test('the client in bundled mode works without a key', async () => {
+        const { proxyURL } = await startProxy();
+        const api = new TGStatAPI('', { mode: 'bundled', bundledProxyURL: proxyURL });
+        api.setRateLimits({ rateLimitDelay: 1, rateLimitBurst: 10, maxRetries: 0 });
+
+        const info = await api.getChannelInfo('@mock_news', { forceRefresh: true });
+        const status = await api.getApiStatus();
+
+        assert.strictEqual(info.success, true);
+        assert.strictEqual(status.remaining, 950);
+    });
+
+    test('the client detects a missing or keyless proxy', async () => {
+        const { proxyURL } = await startProxy();
+        const { proxyURL: keylessURL } = await startProxy({ apiKey: '' });
+        const stopped = createProxyServer({});
+        const stoppedURL = await listen(stopped);
+        await new Promise(resolve => stopped.close(resolve));
+
+        const api = new TGStatAPI('', { mode: 'bundled', bundledProxyURL: stoppedURL });
+        api.setRateLimits({ rateLimitDelay: 1, rateLimitBurst: 10, maxRetries: 0 });
+
+        assert.deepStrictEqual(await api.checkBundledProxy(), { available: false, hasKey: false });
+        await assert.rejects(api.makeRequest('/usage'), /Встроенный прокси недоступен/);
+
+        api.setEndpoints({ bundledProxyURL: keylessURL });
+        assert.deepStrictEqual(await api.checkBundledProxy(), { available: true, hasKey: false });
+
+        api.setEndpoints({ bundledProxyURL: proxyURL });
+        assert.deepStrictEqual(await api.checkBundledProxy(), { available: true, hasKey: true });
+    });
+
+    test('forwards only TGStat endpoints and GET requests', async () => {
+        const { proxyURL } = await startProxy();
+
+        for (const path of ['/admin', '//evil.example/usage', '/channels/../usage/x']) {
+            const response = await fetch(`${proxyURL}${path}`);
+            assert.strictEqual(response.status, 404, path);
+        }
+
+        const post = await fetch(`${proxyURL}/usage`, { method: 'POST' });
+        assert.strictEqual(post.status, 405);
+    });
+
+    test('caches channel responses but not the quota', async () => {
+        const { proxy, proxyURL } = await startProxy();
+
+        const first = await fetch(`${proxyURL}/channels/stat?channel=mock_news&period=7`);
+        const second = await fetch(`${proxyURL}/channels/stat?channel=mock_news&period=7`);
+        await fetch(`${proxyURL}/usage`);
+        const usage = await fetch(`${proxyURL}/usage`);
+
+        assert.strictEqual(first.headers.get('x-proxy-cache'), 'MISS');
+        assert.strictEqual(second.headers.get('x-proxy-cache'), 'HIT');
+        assert.deepStrictEqual(await second.json(), await first.json());
+        assert.strictEqual(usage.headers.get('x-proxy-cache'), 'MISS');
+        assert.strictEqual(proxy.cache.size, 1);
+    });
+
+    test('rejects requests over the rate limit with Retry-After', async () => {
+        const { proxyURL } = await startProxy({ ratePerSecond: 0.5, burst: 1 });
+
+        const first = await fetch(`${proxyURL}/usage`);
+        const second = await fetch(`${proxyURL}/usage`);
+
+        assert.strictEqual(first.status, 200);
+        assert.strictEqual(second.status, 429);
+        assert.strictEqual(second.headers.get('retry-after'), '2');
+    });
+
+    test('refuses to forward without a configured key', async () => {
+        const { proxyURL } = await startProxy({ apiKey: '' });
+        const response = await fetch(`${proxyURL}/usage`);
+
+        assert.strictEqual(response.status, 500);
+        assert.match((await response.json()).error, /TGSTAT_API_KEY/);
+    });
+});
@@ -0,0 +1,104 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { setupBrowserEnv, loadScripts, plain } = require('./helpers/browser-env');
+
+setupBrowserEnv();
+loadScripts('results-view.js');
+
+const RECORDS = [
+    { channel: '@alpha_news', title: 'Alpha News', username: 'alpha_news', category: 'news', status: 'Хорошо', subscribers: 50000, quality: 65, cpmForecast: 120 },
+    { channel: '@beta_tech', title: 'Beta Tech', username: 'beta_tech', category: 'tech', status: 'Отлично', subscribers: 12000, quality: 92, cpmForecast: 180 },
+    { channel: '@broken', title: '@broken', username: 'broken', status: 'error', error: 'Ресурс не найден' },
+    { channel: '@gamma_life', title: 'Гамма', username: 'gamma_life', category: 'lifestyle', status: 'Средне', subscribers: 3000, quality: 45, cpmForecast: 90 }
+];
+
+describe('ResultsView', () => {
+    let view;
+
+    beforeEach(() => {
+        view = new ResultsView();
+    });
+
+    test('defaults sort by quality descending with failed channels last', () => {
+        assert.deepStrictEqual(view.apply(RECORDS).map(record => record.channel), ['@beta_tech', '@alpha_news', '@gamma_life', '@broken']);
+    });
+
+    test('setSort flips direction on the same column and picks a default for new ones', () => {
+        view.setSort('quality');
+        assert.strictEqual(view.sortDirection, 'asc');
+        assert.deepStrictEqual(view.apply(RECORDS).map(record => record.channel), ['@gamma_life', '@alpha_news', '@beta_tech', '@broken']);
+
+        // Titles are compared with the Russian locale: Cyrillic before Latin
+        view.setSort('channel');
+        assert.strictEqual(view.sortDirection, 'asc');
+        assert.deepStrictEqual(view.apply(RECORDS).map(record => record.channel), ['@gamma_life', '@alpha_news', '@beta_tech', '@broken']);
+
+        view.setSort('cpmForecast');
+        assert.strictEqual(view.sortDirection, 'desc');
+        assert.strictEqual(view.apply(RECORDS)[0].channel, '@beta_tech');
+
+        view.setSort('unknown');
+        assert.strictEqual(view.sortBy, 'cpmForecast');
+    });
+
+    test('filters by search, category, status and ranges', () => {
+        view.setFilter('search', 'гам');
+        assert.deepStrictEqual(view.apply(RECORDS).map(record => record.channel), ['@gamma_life']);
+
+        view.resetFilters();
+        view.setFilter('category', 'tech');
+        assert.deepStrictEqual(view.apply(RECORDS).map(record => record.channel), ['@beta_tech']);
+
+        view.resetFilters();
+        view.setFilter('status', 'error');
+        assert.deepStrictEqual(view.apply(RECORDS).map(record => record.channel), ['@broken']);
+
+        view.resetFilters();
+        view.setFilter('subscribersMin', 10000);
+        view.setFilter('qualityMax', 70);
+        assert.deepStrictEqual(view.apply(RECORDS).map(record => record.channel), ['@alpha_news']);
+        assert.strictEqual(view.hasActiveFilters(), true);
+
+        view.setFilter('subscribersMin', '');
+        assert.strictEqual(view.filters.subscribersMin, null);
+    });
+
+    test('columns can be hidden and reordered but channel stays first', () => {
+        view.toggleColumn('subscribers');
+        view.toggleColumn('channel');
+        assert.ok(!view.getVisibleColumns().some(column => column.key === 'subscribers'));
+        assert.strictEqual(view.getVisibleColumns()[0].key, 'channel');
+
+        view.moveColumn('status', -1);
+        assert.deepStrictEqual(view.columnOrder.slice(-2), ['status', 'category']);
+
+        view.moveColumn('subscribers', -1);
+        assert.strictEqual(view.columnOrder[0], 'channel');
+
+        view.toggleColumn('subscribers');
+        assert.ok(view.getVisibleColumns().some(column => column.key === 'subscribers'));
+    });
+
+    test('settings round-trip and tolerate unknown or missing columns', () => {
+        view.setSort('er');
+        view.setFilter('category', 'news');
+        view.toggleColumn('posts');
+
+        const restored = new ResultsView(plain(view.toSettings()));
+        assert.deepStrictEqual(plain(restored.toSettings()), plain(view.toSettings()));
+
+        const partial = new ResultsView({ columnOrder: ['status', 'removed_column'], hiddenColumns: ['removed_column'], sortBy: 'removed_column' });
+        assert.deepStrictEqual(partial.columnOrder.slice(0, 2), ['channel', 'status']);
+        assert.strictEqual(partial.columnOrder.length, view.columns.length);
+        assert.deepStrictEqual(partial.hiddenColumns, []);
+        assert.strictEqual(partial.sortBy, 'quality');
+    });
+
+    test('getFilterOptions lists distinct categories and statuses', () => {
+        const options = view.getFilterOptions(RECORDS);
+
+        assert.deepStrictEqual(options.categories, ['lifestyle', 'news', 'tech']);
+        assert.deepStrictEqual(options.statuses, ['Отлично', 'Средне', 'Хорошо', 'error']);
+    });
+});
@@ -0,0 +1,104 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { setupBrowserEnv, loadScripts, plain } = require('./helpers/browser-env');
+
+setupBrowserEnv();
+loadScripts('scheduler.js');
+
+const task = (log, name, ms = 5) => () => new Promise(resolve => setTimeout(() => {
+    log.push(name);
+    resolve(name);
+}, ms));
+
+describe('RequestScheduler', () => {
+    test('schedule resolves with the task result', async () => {
+        const scheduler = new RequestScheduler({ ratePerSecond: 100, burst: 5 });
+        assert.strictEqual(await scheduler.schedule(async () => 42), 42);
+    });
+
+    test('schedule propagates task errors', async () => {
+        const scheduler = new RequestScheduler({ ratePerSecond: 100, burst: 5 });
+        await assert.rejects(scheduler.schedule(async () => { throw new Error('boom'); }), /boom/);
+    });
+
+    test('interactive lane is dispatched before queued bulk tasks', async () => {
+        const scheduler = new RequestScheduler({ ratePerSecond: 50, burst: 1, maxConcurrent: 1 });
+        const log = [];
+
+        await Promise.all([
+            scheduler.schedule(task(log, 'bulk-1'), { priority: 'bulk' }),
+            scheduler.schedule(task(log, 'bulk-2'), { priority: 'bulk' }),
+            scheduler.schedule(task(log, 'interactive'), { priority: 'interactive' })
+        ]);
+
+        assert.deepStrictEqual(log, ['bulk-1', 'interactive', 'bulk-2']);
+    });
+
+    test('maxConcurrent limits tasks in flight', async () => {
+        const scheduler = new RequestScheduler({ ratePerSecond: 1000, burst: 10, maxConcurrent: 2 });
+        let running = 0;
+        let peak = 0;
+        const tracked = () => scheduler.schedule(async () => {
+            running++;
+            peak = Math.max(peak, running);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            running--;
+        });
+
+        await Promise.all([tracked(), tracked(), tracked(), tracked()]);
+        assert.strictEqual(peak, 2);
+    });
+
+    test('token bucket spaces requests after the burst', async () => {
+        const scheduler = new RequestScheduler({ ratePerSecond: 20, burst: 1, maxConcurrent: 5 });
+        const start = Date.now();
+
+        await Promise.all([1, 2, 3].map(() => scheduler.schedule(async () => null)));
+        assert.ok(Date.now() - start >= 90); // two refills of 50 ms
+    });
+
+    test('pauseFor delays dispatching', async () => {
+        const scheduler = new RequestScheduler({ ratePerSecond: 1000, burst: 5 });
+        const start = Date.now();
+
+        scheduler.pauseFor(60);
+        await scheduler.schedule(async () => null);
+
+        assert.ok(Date.now() - start >= 55);
+    });
+
+    test('aborted signal removes queued tasks', async () => {
+        const scheduler = new RequestScheduler({ ratePerSecond: 1000, burst: 5, maxConcurrent: 1 });
+        const controller = new AbortController();
+        const log = [];
+
+        const first = scheduler.schedule(task(log, 'first', 20));
+        const second = assert.rejects(scheduler.schedule(task(log, 'second'), { signal: controller.signal }), { name: 'AbortError' });
+        controller.abort();
+
+        await first;
+        await second;
+        assert.deepStrictEqual(log, ['first']);
+        await assert.rejects(scheduler.schedule(async () => null, { signal: controller.signal }), { name: 'AbortError' });
+    });
+
+    test('configure and getQueueStats', () => {
+        const scheduler = new RequestScheduler();
+        scheduler.configure({ rateLimitDelay: 250, rateLimitBurst: 4, maxConcurrentRequests: 3 });
+
+        assert.strictEqual(scheduler.ratePerSecond, 4);
+        assert.strictEqual(scheduler.burst, 4);
+        assert.strictEqual(scheduler.maxConcurrent, 3);
+        assert.deepStrictEqual(plain(scheduler.getQueueStats()), { inFlight: 0, total: 0, interactive: 0, bulk: 0 });
+    });
+
+    test('parseRetryAfter handles seconds and HTTP dates', () => {
+        assert.strictEqual(RequestScheduler.parseRetryAfter('3'), 3000);
+        assert.strictEqual(RequestScheduler.parseRetryAfter(null), null);
+        assert.strictEqual(RequestScheduler.parseRetryAfter('soon'), null);
+
+        const inFuture = RequestScheduler.parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+        assert.ok(inFuture > 8000 && inFuture <= 10000);
+    });
+});
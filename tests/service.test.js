@@ -0,0 +1,518 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { setupBrowserEnv, loadScripts } = require('./helpers/browser-env');
+const { createMockServer, EXHAUSTED_API_KEY } = require('../server/mock-server');
+
+setupBrowserEnv();
+loadScripts('storage-backends.js', 'storage.js', 'key-vault.js', 'cache.js', 'scheduler.js', 'api.js', 'analytics.js', 'network.js', 'optimizer.js', 'service.js');
+
+describe('TGTrafficService', () => {
+    let server;
+    let baseURL;
+    let service;
+
+    before(async () => {
+        server = createMockServer();
+        await new Promise(resolve => server.listen(0, resolve));
+        baseURL = `http://localhost:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    beforeEach(() => {
+        localStorage.clear();
+        const storage = new TGTrafficStorage();
+        storage.setApiKey('test_key');
+        storage.updateUserSettings({ apiMode: 'direct', apiBaseUrl: baseURL, apiProxyUrl: '', rateLimitDelay: 1, rateLimitBurst: 10, maxRetries: 0 });
+
+        service = new TGTrafficService({ storage });
+    });
+
+    test('constructor applies stored key and settings to the API client', () => {
+        assert.strictEqual(service.hasApiKey(), true);
+        assert.strictEqual(service.api.baseURL, baseURL);
+        assert.strictEqual(service.api.proxyURL, '');
+        assert.strictEqual(service.api.maxRetries, 0);
+        assert.strictEqual(service.statsPeriod, 7);
+    });
+
+    test('stored cache settings reach the API cache on load and on change', async () => {
+        service.storage.updateUserSettings({ cacheMaxSize: 20, cacheTtl: 60000, cacheTtlByEndpoint: { '/channels/get': 120000 } });
+        const loaded = new TGTrafficService({ storage: service.storage });
+        await loaded.ready();
+
+        assert.strictEqual(loaded.api.cache.maxSize, 20);
+        assert.strictEqual(loaded.api.cache.getTtl('/channels/get?channel=a'), 120000);
+        assert.strictEqual(loaded.api.cache.getTtl('/channels/unknown'), 60000);
+
+        loaded.applySettings({ ...loaded.storage.getUserSettings(), cacheEnabled: false });
+        assert.strictEqual(loaded.api.cache.isCacheable('/channels/get?channel=a'), false);
+    });
+
+    test('setApiKey updates storage and the API client', () => {
+        service.setApiKey('');
+        assert.strictEqual(service.hasApiKey(), false);
+
+        service.setApiKey('new_key');
+        assert.strictEqual(service.api.apiKey, 'new_key');
+        assert.strictEqual(service.storage.getApiKey(), 'new_key');
+    });
+
+    test('encrypted key is locked on reload and unlocked with the passphrase', async () => {
+        service.keyVault.iterations = 1000;
+
+        assert.strictEqual(await service.saveEncryptedApiKey('encrypted_key', 'passphrase-1'), true);
+        assert.strictEqual(service.api.apiKey, 'encrypted_key');
+        assert.strictEqual(service.isApiKeyEncrypted(), true);
+        assert.strictEqual(service.getMaskedApiKey(), 'encr••••••••_key');
+
+        service.reloadApiKey();
+        assert.strictEqual(service.isApiKeyLocked(), true);
+        assert.strictEqual(service.hasApiKey(), false);
+        assert.strictEqual(service.getMaskedApiKey(), '');
+
+        assert.strictEqual(await service.unlockApiKey('wrong'), false);
+        assert.strictEqual(await service.unlockApiKey('passphrase-1'), true);
+        assert.strictEqual(service.api.apiKey, 'encrypted_key');
+
+        service.lockApiKey();
+        assert.strictEqual(service.api.apiKey, '');
+    });
+
+    test('analyzeChannel adapts API data into a ChannelAnalysis record', async () => {
+        const record = await service.analyzeChannel('@mock_news');
+
+        assert.strictEqual(record.channel, '@mock_news');
+        assert.strictEqual(record.username, 'mock_news');
+        assert.strictEqual(record.title, 'Mock Новости');
+        assert.strictEqual(record.category, 'news');
+        assert.strictEqual(record.verified, true);
+        assert.strictEqual(record.subscribers, 250000);
+        assert.strictEqual(record.avgReach, 92000);
+        assert.strictEqual(record.citationIndex, 0.85);
+        assert.strictEqual(record.reposts, 1400);
+        assert.strictEqual(record.mentions, 60);
+        assert.strictEqual(record.posts, 28);
+        assert.strictEqual(record.err24h, 4.2);
+        assert.strictEqual(record.quality, record.analysis.qualityScore.overall);
+        assert.strictEqual(record.cpmForecast, record.analysis.priceEstimate.cpm.avg);
+        assert.strictEqual(record.postPrice, record.analysis.priceEstimate.postPrice.estimated);
+        assert.strictEqual(record.status, 'Отлично');
+        assert.strictEqual(record.error, null);
+        assert.strictEqual(record.fromCache, false);
+        assert.strictEqual(record.source.stats.period, 7);
+    });
+
+    test('analyzeChannel saves a metrics point and fills the growth columns from the history', async () => {
+        const DAY = 86400000;
+        service.storage.addMetricsPoint({
+            username: 'mock_news',
+            date: new Date(Date.now() - 8 * DAY).toISOString(),
+            subscribers: 200000,
+            avgReach: 92000,
+            err24h: 4.2,
+            citationIndex: 0.85,
+            quality: 90
+        });
+
+        const record = await service.analyzeChannel('@mock_news');
+        const history = service.getMetricsHistory('mock_news');
+
+        assert.deepStrictEqual(history.map(point => point.subscribers), [200000, 250000]);
+        assert.strictEqual(history[1].quality, record.quality);
+        assert.strictEqual(service.getSubscriberHistory('@mock_news').length, 2);
+        assert.strictEqual(record.growth7d, 21.9); // +25% over 8 days, scaled to 7
+        assert.strictEqual(record.growth30d, null);
+        assert.strictEqual(record.growth90d, null);
+        assert.deepStrictEqual(record.trendFlags, []);
+        assert.strictEqual(service.buildExportRows([record])[0]['Рост 7 дн. %'], 21.9);
+
+        const failed = await service.analyzeChannel('@mock_missing');
+        assert.ok(failed.error);
+        assert.strictEqual(service.getMetricsHistory().length, 2);
+    });
+
+    test('analyzeChannel stores no metrics point when the run is cancelled midway', async () => {
+        const controller = new AbortController();
+        const getChannelStats = service.api.getChannelStats.bind(service.api);
+        service.api.getChannelStats = (...args) => {
+            controller.abort();
+            return getChannelStats(...args);
+        };
+
+        await service.analyzeChannel('@mock_news', { signal: controller.signal });
+
+        assert.strictEqual(service.getMetricsHistory().length, 0);
+    });
+
+    test('analyzeChannel marks records served from cache', async () => {
+        await service.analyzeChannel('@mock_tech');
+        const cached = await service.analyzeChannel('@mock_tech');
+        const forced = await service.analyzeChannel('@mock_tech', { forceRefresh: true });
+
+        assert.strictEqual(cached.fromCache, true);
+        assert.ok(cached.cachedAt);
+        assert.strictEqual(forced.fromCache, false);
+    });
+
+    test('analyzeChannel returns error records instead of throwing', async () => {
+        const missing = await service.analyzeChannel('@mock_missing');
+        const forbidden = await service.analyzeChannel('@mock_forbidden');
+
+        assert.strictEqual(missing.status, 'error');
+        assert.strictEqual(missing.error, 'Ресурс не найден');
+        assert.strictEqual(missing.analysis, null);
+        assert.match(forbidden.error, /Доступ запрещен/);
+    });
+
+    test('loadChannelDetails loads posts and post statistics', async () => {
+        const record = await service.analyzeChannel('@mock_tech');
+        const details = await service.loadChannelDetails(record);
+
+        assert.strictEqual(details.record, record);
+        assert.strictEqual(details.posts.length, 20);
+        assert.strictEqual(details.postStats.count, 20);
+        assert.strictEqual(details.postsError, null);
+    });
+
+    test('loadChannelDetails reports unavailable posts', async () => {
+        const details = await service.loadChannelDetails({ channel: '@mock_missing' });
+
+        assert.deepStrictEqual(details.posts, []);
+        assert.strictEqual(details.postStats.count, 0);
+        assert.strictEqual(details.postsError, 'Ресурс не найден');
+    });
+
+    test('determineChannelStatus maps quality and bot score', () => {
+        assert.strictEqual(service.determineChannelStatus({ qualityScore: 90, botScore: 60 }), 'Подозрение на боты');
+        assert.strictEqual(service.determineChannelStatus({ qualityScore: 85 }), 'Отлично');
+        assert.strictEqual(service.determineChannelStatus({ qualityScore: 65 }), 'Хорошо');
+        assert.strictEqual(service.determineChannelStatus({ qualityScore: 45 }), 'Средне');
+        assert.strictEqual(service.determineChannelStatus({ qualityScore: 25 }), 'Плохо');
+        assert.strictEqual(service.determineChannelStatus({ qualityScore: 5 }), 'Недоступен');
+    });
+
+    test('applyRealCpm computes deviation from forecast', () => {
+        assert.strictEqual(service.applyRealCpm({ cpmForecast: 120 }, 150).cpmDeviation, '25.0');
+        assert.strictEqual(service.applyRealCpm({ cpmForecast: 0 }, 150).cpmDeviation, null);
+    });
+
+    test('buildExportRows uses record fields', async () => {
+        const record = await service.analyzeChannel('@mock_news');
+        const failed = service.createErrorRecord('@mock_missing', 'Ресурс не найден');
+        const [row, errorRow] = service.buildExportRows([record, failed]);
+
+        assert.strictEqual(row['Канал'], 'Mock Новости');
+        assert.strictEqual(row['Подписчики'], 250000);
+        assert.strictEqual(row['Прогноз CPM'], record.cpmForecast);
+        assert.strictEqual(errorRow['Статус'], 'error');
+        assert.strictEqual(errorRow['Ошибка'], 'Ресурс не найден');
+    });
+
+    test('buildExportCsv escapes separators and quotes', async () => {
+        const record = await service.analyzeChannel('@mock_news');
+        const failed = service.createErrorRecord('@mock_missing', 'Ошибка; "404"');
+        const lines = service.buildExportCsv([record, failed]).split('\r\n');
+
+        assert.strictEqual(lines.length, 3);
+        assert.strictEqual(lines[0], Object.keys(service.buildExportRows([record])[0]).join(';'));
+        assert.match(lines[1], /^Mock Новости;/);
+        assert.match(lines[2], /;"Ошибка; ""404"""/);
+        assert.strictEqual(service.buildExportCsv([]), '');
+    });
+
+    test('testApiKey reports the remaining quota', async () => {
+        const status = await service.testApiKey();
+        assert.strictEqual(status.success, true);
+        assert.strictEqual(status.remaining, 950);
+        assert.strictEqual(status.limit, 1000);
+
+        service.setApiKey('');
+        const missing = await service.testApiKey();
+        assert.strictEqual(missing.success, false);
+        assert.strictEqual(missing.error, 'API ключ не задан');
+    });
+
+    test('estimateRunCost counts info, stats and posts requests not served from cache', async () => {
+        await service.analyzeChannel('@mock_news');
+
+        const estimate = await service.estimateRunCost(['@mock_news', '@mock_tech']);
+        assert.deepStrictEqual({ ...estimate, costs: [...estimate.costs] }, { channels: 2, requests: 2, cached: 2, fraudCheckRequests: 0, costs: [0, 2] });
+
+        // The fraud check is opt-in and its posts requests are reported apart
+        const forced = await service.estimateRunCost(['@mock_news', '@mock_tech'], { forceRefresh: true, withPosts: true });
+        assert.strictEqual(forced.requests, 6);
+        assert.strictEqual(forced.fraudCheckRequests, 2);
+    });
+
+    test('planRun compares the cost with the remaining quota', async () => {
+        const channels = Array.from({ length: 480 }, (value, index) => `@chan_${index}`);
+
+        const small = await service.planRun(channels.slice(0, 3));
+        assert.strictEqual(small.fits, true);
+        assert.strictEqual(small.quota.remaining, 950);
+
+        const large = await service.planRun(channels);
+        assert.strictEqual(large.estimate.requests, 960);
+        assert.strictEqual(large.fits, false);
+        assert.strictEqual(large.affordable, 475);
+
+        service.setApiKey('');
+        const unknown = await service.planRun(channels);
+        assert.strictEqual(unknown.quota, null);
+        assert.strictEqual(unknown.fits, true);
+    });
+
+    test('requests sent during analysis go to the usage log', async () => {
+        service.storage.updateUserSettings({ userName: 'Анна' });
+
+        await service.analyzeChannel('@mock_news');
+        await service.analyzeChannel('@mock_news');
+        await service.testApiKey();
+
+        const [today] = service.storage.getApiUsageLog();
+        assert.strictEqual(today.total, 2);
+        assert.deepStrictEqual(today.byUser, { 'Анна': 2 });
+    });
+
+    test('key pool: quota is summed, exhausted keys leave the rotation, usage is tracked per key', async () => {
+        const keyVault = new ApiKeyVault({ storage: service.storage, iterations: 1000, autoLockMinutes: 0 });
+        service = new TGTrafficService({ storage: service.storage, keyVault });
+        service.api.setRateLimits({ rateLimitDelay: 1, rateLimitBurst: 10, maxRetries: 0 });
+
+        await service.saveEncryptedApiKey(EXHAUSTED_API_KEY, 'correct horse');
+        const team = await service.addApiKey('Команда', 'test_key');
+        const failures = [];
+        service.onApiKeyFailure(event => failures.push(event));
+
+        const status = await service.testApiKey();
+        assert.strictEqual(status.remaining, 950);
+        assert.strictEqual(status.limit, 2000);
+        assert.deepStrictEqual(failures, [{ keyId: 'primary', label: 'Основной', reason: 'quota', nextKeyId: team.id, nextLabel: 'Команда' }]);
+
+        await service.analyzeChannel('@mock_news');
+        const keys = service.getApiKeys();
+        assert.deepStrictEqual(keys.map(key => [key.label, key.active, key.failure]), [['Основной', false, 'quota'], ['Команда', true, null]]);
+        assert.strictEqual(keys[1].masked, '••••••••');
+        assert.deepStrictEqual(service.storage.getApiUsageByKey(), { [team.id]: 2 });
+
+        const pinned = await service.planRun(['@mock_tech'], { keyId: 'primary' });
+        assert.strictEqual(pinned.fits, false);
+        assert.strictEqual(pinned.affordable, 0);
+    });
+
+    test('analyzeChannel flags bot audience from the post history', async () => {
+        service.applySettings({ ...service.storage.getUserSettings(), fraudCheck: true });
+        const bots = await service.analyzeChannel('@mock_lifestyle');
+        const organic = await service.analyzeChannel('@mock_news');
+
+        assert.ok(bots.botScore > 50);
+        assert.strictEqual(bots.status, 'Подозрение на боты');
+        assert.ok(bots.analysis.recommendations.some(item => item.title === 'Подозрение на накрутку'));
+        assert.strictEqual(organic.botScore, 0);
+        assert.strictEqual(service.buildExportRows([bots])[0]['Вероятность ботов %'], bots.botScore);
+
+        // Without the post check only reach and subscriber signals remain
+        service.applySettings({ ...service.storage.getUserSettings(), fraudCheck: false });
+        const estimate = await service.estimateRunCost(['@mock_tech'], { forceRefresh: true });
+        const unchecked = await service.analyzeChannel('@mock_tech');
+
+        assert.strictEqual(estimate.requests, 2);
+        assert.strictEqual(unchecked.analysis.fraud.postsChecked, false);
+        assert.ok(unchecked.botScore !== null);
+    });
+
+    test('recordRealCpm stores the metrics snapshot and recalibrates the price model', async () => {
+        const record = await service.analyzeChannel('@mock_news');
+
+        for (const realCpm of [150, 160, 170, 180]) service.recordRealCpm(record, realCpm);
+        assert.strictEqual(service.getCpmCalibration().samples, 4);
+        assert.strictEqual(service.getCpmCalibration().model, null);
+
+        service.recordRealCpm(record, 190);
+        // Saving a CPM only marks the model stale, the cross-validated error waits for the report
+        assert.strictEqual(service.cpmCalibration, null);
+        assert.strictEqual(service.getCpmCalibration().error.calibrated, null);
+        assert.strictEqual(typeof service.getCpmModelReport().error.calibrated, 'number');
+        const [first] = service.storage.getCpmHistory();
+        assert.deepStrictEqual(first.metrics, {
+            subscribers: record.subscribers, avgReach: record.avgReach, engagementRate: record.er,
+            quality: record.quality, category: record.category, verified: record.verified
+        });
+        assert.strictEqual(first.forecastCpm, record.cpmForecast);
+        assert.ok(service.getCpmCalibration().model);
+
+        // The calibrated model pulls the forecast towards what was paid
+        service.applySettings({ ...service.storage.getUserSettings(), cpmModel: 'calibrated' });
+        const calibrated = await service.analyzeChannel('@mock_news');
+        assert.strictEqual(calibrated.analysis.priceEstimate.model, 'calibrated');
+        assert.ok(Math.abs(calibrated.cpmForecast - 170) < Math.abs(record.cpmForecast - 170));
+    });
+
+    test('scoring profiles are saved, exported, imported and deleted', () => {
+        const saved = service.saveScoringProfile({ ...service.getScoringProfile('default'), name: 'Крипта', weights: { subscribers: 0.1, reach: 0.6, engagement: 0.2, ci: 0.1 } });
+        assert.strictEqual(saved.success, true);
+        assert.notStrictEqual(saved.profile.id, 'default');
+        assert.deepStrictEqual(service.getScoringProfiles().map(profile => profile.name), ['Стандартный', 'Крипта']);
+
+        const invalid = service.saveScoringProfile({ ...saved.profile, caps: { reach: 0 } });
+        assert.strictEqual(invalid.success, false);
+        assert.strictEqual(invalid.errors[0].id, 'cap-reach');
+
+        const imported = service.importScoringProfile(service.exportScoringProfile(saved.profile.id));
+        assert.strictEqual(imported.profile.name, 'Крипта (копия)');
+        assert.deepStrictEqual(imported.profile.weights, saved.profile.weights);
+        assert.strictEqual(service.importScoringProfile('{"type":"backup"}').success, false);
+
+        service.setActiveScoringProfile(saved.profile.id);
+        assert.strictEqual(service.analytics.scoringProfile.name, 'Крипта');
+
+        assert.strictEqual(service.deleteScoringProfile(saved.profile.id), true);
+        assert.strictEqual(service.storage.getUserSettings().scoringProfileId, 'default');
+        assert.strictEqual(service.analytics.scoringProfile.id, 'default');
+    });
+
+    test('rescoreRecords and project profiles re-score saved results without API requests', async () => {
+        const record = await service.analyzeChannel('@mock_news');
+        service.applyRealCpm(record, 200);
+        const project = service.saveProject('Осень', [record, service.createErrorRecord('@mock_missing', 'Ресурс не найден')]);
+        const requests = service.storage.getApiUsageLog()[0].total;
+
+        const { profile } = service.saveScoringProfile({
+            ...service.getScoringProfile('default'),
+            name: 'Строгий',
+            categoryMultipliers: { news: 0.02 },
+            statusThresholds: { excellent: 95, good: 90, average: 85, poor: 80, bots: 50 }
+        });
+        const [rescored, failed] = service.rescoreRecords(project.channels, profile);
+
+        assert.ok(rescored.quality < record.quality);
+        assert.strictEqual(rescored.status, 'Недоступен');
+        assert.strictEqual(rescored.analysis.scoringProfile, profile.id);
+        assert.strictEqual(rescored.analyzedAt, record.analyzedAt);
+        assert.strictEqual(rescored.realCpm, 200);
+        assert.strictEqual(rescored.botScore, record.botScore);
+        assert.strictEqual(failed.error, 'Ресурс не найден');
+
+        const updated = service.setProjectScoringProfile(project.id, profile.id);
+        assert.strictEqual(updated.scoringProfileId, profile.id);
+        assert.strictEqual(updated.channels[0].quality, rescored.quality);
+        assert.strictEqual(service.storage.getApiUsageLog()[0].total, requests);
+
+        // Re-analysis of the project scores with its profile, not the active one
+        const fresh = await service.analyzeChannel('@mock_news', { scoringProfileId: profile.id });
+        assert.strictEqual(fresh.quality, rescored.quality);
+    });
+
+    test('applySettings configures batch size and analytics', () => {
+        service.applySettings({ ...service.storage.getUserSettings(), batchSize: 6, defaultCpmRange: { min: 100, max: 400 } });
+
+        assert.strictEqual(service.batchSize, 6);
+        assert.deepStrictEqual(service.analytics.cpmRange, { min: 100, max: 400 });
+    });
+
+    test('discoverChannels merges search and mentions and marks known channels', async () => {
+        service.saveProject('Осень', [await service.analyzeChannel('@mock_tech')]);
+        service.storage.addToBlacklist('@Mock_Lifestyle', 'Не подходит');
+
+        const result = await service.discoverChannels({ keywords: 'tech, новости', seed: '@mock_news' });
+        const byName = Object.fromEntries(result.candidates.map(candidate => [candidate.username, candidate]));
+
+        // The seed itself is not a candidate, mock_lifestyle only comes from mentions and gets channel info
+        assert.strictEqual(result.success, true);
+        assert.deepStrictEqual(Object.keys(byName).sort(), ['mock_lifestyle', 'mock_tech']);
+        assert.deepStrictEqual(byName.mock_tech.sources, ['поиск: tech', 'упоминания @mock_news']);
+        assert.strictEqual(byName.mock_tech.excluded, 'project');
+        assert.strictEqual(byName.mock_lifestyle.subscribers, 8000);
+        assert.strictEqual(byName.mock_lifestyle.excluded, 'blacklist');
+
+        assert.strictEqual(service.filterCandidates(result.candidates).length, 0);
+        const shown = service.filterCandidates(result.candidates, { showExcluded: true, minSubscribers: 10000 });
+        assert.deepStrictEqual(shown.map(candidate => candidate.username), ['mock_tech']);
+        assert.deepStrictEqual(service.filterCandidates(result.candidates, { showExcluded: true, category: 'lifestyle' })
+            .map(candidate => candidate.username), ['mock_lifestyle']);
+    });
+
+    test('buildMentionNetwork crawls mentions to the given depth and stores the graph', async () => {
+        const shallow = await service.buildMentionNetwork(['@mock_news'], { depth: 1 });
+        assert.strictEqual(shallow.crawled, 1);
+        assert.deepStrictEqual([...shallow.graph.nodes.keys()].sort(), ['mock_lifestyle', 'mock_news', 'mock_tech']);
+        assert.strictEqual(shallow.graph.edges.size, 2);
+
+        const progress = [];
+        const result = await service.buildMentionNetwork(['@mock_news'], { depth: 2, onProgress: state => progress.push(state) });
+
+        // mock_tech mentions mock_news and back, mock_lifestyle is mentioned by nobody
+        assert.strictEqual(result.crawled, 3);
+        assert.strictEqual(progress.length, 3);
+        assert.strictEqual(result.graph.getEdge('mock_news', 'mock_tech').weight, 9);
+        assert.deepStrictEqual(result.graph.getRings().map(ring => ring.members), [['mock_news', 'mock_tech']]);
+        assert.deepStrictEqual(service.getMentionGraph().toJSON(), result.graph.toJSON());
+
+        const limited = await service.buildMentionNetwork(['@mock_news'], { depth: 2, maxChannels: 1 });
+        assert.strictEqual(limited.pending, 2);
+    });
+
+    test('estimateAudienceOverlap loads mentions and keeps them for the project summary', async () => {
+        const records = [];
+        for (const channel of ['@mock_news', '@mock_tech', '@mock_lifestyle']) {
+            records.push(await service.analyzeChannel(channel));
+        }
+        const project = service.saveProject('Осень', [...records, service.createErrorRecord('@mock_missing', 'Ресурс не найден')]);
+        const requests = service.storage.getApiUsageLog()[0].total;
+
+        const overlap = await service.estimateAudienceOverlap(project.channels, { projectId: project.id });
+
+        assert.strictEqual(service.storage.getApiUsageLog()[0].total, requests + 3);
+        assert.deepStrictEqual(overlap.errors, []);
+        assert.deepStrictEqual(overlap.matrix.usernames, ['mock_news', 'mock_tech', 'mock_lifestyle']);
+        assert.strictEqual(overlap.pairs.find(pair => pair.a === 'mock_news' && pair.b === 'mock_tech').overlap, 0.27);
+        assert.ok(overlap.uniqueReach < overlap.totalReach);
+
+        const saved = service.storage.getProject(project.id);
+        assert.deepStrictEqual(saved.mentionedBy.mock_tech, [{ username: 'mock_news', mentions: 9 }]);
+
+        const summary = service.summarizeProject(saved);
+        assert.strictEqual(summary.uniqueReach, overlap.uniqueReach);
+        assert.ok(service.summarizeProject(project).uniqueReach > summary.uniqueReach);
+    });
+
+    test('planBudget never plans blacklisted channels', async () => {
+        const records = [];
+        for (const channel of ['@mock_news', '@mock_tech', '@mock_lifestyle']) {
+            records.push(await service.analyzeChannel(channel));
+        }
+        service.storage.addToBlacklist('@mock_lifestyle', 'Боты');
+
+        const budget = records[0].postPrice + records[1].postPrice;
+        const plan = service.planBudget(records, { budget, exclude: ['@mock_tech'] });
+
+        assert.strictEqual(plan.success, true);
+        assert.deepStrictEqual(plan.selected.map(entry => entry.record.channel), ['@mock_news']);
+        assert.deepStrictEqual(plan.skipped.map(entry => entry.reason), ['excluded', 'excluded']);
+        assert.strictEqual(plan.totals.remaining, records[1].postPrice);
+    });
+
+    test('saveProject stores records and summarizeProject skips failed channels', async () => {
+        const records = [
+            await service.analyzeChannel('@mock_news'),
+            await service.analyzeChannel('@mock_lifestyle'),
+            service.createErrorRecord('@mock_missing', 'Ресурс не найден')
+        ];
+
+        const project = service.saveProject('Осень', records);
+        assert.ok(project.id);
+        assert.strictEqual(service.getProjects()[0].channels.length, 3);
+
+        const summary = service.summarizeProject(service.getProjects()[0]);
+        assert.strictEqual(summary.channelsCount, 3);
+        assert.strictEqual(summary.totalReach, records[0].avgReach + records[1].avgReach);
+        assert.strictEqual(summary.avgQuality, (records[0].quality + records[1].quality) / 2);
+
+        service.deleteProject(project.id);
+        assert.strictEqual(service.getProjects().length, 0);
+    });
+});
@@ -0,0 +1,797 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { setupBrowserEnv, loadScripts, plain } = require('./helpers/browser-env');
+
+setupBrowserEnv();
+loadScripts('storage-backends.js', 'storage.js', 'analytics.js');
+
+describe('TGTrafficStorage', () => {
+    let storage;
+
+    beforeEach(() => {
+        localStorage.clear();
+        storage = new TGTrafficStorage();
+    });
+
+    test('initializeStorage provides defaults and keeps existing data', () => {
+        assert.deepStrictEqual(plain(storage.getProjects()), []);
+        assert.strictEqual(storage.getUserSettings().theme, 'light');
+        assert.strictEqual(storage.getTemplates().length, 3);
+
+        storage.setProjects([{ id: 'p1', name: 'Kept' }]);
+        storage.initializeStorage();
+        assert.strictEqual(storage.getProjects().length, 1);
+    });
+
+    test('setItem, getItem and removeItem serialize JSON', () => {
+        assert.strictEqual(storage.setItem('custom_key', { a: 1 }), true);
+        assert.deepStrictEqual(plain(storage.getItem('custom_key')), { a: 1 });
+        assert.strictEqual(storage.removeItem('custom_key'), true);
+        assert.strictEqual(storage.getItem('custom_key', 'fallback'), 'fallback');
+    });
+
+    test('corrupted JSON in localStorage falls back to defaults on load', () => {
+        localStorage.setItem('tg_traffic_projects', '{not json');
+        const reloaded = new TGTrafficStorage();
+
+        assert.deepStrictEqual(plain(reloaded.getProjects()), []);
+        assert.strictEqual(reloaded.getItem('broken_key', 'fallback'), 'fallback');
+    });
+
+    test('setItem reports failed writes', () => {
+        const circular = {};
+        circular.self = circular;
+        assert.strictEqual(storage.setItem('circular', circular), false);
+    });
+
+    test('API key can be stored and removed', () => {
+        assert.strictEqual(storage.getApiKey(), '');
+        storage.setApiKey('secret');
+        assert.strictEqual(storage.getApiKey(), 'secret');
+        storage.removeApiKey();
+        assert.strictEqual(storage.getApiKey(), '');
+    });
+
+    test('projects CRUD', () => {
+        const project = storage.addProject({ name: 'Crypto', channels: [{ username: 'mock_news', title: 'Mock' }] });
+
+        assert.ok(project.id);
+        assert.ok(project.createdAt);
+        assert.strictEqual(storage.getProject(project.id).name, 'Crypto');
+
+        const updated = storage.updateProject(project.id, { name: 'Crypto Q4' });
+        assert.strictEqual(updated.name, 'Crypto Q4');
+        assert.strictEqual(storage.updateProject('missing', { name: 'x' }), null);
+
+        storage.deleteProject(project.id);
+        assert.strictEqual(storage.getProject(project.id), null);
+    });
+
+    test('searchProjects matches names, descriptions and channels', () => {
+        storage.addProject({ name: 'Crypto', description: 'Осень', channels: [{ username: 'mock_news', title: 'Mock Новости' }] });
+        storage.addProject({ name: 'Edtech', channels: [{ username: 'mock_tech' }] });
+
+        assert.strictEqual(storage.searchProjects('crypto').length, 1);
+        assert.strictEqual(storage.searchProjects('осень').length, 1);
+        assert.strictEqual(storage.searchProjects('mock_').length, 2);
+        assert.strictEqual(storage.searchProjects('новости').length, 1);
+    });
+
+    test('analysis results keep the newest 100 entries', () => {
+        for (let i = 0; i < 105; i++) {
+            storage.addAnalysisResult({ channel: `channel_${i}` });
+        }
+
+        const results = storage.getAnalysisResults();
+        assert.strictEqual(results.length, 100);
+        assert.strictEqual(results[0].channel, 'channel_104');
+        assert.strictEqual(storage.getAnalysisResult(results[0].id).channel, 'channel_104');
+
+        storage.deleteAnalysisResult(results[0].id);
+        assert.strictEqual(storage.getAnalysisResults().length, 99);
+
+        storage.clearAnalysisResults();
+        assert.strictEqual(storage.getAnalysisResults().length, 0);
+    });
+
+    test('analysis checkpoint can be saved, read and cleared', () => {
+        storage.saveAnalysisCheckpoint({ channels: ['@a', '@b'], results: [{ channel: '@a' }], options: {} });
+
+        const checkpoint = storage.getAnalysisCheckpoint();
+        assert.ok(checkpoint.id);
+        assert.ok(checkpoint.startedAt);
+        assert.strictEqual(checkpoint.results.length, 1);
+
+        storage.appendAnalysisCheckpointResult({ channel: '@b' });
+        assert.deepStrictEqual(storage.getAnalysisCheckpoint().results.map(result => result.channel), ['@a', '@b']);
+        assert.deepStrictEqual(plain(storage.getAnalysisCheckpoint().channels), ['@a', '@b']);
+
+        storage.clearAnalysisCheckpoint();
+        assert.strictEqual(storage.getAnalysisCheckpoint(), null);
+
+        // Saved before the results were stored apart
+        storage.setItem('tg_traffic_analysis_checkpoint', { id: 'old', channels: ['@a'], results: [{ channel: '@a' }] });
+        assert.strictEqual(storage.getAnalysisCheckpoint().results.length, 1);
+    });
+
+    test('work campaigns CRUD', () => {
+        const campaign = storage.addWorkCampaign({ name: 'Запуск' });
+
+        assert.strictEqual(campaign.status, 'planning');
+        assert.strictEqual(storage.getWorkCampaign(campaign.id).name, 'Запуск');
+        assert.strictEqual(storage.updateWorkCampaign(campaign.id, { status: 'active' }).status, 'active');
+        assert.strictEqual(storage.updateWorkCampaign('missing', {}), null);
+
+        storage.deleteWorkCampaign(campaign.id);
+        assert.strictEqual(storage.getWorkCampaigns().length, 0);
+    });
+
+    test('user settings merge updates over defaults', () => {
+        const settings = storage.updateUserSettings({ theme: 'dark' });
+
+        assert.strictEqual(settings.theme, 'dark');
+        assert.strictEqual(settings.maxRetries, storage.getDefaultSettings().maxRetries);
+        assert.strictEqual(storage.getUserSettings().theme, 'dark');
+    });
+
+    test('saveUserSettings validates every field before writing', () => {
+        assert.deepStrictEqual(storage.validateUserSettings(storage.getDefaultSettings()), { valid: true, errors: [] });
+
+        const invalid = storage.saveUserSettings({
+            batchSize: 2.5,
+            exportFormat: 'pdf',
+            apiBaseUrl: 'ftp://example.com',
+            defaultCpmRange: { min: 300, max: 100 },
+            cacheTtlByEndpoint: { ...storage.getDefaultSettings().cacheTtlByEndpoint, '/channels/get': 0 }
+        });
+
+        assert.strictEqual(invalid.success, false);
+        assert.deepStrictEqual(invalid.errors.map(error => error.id), ['batch-size', 'export-format', 'api-base-url', 'cache-ttl-channels-get', 'cpm-max']);
+        assert.strictEqual(invalid.errors[0].message, 'Каналов анализируется одновременно: ожидается целое число');
+        assert.strictEqual(storage.getUserSettings().batchSize, storage.getDefaultSettings().batchSize);
+
+        const saved = storage.saveUserSettings({ batchSize: 8, apiProxyUrl: '' });
+        assert.strictEqual(saved.success, true);
+        assert.strictEqual(storage.getUserSettings().batchSize, 8);
+    });
+
+    test('saveUserSettings keeps unsaved settings following the defaults', () => {
+        assert.strictEqual(storage.saveUserSettings({ batchSize: 8 }).success, true);
+
+        storage.getDefaultSettings = () => ({ ...TGTrafficStorage.prototype.getDefaultSettings.call(storage), cacheTtl: 60000 });
+
+        assert.strictEqual(storage.getUserSettings().cacheTtl, 60000);
+        assert.strictEqual(storage.getUserSettings().batchSize, 8);
+        assert.strictEqual('cacheTtl' in storage.getItem('tg_traffic_user_settings'), false);
+    });
+
+    test('stored settings get defaults for settings added later', () => {
+        const { quotaPolicy, userName, ...older } = storage.getDefaultSettings();
+        storage.setItem('tg_traffic_user_settings', { ...older, theme: 'dark' });
+
+        assert.strictEqual(storage.getUserSettings().theme, 'dark');
+        assert.strictEqual(storage.getUserSettings().quotaPolicy, quotaPolicy);
+        assert.strictEqual(storage.validateUserSettings(storage.getUserSettings()).valid, true);
+        assert.strictEqual(storage.saveUserSettings({ userName: 'x'.repeat(51) }).errors[0].id, 'user-name');
+    });
+
+    test('settings saved before the connection mode keep their proxy, the public proxy is dropped', () => {
+        const migrate = userSettings => storage.migrateData({ userSettings }, 3).data.userSettings;
+
+        assert.strictEqual(migrate({ apiProxyUrl: 'https://proxy.example/raw?url=' }).apiMode, 'proxy');
+        assert.strictEqual(migrate({ apiProxyUrl: '' }).apiMode, 'direct');
+        assert.deepStrictEqual(migrate({ theme: 'dark' }), { theme: 'dark' });
+
+        // The former default, stored by the v3 migration or a settings save
+        const publicProxy = 'https://api.allorigins.win/raw?url=';
+        assert.deepStrictEqual(migrate({ theme: 'dark', apiProxyUrl: publicProxy }), { theme: 'dark' });
+        assert.deepStrictEqual(migrate({ apiMode: 'proxy', apiProxyUrl: publicProxy }), {});
+        assert.deepStrictEqual(migrate({ apiMode: 'direct', apiProxyUrl: publicProxy }), { apiMode: 'direct' });
+
+        storage.setItem('tg_traffic_user_settings', {});
+        assert.strictEqual(storage.getUserSettings().apiMode, 'bundled');
+        assert.strictEqual(storage.saveUserSettings({ apiMode: 'proxy', apiProxyUrl: '' }).errors[0].id, 'api-proxy-url');
+    });
+
+    test('blacklist stores normalized usernames once and goes into backups', () => {
+        const entry = storage.addToBlacklist('@Spam_Channel', 'Накрутка');
+        assert.strictEqual(storage.addToBlacklist('spam_channel').id, entry.id);
+        assert.deepStrictEqual(storage.getBlacklist().map(item => [item.username, item.reason]), [['spam_channel', 'Накрутка']]);
+        assert.strictEqual(JSON.parse(storage.createBackup()).data.blacklist.length, 1);
+
+        assert.strictEqual(storage.removeFromBlacklist(entry.id), true);
+        assert.deepStrictEqual(storage.getBlacklist(), []);
+    });
+
+    test('validateScoringProfile checks fields, weights and threshold order', () => {
+        const profile = new TGTrafficAnalytics().getDefaultScoringProfile();
+        assert.deepStrictEqual(storage.validateScoringProfile(profile), { valid: true, errors: [] });
+
+        const broken = {
+            ...profile,
+            name: '',
+            weights: { subscribers: 0, reach: 0, engagement: 0, ci: 0 },
+            categoryMultipliers: { ...profile.categoryMultipliers, crypto: -1 },
+            statusThresholds: { ...profile.statusThresholds, good: 90 }
+        };
+        const { valid, errors } = storage.validateScoringProfile(broken);
+
+        assert.strictEqual(valid, false);
+        assert.deepStrictEqual(errors.map(error => error.id), ['name', 'category-crypto', 'statusThresholds-excellent']);
+
+        const zeroWeights = storage.validateScoringProfile({ ...profile, weights: broken.weights });
+        assert.deepStrictEqual(zeroWeights.errors.map(error => error.id), ['weight-subscribers']);
+        assert.strictEqual(storage.saveUserSettings({ scoringProfileId: 'missing' }).errors[0].id, 'scoring-profile');
+    });
+
+    test('real CPM history keeps metric snapshots and goes into backups', () => {
+        const record = storage.addCpmRecord({ username: 'mock_news', realCpm: 150, forecastCpm: 120, metrics: { subscribers: 1000, category: 'news' } });
+
+        assert.ok(record.id);
+        assert.ok(record.recordedAt);
+        assert.deepStrictEqual(storage.getCpmHistory().map(item => item.realCpm), [150]);
+        assert.strictEqual(JSON.parse(storage.createBackup()).data.cpmHistory.length, 1);
+
+        assert.strictEqual(storage.removeCpmRecord(record.id), true);
+        assert.deepStrictEqual(storage.getCpmHistory(), []);
+    });
+
+    test('metrics history keeps one point per channel and day', () => {
+        storage.addMetricsPoint({ username: '@Mock_News', date: '2025-03-01T10:00:00.000Z', subscribers: 1000 });
+        storage.addMetricsPoint({ username: 'mock_news', date: '2025-03-01T18:00:00.000Z', subscribers: 1100 });
+        storage.addMetricsPoint({ username: 'mock_news', date: '2025-02-20T10:00:00.000Z', subscribers: 900 });
+        storage.addMetricsPoint({ username: 'mock_tech', date: '2025-03-01T10:00:00.000Z', subscribers: 50 });
+
+        const history = storage.getMetricsHistory('@mock_news');
+        assert.deepStrictEqual(history.map(point => point.subscribers), [900, 1100]);
+        assert.strictEqual(history[1].id, 'mock_news_2025-03-01');
+        assert.strictEqual(storage.getMetricsHistory().length, 3);
+        assert.strictEqual(JSON.parse(storage.createBackup()).data.metricsHistory.length, 3);
+
+        storage.clearMetricsHistory('mock_news');
+        assert.deepStrictEqual(storage.getMetricsHistory().map(point => point.username), ['mock_tech']);
+    });
+
+    test('API usage log sums requests per day, user and endpoint', () => {
+        storage.recordApiUsage({ endpoint: '/channels/get?channel=a', user: 'Анна', keyId: 'primary', date: new Date('2025-03-01T10:00:00Z') });
+        storage.recordApiUsage({ endpoint: '/channels/stat?channel=a&period=7', user: 'Анна', keyId: 'primary', date: new Date('2025-03-01T11:00:00Z') });
+        storage.recordApiUsage({ endpoint: '/channels/get?channel=b', user: 'Олег', keyId: 'team', date: new Date('2025-03-01T12:00:00Z') });
+        storage.recordApiUsage({ endpoint: '/channels/get?channel=c', date: new Date('2025-03-02T09:00:00Z') });
+
+        const [latest, first] = storage.getApiUsageLog();
+        assert.deepStrictEqual(latest, { date: '2025-03-02', total: 1, byUser: { '': 1 }, byEndpoint: { '/channels/get': 1 }, byKey: {} });
+        assert.deepStrictEqual(first, {
+            date: '2025-03-01',
+            total: 3,
+            byUser: { 'Анна': 2, 'Олег': 1 },
+            byEndpoint: { '/channels/get': 2, '/channels/stat': 1 },
+            byKey: { primary: 2, team: 1 }
+        });
+        assert.deepStrictEqual(storage.getApiUsageByKey(), { primary: 2, team: 1 });
+
+        for (let day = 0; day < 100; day++) {
+            storage.recordApiUsage({ endpoint: '/channels/get?channel=a', date: new Date(Date.UTC(2025, 4, 1 + day)) });
+        }
+        assert.strictEqual(storage.getApiUsageLog(1000).length, 90);
+        assert.strictEqual(storage.getApiUsageLog(1)[0].date, '2025-08-08');
+    });
+
+    test('setSettingValue copies nested settings', () => {
+        const settings = storage.getDefaultSettings();
+        const updated = storage.setSettingValue(settings, ['defaultCpmRange', 'max'], 900);
+
+        assert.strictEqual(storage.getSettingValue(updated, ['defaultCpmRange', 'max']), 900);
+        assert.notStrictEqual(settings.defaultCpmRange.max, 900);
+    });
+
+    test('templates can be added and deleted', () => {
+        const template = storage.addTemplate({ name: 'Крипто', channels: ['mock_news'] });
+
+        assert.strictEqual(storage.getTemplates().length, 4);
+        storage.deleteTemplate(template.id);
+        assert.deepStrictEqual(storage.getTemplates().map(t => t.id), storage.getDefaultTemplates().map(t => t.id));
+    });
+
+    test('export history keeps the newest 50 records', () => {
+        for (let i = 0; i < 55; i++) {
+            storage.addExportRecord({ fileName: `export_${i}.xlsx`, channelsCount: i });
+        }
+
+        const history = storage.getExportHistory();
+        assert.strictEqual(history.length, 50);
+        assert.strictEqual(history[0].fileName, 'export_54.xlsx');
+        assert.strictEqual(history[0].type, 'excel');
+
+        storage.clearExportHistory();
+        assert.strictEqual(storage.getExportHistory().length, 0);
+    });
+
+    test('createBackup and restoreFromBackup round-trip data', () => {
+        storage.addProject({ name: 'Backup me', channels: [] });
+        const backup = storage.createBackup();
+
+        storage.clearAllData();
+        assert.strictEqual(storage.getProjects().length, 0);
+
+        assert.strictEqual(storage.restoreFromBackup(backup), true);
+        assert.strictEqual(storage.getProjects()[0].name, 'Backup me');
+    });
+
+    test('createBackup includes the API key only on request', () => {
+        storage.setApiKey('secret');
+
+        assert.strictEqual(JSON.parse(storage.createBackup()).data.apiKey, undefined);
+
+        const backup = storage.createBackup({ includeApiKey: true });
+        assert.strictEqual(JSON.parse(backup).data.apiKey, 'secret');
+
+        storage.removeApiKey();
+        assert.strictEqual(storage.restoreFromBackup(backup, { sections: ['projects'] }), true);
+        assert.strictEqual(storage.getApiKey(), '');
+        assert.strictEqual(storage.restoreFromBackup(backup, { sections: ['apiKey'] }), true);
+        assert.strictEqual(storage.getApiKey(), 'secret');
+    });
+
+    test('restoreFromBackup rejects invalid files', () => {
+        assert.strictEqual(storage.restoreFromBackup('not json'), false);
+        assert.strictEqual(storage.restoreFromBackup(JSON.stringify({ data: {} })), false);
+    });
+
+    test('getStorageUsage reports sizes per key', () => {
+        storage.setProjects([]);
+        const usage = storage.getStorageUsage();
+
+        assert.strictEqual(usage.usage.PROJECTS, '[]'.length);
+        assert.strictEqual(usage.usage.API_KEY, 0);
+        assert.strictEqual(usage.available, 5 * 1024 * 1024 - usage.totalSize);
+    });
+
+    test('clearAllData resets to defaults', () => {
+        storage.addProject({ name: 'Gone', channels: [] });
+        storage.setApiKey('secret');
+
+        assert.strictEqual(storage.clearAllData(), true);
+        assert.strictEqual(storage.getProjects().length, 0);
+        assert.strictEqual(storage.getApiKey(), '');
+    });
+
+    test('cleanupOldData drops old results and exports', () => {
+        const old = new Date(Date.now() - 40 * 86400000).toISOString();
+        storage.addAnalysisResult({ channel: 'old', timestamp: old });
+        storage.addAnalysisResult({ channel: 'fresh' });
+
+        assert.strictEqual(storage.cleanupOldData(30), true);
+        assert.deepStrictEqual(storage.getAnalysisResults().map(r => r.channel), ['fresh']);
+    });
+
+    test('utility methods', () => {
+        assert.notStrictEqual(storage.generateId(), storage.generateId());
+        assert.strictEqual(storage.formatDate('2025-01-02T03:04:05Z'), new Date('2025-01-02T03:04:05Z').toLocaleString('ru-RU'));
+        assert.strictEqual(storage.isStorageAvailable(), true);
+    });
+});
+
+/**
+ * Data saved by the app before the schema was versioned (backup version '1.0')
+ */
+function createLegacyData() {
+    return {
+        projects: [{
+            id: 'p1',
+            name: 'Legacy',
+            createdAt: '2025-01-01T00:00:00.000Z',
+            channels: [
+                {
+                    channel: '@mock_news',
+                    username: '@mock_news',
+                    title: 'Mock News',
+                    subscribers: 1000,
+                    quality: 70,
+                    cpmForecast: 200,
+                    rawData: { channelData: {}, channelStats: {}, metrics: {} }
+                },
+                { channel: '@broken', error: 'Канал не найден', status: 'error' }
+            ]
+        }],
+        userSettings: { theme: 'dark', analysisDepth: 14 }
+    };
+}
+
+describe('TGTrafficStorage schema migrations', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('fresh storage starts at the current schema version', () => {
+        const storage = new TGTrafficStorage();
+
+        assert.strictEqual(storage.getSchemaVersion(), 4);
+        assert.strictEqual(storage.getItem('tg_traffic_schema_version'), 4);
+        assert.strictEqual(JSON.parse(storage.createBackup()).version, 4);
+    });
+
+    test('unversioned data is upgraded on load', () => {
+        const legacy = createLegacyData();
+        localStorage.setItem('tg_traffic_projects', JSON.stringify(legacy.projects));
+        localStorage.setItem('tg_traffic_user_settings', JSON.stringify(legacy.userSettings));
+
+        const storage = new TGTrafficStorage();
+        const [record, failed] = storage.getProjects()[0].channels;
+
+        assert.strictEqual(record.username, 'mock_news');
+        assert.strictEqual(record.rawData, undefined);
+        assert.strictEqual(record.source, null);
+        assert.strictEqual(record.realCpm, null);
+        assert.strictEqual(failed.username, 'broken');
+        assert.strictEqual(failed.postPrice, undefined);
+        assert.strictEqual(storage.getProjects()[0].updatedAt, '2025-01-01T00:00:00.000Z');
+
+        const settings = storage.getUserSettings();
+        assert.strictEqual(settings.theme, 'dark');
+        assert.strictEqual(settings.analysisDepth, 14);
+        assert.strictEqual(settings.cacheTtl, 3600000);
+        assert.strictEqual(storage.getItem('tg_traffic_schema_version'), 4);
+        assert.deepStrictEqual(storage.upgradeSchema(), []);
+    });
+
+    test('migrated settings store no defaults, so later default changes still apply', () => {
+        localStorage.setItem('tg_traffic_projects', JSON.stringify([]));
+        localStorage.setItem('tg_traffic_user_settings', JSON.stringify({ theme: 'dark', obsoleteOption: 1 }));
+
+        const storage = new TGTrafficStorage();
+        storage.updateUserSettings({ analysisDepth: 14 });
+
+        assert.deepStrictEqual(plain(storage.getItem('tg_traffic_user_settings')), { theme: 'dark', analysisDepth: 14 });
+
+        storage.getDefaultSettings = () => ({ ...TGTrafficStorage.prototype.getDefaultSettings.call(storage), cacheTtl: 60000 });
+        assert.strictEqual(storage.getUserSettings().cacheTtl, 60000);
+        assert.strictEqual(storage.getUserSettings().theme, 'dark');
+    });
+
+    test('restoreFromBackup migrates old backups and rejects newer ones', () => {
+        const storage = new TGTrafficStorage();
+        const backup = JSON.stringify({ version: '1.0', timestamp: '2025-01-01T00:00:00.000Z', data: createLegacyData() });
+
+        assert.strictEqual(storage.restoreFromBackup(backup), true);
+        assert.strictEqual(storage.getProjects()[0].channels[0].username, 'mock_news');
+        assert.strictEqual(storage.getUserSettings().cacheEnabled, true);
+
+        const newer = JSON.stringify({ version: 99, data: { projects: [] } });
+        assert.strictEqual(storage.restoreFromBackup(newer), false);
+        assert.strictEqual(storage.getProjects()[0].name, 'Legacy');
+    });
+
+    test('getMigrationReport is a dry run', () => {
+        const storage = new TGTrafficStorage();
+        const backup = JSON.stringify({ version: '1.0', data: createLegacyData() });
+
+        const report = storage.getMigrationReport(backup);
+
+        assert.strictEqual(report.fromVersion, 1);
+        assert.strictEqual(report.toVersion, 4);
+        assert.strictEqual(report.changed, true);
+        assert.deepStrictEqual(report.steps.map(step => step.version), [2, 3, 4]);
+        assert.match(report.steps[0].changes[0], /projects: обновлено записей каналов — 2/);
+        assert.deepStrictEqual(report.steps[1].changes, []);
+        assert.strictEqual(storage.getProjects().length, 0);
+
+        const current = storage.getMigrationReport();
+        assert.strictEqual(current.fromVersion, 4);
+        assert.strictEqual(current.changed, false);
+        assert.strictEqual(storage.getMigrationReport('not json'), null);
+    });
+
+    test('registered migrations run in version order', () => {
+        const storage = new TGTrafficStorage();
+        storage.setTemplates(storage.getDefaultTemplates());
+        storage.registerMigration({
+            version: 6,
+            description: 'sixth',
+            migrate: data => {
+                data.templates = data.templates.map(template => ({ ...template, marks: [...(template.marks || []), 6] }));
+                return ['templates'];
+            }
+        });
+        storage.registerMigration({
+            version: 5,
+            description: 'fifth',
+            migrate: data => {
+                data.templates = data.templates.map(template => ({ ...template, marks: [5] }));
+                return ['templates'];
+            }
+        });
+
+        assert.throws(() => storage.registerMigration({ version: 5, migrate: () => [] }), /already registered/);
+        assert.strictEqual(storage.getSchemaVersion(), 6);
+
+        storage.initializeStorage();
+
+        assert.deepStrictEqual(plain(storage.getTemplates()[0].marks), [5, 6]);
+        assert.strictEqual(storage.getItem('tg_traffic_schema_version'), 6);
+    });
+});
+
+describe('TGTrafficStorage merge restore', () => {
+    let storage;
+
+    /**
+     * Local projects plus a colleague's backup with one new, one newer and one conflicting project
+     */
+    function createBackupWithChanges() {
+        storage.setProjects([
+            { id: 'same', name: 'Same', channels: [], updatedAt: '2025-01-01T00:00:00.000Z' },
+            { id: 'older', name: 'Older here', channels: [], updatedAt: '2025-01-01T00:00:00.000Z' },
+            { id: 'mine', name: 'Edited here', channels: [], updatedAt: '2025-03-01T00:00:00.000Z' }
+        ]);
+        storage.setWorkCampaigns([{ id: 'c1', name: 'Campaign', updatedAt: '2025-01-01T00:00:00.000Z' }]);
+
+        return JSON.stringify({
+            version: storage.getSchemaVersion(),
+            data: {
+                projects: [
+                    { id: 'same', name: 'Same', channels: [], updatedAt: '2025-01-01T00:00:00.000Z' },
+                    { id: 'older', name: 'Newer there', channels: [], updatedAt: '2025-02-01T00:00:00.000Z' },
+                    { id: 'mine', name: 'Edited there', channels: [], updatedAt: '2025-02-01T00:00:00.000Z' },
+                    { id: 'new', name: 'New project', channels: [], updatedAt: '2025-02-01T00:00:00.000Z' }
+                ],
+                workCampaigns: [{ id: 'c2', name: 'Their campaign' }],
+                userSettings: { ...storage.getDefaultSettings(), theme: 'dark' }
+            }
+        });
+    }
+
+    beforeEach(() => {
+        localStorage.clear();
+        storage = new TGTrafficStorage();
+    });
+
+    test('validateBackup reports structural problems', () => {
+        assert.deepStrictEqual(storage.validateBackup('not json').errors, ['Файл не является JSON']);
+
+        const result = storage.validateBackup(JSON.stringify({
+            version: 3,
+            data: {
+                projects: [{ name: 'No id' }, { id: 'a' }, { id: 'a' }],
+                workCampaigns: {},
+                userSettings: []
+            }
+        }));
+
+        assert.strictEqual(result.valid, false);
+        assert.deepStrictEqual(result.errors, [
+            'projects[0]: нет id',
+            'projects[2]: повторяющийся id a',
+            'workCampaigns: ожидается список записей',
+            'userSettings: ожидается объект'
+        ]);
+        assert.strictEqual(storage.validateBackup(JSON.stringify({ version: 3, data: {} })).valid, false);
+    });
+
+    test('previewRestore classifies records by id and updatedAt', () => {
+        const preview = storage.previewRestore(createBackupWithChanges());
+        const ids = items => items.map(item => item.id);
+
+        assert.strictEqual(preview.valid, true);
+        assert.deepStrictEqual(ids(preview.sections.projects.added), ['new']);
+        assert.deepStrictEqual(ids(preview.sections.projects.updated), ['older']);
+        assert.deepStrictEqual(ids(preview.sections.projects.conflicts), ['mine']);
+        assert.strictEqual(preview.sections.projects.unchanged, 1);
+        assert.strictEqual(preview.sections.projects.conflicts[0].localUpdatedAt, '2025-03-01T00:00:00.000Z');
+        assert.deepStrictEqual(ids(preview.sections.workCampaigns.added), ['c2']);
+        assert.deepStrictEqual(plain(preview.sections.userSettings), { replaced: true });
+
+        const onlyProjects = storage.previewRestore(createBackupWithChanges(), { sections: ['projects'] });
+        assert.deepStrictEqual(Object.keys(onlyProjects.sections), ['projects']);
+    });
+
+    test('merge restore keeps local conflicts unless resolved to the backup', () => {
+        const backup = createBackupWithChanges();
+
+        assert.strictEqual(storage.restoreFromBackup(backup, { mode: 'merge', sections: ['projects', 'workCampaigns'] }), true);
+
+        const names = () => storage.getProjects().map(project => project.name);
+        assert.deepStrictEqual(names(), ['Same', 'Newer there', 'Edited here', 'New project']);
+        assert.deepStrictEqual(storage.getWorkCampaigns().map(campaign => campaign.id), ['c1', 'c2']);
+        assert.strictEqual(storage.getUserSettings().theme, 'light');
+
+        storage.restoreFromBackup(backup, {
+            mode: 'merge',
+            sections: ['projects'],
+            resolutions: { projects: { mine: 'backup' } }
+        });
+        assert.deepStrictEqual(names(), ['Same', 'Newer there', 'Edited there', 'New project']);
+    });
+
+    test('replace restore overwrites only the selected sections', () => {
+        const backup = createBackupWithChanges();
+
+        assert.strictEqual(storage.restoreFromBackup(backup, { mode: 'replace', sections: ['workCampaigns', 'userSettings'] }), true);
+
+        assert.strictEqual(storage.getProjects().length, 3);
+        assert.deepStrictEqual(storage.getWorkCampaigns().map(campaign => campaign.id), ['c2']);
+        assert.strictEqual(storage.getUserSettings().theme, 'dark');
+    });
+
+    test('invalid backups do not touch stored data', () => {
+        storage.addProject({ name: 'Keep', channels: [] });
+        const invalid = JSON.stringify({ version: 3, data: { projects: [{ name: 'No id' }], templates: [] } });
+
+        assert.strictEqual(storage.restoreFromBackup(invalid, { mode: 'replace' }), false);
+        assert.strictEqual(storage.getProjects()[0].name, 'Keep');
+        assert.strictEqual(storage.previewRestore(invalid).valid, false);
+    });
+});
+
+/**
+ * Async in-memory backend with the IndexedDB backend's interface
+ */
+class FakeAsyncBackend {
+    constructor(values = {}) {
+        this.name = 'fake';
+        this.values = { ...values };
+        this.collectionWrites = [];
+        this.recordWrites = [];
+        this.failWith = null;
+    }
+
+    async readAll() {
+        return JSON.parse(JSON.stringify(this.values));
+    }
+
+    async writeValue(key, value) {
+        if (this.failWith) throw this.failWith;
+        this.values[key] = value;
+    }
+
+    async writeCollection(key, records, previous) {
+        if (this.failWith) throw this.failWith;
+        this.collectionWrites.push({ key, count: records.length, previous: previous ? previous.length : null });
+        this.values[key] = records;
+    }
+
+    async writeRecords(key, records) {
+        if (this.failWith) throw this.failWith;
+        const list = this.values[key] || [];
+        records.forEach(({ record, order }) => {
+            list[order] = record;
+            this.recordWrites.push({ key, id: record.id, order });
+        });
+        this.values[key] = list;
+    }
+
+    async removeValue(key) {
+        delete this.values[key];
+    }
+
+    async estimate() {
+        return { quota: 1000000, usage: 0 };
+    }
+}
+
+describe('TGTrafficStorage with an async backend', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('migrates tg_traffic_* keys from localStorage once', async () => {
+        localStorage.setItem('tg_traffic_projects', JSON.stringify([{ id: 'p1', name: 'Old project' }]));
+        localStorage.setItem('tg_traffic_api_key', JSON.stringify('legacy-key'));
+
+        const backend = new FakeAsyncBackend();
+        const storage = new TGTrafficStorage({ backend });
+        await storage.ready();
+        await storage.flush();
+
+        assert.strictEqual(storage.getProjects()[0].name, 'Old project');
+        assert.strictEqual(storage.getApiKey(), 'legacy-key');
+        assert.strictEqual(backend.values.tg_traffic_projects[0].id, 'p1');
+        assert.ok(backend.values.tg_traffic_migrated_from_local_storage);
+        assert.strictEqual(localStorage.getItem('tg_traffic_projects'), null);
+
+        // Keys written to localStorage later are not imported again
+        localStorage.setItem('tg_traffic_api_key', JSON.stringify('stale'));
+        const reloaded = new TGTrafficStorage({ backend });
+        await reloaded.ready();
+
+        assert.strictEqual(reloaded.getApiKey(), 'legacy-key');
+        assert.strictEqual(reloaded.getStorageUsage().quota, 1000000);
+    });
+
+    test('collection writes receive the previous records for diffing', async () => {
+        const backend = new FakeAsyncBackend({ tg_traffic_migrated_from_local_storage: true });
+        const storage = new TGTrafficStorage({ backend });
+        await storage.ready();
+
+        storage.addProject({ name: 'First', channels: [] });
+        storage.addProject({ name: 'Second', channels: [] });
+        await storage.flush();
+
+        const projectWrites = backend.collectionWrites.filter(write => write.key === 'tg_traffic_projects');
+        assert.deepStrictEqual(projectWrites.slice(-2).map(write => [write.count, write.previous]), [[1, null], [2, 1]]);
+        assert.strictEqual(backend.values.tg_traffic_projects.length, 2);
+    });
+
+    test('metrics points are written one by one and indexed by channel', async () => {
+        const backend = new FakeAsyncBackend({ tg_traffic_migrated_from_local_storage: true });
+        const storage = new TGTrafficStorage({ backend });
+        await storage.ready();
+
+        storage.addMetricsPoint({ username: 'a', date: '2025-03-02T10:00:00.000Z', subscribers: 200 });
+        storage.addMetricsPoint({ username: 'b', date: '2025-03-02T10:00:00.000Z', subscribers: 50 });
+        storage.addMetricsPoint({ username: 'a', date: '2025-03-01T10:00:00.000Z', subscribers: 100 });
+        storage.addMetricsPoint({ username: 'a', date: '2025-03-02T18:00:00.000Z', subscribers: 210 });
+        await storage.flush();
+
+        assert.deepStrictEqual(backend.recordWrites.map(write => `${write.id}:${write.order}`), [
+            'a_2025-03-02:0', 'b_2025-03-02:1', 'a_2025-03-01:2', 'a_2025-03-02:0'
+        ]);
+        assert.strictEqual(backend.collectionWrites.filter(write => write.key === 'tg_traffic_metrics_history').length, 0);
+        assert.deepStrictEqual(storage.getMetricsHistory('a').map(point => point.subscribers), [100, 210]);
+        assert.strictEqual(JSON.parse(storage.createBackup()).data.metricsHistory.length, 3);
+
+        const reloaded = new TGTrafficStorage({ backend });
+        await reloaded.ready();
+        assert.deepStrictEqual(reloaded.getMetricsHistory('a').map(point => point.subscribers), [100, 210]);
+
+        // Checkpoint results are appended the same way, the run itself is written once
+        storage.saveAnalysisCheckpoint({ channels: ['@a', '@b', '@c'], results: [], options: {} });
+        storage.appendAnalysisCheckpointResult({ channel: '@a' });
+        storage.appendAnalysisCheckpointResult({ channel: '@b' });
+        await storage.flush();
+        assert.deepStrictEqual(
+            backend.recordWrites.filter(write => write.key === 'tg_traffic_analysis_checkpoint_results').map(write => write.order),
+            [0, 1]
+        );
+        assert.deepStrictEqual(backend.values.tg_traffic_analysis_checkpoint_results.map(result => result.channel), ['@a', '@b']);
+
+        // A full write diffs against the points added in memory
+        storage.clearMetricsHistory('a');
+        await storage.flush();
+        assert.deepStrictEqual(backend.collectionWrites.slice(-1), [{ key: 'tg_traffic_metrics_history', count: 1, previous: 3 }]);
+        assert.deepStrictEqual(storage.getMetricsHistory('a'), []);
+    });
+
+    test('failed writes are reported with a user-facing message', async () => {
+        const backend = new FakeAsyncBackend({ tg_traffic_migrated_from_local_storage: true });
+        const storage = new TGTrafficStorage({ backend });
+        await storage.ready();
+
+        const messages = [];
+        storage.onWriteError(message => messages.push(message));
+
+        const quotaError = new Error('quota');
+        quotaError.name = 'QuotaExceededError';
+        backend.failWith = quotaError;
+
+        storage.addProject({ name: 'Too big', channels: [] });
+        await storage.flush();
+
+        assert.strictEqual(messages.length, 1);
+        assert.match(messages[0], /недостаточно места/);
+        // The session keeps working with the in-memory data
+        assert.strictEqual(storage.getProjects()[0].name, 'Too big');
+    });
+
+    test('localStorage backend reports a full quota synchronously', () => {
+        const storage = new TGTrafficStorage({ backend: new LocalStorageBackend(['tg_traffic_projects']) });
+        const messages = [];
+        storage.onWriteError(message => messages.push(message));
+
+        const originalSetItem = localStorage.setItem;
+        localStorage.setItem = () => {
+            const error = new Error('full');
+            error.name = 'QuotaExceededError';
+            throw error;
+        };
+
+        try {
+            assert.strictEqual(storage.setItem('tg_traffic_projects', [{ id: 'p1' }]), false);
+        } finally {
+            localStorage.setItem = originalSetItem;
+        }
+
+        assert.strictEqual(messages.length, 1);
+        assert.deepStrictEqual(plain(storage.getProjects()), []);
+    });
+});
@@ -0,0 +1,110 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { setupBrowserEnv, loadScripts } = require('./helpers/browser-env');
+
+setupBrowserEnv();
+loadScripts('virtual-table.js');
+
+const ROW_HEIGHT = 50;
+
+function createRows(count) {
+    return Array.from({ length: count }, (value, index) => ({ id: `row_${index}`, label: `Row ${index}` }));
+}
+
+describe('VirtualTable', () => {
+    let container;
+    let body;
+    let table;
+    let renderCount;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        container.scrollTop = 0;
+        container.clientHeight = 500;
+        body = document.createElement('tbody');
+        renderCount = 0;
+
+        table = new VirtualTable({
+            container,
+            body,
+            rowHeight: ROW_HEIGHT,
+            overscan: 2,
+            getColumnCount: () => 3,
+            renderRow: row => {
+                renderCount++;
+                const element = document.createElement('tr');
+                element.dataset.id = row.id;
+                element.textContent = row.label;
+                return element;
+            }
+        });
+    });
+
+    const renderedIds = () => body.children.filter(child => child.className !== 'virtual-spacer').map(child => child.dataset.id);
+
+    test('renders only rows in the viewport plus overscan', () => {
+        table.setRows(createRows(5000));
+
+        assert.strictEqual(renderedIds().length, 12);
+        assert.strictEqual(renderedIds()[0], 'row_0');
+        assert.strictEqual(body.children.at(-1).className, 'virtual-spacer');
+        assert.match(body.children.at(-1).innerHTML, new RegExp(`height: ${(5000 - 12) * ROW_HEIGHT}px`));
+    });
+
+    test('small row sets are rendered without spacers', () => {
+        table.setRows(createRows(3));
+
+        assert.strictEqual(body.children.length, 3);
+    });
+
+    test('scrolling renders the new window on the next frame', async () => {
+        table.setRows(createRows(5000));
+
+        container.scrollTop = 1000 * ROW_HEIGHT;
+        container.dispatchEvent({ type: 'scroll' });
+        container.dispatchEvent({ type: 'scroll' });
+        await new Promise(resolve => setTimeout(resolve, 30));
+
+        assert.deepStrictEqual(table.range, { start: 998, end: 1012 });
+        assert.strictEqual(renderedIds()[0], 'row_998');
+        assert.match(body.children[0].innerHTML, new RegExp(`height: ${998 * ROW_HEIGHT}px`));
+    });
+
+    test('render skips work when the visible range did not change', () => {
+        table.setRows(createRows(100));
+        const count = renderCount;
+
+        table.render();
+        assert.strictEqual(renderCount, count);
+    });
+
+    test('setRows keeps the scroll position and clamps it to the new height', () => {
+        table.setRows(createRows(5000));
+        container.scrollTop = 200 * ROW_HEIGHT;
+
+        table.setRows(createRows(4000));
+        assert.strictEqual(container.scrollTop, 200 * ROW_HEIGHT);
+        assert.strictEqual(renderedIds()[0], 'row_198');
+
+        table.setRows(createRows(20));
+        assert.strictEqual(container.scrollTop, 20 * ROW_HEIGHT - 500);
+    });
+
+    test('updateRow replaces a rendered row in place', () => {
+        const rows = createRows(5000);
+        table.setRows(rows);
+        const before = body.children.slice();
+        const count = renderCount;
+
+        assert.strictEqual(table.updateRow({ id: 'row_3', label: 'Updated' }), true);
+        assert.strictEqual(renderCount, count + 1);
+        assert.strictEqual(body.children[3].textContent, 'Updated');
+        assert.ok(body.children.every((child, index) => index === 3 || child === before[index]));
+
+        // Rows outside the window are only stored, unknown rows are ignored
+        assert.strictEqual(table.updateRow({ id: 'row_4000', label: 'Later' }), false);
+        assert.strictEqual(table.rows[4000].label, 'Later');
+        assert.strictEqual(table.updateRow({ id: 'missing' }), false);
+    });
+});
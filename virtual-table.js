@@ -0,0 +1,127 @@
+/**
+ * Virtualized Table Body Module
+ * Renders only the rows inside the scroll viewport (plus overscan) and
+ * replaces single rows in place, so large result sets stay responsive
+ */
+
+class VirtualTable {
+    constructor({ container, body, renderRow, getKey, getColumnCount, rowHeight = 76, overscan = 10 } = {}) {
+        this.container = container;
+        this.body = body;
+        this.renderRow = renderRow;
+        this.getKey = getKey || (row => row.id);
+        this.getColumnCount = getColumnCount || (() => 1);
+        this.rowHeight = rowHeight;
+        this.overscan = overscan;
+        this.defaultViewportHeight = 600;
+
+        this.rows = [];
+        this.range = { start: 0, end: 0 };
+        this.renderedRows = new Map(); // key -> rendered <tr>
+        this.frameRequested = false;
+
+        this.container.addEventListener('scroll', () => this.scheduleRender());
+    }
+
+    /**
+     * Replace the row set; scroll position is kept (clamped to the new height)
+     */
+    setRows(rows) {
+        this.rows = rows;
+
+        const maxScrollTop = Math.max(0, rows.length * this.rowHeight - this.getViewportHeight());
+        if ((this.container.scrollTop || 0) > maxScrollTop) {
+            this.container.scrollTop = maxScrollTop;
+        }
+
+        this.render(true);
+    }
+
+    /**
+     * Visible index range [start, end) for the current scroll position
+     */
+    getRange() {
+        const scrollTop = this.container.scrollTop || 0;
+        const start = Math.max(0, Math.floor(scrollTop / this.rowHeight) - this.overscan);
+        const end = Math.min(this.rows.length, Math.ceil((scrollTop + this.getViewportHeight()) / this.rowHeight) + this.overscan);
+
+        return { start, end };
+    }
+
+    getViewportHeight() {
+        return this.container.clientHeight || this.defaultViewportHeight;
+    }
+
+    /**
+     * Render on the next animation frame, scroll events are coalesced
+     */
+    scheduleRender() {
+        if (this.frameRequested) return;
+        this.frameRequested = true;
+
+        const requestFrame = window.requestAnimationFrame || (callback => setTimeout(callback, 16));
+        requestFrame(() => {
+            this.frameRequested = false;
+            this.render();
+        });
+    }
+
+    /**
+     * Render the visible window; skipped when the range did not change unless forced
+     */
+    render(force = false) {
+        const range = this.getRange();
+
+        if (!force && range.start === this.range.start && range.end === this.range.end) return;
+
+        this.range = range;
+        this.renderedRows.clear();
+        this.body.innerHTML = '';
+
+        const topHeight = range.start * this.rowHeight;
+        const bottomHeight = (this.rows.length - range.end) * this.rowHeight;
+
+        if (topHeight > 0) this.body.appendChild(this.createSpacer(topHeight));
+
+        for (let index = range.start; index < range.end; index++) {
+            const row = this.rows[index];
+            const element = this.renderRow(row);
+            this.renderedRows.set(this.getKey(row), element);
+            this.body.appendChild(element);
+        }
+
+        if (bottomHeight > 0) this.body.appendChild(this.createSpacer(bottomHeight));
+    }
+
+    /**
+     * Re-render one row in place, returns false if the row is not rendered
+     */
+    updateRow(row) {
+        const key = this.getKey(row);
+        const index = this.rows.findIndex(item => this.getKey(item) === key);
+
+        if (index === -1) return false;
+        this.rows[index] = row;
+
+        const current = this.renderedRows.get(key);
+        if (!current) return false;
+
+        const element = this.renderRow(row);
+        this.body.replaceChild(element, current);
+        this.renderedRows.set(key, element);
+        return true;
+    }
+
+    /**
+     * Spacer row keeping the scroll height of rows that are not rendered
+     */
+    createSpacer(height) {
+        const spacer = document.createElement('tr');
+        spacer.className = 'virtual-spacer';
+        spacer.innerHTML = `<td colspan="${this.getColumnCount()}" style="height: ${height}px; padding: 0; border: 0;"></td>`;
+        return spacer;
+    }
+}
+
+// Export for use in other modules
+window.VirtualTable = VirtualTable;